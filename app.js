@@ -1,4 +1,4 @@
-const { app, BrowserWindow } = require('electron');
+const { app, BrowserWindow, dialog, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs-extra');
 
@@ -30,6 +30,15 @@ function initializeApp() {
   // Create main window when Electron is ready
   app.whenReady().then(createMainWindow);
 
+  // Native file dialogs requested by the renderer
+  ipcMain.handle('dialog:open', (event, options) => {
+    return dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), options);
+  });
+
+  ipcMain.handle('dialog:save', (event, options) => {
+    return dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), options);
+  });
+
   // Quit when all windows are closed
   app.on('window-all-closed', () => {
     if (process.platform !== 'darwin') {
@@ -0,0 +1,534 @@
+// core/AnimationManager.js - Sprite-sheet animation assets and frame timing
+
+const fs = require('fs');
+const path = require('path');
+
+// Definition values used when an animation file leaves them out
+const ANIMATION_DEFAULTS = {
+  imageId: null,
+  slicing: { mode: 'grid', frameWidth: 32, frameHeight: 32, margin: 0, spacing: 0 },
+  frames: [],
+  clips: []
+};
+
+// How a clip continues after its last frame
+const LOOP_MODES = [
+  { value: 'loop', label: 'Loop' },
+  { value: 'once', label: 'Once' },
+  { value: 'pingpong', label: 'Ping-Pong' }
+];
+
+// Seconds a frame is shown when a clip doesn't say otherwise
+const DEFAULT_FRAME_DURATION = 0.1;
+
+// Shortest frame duration, so playback always moves forward
+const MIN_FRAME_DURATION = 0.001;
+
+/**
+ * Animation Manager - Reads and writes .anim assets and works out which frame a clip shows
+ * An animation points at an image asset, cuts it into frames (a grid or hand-placed rectangles)
+ * and groups the frames into named clips. Each clip frame is { frame, duration } where frame is
+ * an index into the animation's frames and duration is in seconds; a clip's loop mode is one of
+ * loop, once or pingpong.
+ */
+class AnimationManager {
+  /**
+   * Create a new Animation Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+
+    // Register event handlers
+    this.app.core.events.on('animation:create', this.onCreateAnimation.bind(this));
+  }
+
+  /**
+   * Initialize the animation manager
+   */
+  initialize() {
+    console.log('Initializing Animation Manager');
+  }
+
+  /**
+   * Get the loop modes a clip can use
+   * @returns {Array<object>} Modes with value and label
+   */
+  static getLoopModes() {
+    return LOOP_MODES.slice();
+  }
+
+  /**
+   * Cut an image into a grid of frames, row by row
+   * @param {number} imageWidth - Image width in pixels
+   * @param {number} imageHeight - Image height in pixels
+   * @param {object} slicing - frameWidth, frameHeight, margin and spacing
+   * @returns {Array<object>} Frames with x, y, width and height
+   */
+  static sliceGrid(imageWidth, imageHeight, slicing) {
+    const { frameWidth, frameHeight } = slicing;
+    const margin = slicing.margin || 0;
+    const spacing = slicing.spacing || 0;
+    const frames = [];
+
+    if (!(frameWidth > 0) || !(frameHeight > 0)) return frames;
+
+    for (let y = margin; y + frameHeight <= imageHeight - margin; y += frameHeight + spacing) {
+      for (let x = margin; x + frameWidth <= imageWidth - margin; x += frameWidth + spacing) {
+        frames.push({ x, y, width: frameWidth, height: frameHeight });
+      }
+    }
+
+    return frames;
+  }
+
+  /**
+   * Get how long a clip frame is shown
+   * @param {object} clipFrame - Clip frame with frame and duration
+   * @returns {number} Duration in seconds
+   */
+  static getFrameDuration(clipFrame) {
+    const duration = clipFrame.duration !== undefined ? clipFrame.duration : DEFAULT_FRAME_DURATION;
+    return Math.max(MIN_FRAME_DURATION, duration);
+  }
+
+  /**
+   * Get how long one pass through a clip takes
+   * @param {object} clip - Clip
+   * @returns {number} Duration in seconds
+   */
+  static getClipDuration(clip) {
+    return clip.frames.reduce((total, clipFrame) => total + AnimationManager.getFrameDuration(clipFrame), 0);
+  }
+
+  /**
+   * Work out which frame of a clip is showing after it has played for a while
+   * Matches the playback of the exported game: ping-pong clips run 1, 2, 3, 2, 1, 2, ...
+   * and clips that play once stop on their last frame.
+   * @param {object} clip - Clip
+   * @param {number} time - Seconds since the clip started
+   * @returns {number} Position in the clip's frames, or -1 for a clip without frames
+   */
+  static getFrameAt(clip, time) {
+    const count = clip.frames.length;
+
+    if (count === 0) return -1;
+
+    // The positions one cycle visits
+    let order = clip.frames.map((clipFrame, index) => index);
+
+    if (clip.loop === 'pingpong' && count > 2) {
+      order = order.concat(order.slice(1, -1).reverse());
+    }
+
+    const cycle = order.reduce((total, index) => total + AnimationManager.getFrameDuration(clip.frames[index]), 0);
+    let elapsed = time;
+
+    if (clip.loop === 'once') {
+      if (elapsed >= cycle) return count - 1;
+    } else {
+      elapsed %= cycle;
+    }
+
+    for (const index of order) {
+      elapsed -= AnimationManager.getFrameDuration(clip.frames[index]);
+
+      if (elapsed < 0) return index;
+    }
+
+    return order[order.length - 1];
+  }
+
+  /**
+   * Get the assets of the open project
+   * @returns {Array<object>} Assets
+   */
+  getAssets() {
+    const assetBrowser = this.app.assetBrowser;
+
+    return (assetBrowser && assetBrowser.assets) ||
+      (this.app.project && this.app.project.assets) ||
+      [];
+  }
+
+  /**
+   * Get all animation assets in the project
+   * @returns {Array<object>} Animation assets
+   */
+  getAnimationAssets() {
+    return this.getAssets().filter(asset => asset.type === 'animation');
+  }
+
+  /**
+   * Get an animation by asset ID
+   * @param {string} assetId - Animation asset ID
+   * @returns {object|null} Animation with id, name, imageId, slicing, frames and clips
+   */
+  getAnimation(assetId) {
+    const asset = this.getAssets().find(a => a.id === assetId);
+
+    if (!asset || asset.type !== 'animation' || !asset.animation) return null;
+
+    return {
+      ...ANIMATION_DEFAULTS,
+      ...asset.animation,
+      id: asset.id,
+      name: asset.name
+    };
+  }
+
+  /**
+   * Get a clip of an animation by name
+   * @param {object} animation - Animation from getAnimation
+   * @param {string} [name] - Clip name; the first clip if left out
+   * @returns {object|null} Clip or null if there is no such clip
+   */
+  getClip(animation, name) {
+    if (!animation) return null;
+
+    if (!name) return animation.clips[0] || null;
+
+    return animation.clips.find(clip => clip.name === name) || null;
+  }
+
+  /**
+   * Get the image rectangle a clip shows after it has played for a while
+   * @param {object} animation - Animation from getAnimation
+   * @param {string} [clipName] - Clip name; the first clip if left out
+   * @param {number} time - Seconds since the clip started
+   * @returns {object|null} Frame with x, y, width and height, or null if there's nothing to show
+   */
+  getFrameRect(animation, clipName, time) {
+    const clip = this.getClip(animation, clipName);
+
+    if (!clip) return null;
+
+    const position = AnimationManager.getFrameAt(clip, time);
+
+    return position >= 0 ? animation.frames[clip.frames[position].frame] || null : null;
+  }
+
+  /**
+   * Create an animation asset next to an image
+   * The image is cut into a grid and every frame goes into one looping clip.
+   * @param {object} imageAsset - Image asset the frames are cut from
+   * @param {object} [slicing={}] - frameWidth, frameHeight, margin and spacing
+   * @returns {Promise<object>} The new animation asset
+   */
+  async createAnimation(imageAsset, slicing = {}) {
+    const project = this.app.project;
+
+    if (!project) {
+      throw new Error('Open a project before creating an animation');
+    }
+
+    const image = await this.app.imageCache.load(imageAsset.id);
+    const grid = { ...ANIMATION_DEFAULTS.slicing, ...slicing, mode: 'grid' };
+    const frames = AnimationManager.sliceGrid(image.naturalWidth, image.naturalHeight, grid);
+
+    if (frames.length === 0) {
+      throw new Error(`No ${grid.frameWidth} × ${grid.frameHeight} frames fit in ${imageAsset.name}`);
+    }
+
+    const definition = {
+      imageId: imageAsset.id,
+      slicing: grid,
+      frames,
+      clips: [
+        {
+          name: 'default',
+          loop: 'loop',
+          frames: frames.map((frame, index) => ({ frame: index, duration: DEFAULT_FRAME_DURATION }))
+        }
+      ]
+    };
+
+    // Put the animation beside its image, without overwriting an existing one
+    const directory = path.dirname(imageAsset.path);
+    const baseName = path.basename(imageAsset.path, path.extname(imageAsset.path));
+    let assetPath = path.join(directory, `${baseName}.anim`);
+
+    for (let i = 2; fs.existsSync(path.join(project.path, 'assets', assetPath)); i++) {
+      assetPath = path.join(directory, `${baseName}_${i}.anim`);
+    }
+
+    const asset = await this.app.core.fs.saveAnimation(project.path, assetPath, definition);
+
+    // Notify other components
+    this.app.core.events.emit('asset:import', asset);
+
+    return asset;
+  }
+
+  /**
+   * Change an animation's definition and write it to disk
+   * @param {object} asset - Animation asset
+   * @param {object} properties - Definition properties to change
+   * @returns {Promise<void>}
+   */
+  async updateAnimation(asset, properties) {
+    const definition = { ...ANIMATION_DEFAULTS, ...asset.animation, ...properties };
+
+    const saved = await this.app.core.fs.saveAnimation(this.app.project.path, asset.path, definition);
+
+    asset.animation = definition;
+    asset.size = saved.size;
+    asset.lastModified = saved.lastModified;
+
+    // Notify other components
+    this.app.core.events.emit('asset:updated', asset.id, properties);
+    this.app.core.events.emit('animation:changed', asset.id);
+  }
+
+  /**
+   * Cut an animation's image into a new grid of frames
+   * Clip frames that no longer exist are dropped from their clips.
+   * @param {object} asset - Animation asset
+   * @param {object} slicing - frameWidth, frameHeight, margin and spacing
+   * @returns {Promise<void>}
+   */
+  async sliceAnimation(asset, slicing) {
+    const animation = this.getAnimation(asset.id);
+
+    if (!animation.imageId) {
+      throw new Error('Choose the image to cut the frames from first');
+    }
+
+    const image = await this.app.imageCache.load(animation.imageId);
+    const grid = { ...animation.slicing, ...slicing, mode: 'grid' };
+    const frames = AnimationManager.sliceGrid(image.naturalWidth, image.naturalHeight, grid);
+
+    if (frames.length === 0) {
+      throw new Error(`No ${grid.frameWidth} × ${grid.frameHeight} frames fit in the image`);
+    }
+
+    await this.updateAnimation(asset, { slicing: grid, frames, clips: this.pruneClips(animation.clips, frames.length) });
+  }
+
+  /**
+   * Set an animation's hand-placed frames
+   * Clip frames that no longer exist are dropped from their clips.
+   * @param {object} asset - Animation asset
+   * @param {Array<object>} frames - Frames with x, y, width and height
+   * @returns {Promise<void>}
+   */
+  async setFrames(asset, frames) {
+    const animation = this.getAnimation(asset.id);
+
+    await this.updateAnimation(asset, {
+      slicing: { ...animation.slicing, mode: 'manual' },
+      frames,
+      clips: this.pruneClips(animation.clips, frames.length)
+    });
+  }
+
+  /**
+   * Drop the clip frames that point past the end of the frame list
+   * @param {Array<object>} clips - Clips
+   * @param {number} frameCount - Number of frames
+   * @returns {Array<object>} New clips
+   */
+  pruneClips(clips, frameCount) {
+    return clips.map(clip => ({
+      ...clip,
+      frames: clip.frames.filter(clipFrame => clipFrame.frame < frameCount)
+    }));
+  }
+
+  /**
+   * Add an empty clip to an animation
+   * @param {object} asset - Animation asset
+   * @param {string} name - Clip name, unique within the animation
+   * @returns {Promise<object>} The new clip
+   */
+  async addClip(asset, name) {
+    const animation = this.getAnimation(asset.id);
+
+    if (!name) {
+      throw new Error('Clips need a name');
+    }
+
+    if (this.getClip(animation, name)) {
+      throw new Error(`The animation already has a clip named '${name}'`);
+    }
+
+    const clip = { name, loop: 'loop', frames: [] };
+
+    await this.updateAnimation(asset, { clips: [...animation.clips, clip] });
+
+    return clip;
+  }
+
+  /**
+   * Change a clip of an animation
+   * @param {object} asset - Animation asset
+   * @param {string} name - Name of the clip to change
+   * @param {object} changes - Clip properties to set (name, loop, frames)
+   * @returns {Promise<void>}
+   */
+  async updateClip(asset, name, changes) {
+    const animation = this.getAnimation(asset.id);
+
+    if (changes.name !== undefined && changes.name !== name) {
+      if (!changes.name) {
+        throw new Error('Clips need a name');
+      }
+
+      if (this.getClip(animation, changes.name)) {
+        throw new Error(`The animation already has a clip named '${changes.name}'`);
+      }
+    }
+
+    await this.updateAnimation(asset, {
+      clips: animation.clips.map(clip => (clip.name === name ? { ...clip, ...changes } : clip))
+    });
+  }
+
+  /**
+   * Remove a clip from an animation
+   * Sprites still pointing at it fall back to the first clip
+   * @param {object} asset - Animation asset
+   * @param {string} name - Clip name
+   * @returns {Promise<void>}
+   */
+  async removeClip(asset, name) {
+    const animation = this.getAnimation(asset.id);
+
+    await this.updateAnimation(asset, { clips: animation.clips.filter(clip => clip.name !== name) });
+  }
+
+  /**
+   * Create a canvas that plays an animation clip
+   * Used for previews in the Inspector and the Asset Browser.
+   * @param {string} assetId - Animation asset ID
+   * @param {object} [options={}] - width, height and clip (name; the first clip if left out)
+   * @returns {object} Preview with canvas, play(), stop(), setClip(name) and draw()
+   */
+  createPreview(assetId, options = {}) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'animation-preview';
+    canvas.width = options.width || 128;
+    canvas.height = options.height || 128;
+
+    const ctx = canvas.getContext('2d');
+    let clipName = options.clip || null;
+    let startTime = 0;
+    let frameRequest = null;
+
+    const preview = {
+      canvas,
+
+      // Draw the frame showing at the current time (the clip's first frame while stopped)
+      draw: () => {
+        const animation = this.getAnimation(assetId);
+        const time = frameRequest !== null ? (performance.now() - startTime) / 1000 : 0;
+        const frame = this.getFrameRect(animation, clipName, time);
+        const image = animation && this.app.imageCache.get(animation.imageId);
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (!frame || !image) return;
+
+        // Fit the frame in the canvas, keeping pixel art crisp
+        const scale = Math.min(canvas.width / frame.width, canvas.height / frame.height);
+        const width = frame.width * scale;
+        const height = frame.height * scale;
+
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(image, frame.x, frame.y, frame.width, frame.height,
+          (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+      },
+
+      play: () => {
+        if (frameRequest !== null) return;
+
+        startTime = performance.now();
+
+        const tick = () => {
+          // Stop once the canvas has been removed from the page
+          if (!canvas.isConnected) {
+            frameRequest = null;
+            return;
+          }
+
+          preview.draw();
+          frameRequest = requestAnimationFrame(tick);
+        };
+
+        frameRequest = requestAnimationFrame(tick);
+      },
+
+      stop: () => {
+        if (frameRequest !== null) {
+          cancelAnimationFrame(frameRequest);
+          frameRequest = null;
+        }
+
+        preview.draw();
+      },
+
+      setClip: (name) => {
+        clipName = name;
+        startTime = performance.now();
+        preview.draw();
+      }
+    };
+
+    // Draw once the image is available
+    const animation = this.getAnimation(assetId);
+
+    if (animation && animation.imageId) {
+      this.app.imageCache.load(animation.imageId).then(() => preview.draw()).catch(() => {});
+    }
+
+    return preview;
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle animation create event (asks for the frame grid of an image asset)
+   * @param {object} imageAsset - Image asset the frames are cut from
+   */
+  async onCreateAnimation(imageAsset) {
+    const ui = this.app.core.ui;
+
+    if (!imageAsset || imageAsset.type !== 'image') {
+      ui.showError('Create Animation', 'Choose an image to cut the frames from.');
+      return;
+    }
+
+    const slicing = ANIMATION_DEFAULTS.slicing;
+    const values = await ui.showFormDialog({
+      title: `Create Animation from ${imageAsset.name}`,
+      fields: [
+        { id: 'frameWidth', label: 'Frame Width', type: 'number', value: slicing.frameWidth },
+        { id: 'frameHeight', label: 'Frame Height', type: 'number', value: slicing.frameHeight },
+        { id: 'margin', label: 'Margin', type: 'number', value: 0 },
+        { id: 'spacing', label: 'Spacing', type: 'number', value: 0 }
+      ],
+      buttons: ['Cancel', 'Create']
+    });
+
+    if (!values) return;
+
+    if (!(values.frameWidth > 0) || !(values.frameHeight > 0)) {
+      ui.showError('Create Animation', 'Frame width and height must be greater than zero.');
+      return;
+    }
+
+    try {
+      const asset = await this.createAnimation(imageAsset, values);
+
+      ui.setStatus(`Created animation ${asset.name}`);
+
+      this.app.core.events.emit('asset:selected', asset);
+    } catch (error) {
+      console.error('Error creating animation:', error);
+      ui.showError('Create Animation', error.message);
+    }
+  }
+}
+
+// Export the AnimationManager class
+module.exports = AnimationManager;
@@ -0,0 +1,214 @@
+// core/AtlasPacker.js - Packs images into texture atlases
+
+/**
+ * Atlas Packer - Places rectangles on as few atlas pages as possible
+ * Uses the MaxRects algorithm with the best short side fit rule, and can draw the
+ * packed pages from RGBA pixel buffers so exports can build atlases headless.
+ */
+class AtlasPacker {
+  /**
+   * Create a new Atlas Packer
+   * @param {object} [options={}] - Packing options
+   * @param {number} [options.maxSize=2048] - Largest width and height of a page
+   * @param {number} [options.padding=2] - Empty pixels kept between images
+   * @param {boolean} [options.powerOfTwo=false] - Round page sizes up to powers of two
+   */
+  constructor(options = {}) {
+    this.maxSize = options.maxSize || 2048;
+    this.padding = Math.max(0, options.padding !== undefined ? options.padding : 2);
+    this.powerOfTwo = Boolean(options.powerOfTwo);
+  }
+
+  /**
+   * Pack rectangles onto pages
+   * Larger rectangles are placed first; rectangles bigger than a page are left out.
+   * @param {Array<object>} items - Rectangles with id, width and height
+   * @returns {object} pages (each with width, height and items placed at x and y) and oversized (items that fit on no page)
+   */
+  pack(items) {
+    const oversized = items.filter(item => item.width > this.maxSize || item.height > this.maxSize);
+    let remaining = items
+      .filter(item => !oversized.includes(item))
+      .sort((a, b) => Math.max(b.width, b.height) - Math.max(a.width, a.height) || b.width * b.height - a.width * a.height);
+
+    const pages = [];
+
+    while (remaining.length > 0) {
+      const placed = this.packPage(remaining);
+
+      pages.push(this.createPage(placed));
+      remaining = remaining.filter(item => !placed.some(placement => placement.id === item.id));
+    }
+
+    return { pages, oversized };
+  }
+
+  /**
+   * Place as many rectangles as fit on one empty page
+   * Each rectangle takes its padding on the right and bottom; the page is padded by the same
+   * amount so the last row and column don't lose space to it.
+   * @param {Array<object>} items - Rectangles with id, width and height, largest first
+   * @returns {Array<object>} Placed rectangles with id, x, y, width and height
+   */
+  packPage(items) {
+    const size = this.maxSize + this.padding;
+    let freeRects = [{ x: 0, y: 0, width: size, height: size }];
+    const placed = [];
+
+    for (const item of items) {
+      const width = item.width + this.padding;
+      const height = item.height + this.padding;
+      let best = null;
+      let bestShortSide = Infinity;
+      let bestLongSide = Infinity;
+
+      for (const free of freeRects) {
+        if (width > free.width || height > free.height) continue;
+
+        const leftoverX = free.width - width;
+        const leftoverY = free.height - height;
+        const shortSide = Math.min(leftoverX, leftoverY);
+        const longSide = Math.max(leftoverX, leftoverY);
+
+        if (shortSide < bestShortSide || (shortSide === bestShortSide && longSide < bestLongSide)) {
+          best = { x: free.x, y: free.y, width, height };
+          bestShortSide = shortSide;
+          bestLongSide = longSide;
+        }
+      }
+
+      if (!best) continue;
+
+      freeRects = this.splitFreeRects(freeRects, best);
+      placed.push({ id: item.id, x: best.x, y: best.y, width: item.width, height: item.height });
+    }
+
+    return placed;
+  }
+
+  /**
+   * Remove a used rectangle from the free space
+   * Free rectangles it overlaps are split into up to four maximal rectangles around it,
+   * then rectangles inside other free rectangles are dropped.
+   * @param {Array<object>} freeRects - Free rectangles
+   * @param {object} used - Rectangle that was just placed
+   * @returns {Array<object>} New free rectangles
+   */
+  splitFreeRects(freeRects, used) {
+    const result = [];
+
+    for (const free of freeRects) {
+      const overlaps = used.x < free.x + free.width && used.x + used.width > free.x &&
+        used.y < free.y + free.height && used.y + used.height > free.y;
+
+      if (!overlaps) {
+        result.push(free);
+        continue;
+      }
+
+      if (used.x > free.x) {
+        result.push({ x: free.x, y: free.y, width: used.x - free.x, height: free.height });
+      }
+
+      if (used.x + used.width < free.x + free.width) {
+        result.push({ x: used.x + used.width, y: free.y, width: free.x + free.width - used.x - used.width, height: free.height });
+      }
+
+      if (used.y > free.y) {
+        result.push({ x: free.x, y: free.y, width: free.width, height: used.y - free.y });
+      }
+
+      if (used.y + used.height < free.y + free.height) {
+        result.push({ x: free.x, y: used.y + used.height, width: free.width, height: free.y + free.height - used.y - used.height });
+      }
+    }
+
+    return result.filter((rect, index) => !result.some((other, otherIndex) => {
+      if (otherIndex === index) return false;
+
+      const contains = rect.x >= other.x && rect.y >= other.y &&
+        rect.x + rect.width <= other.x + other.width && rect.y + rect.height <= other.y + other.height;
+
+      // Of two identical rectangles keep the first
+      const identical = rect.x === other.x && rect.y === other.y && rect.width === other.width && rect.height === other.height;
+
+      return contains && (!identical || otherIndex < index);
+    }));
+  }
+
+  /**
+   * Size a page to the rectangles placed on it
+   * @param {Array<object>} items - Placed rectangles
+   * @returns {object} Page with width, height and items
+   */
+  createPage(items) {
+    let width = 1;
+    let height = 1;
+
+    for (const item of items) {
+      width = Math.max(width, item.x + item.width);
+      height = Math.max(height, item.y + item.height);
+    }
+
+    if (this.powerOfTwo) {
+      width = Math.pow(2, Math.ceil(Math.log2(width)));
+      height = Math.pow(2, Math.ceil(Math.log2(height)));
+    }
+
+    return { width, height, items };
+  }
+
+  /**
+   * Draw a packed page
+   * @param {object} page - Page from pack()
+   * @param {Map<string, object>} images - Images by rectangle ID, each with width, height and RGBA data
+   * @returns {object} Image with width, height and RGBA data
+   */
+  static compose(page, images) {
+    const data = Buffer.alloc(page.width * page.height * 4);
+
+    for (const item of page.items) {
+      const image = images.get(item.id);
+      const rowLength = item.width * 4;
+
+      for (let row = 0; row < item.height; row++) {
+        const source = row * image.width * 4;
+        image.data.copy(data, ((item.y + row) * page.width + item.x) * 4, source, source + rowLength);
+      }
+    }
+
+    return { width: page.width, height: page.height, data };
+  }
+
+  /**
+   * Measure how much of each page the images leave empty
+   * @param {Array<object>} pages - Pages from pack()
+   * @returns {object} Totals (area, usedArea, wastedArea, wastedPercent) and the same figures per page
+   */
+  static getReport(pages) {
+    const measure = (area, usedArea) => ({
+      area,
+      usedArea,
+      wastedArea: area - usedArea,
+      wastedPercent: area > 0 ? Math.round((area - usedArea) / area * 1000) / 10 : 0
+    });
+
+    const pageReports = pages.map(page => ({
+      width: page.width,
+      height: page.height,
+      images: page.items.length,
+      ...measure(page.width * page.height, page.items.reduce((total, item) => total + item.width * item.height, 0))
+    }));
+
+    return {
+      ...measure(
+        pageReports.reduce((total, page) => total + page.area, 0),
+        pageReports.reduce((total, page) => total + page.usedArea, 0)
+      ),
+      pages: pageReports
+    };
+  }
+}
+
+// Export the AtlasPacker class
+module.exports = AtlasPacker;
@@ -0,0 +1,207 @@
+// core/Autotiler.js - Terrain rules that pick edge and corner tiles from a cell's neighbours
+
+// Neighbour bits of a cell's mask, clockwise from north
+const NORTH = 1;
+const NORTH_EAST = 2;
+const EAST = 4;
+const SOUTH_EAST = 8;
+const SOUTH = 16;
+const SOUTH_WEST = 32;
+const WEST = 64;
+const NORTH_WEST = 128;
+
+// Offsets of each neighbour
+const NEIGHBOURS = [
+  { bit: NORTH, x: 0, y: -1 },
+  { bit: NORTH_EAST, x: 1, y: -1 },
+  { bit: EAST, x: 1, y: 0 },
+  { bit: SOUTH_EAST, x: 1, y: 1 },
+  { bit: SOUTH, x: 0, y: 1 },
+  { bit: SOUTH_WEST, x: -1, y: 1 },
+  { bit: WEST, x: -1, y: 0 },
+  { bit: NORTH_WEST, x: -1, y: -1 }
+];
+
+// Rule set types; columns is the width of the default tile block in the tileset
+const TERRAIN_TYPES = {
+  '16': {
+    name: '16-tile (edges)',
+    columns: 4
+  },
+  '47': {
+    name: '47-tile (blob)',
+    columns: 8
+  }
+};
+
+/**
+ * Reduce a full neighbour mask to the rule key of a terrain type
+ * 16-tile sets only look at the four edges (N=1, E=2, S=4, W=8).
+ * 47-tile sets keep a corner only when both edges next to it are set.
+ * @param {string} type - Terrain type ('16' or '47')
+ * @param {number} mask - Neighbour bits
+ * @returns {number} Rule key
+ */
+function reduceMask(type, mask) {
+  if (type === '16') {
+    return (mask & NORTH ? 1 : 0) |
+      (mask & EAST ? 2 : 0) |
+      (mask & SOUTH ? 4 : 0) |
+      (mask & WEST ? 8 : 0);
+  }
+
+  let reduced = mask & (NORTH | EAST | SOUTH | WEST);
+
+  if ((mask & NORTH_EAST) && (mask & NORTH) && (mask & EAST)) reduced |= NORTH_EAST;
+  if ((mask & SOUTH_EAST) && (mask & SOUTH) && (mask & EAST)) reduced |= SOUTH_EAST;
+  if ((mask & SOUTH_WEST) && (mask & SOUTH) && (mask & WEST)) reduced |= SOUTH_WEST;
+  if ((mask & NORTH_WEST) && (mask & NORTH) && (mask & WEST)) reduced |= NORTH_WEST;
+
+  return reduced;
+}
+
+/**
+ * Autotiler - Wang and blob style terrains for tilemaps
+ * A terrain is a rule set stored on a tileset: { id, name, type, tiles } where tiles maps
+ * each rule key to a tile number. A cell belongs to a terrain when its tile is one of the
+ * terrain's tiles, and is redrawn with the tile for the neighbours of the same terrain.
+ * Cells beyond the edge of the map count as the same terrain, so terrain runs off the map cleanly.
+ */
+class Autotiler {
+  /**
+   * Get the supported terrain types
+   * @returns {object} Types keyed by ID, with name and default block columns
+   */
+  static getTypes() {
+    return TERRAIN_TYPES;
+  }
+
+  /**
+   * Get the rule keys of a terrain type in default layout order
+   * @param {string} type - Terrain type
+   * @returns {Array<number>} Rule keys, ascending
+   */
+  static getLayout(type) {
+    const keys = new Set();
+
+    for (let mask = 0; mask < 256; mask++) {
+      keys.add(reduceMask(type, mask));
+    }
+
+    return Array.from(keys).sort((a, b) => a - b);
+  }
+
+  /**
+   * Get the rule key of a cell with every neighbour set
+   * @param {string} type - Terrain type
+   * @returns {number} Rule key
+   */
+  static getFullKey(type) {
+    return reduceMask(type, 255);
+  }
+
+  /**
+   * Build the rules of a terrain from a block of tiles in the tileset
+   * The block starts at firstTile and holds the rule keys in ascending order, row by row,
+   * in a block as wide as the type's columns.
+   * @param {string} type - Terrain type
+   * @param {number} firstTile - Tile number of the block's top-left tile
+   * @param {number} gridColumns - Tile columns in the tileset image
+   * @returns {object} Tile numbers keyed by rule key
+   */
+  static createRules(type, firstTile, gridColumns) {
+    const columns = TERRAIN_TYPES[type].columns;
+    const tiles = {};
+
+    Autotiler.getLayout(type).forEach((key, index) => {
+      tiles[key] = firstTile + Math.floor(index / columns) * gridColumns + index % columns;
+    });
+
+    return tiles;
+  }
+
+  /**
+   * Get the tile painted for a terrain before its neighbours are looked at
+   * @param {object} terrain - Terrain rule set
+   * @returns {number} Tile number
+   */
+  static getFillTile(terrain) {
+    return terrain.tiles[Autotiler.getFullKey(terrain.type)];
+  }
+
+  /**
+   * Re-evaluate terrain cells after tiles changed
+   * The changed cells' neighbours are always updated; the changed cells themselves only when
+   * includeCells is set, so tiles placed by hand keep their exact tile.
+   * @param {object} tilemap - Tilemap with columns, rows and tileData
+   * @param {Array<object>} terrains - Terrain rule sets of the tilemap's tileset
+   * @param {Array<object>} cells - Changed cells with x and y
+   * @param {object} [options={}] - Options
+   * @param {boolean} [options.includeCells=false] - Also update the changed cells
+   */
+  static apply(tilemap, terrains, cells, options = {}) {
+    const { columns, rows, tileData } = tilemap;
+
+    if (!terrains || terrains.length === 0) return;
+
+    // Which terrain each tile belongs to (the first terrain listing it wins)
+    const membership = new Map();
+
+    for (const terrain of terrains) {
+      for (const key in terrain.tiles) {
+        if (!membership.has(terrain.tiles[key])) {
+          membership.set(terrain.tiles[key], terrain);
+        }
+      }
+    }
+
+    const inside = (x, y) => x >= 0 && x < columns && y >= 0 && y < rows;
+
+    // Collect the cells to look at, once each
+    const pending = new Map();
+    const changed = new Set(cells.map(cell => cell.y * columns + cell.x));
+
+    for (const cell of cells) {
+      if (options.includeCells && inside(cell.x, cell.y)) {
+        pending.set(cell.y * columns + cell.x, cell);
+      }
+
+      for (const neighbour of NEIGHBOURS) {
+        const x = cell.x + neighbour.x;
+        const y = cell.y + neighbour.y;
+        const index = y * columns + x;
+
+        if (inside(x, y) && (options.includeCells || !changed.has(index))) {
+          pending.set(index, { x, y });
+        }
+      }
+    }
+
+    // Redrawing a cell keeps it in the same terrain, so the order cells are updated in doesn't matter
+    for (const [index, cell] of pending) {
+      const terrain = membership.get(tileData[index]);
+
+      if (!terrain) continue;
+
+      let mask = 0;
+
+      for (const neighbour of NEIGHBOURS) {
+        const x = cell.x + neighbour.x;
+        const y = cell.y + neighbour.y;
+
+        if (!inside(x, y) || membership.get(tileData[y * columns + x]) === terrain) {
+          mask |= neighbour.bit;
+        }
+      }
+
+      const tile = terrain.tiles[reduceMask(terrain.type, mask)];
+
+      if (tile) {
+        tileData[index] = tile;
+      }
+    }
+  }
+}
+
+// Export the Autotiler class
+module.exports = Autotiler;
@@ -0,0 +1,196 @@
+// core/BuildManager.js - Builds and exports the open project
+
+/**
+ * Build Manager - Drives project exports from the editor UI
+ * Handles the File > Export and Project > Build menu actions
+ */
+class BuildManager {
+  /**
+   * Create a new Build Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.isBuilding = false;
+    this.lastBuild = null;
+
+    // Register event handlers
+    this.app.core.events.on('project:build', this.onBuild.bind(this));
+    this.app.core.events.on('project:export', this.onExport.bind(this));
+    this.app.core.events.on('project:atlasSettings', this.onAtlasSettings.bind(this));
+  }
+
+  /**
+   * Initialize the build manager
+   */
+  initialize() {
+    console.log('Initializing Build Manager');
+  }
+
+  /**
+   * Export the open project
+   * @param {string} [target='love'] - Target platform ('love', 'moonscript', 'phaser')
+   * @returns {Promise<string|null>} Path to the exported build or null on failure
+   */
+  async build(target = 'love') {
+    const ui = this.app.core.ui;
+
+    if (!this.app.project) {
+      ui.showError('Build Error', 'Open a project before building.');
+      return null;
+    }
+
+    // Ignore repeated requests while a build is running
+    if (this.isBuilding) {
+      ui.showNotification('A build is already in progress', 'warning');
+      return null;
+    }
+
+    this.isBuilding = true;
+    ui.setStatus(`Building project (${target})...`);
+    this.app.core.events.emit('build:started', { target });
+
+    try {
+      const outputPath = await this.app.core.fs.exportProject(this.app.project.path, target);
+
+      const atlas = target === 'love' ? this.app.core.fs.lastAtlasReport : null;
+
+      this.lastBuild = {
+        target: target,
+        path: outputPath,
+        time: new Date().toISOString(),
+        atlas: atlas
+      };
+
+      ui.setStatus(atlas
+        ? `Build complete: ${outputPath} (${atlas.pages.length} atlas page(s), ${atlas.wastedPercent}% unused)`
+        : `Build complete: ${outputPath}`);
+      ui.showNotification('Build complete', 'success');
+
+      // Notify other components
+      this.app.core.events.emit('build:complete', this.lastBuild);
+
+      return outputPath;
+    } catch (error) {
+      console.error('Error building project:', error);
+      ui.showError('Build Error', error.message);
+      ui.setStatus('Build failed', 'error');
+
+      this.app.core.events.emit('build:failed', { target, error });
+
+      return null;
+    } finally {
+      this.isBuilding = false;
+    }
+  }
+
+  /**
+   * Get the project's texture atlas settings
+   * @returns {object} Atlas settings (maxSize, padding, powerOfTwo) with defaults filled in
+   */
+  getAtlasSettings() {
+    const config = (this.app.project && this.app.project.config.atlas) || {};
+
+    return {
+      maxSize: config.maxSize || 2048,
+      padding: config.padding !== undefined ? config.padding : 2,
+      powerOfTwo: Boolean(config.powerOfTwo)
+    };
+  }
+
+  /**
+   * Change the project's texture atlas settings and write them to project.json
+   * @param {object} changes - Settings to change
+   * @returns {Promise<void>}
+   */
+  async updateAtlasSettings(changes) {
+    const project = this.app.project;
+
+    project.config.atlas = { ...this.getAtlasSettings(), ...changes };
+
+    await this.app.core.config.saveProjectConfig(project.path, project.config);
+
+    // Notify other components
+    this.app.core.events.emit('atlas:changed', project.config.atlas);
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle project build event (Project > Build)
+   */
+  onBuild() {
+    this.build('love');
+  }
+
+  /**
+   * Handle project export event (File > Export...)
+   * @param {string} [target] - Target platform, defaults to the configured export target
+   */
+  onExport(target) {
+    this.build(target || this.app.core.config.get('exportSettings.defaultTarget', 'love'));
+  }
+
+  /**
+   * Handle atlas settings event (Project > Texture Atlas...)
+   */
+  async onAtlasSettings() {
+    const ui = this.app.core.ui;
+
+    if (!this.app.project) return;
+
+    const settings = this.getAtlasSettings();
+
+    // Images are flagged for packing in their import settings
+    const packed = this.app.assetBrowser.assets.filter(asset => asset.type === 'image' && asset.packAtlas);
+
+    const values = await ui.showFormDialog({
+      title: `Texture Atlas (${packed.length} images packed)`,
+      fields: [
+        {
+          id: 'maxSize',
+          label: 'Page Size',
+          type: 'select',
+          value: String(settings.maxSize),
+          options: [512, 1024, 2048, 4096, 8192].map(size => ({ value: String(size), label: `${size} × ${size}` }))
+        },
+        { id: 'padding', label: 'Padding', type: 'number', value: settings.padding },
+        {
+          id: 'powerOfTwo',
+          label: 'Page Dimensions',
+          type: 'select',
+          value: settings.powerOfTwo ? 'yes' : 'no',
+          options: [
+            { value: 'no', label: 'Trim to Images' },
+            { value: 'yes', label: 'Powers of Two' }
+          ]
+        }
+      ],
+      buttons: ['Cancel', 'Save']
+    });
+
+    if (!values) return;
+
+    const padding = Math.round(values.padding);
+
+    if (isNaN(padding) || padding < 0) {
+      ui.showError('Texture Atlas', 'Padding must be 0 or more pixels.');
+      return;
+    }
+
+    try {
+      await this.updateAtlasSettings({
+        maxSize: parseInt(values.maxSize, 10),
+        padding: padding,
+        powerOfTwo: values.powerOfTwo === 'yes'
+      });
+      ui.setStatus('Texture atlas settings saved');
+    } catch (error) {
+      console.error('Error saving atlas settings:', error);
+      ui.showError('Texture Atlas', error.message);
+    }
+  }
+}
+
+// Export the BuildManager class
+module.exports = BuildManager;
@@ -0,0 +1,292 @@
+// core/CommandHistory.js - Undo/redo command stack
+
+/**
+ * Command History - Records editor mutations so they can be undone and redone
+ * Commands are plain objects with a label and undo()/redo() methods
+ */
+class CommandHistory {
+  /**
+   * Create a new Command History
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.groupStack = [];
+    this.maxDepth = 100;
+    this.isApplying = false;
+
+    // Register event handlers
+    this.app.core.events.on('edit:undo', () => this.undo());
+    this.app.core.events.on('edit:redo', () => this.redo());
+    this.app.core.events.on('scene:load', () => this.clear());
+    this.app.core.events.on('scene:new', () => this.clear());
+    this.app.core.events.on('project:loaded', () => this.clear());
+  }
+
+  /**
+   * Initialize the command history
+   */
+  initialize() {
+    this.setMaxDepth(this.app.core.config.get('editor.undoDepth', 100));
+
+    console.log('Initializing Command History');
+  }
+
+  /**
+   * Set the maximum number of undo steps kept
+   * @param {number} depth - Maximum depth
+   */
+  setMaxDepth(depth) {
+    this.maxDepth = Math.max(1, Math.floor(depth) || 1);
+
+    // Drop the oldest steps if the stack is now too deep
+    if (this.undoStack.length > this.maxDepth) {
+      this.undoStack.splice(0, this.undoStack.length - this.maxDepth);
+      this.notifyChanged();
+    }
+  }
+
+  /**
+   * Apply a command and record it
+   * @param {object} command - Command with label, redo() and undo()
+   * @returns {object} The executed command
+   */
+  execute(command) {
+    command.redo();
+    this.record(command);
+    return command;
+  }
+
+  /**
+   * Record a command whose change has already been applied
+   * @param {object} command - Command with label, redo() and undo()
+   */
+  record(command) {
+    // Changes made while undoing/redoing are part of that step
+    if (this.isApplying) return;
+
+    // Commands inside an open group become part of that group
+    if (this.groupStack.length > 0) {
+      this.groupStack[this.groupStack.length - 1].commands.push(command);
+      return;
+    }
+
+    this.undoStack.push(command);
+
+    if (this.undoStack.length > this.maxDepth) {
+      this.undoStack.shift();
+    }
+
+    // A new change invalidates everything that was undone
+    this.redoStack = [];
+
+    this.notifyChanged();
+  }
+
+  /**
+   * Start grouping commands into a single undo step
+   * Groups can be nested; only the outermost group creates a step
+   * @param {string} label - Label for the grouped step
+   */
+  beginGroup(label) {
+    this.groupStack.push({ label, commands: [] });
+  }
+
+  /**
+   * Finish the current group and record it as one step
+   */
+  endGroup() {
+    const group = this.groupStack.pop();
+
+    if (!group || group.commands.length === 0) return;
+
+    if (group.commands.length === 1) {
+      // No need to wrap a single command, but keep the group's label
+      const command = group.commands[0];
+      command.label = group.label || command.label;
+      this.record(command);
+    } else {
+      this.record(this.createGroupCommand(group.label, group.commands));
+    }
+  }
+
+  /**
+   * Check if a group is currently open
+   * @returns {boolean} True while recording a group
+   */
+  isGrouping() {
+    return this.groupStack.length > 0;
+  }
+
+  /**
+   * Create a command that applies several commands as one
+   * If one of the commands throws, the ones already applied are reverted before the error is
+   * rethrown, so a failed group leaves the scene as it was and can stay on its stack.
+   * @param {string} label - Command label
+   * @param {Array<object>} commands - Commands in the order they were applied
+   * @returns {object} Composite command
+   */
+  createGroupCommand(label, commands) {
+    return {
+      label: label,
+      commands: commands,
+      undo() {
+        for (let i = commands.length - 1; i >= 0; i--) {
+          try {
+            commands[i].undo();
+          } catch (error) {
+            for (let j = i + 1; j < commands.length; j++) {
+              commands[j].redo();
+            }
+
+            throw error;
+          }
+        }
+      },
+      redo() {
+        for (let i = 0; i < commands.length; i++) {
+          try {
+            commands[i].redo();
+          } catch (error) {
+            for (let j = i - 1; j >= 0; j--) {
+              commands[j].undo();
+            }
+
+            throw error;
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Undo the last step
+   * @returns {boolean} True if a step was undone
+   */
+  undo() {
+    if (!this.canUndo()) return false;
+
+    const command = this.undoStack[this.undoStack.length - 1];
+
+    // A step that fails stays where it is, so the history still matches the scene
+    if (!this.apply(() => command.undo())) return false;
+
+    this.redoStack.push(this.undoStack.pop());
+
+    this.app.core.events.emit('history:applied', { type: 'undo', command });
+    this.notifyChanged();
+
+    return true;
+  }
+
+  /**
+   * Redo the last undone step
+   * @returns {boolean} True if a step was redone
+   */
+  redo() {
+    if (!this.canRedo()) return false;
+
+    const command = this.redoStack[this.redoStack.length - 1];
+
+    if (!this.apply(() => command.redo())) return false;
+
+    this.undoStack.push(this.redoStack.pop());
+
+    this.app.core.events.emit('history:applied', { type: 'redo', command });
+    this.notifyChanged();
+
+    return true;
+  }
+
+  /**
+   * Run a command action without recording the changes it makes
+   * @param {Function} action - Action to run
+   * @returns {boolean} True if the action ran without throwing
+   */
+  apply(action) {
+    this.isApplying = true;
+
+    try {
+      action();
+      return true;
+    } catch (error) {
+      console.error('Error applying command:', error);
+      this.app.core.ui.setStatus('Undo/redo failed; see the console for details', 'error');
+      return false;
+    } finally {
+      this.isApplying = false;
+    }
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean} True if undo is possible
+   */
+  canUndo() {
+    // Don't undo in the middle of a drag or paint stroke
+    return this.undoStack.length > 0 && this.groupStack.length === 0;
+  }
+
+  /**
+   * Check if there is a step to redo
+   * @returns {boolean} True if redo is possible
+   */
+  canRedo() {
+    return this.redoStack.length > 0 && this.groupStack.length === 0;
+  }
+
+  /**
+   * Get the step the scene is currently at (the next one to undo)
+   * @returns {object|null} Command or null if the history is empty
+   */
+  getCurrentCommand() {
+    return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1] : null;
+  }
+
+  /**
+   * Get the label of the next undo step
+   * @returns {string|null} Label or null if nothing to undo
+   */
+  getUndoLabel() {
+    return this.undoStack.length > 0 ? this.undoStack[this.undoStack.length - 1].label : null;
+  }
+
+  /**
+   * Get the label of the next redo step
+   * @returns {string|null} Label or null if nothing to redo
+   */
+  getRedoLabel() {
+    return this.redoStack.length > 0 ? this.redoStack[this.redoStack.length - 1].label : null;
+  }
+
+  /**
+   * Clear the history
+   */
+  clear() {
+    // Let listeners see the history that is about to be dropped
+    this.app.core.events.emit('history:cleared', { command: this.getCurrentCommand() });
+
+    this.undoStack = [];
+    this.redoStack = [];
+    this.groupStack = [];
+
+    this.notifyChanged();
+  }
+
+  /**
+   * Notify other components that the history changed
+   */
+  notifyChanged() {
+    this.app.core.events.emit('history:changed', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo(),
+      undoLabel: this.getUndoLabel(),
+      redoLabel: this.getRedoLabel()
+    });
+  }
+}
+
+// Export the CommandHistory class
+module.exports = CommandHistory;
@@ -0,0 +1,417 @@
+// core/ComponentRegistry.js - Component types that add behaviour to scene objects
+
+/**
+ * Turn a script asset path into the module name Lua's require expects
+ * @param {string} assetPath - Path relative to the game root (e.g. assets/scripts/player.lua)
+ * @returns {string} Module name (e.g. assets.scripts.player)
+ */
+function toModuleName(assetPath) {
+  return assetPath.replace(/\.lua$/, '').replace(/\//g, '.');
+}
+
+// Built-in component types
+// Property types: number (with optional min, max and step), boolean, text, select (with options),
+// color, and asset (with assetType). Components are stored on objects as { type, ...values }.
+const BUILTIN_COMPONENTS = [
+  {
+    type: 'collider',
+    name: 'Collider',
+    description: 'Physics shape the object collides with',
+    properties: [
+      {
+        name: 'shape',
+        label: 'Shape',
+        type: 'select',
+        default: 'rectangle',
+        options: [
+          { value: 'rectangle', label: 'Rectangle' },
+          { value: 'circle', label: 'Circle' }
+        ]
+      },
+      { name: 'offsetX', label: 'Offset X', type: 'number', default: 0 },
+      { name: 'offsetY', label: 'Offset Y', type: 'number', default: 0 },
+      { name: 'width', label: 'Width (0 = object)', type: 'number', default: 0, min: 0 },
+      { name: 'height', label: 'Height (0 = object)', type: 'number', default: 0, min: 0 },
+      { name: 'isTrigger', label: 'Is Trigger', type: 'boolean', default: false },
+      { name: 'friction', label: 'Friction', type: 'number', default: 0.2, min: 0, max: 1, step: 0.01 },
+      { name: 'restitution', label: 'Bounciness', type: 'number', default: 0, min: 0, max: 1, step: 0.01 }
+    ],
+    lua: `
+components.collider = {}
+
+function components.collider.init(scene, object, collider)
+  local body = getBody(scene, object)
+  local width = collider.width > 0 and collider.width or object.width
+  local height = collider.height > 0 and collider.height or object.height
+  local shape
+
+  if collider.shape == "circle" then
+    shape = love.physics.newCircleShape(collider.offsetX, collider.offsetY, math.min(width, height) / 2)
+  else
+    shape = love.physics.newRectangleShape(collider.offsetX, collider.offsetY, width, height)
+  end
+
+  collider._fixture = love.physics.newFixture(body, shape)
+  collider._fixture:setSensor(collider.isTrigger)
+  collider._fixture:setFriction(collider.friction)
+  collider._fixture:setRestitution(collider.restitution)
+  collider._fixture:setUserData(object)
+end
+`
+  },
+  {
+    type: 'rigidbody',
+    name: 'Rigid Body',
+    description: 'Moves the object with the physics simulation',
+    properties: [
+      {
+        name: 'bodyType',
+        label: 'Body Type',
+        type: 'select',
+        default: 'dynamic',
+        options: [
+          { value: 'dynamic', label: 'Dynamic' },
+          { value: 'kinematic', label: 'Kinematic' },
+          { value: 'static', label: 'Static' }
+        ]
+      },
+      { name: 'mass', label: 'Mass (0 = from shape)', type: 'number', default: 0, min: 0 },
+      { name: 'gravityScale', label: 'Gravity Scale', type: 'number', default: 1 },
+      { name: 'linearDamping', label: 'Linear Damping', type: 'number', default: 0, min: 0 },
+      { name: 'angularDamping', label: 'Angular Damping', type: 'number', default: 0, min: 0 },
+      { name: 'fixedRotation', label: 'Fixed Rotation', type: 'boolean', default: false },
+      { name: 'bullet', label: 'Continuous Collision', type: 'boolean', default: false }
+    ],
+    lua: `
+components.rigidbody = {}
+
+function components.rigidbody.init(scene, object, rigidbody)
+  local body = getBody(scene, object)
+
+  body:setType(rigidbody.bodyType)
+  body:setGravityScale(rigidbody.gravityScale)
+  body:setLinearDamping(rigidbody.linearDamping)
+  body:setAngularDamping(rigidbody.angularDamping)
+  body:setFixedRotation(rigidbody.fixedRotation)
+  body:setBullet(rigidbody.bullet)
+end
+
+-- Colliders may be added after the body, so the mass is set once every shape exists
+function components.rigidbody.start(scene, object, rigidbody)
+  if rigidbody.mass > 0 then
+    object._body:setMass(rigidbody.mass)
+  end
+end
+
+function components.rigidbody.update(scene, object, rigidbody, dt)
+  local x, y = object._body:getPosition()
+
+  object.x = x - object.width / 2
+  object.y = y - object.height / 2
+  object.rotation = math.deg(object._body:getAngle())
+end
+`
+  },
+  {
+    type: 'script',
+    name: 'Script',
+    description: 'Lua module with init, start, update and draw functions called for the object',
+    properties: [
+      { name: 'scriptId', label: 'Script', type: 'asset', assetType: 'script', default: null }
+    ],
+    export(data, resolvePath) {
+      const scriptPath = data.scriptId ? resolvePath(data.scriptId) : undefined;
+
+      delete data.scriptId;
+      data.module = scriptPath ? toModuleName(scriptPath) : undefined;
+
+      return data;
+    },
+    lua: `
+components.script = {}
+
+function components.script.init(scene, object, script)
+  if not script.module then
+    return
+  end
+
+  local ok, module = pcall(require, script.module)
+
+  if not ok then
+    print("Error loading script " .. script.module .. ": " .. tostring(module))
+    return
+  end
+
+  script._module = module
+
+  if type(module.init) == "function" then
+    module.init(object, scene)
+  end
+end
+
+function components.script.start(scene, object, script)
+  if script._module and type(script._module.start) == "function" then
+    script._module.start(object, scene)
+  end
+end
+
+function components.script.update(scene, object, script, dt)
+  if script._module and type(script._module.update) == "function" then
+    script._module.update(object, dt, scene)
+  end
+end
+
+function components.script.draw(scene, object, script)
+  if script._module and type(script._module.draw) == "function" then
+    script._module.draw(object, scene)
+  end
+end
+`
+  },
+  {
+    type: 'audiosource',
+    name: 'Audio Source',
+    description: 'Plays a sound from the object',
+    properties: [
+      { name: 'audioId', label: 'Audio', type: 'asset', assetType: 'audio', default: null },
+      { name: 'volume', label: 'Volume', type: 'number', default: 1, min: 0, max: 1, step: 0.01 },
+      { name: 'pitch', label: 'Pitch', type: 'number', default: 1, min: 0.1, max: 4, step: 0.01 },
+      { name: 'loop', label: 'Loop', type: 'boolean', default: false },
+      { name: 'playOnStart', label: 'Play on Start', type: 'boolean', default: true },
+      { name: 'streaming', label: 'Stream from Disk', type: 'boolean', default: false }
+    ],
+    export(data, resolvePath) {
+      data.audioPath = data.audioId ? resolvePath(data.audioId) : undefined;
+      delete data.audioId;
+
+      return data;
+    },
+    lua: `
+components.audiosource = {}
+
+function components.audiosource.init(scene, object, audio)
+  if not audio.audioPath then
+    return
+  end
+
+  local ok, source = pcall(love.audio.newSource, audio.audioPath, audio.streaming and "stream" or "static")
+
+  if not ok then
+    print("Error loading audio: " .. audio.audioPath)
+    return
+  end
+
+  source:setVolume(audio.volume)
+  source:setPitch(audio.pitch)
+  source:setLooping(audio.loop)
+  audio._source = source
+end
+
+function components.audiosource.start(scene, object, audio)
+  if audio._source and audio.playOnStart then
+    audio._source:play()
+  end
+end
+`
+  },
+  {
+    type: 'animator',
+    name: 'Animator',
+    description: 'Plays the frames of a sprite sheet laid out on a grid',
+    objectTypes: ['sprite'],
+    properties: [
+      { name: 'frameWidth', label: 'Frame Width', type: 'number', default: 32, min: 1 },
+      { name: 'frameHeight', label: 'Frame Height', type: 'number', default: 32, min: 1 },
+      { name: 'frameCount', label: 'Frames (0 = all)', type: 'number', default: 0, min: 0 },
+      { name: 'fps', label: 'Frames per Second', type: 'number', default: 12, min: 0 },
+      { name: 'loop', label: 'Loop', type: 'boolean', default: true },
+      { name: 'playOnStart', label: 'Play on Start', type: 'boolean', default: true }
+    ],
+    lua: `
+components.animator = {}
+
+function components.animator.init(scene, object, animator)
+  local image = object._image
+
+  if not image then
+    return
+  end
+
+  local regionX, regionY, regionWidth, regionHeight = getImageRegion(image, object.imageRegion)
+  local columns = math.max(1, math.floor(regionWidth / animator.frameWidth))
+  local rows = math.max(1, math.floor(regionHeight / animator.frameHeight))
+  local count = columns * rows
+
+  if animator.frameCount > 0 then
+    count = math.min(animator.frameCount, count)
+  end
+
+  animator._quads = {}
+
+  for index = 0, count - 1 do
+    animator._quads[index + 1] = love.graphics.newQuad(
+      regionX + (index % columns) * animator.frameWidth,
+      regionY + math.floor(index / columns) * animator.frameHeight,
+      animator.frameWidth, animator.frameHeight,
+      image:getDimensions()
+    )
+  end
+
+  animator._time = 0
+  animator.frame = 1
+  animator.playing = animator.playOnStart
+  object._quad = animator._quads[1]
+end
+
+function components.animator.update(scene, object, animator, dt)
+  if not animator._quads or not animator.playing or animator.fps <= 0 then
+    return
+  end
+
+  local count = #animator._quads
+
+  animator._time = animator._time + dt
+
+  local frame = math.floor(animator._time * animator.fps)
+
+  if animator.loop then
+    animator.frame = frame % count + 1
+  else
+    animator.frame = math.min(frame + 1, count)
+    animator.playing = frame + 1 < count
+  end
+
+  object._quad = animator._quads[animator.frame]
+end
+`
+  }
+];
+
+// Registered component types by type ID, in registration order
+const registry = new Map(BUILTIN_COMPONENTS.map(definition => [definition.type, definition]));
+
+/**
+ * Component Registry - Schemas for the components objects can carry
+ * A component type has a type ID, a name, a property schema that drives its Inspector section,
+ * an optional list of objectTypes it can be added to, an optional export(data, resolvePath)
+ * that turns asset IDs into game paths, and the Lua that runs it in the exported game.
+ * The Lua defines components.<type> with optional init, start, update and draw functions,
+ * each called as (scene, object, component, ...).
+ */
+class ComponentRegistry {
+  /**
+   * Register a component type, replacing any type with the same ID
+   * @param {object} definition - Component definition
+   */
+  static register(definition) {
+    if (!definition || !definition.type) {
+      throw new Error('Component definitions need a type');
+    }
+
+    registry.set(definition.type, { properties: [], ...definition });
+  }
+
+  /**
+   * Get a component type
+   * @param {string} type - Component type ID
+   * @returns {object|null} Definition or null if unknown
+   */
+  static get(type) {
+    return registry.get(type) || null;
+  }
+
+  /**
+   * Get all component types
+   * @returns {Array<object>} Definitions in registration order
+   */
+  static getAll() {
+    return Array.from(registry.values());
+  }
+
+  /**
+   * Get the component types that can still be added to an object
+   * An object holds at most one component of each type.
+   * @param {object} object - Scene object
+   * @returns {Array<object>} Definitions
+   */
+  static getAvailable(object) {
+    const present = (object.components || []).map(component => component.type);
+
+    return ComponentRegistry.getAll().filter(definition =>
+      !present.includes(definition.type) &&
+      (!definition.objectTypes || definition.objectTypes.includes(object.type))
+    );
+  }
+
+  /**
+   * Create a component with its default values
+   * @param {string} type - Component type ID
+   * @returns {object} Component
+   */
+  static create(type) {
+    return ComponentRegistry.normalize({ type });
+  }
+
+  /**
+   * Fill in the values a component leaves out with their defaults
+   * @param {object} component - Component
+   * @returns {object} New component with every schema property set
+   */
+  static normalize(component) {
+    const definition = ComponentRegistry.get(component.type);
+    const result = { type: component.type };
+
+    if (definition) {
+      for (const property of definition.properties) {
+        result[property.name] = property.default;
+      }
+    }
+
+    for (const key in component) {
+      if (component[key] !== undefined) {
+        result[key] = component[key];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Prepare an object's components for the exported game
+   * @param {Array<object>} components - Components of a scene object
+   * @param {Function} resolvePath - Turns an asset ID into a path relative to the game root
+   * @returns {Array<object>} Component data; unknown types are left out
+   */
+  static exportComponents(components, resolvePath) {
+    return components
+      .filter(component => ComponentRegistry.get(component.type))
+      .map(component => {
+        const definition = ComponentRegistry.get(component.type);
+        const data = ComponentRegistry.normalize(JSON.parse(JSON.stringify(component)));
+
+        return definition.export ? definition.export(data, resolvePath) : data;
+      });
+  }
+
+  /**
+   * Get the Lua that runs a set of component types
+   * @param {Iterable<string>} types - Component type IDs
+   * @returns {string} Lua source defining the components' functions
+   */
+  static getLuaRuntime(types) {
+    let lua = '';
+
+    for (const type of types) {
+      const definition = ComponentRegistry.get(type);
+
+      if (definition && definition.lua) {
+        lua += definition.lua;
+      }
+    }
+
+    return lua;
+  }
+}
+
+// Export the ComponentRegistry class
+module.exports = ComponentRegistry;
@@ -21,15 +21,27 @@ class ConfigurationManager {
       version: '1.0.0',
       theme: 'light',
       recentProjects: [],
+      favoriteProjects: [],
+      projectsDirectory: '',
       editor: {
         fontSize: 14,
         fontFamily: 'Menlo, Monaco, Consolas, monospace',
         tabSize: 2,
-        autoSave: true
+        autoSave: true,
+        undoDepth: 100
       },
       exportSettings: {
         defaultTarget: 'love'
       },
+      runner: {
+        lovePath: '',
+        saveBeforeRun: true
+      },
+      console: {
+        maxEntries: 1000,
+        clearOnPlay: true,
+        collapse: false
+      },
       windowState: {
         width: 1280,
         height: 800,
@@ -38,7 +50,8 @@ class ConfigurationManager {
       externalEditors: {
         image: '',
         audio: '',
-        script: ''
+        script: '',
+        scriptArgs: '"{file}"'
       }
     };
     
@@ -252,6 +265,63 @@ class ConfigurationManager {
     return this.get('recentProjects', []);
   }
   
+  /**
+   * Remove a project from the recent projects list
+   * @param {string} projectPath - Path to the project
+   */
+  removeRecentProject(projectPath) {
+    const recentProjects = this.get('recentProjects', []);
+    
+    this.set('recentProjects', recentProjects.filter(project => project.path !== projectPath));
+    
+    // Save config
+    this.save().catch(error => {
+      console.error('Error saving recent projects:', error);
+    });
+  }
+  
+  /**
+   * Get the list of favorite (pinned) projects
+   * @returns {Array} Favorite projects list
+   */
+  getFavoriteProjects() {
+    return this.get('favoriteProjects', []);
+  }
+  
+  /**
+   * Check if a project is pinned as a favorite
+   * @param {string} projectPath - Path to the project
+   * @returns {boolean} True if the project is a favorite
+   */
+  isFavoriteProject(projectPath) {
+    return this.getFavoriteProjects().some(project => project.path === projectPath);
+  }
+  
+  /**
+   * Pin or unpin a project as a favorite
+   * Favorites are kept separately so they don't drop off the recent list
+   * @param {string} projectPath - Path to the project
+   * @param {string} projectName - Name of the project
+   * @returns {boolean} True if the project is now a favorite
+   */
+  toggleFavoriteProject(projectPath, projectName) {
+    const favoriteProjects = this.getFavoriteProjects();
+    const isFavorite = this.isFavoriteProject(projectPath);
+    
+    if (isFavorite) {
+      this.set('favoriteProjects', favoriteProjects.filter(project => project.path !== projectPath));
+    } else {
+      this.set('favoriteProjects', [...favoriteProjects, { path: projectPath, name: projectName }]);
+    }
+    
+    // Save config
+    this.save().catch(error => {
+      console.error('Error saving favorite projects:', error);
+    });
+    
+    return !isFavorite;
+  }
+  
   /**
    * Load project configuration
    * @param {string} projectPath - Path to the project
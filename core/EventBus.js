@@ -8,6 +8,7 @@ class EventBus {
     constructor() {
       this.eventHandlers = {};
       this.onceHandlers = {};
+      this.errorHandler = null;
     }
     
     /**
@@ -85,12 +86,38 @@ class EventBus {
           try {
             handler(...args);
           } catch (error) {
-            console.error(`Error in event handler for ${eventName}:`, error);
+            this.handleError(eventName, error);
           }
         });
       }
     }
     
+    /**
+     * Set the function that receives errors thrown by event handlers
+     * @param {function|null} handler - Called with the event name and the error
+     */
+    setErrorHandler(handler) {
+      this.errorHandler = handler;
+    }
+    
+    /**
+     * Report an error thrown by an event handler
+     * @param {string} eventName - Name of the event being emitted
+     * @param {Error} error - Error thrown by the handler
+     */
+    handleError(eventName, error) {
+      if (this.errorHandler) {
+        try {
+          this.errorHandler(eventName, error);
+          return;
+        } catch (handlerError) {
+          // Fall through so the original error isn't lost
+        }
+      }
+      
+      console.error(`Error in event handler for ${eventName}:`, error);
+    }
+    
     /**
      * Clear all event handlers
      */
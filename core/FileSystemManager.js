@@ -1,17 +1,32 @@
 // core/FileSystemManager.js - Handles file system operations
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { exec } = require('child_process');
-const util = require('util');
+const ZipWriter = require('./ZipWriter');
+const SceneCompiler = require('./SceneCompiler');
+const AtlasPacker = require('./AtlasPacker');
+const PngCodec = require('./PngCodec');
 
 // Convert callbacks to promises
 const fsPromises = fs.promises;
-const execPromise = util.promisify(exec);
+
+// Texture atlas settings used when the project configuration leaves them out
+const ATLAS_DEFAULTS = {
+  maxSize: 2048,
+  padding: 2,
+  powerOfTwo: false
+};
+
+// First line of every Lua file the editor generates
+const GENERATED_HEADER = '-- Generated by Love2D Editor Suite';
+
+// Folder inside exported games that holds the atlas pages and their quad map
+const ATLAS_DIR = 'atlases';
 
 /**
  * File System Manager - Abstraction for file operations
- * Handles project files, assets, and running Love2D projects
+ * Handles project files, assets, and exports
  */
 class FileSystemManager {
   constructor() {
@@ -19,8 +34,26 @@ class FileSystemManager {
     this.projectConfigFile = 'project.json';
     this.exportDir = 'exports';
     
+    // Sidecar files beside each asset holding its GUID, import settings and tags
+    this.metaExtension = '.meta';
+    
+    // Pending .meta writes by file, so quick changes to one asset are written in order
+    this.metaWrites = new Map();
+    
+    // Project entries that only the editor uses and never ship in a .love archive
+    this.editorOnlyEntries = [this.projectConfigFile, this.exportDir, 'objects'];
+    
+    // Compiler that turns scene JSON into Lua modules
+    this.sceneCompiler = new SceneCompiler();
+    
     // Cache for recently accessed files
     this.fileCache = new Map();
+    
+    // Texture atlas packing report of the last export (null when no images were packed)
+    this.lastAtlasReport = null;
+    
+    // Problems the last asset scan fixed, such as copies sharing a GUID
+    this.lastScanWarnings = [];
   }
   
   /**
@@ -127,6 +160,20 @@ class FileSystemManager {
           const scenePath = path.join(scenesDir, `${scene.id}.json`);
           await fsPromises.writeFile(scenePath, JSON.stringify(scene, null, 2));
         }
+        
+        // Write compiled Lua scenes so the project folder runs directly in Love2D
+        const assets = projectData.assets || await this.scanAssets(path.join(projectPath, 'assets'));
+        const compiledScenes = this.compileScenes(projectData.scenes, projectData.config, assets);
+        
+        for (const compiled of compiledScenes) {
+          await fsPromises.writeFile(path.join(projectPath, compiled.path), compiled.content);
+        }
+        
+        // Remove the JSON and compiled Lua of scenes that were deleted, leaving modules written by hand
+        await this.removeStaleFiles(scenesDir, new Set([
+          ...projectData.scenes.map(scene => `${scene.id}.json`),
+          ...compiledScenes.map(compiled => path.basename(compiled.path))
+        ]), ['.json', '.lua'], filePath => this.isGeneratedSceneFile(filePath));
       }
       
       // Save objects
@@ -138,6 +185,9 @@ class FileSystemManager {
           const objectPath = path.join(objectsDir, `${object.id}.json`);
           await fsPromises.writeFile(objectPath, JSON.stringify(object, null, 2));
         }
+        
+        // Remove files of objects that were deleted (such as prefabs)
+        await this.removeStaleFiles(objectsDir, new Set(projectData.objects.map(object => `${object.id}.json`)), ['.json']);
       }
       
       // Generate main.lua based on current project state
@@ -152,6 +202,79 @@ class FileSystemManager {
     }
   }
   
+  /**
+   * Remove the files in a folder that no longer belong to anything in the project
+   * @param {string} dir - Folder to clean up
+   * @param {Set<string>} keep - File names to keep
+   * @param {Array<string>} extensions - Extensions of the files the folder is managed for; others are left alone
+   * @param {Function} [isGenerated] - Async check of a file's full path, for folders that can also hold
+   * the user's own files; only files it accepts are removed
+   * @returns {Promise<void>}
+   */
+  async removeStaleFiles(dir, keep, extensions, isGenerated = null) {
+    for (const file of await fsPromises.readdir(dir)) {
+      if (!extensions.includes(path.extname(file)) || keep.has(file)) continue;
+      
+      const filePath = path.join(dir, file);
+      
+      if (!isGenerated || await isGenerated(filePath)) {
+        await fsPromises.unlink(filePath);
+      }
+    }
+  }
+  
+  /**
+   * Check if a file in the scenes folder was written by the editor
+   * Compiled scenes start with the generated-file header; scene JSON is named after the scene ID it holds.
+   * @param {string} filePath - Full path of the file
+   * @returns {Promise<boolean>} True for compiled scene modules and scene JSON
+   */
+  async isGeneratedSceneFile(filePath) {
+    try {
+      const content = await fsPromises.readFile(filePath, 'utf8');
+      
+      if (path.extname(filePath) === '.lua') {
+        return this.isGeneratedLua(content);
+      }
+      
+      const data = JSON.parse(content);
+      
+      return Boolean(data) && data.id === path.basename(filePath, '.json') && Array.isArray(data.layers);
+    } catch (err) {
+      return false;
+    }
+  }
+  
+  /**
+   * Check if Lua source was generated by the editor
+   * @param {string|Buffer} source - Lua source
+   * @returns {boolean} True if it starts with the generated-file header
+   */
+  isGeneratedLua(source) {
+    return source.slice(0, GENERATED_HEADER.length).toString() === GENERATED_HEADER;
+  }
+  
+  /**
+   * Copy a project to a new directory (used by Save As)
+   * @param {string} sourcePath - Current project directory
+   * @param {string} targetPath - New project directory
+   * @returns {Promise<void>}
+   */
+  async copyProject(sourcePath, targetPath) {
+    try {
+      await fsPromises.cp(sourcePath, targetPath, {
+        recursive: true,
+        // Builds belong to the original project
+        filter: source => path.relative(sourcePath, source).split(path.sep)[0] !== this.exportDir
+      });
+      
+      await this.ensureDir(path.join(targetPath, this.exportDir));
+    } catch (err) {
+      console.error('Error copying project:', err);
+      throw new Error(`Failed to copy project: ${err.message}`);
+    }
+  }
+  
   /**
    * Export project for a specific target platform
    * @param {string} projectPath - Path to the project
@@ -186,9 +309,180 @@ class FileSystemManager {
    * @returns {Promise<string>} Path to exported .love file
    */
   async exportToLove(projectPath, exportDir) {
-    // Implementation for Love2D export will go here
-    // This would typically zip up all project files into a .love file
-    throw new Error('Love2D export not implemented yet');
+    // Read the project configuration for the generated entry points
+    const configPath = path.join(projectPath, this.projectConfigFile);
+    const config = JSON.parse(await fsPromises.readFile(configPath, 'utf8'));
+    
+    const archive = new ZipWriter();
+    const assets = await this.scanAssets(path.join(projectPath, 'assets'), { readOnly: true });
+    
+    // Images flagged for packing are drawn from atlas pages. The originals still ship, since
+    // scripts and custom properties can load them by path.
+    const atlas = await this.packAtlases(projectPath, config, assets);
+    
+    for (const file of atlas.files) {
+      archive.addFile(file.path, file.data);
+    }
+    
+    // Add the project files, skipping editor-only data
+    const files = await this.collectFiles(projectPath);
+    
+    for (const relativePath of files) {
+      if (!this.isLoveExportFile(relativePath)) continue;
+      
+      const data = await fsPromises.readFile(path.join(projectPath, relativePath));
+      
+      // Compiled scenes are added afresh below, and modules of deleted scenes don't ship
+      if (relativePath.split(/[\\/]/)[0] === 'scenes' && this.isGeneratedLua(data)) continue;
+      
+      archive.addFile(relativePath, data);
+    }
+    
+    // Compile scenes from their JSON source so the archive never ships stale Lua
+    const scenes = await this.loadScenes(path.join(projectPath, 'scenes'));
+    
+    for (const compiled of this.compileScenes(scenes, config, assets, atlas.regions)) {
+      archive.addFile(compiled.path, compiled.content);
+    }
+    
+    // Always ship freshly generated entry points
+    archive.addFile('main.lua', this.generateMainLua(config));
+    archive.addFile('conf.lua', this.generateConfLua(config));
+    
+    // Write the archive
+    const lovePath = path.join(exportDir, `${this.getExportName(config)}.love`);
+    await fsPromises.writeFile(lovePath, archive.toBuffer());
+    
+    // Keep the quad map and the packing report beside the build for other tools
+    this.lastAtlasReport = atlas.report;
+    
+    if (atlas.report) {
+      const mapPath = path.join(exportDir, `${this.getExportName(config)}.atlas.json`);
+      await fsPromises.writeFile(mapPath, JSON.stringify({ regions: atlas.regions, report: atlas.report }, null, 2));
+    }
+    
+    return lovePath;
+  }
+  
+  /**
+   * Pack the images flagged with the packAtlas import setting into texture atlases
+   * Only PNG images can be packed; other images, and images larger than a page, ship as they are.
+   * @param {string} projectPath - Path to the project
+   * @param {object} config - Project configuration; config.atlas holds the page settings
+   * @param {Array} assets - Project assets
+   * @returns {Promise<object>} files (atlas pages and the Lua quad map to add to the build), regions (by game path of the original image)
+   * and report (null when nothing was packed)
+   */
+  async packAtlases(projectPath, config, assets) {
+    const settings = { ...ATLAS_DEFAULTS, ...(config && config.atlas) };
+    const result = { files: [], regions: {}, report: null };
+    const images = new Map();
+    const skipped = [];
+    
+    for (const asset of assets) {
+      const assetPath = asset.path.replace(/\\/g, '/');
+      
+      if (asset.type !== 'image' || !asset.packAtlas) continue;
+      
+      const data = await fsPromises.readFile(path.join(projectPath, 'assets', asset.path));
+      
+      if (!PngCodec.isPng(data)) {
+        skipped.push({ path: assetPath, reason: 'not a PNG image' });
+        continue;
+      }
+      
+      try {
+        images.set(assetPath, PngCodec.decode(data));
+      } catch (error) {
+        skipped.push({ path: assetPath, reason: error.message });
+      }
+    }
+    
+    if (images.size === 0 && skipped.length === 0) {
+      return result;
+    }
+    
+    const packer = new AtlasPacker(settings);
+    const { pages, oversized } = packer.pack([...images].map(([id, image]) => ({ id, width: image.width, height: image.height })));
+    
+    for (const item of oversized) {
+      skipped.push({ path: item.id, reason: `larger than ${settings.maxSize} pixels` });
+    }
+    
+    pages.forEach((page, index) => {
+      const atlasPath = `${ATLAS_DIR}/atlas_${index + 1}.png`;
+      
+      result.files.push({ path: atlasPath, data: PngCodec.encode(AtlasPacker.compose(page, images)) });
+      
+      for (const item of page.items) {
+        result.regions[`${this.sceneCompiler.assetRoot}/${item.id}`] = { atlas: atlasPath, x: item.x, y: item.y, width: item.width, height: item.height };
+      }
+    });
+    
+    // Scripts can look packed images up with require("atlases.atlas")
+    result.files.push({
+      path: `${ATLAS_DIR}/atlas.lua`,
+      data: `-- Generated by Love2D Editor Suite\n-- Texture atlas regions by original image path\nreturn ${this.sceneCompiler.toLuaValue(result.regions, 0)}\n`
+    });
+    
+    result.report = { ...AtlasPacker.getReport(pages), skipped };
+    
+    // Report how well the images packed in the Console
+    const report = result.report;
+    console.log(`Packed ${images.size - oversized.length} images into ${pages.length} atlas page(s): ${report.wastedPercent}% of ${report.area} pixels unused`);
+    
+    for (const [index, page] of report.pages.entries()) {
+      console.log(`  atlas_${index + 1}.png: ${page.width} × ${page.height}, ${page.images} images, ${page.wastedPercent}% unused`);
+    }
+    
+    for (const { path: skippedPath, reason } of skipped) {
+      console.warn(`Not packed into an atlas: ${skippedPath} (${reason})`);
+    }
+    
+    return result;
+  }
+  
+  /**
+   * Check if a project file belongs in a .love archive
+   * @param {string} relativePath - Path relative to the project root
+   * @returns {boolean} True if the file should be exported
+   */
+  isLoveExportFile(relativePath) {
+    const parts = relativePath.split(/[\\/]/);
+    
+    // Skip editor-only files and folders
+    if (this.editorOnlyEntries.includes(parts[0])) {
+      return false;
+    }
+    
+    // Skip hidden files and folders (.git, .DS_Store, ...)
+    if (parts.some(part => part.startsWith('.'))) {
+      return false;
+    }
+    
+    // Asset .meta files only matter to the editor
+    if (this.isMetaFile(relativePath)) {
+      return false;
+    }
+    
+    // Scene JSON is editor data; Lua modules in the scenes folder ship
+    if (parts[0] === 'scenes' && path.extname(relativePath) !== '.lua') {
+      return false;
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the file name (without extension) used for exported builds
+   * @param {object} config - Project configuration
+   * @returns {string} Export file name
+   */
+  getExportName(config) {
+    const name = (config.name || 'game').trim()
+      .replace(/[^a-zA-Z0-9_-]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return name || 'game';
   }
   
   /**
@@ -214,45 +508,114 @@ class FileSystemManager {
   }
   
   /**
-   * Run a Love2D project for testing
-   * @param {string} projectPath - Path to the project
-   * @returns {Promise<void>}
+   * Compile scenes into Lua modules loadable by the generated main.lua
+   * @param {Array} scenes - Scene data
+   * @param {object} config - Project configuration
+   * @param {Array} [assets=[]] - Project assets, used to resolve asset references
+   * @param {object} [atlas={}] - Texture atlas regions by image path, for exports that pack images
+   * @returns {Array<object>} Compiled files with path (relative to the project) and content
    */
-  async runLoveProject(projectPath) {
-    try {
-      // Different command based on platform
-      let command;
-      
-      if (process.platform === 'win32') {
-        command = `start "" "love" "${projectPath}"`;
-      } else if (process.platform === 'darwin') {
-        command = `/Applications/love.app/Contents/MacOS/love "${projectPath}"`;
-      } else {
-        command = `love "${projectPath}"`;
-      }
+  compileScenes(scenes, config, assets = [], atlas = {}) {
+    const compiled = [];
+    
+    for (const scene of scenes) {
+      compiled.push({
+        path: `scenes/${this.sceneCompiler.getModuleName(scene)}.lua`,
+        content: this.sceneCompiler.compile(scene, { assets, atlas })
+      });
+    }
+    
+    // Make sure main.lua's initial scene resolves, even when it is named rather than referenced by ID
+    const initialScene = (config && config.initialScene) || 'main';
+    const initialModule = this.sceneCompiler.getModuleName(initialScene);
+    
+    if (scenes.length > 0 && !compiled.some(file => file.path === `scenes/${initialModule}.lua`)) {
+      const target = scenes.find(scene => (scene.name || '').toLowerCase() === initialScene.toLowerCase()) || scenes[0];
       
-      await execPromise(command);
-      return true;
-    } catch (err) {
-      console.error('Error running Love2D project:', err);
-      throw new Error(`Failed to run project: ${err.message}`);
+      compiled.push({
+        path: `scenes/${initialModule}.lua`,
+        content: this.sceneCompiler.compileAlias(this.sceneCompiler.getModuleName(target))
+      });
     }
+    
+    return compiled;
   }
   
   /**
    * Scan a directory for assets
+   * Assets without a .meta file get one. Their GUID is the ID older versions derived from the path,
+   * so scenes saved before .meta files existed keep their references. When several .meta files share
+   * a GUID, the oldest keeps it and the copies get a new one; each copy is listed in lastScanWarnings.
    * @param {string} assetDir - Path to asset directory
+   * @param {object} [options={}] - Scan options
+   * @param {boolean} [options.readOnly=false] - Give new and repeated GUIDs to the records only, leaving
+   * .meta files untouched (used by exports, which must not change the project)
    * @returns {Promise<Array>} Array of asset objects
    */
-  async scanAssets(assetDir) {
+  async scanAssets(assetDir, options = {}) {
+    const readOnly = Boolean(options.readOnly);
+    
     try {
       const assets = [];
       
       // Ensure directory exists
       await this.ensureDir(assetDir);
       
-      // Recursively scan directories
-      await this.scanDir(assetDir, '', assets);
+      const files = (await this.collectFiles(assetDir)).filter(file => !this.isMetaFile(file));
+      const metas = new Map();
+      
+      for (const file of files) {
+        metas.set(file, await this.readAssetMeta(path.join(assetDir, file)));
+      }
+      
+      // Each GUID belongs to the oldest .meta file claiming it, not whichever sorts first
+      const owners = new Map();
+      
+      for (const file of files) {
+        const meta = metas.get(file);
+        
+        if (!meta) continue;
+        
+        const owner = owners.get(meta.guid);
+        
+        if (!owner || await this.isOlderMeta(assetDir, file, owner)) {
+          owners.set(meta.guid, file);
+        }
+      }
+      
+      // GUIDs already claimed by a .meta file
+      const usedIds = new Set(owners.keys());
+      this.lastScanWarnings = [];
+      
+      for (const file of files) {
+        const meta = metas.get(file);
+        
+        if (!meta || owners.get(meta.guid) === file) continue;
+        
+        const warning = `${file} has the same GUID as ${owners.get(meta.guid)}; giving the copy a new one`;
+        console.warn(warning);
+        this.lastScanWarnings.push(warning);
+        
+        const renewed = { ...meta, guid: this.generateGuid() };
+        metas.set(file, readOnly ? renewed : await this.writeAssetMeta(path.join(assetDir, file), renewed));
+        usedIds.add(renewed.guid);
+      }
+      
+      for (const file of files) {
+        let guid = null;
+        
+        if (!metas.get(file)) {
+          const legacyId = this.generateAssetId(file);
+          guid = usedIds.has(legacyId) ? this.generateGuid() : legacyId;
+          usedIds.add(guid);
+        }
+        
+        try {
+          assets.push(await this.createAssetRecord(assetDir, file, guid, readOnly ? metas.get(file) : undefined));
+        } catch (err) {
+          console.error(`Error reading asset ${file}:`, err);
+        }
+      }
       
       return assets;
     } catch (err) {
@@ -262,43 +625,368 @@ class FileSystemManager {
   }
   
   /**
-   * Recursively scan a directory for files
-   * @param {string} baseDir - Base directory
-   * @param {string} subDir - Subdirectory path (relative to baseDir)
-   * @param {Array} assets - Array to populate with found assets
+   * Describe a file in the assets folder
+   * @param {string} assetDir - Path to the assets folder
+   * @param {string} relativePath - File path relative to the assets folder
+   * @param {string} [guid] - GUID to give the asset if it has no .meta file yet (a new GUID by default)
+   * @param {object|null} [meta] - Meta data to use instead of the .meta file; null describes the asset
+   * as having no .meta file without writing one
+   * @returns {Promise<object>} Asset record, with the .meta file's import settings as properties and its tags
+   */
+  async createAssetRecord(assetDir, relativePath, guid = null, meta = undefined) {
+    const fullPath = path.join(assetDir, relativePath);
+    const stats = await fsPromises.stat(fullPath);
+    
+    if (meta === undefined) {
+      meta = await this.readAssetMeta(fullPath) ||
+        await this.writeAssetMeta(fullPath, { guid: guid || this.generateGuid() });
+    } else if (meta === null) {
+      meta = { guid: guid || this.generateGuid(), settings: {}, tags: [] };
+    }
+    
+    const asset = {
+      id: meta.guid,
+      name: path.basename(relativePath),
+      path: relativePath,
+      type: this.getAssetType(relativePath),
+      size: stats.size,
+      lastModified: stats.mtime.toISOString(),
+      tags: meta.tags
+    };
+    
+    // Tilesets and animations are small definition files the editor needs up front
+    if (asset.type === 'tileset' || asset.type === 'animation') {
+      asset[asset.type] = await this.readDefinitionFile(fullPath);
+    }
+    
+    // Import settings such as filterMode or volume are read straight off the record
+    for (const key in meta.settings) {
+      if (!(key in asset)) {
+        asset[key] = meta.settings[key];
+      }
+    }
+    
+    return asset;
+  }
+  
+  /**
+   * Check if one asset's .meta file is older than another's
+   * Creation times are compared where the file system keeps them, as copying a file can keep its
+   * modification time; otherwise modification times are compared.
+   * @param {string} assetDir - Path to the assets folder
+   * @param {string} file - Asset path relative to the assets folder
+   * @param {string} other - Other asset path relative to the assets folder
+   * @returns {Promise<boolean>} True if file's .meta is strictly older
+   */
+  async isOlderMeta(assetDir, file, other) {
+    const [stats, otherStats] = await Promise.all([file, other].map(relativePath =>
+      fsPromises.stat(this.getMetaPath(path.join(assetDir, relativePath)))
+    ));
+    
+    if (stats.birthtimeMs > 0 && otherStats.birthtimeMs > 0 && stats.birthtimeMs !== otherStats.birthtimeMs) {
+      return stats.birthtimeMs < otherStats.birthtimeMs;
+    }
+    
+    return stats.mtimeMs < otherStats.mtimeMs;
+  }
+  
+  /**
+   * Check if a path is an asset's .meta file
+   * @param {string} filePath - File path
+   * @returns {boolean} True for .meta files
+   */
+  isMetaFile(filePath) {
+    return path.extname(filePath) === this.metaExtension;
+  }
+  
+  /**
+   * Get the path of an asset's .meta file
+   * @param {string} filePath - Asset file path
+   * @returns {string} Path of the .meta file beside it
+   */
+  getMetaPath(filePath) {
+    return filePath + this.metaExtension;
+  }
+  
+  /**
+   * Read an asset's .meta file
+   * @param {string} filePath - Full path of the asset file
+   * @returns {Promise<object|null>} Meta data with guid, settings and tags, or null if the asset has no readable .meta file
+   */
+  async readAssetMeta(filePath) {
+    try {
+      const meta = JSON.parse(await fsPromises.readFile(this.getMetaPath(filePath), 'utf8'));
+      
+      if (!meta || typeof meta.guid !== 'string' || !meta.guid) {
+        return null;
+      }
+      
+      return {
+        guid: meta.guid,
+        settings: meta.settings && typeof meta.settings === 'object' ? meta.settings : {},
+        tags: Array.isArray(meta.tags) ? meta.tags.filter(tag => typeof tag === 'string') : []
+      };
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`Error reading ${this.getMetaPath(filePath)}:`, err);
+      }
+      
+      return null;
+    }
+  }
+  
+  /**
+   * Write an asset's .meta file
+   * @param {string} filePath - Full path of the asset file
+   * @param {object} meta - Meta data with guid, and optionally settings and tags
+   * @returns {Promise<object>} The meta data written
+   */
+  async writeAssetMeta(filePath, meta) {
+    const data = {
+      guid: meta.guid,
+      settings: meta.settings || {},
+      tags: meta.tags || []
+    };
+    
+    await fsPromises.writeFile(this.getMetaPath(filePath), JSON.stringify(data, null, 2));
+    
+    return data;
+  }
+  
+  /**
+   * Change an asset's .meta file
+   * Settings are merged into the existing ones (undefined removes a setting); tags replace the existing ones.
+   * @param {string} projectPath - Path to the project
+   * @param {string} assetPath - Asset path relative to the assets folder
+   * @param {object} changes - settings and/or tags
+   * @returns {Promise<object>} The updated meta data
    */
-  async scanDir(baseDir, subDir, assets) {
-    const currentDir = path.join(baseDir, subDir);
+  updateAssetMeta(projectPath, assetPath, changes) {
+    const filePath = path.join(projectPath, 'assets', assetPath);
+    const previous = this.metaWrites.get(filePath) || Promise.resolve();
+    
+    const write = previous.catch(() => {}).then(async () => {
+      const meta = await this.readAssetMeta(filePath) || { guid: this.generateGuid(), settings: {}, tags: [] };
+      const settings = { ...meta.settings, ...changes.settings };
+      
+      for (const key in settings) {
+        if (settings[key] === undefined) {
+          delete settings[key];
+        }
+      }
+      
+      return this.writeAssetMeta(filePath, {
+        guid: meta.guid,
+        settings,
+        tags: changes.tags || meta.tags
+      });
+    });
+    
+    this.metaWrites.set(filePath, write);
+    
+    // Forget the write once it is done, unless another one has queued behind it
+    write.catch(() => {}).then(() => {
+      if (this.metaWrites.get(filePath) === write) {
+        this.metaWrites.delete(filePath);
+      }
+    });
+    
+    return write;
+  }
+  
+  /**
+   * Rename or move an asset along with its .meta file
+   * Folders are moved with everything inside them.
+   * @param {string} projectPath - Path to the project
+   * @param {string} oldPath - Current path relative to the assets folder
+   * @param {string} newPath - New path relative to the assets folder
+   * @returns {Promise<void>}
+   */
+  async renameAsset(projectPath, oldPath, newPath) {
+    const assetDir = path.join(projectPath, 'assets');
+    const source = path.join(assetDir, oldPath);
+    const target = path.join(assetDir, newPath);
+    
+    if (path.relative(assetDir, target).startsWith('..')) {
+      throw new Error('Assets must stay inside the assets folder');
+    }
+    
+    if (fs.existsSync(target)) {
+      throw new Error(`${newPath} already exists`);
+    }
     
     try {
-      const entries = await fsPromises.readdir(currentDir, { withFileTypes: true });
+      await this.ensureDir(path.dirname(target));
+      await fsPromises.rename(source, target);
+      
+      if (fs.existsSync(this.getMetaPath(source))) {
+        await fsPromises.rename(this.getMetaPath(source), this.getMetaPath(target));
+      }
       
-      for (const entry of entries) {
-        const relativePath = path.join(subDir, entry.name);
-        const fullPath = path.join(baseDir, relativePath);
+      this.removeFromCache(source);
+    } catch (err) {
+      console.error('Error renaming asset:', err);
+      throw new Error(`Failed to rename ${oldPath}: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Delete an asset along with its .meta file
+   * Folders are deleted with everything inside them.
+   * @param {string} projectPath - Path to the project
+   * @param {string} assetPath - Path relative to the assets folder
+   * @returns {Promise<void>}
+   */
+  async deleteAsset(projectPath, assetPath) {
+    const filePath = path.join(projectPath, 'assets', assetPath);
+    
+    try {
+      await fsPromises.rm(filePath, { recursive: true, force: true });
+      await fsPromises.rm(this.getMetaPath(filePath), { force: true });
+      
+      this.removeFromCache(filePath);
+    } catch (err) {
+      console.error('Error deleting asset:', err);
+      throw new Error(`Failed to delete ${assetPath}: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Create a folder in the assets folder
+   * @param {string} projectPath - Path to the project
+   * @param {string} folderPath - Folder path relative to the assets folder
+   * @returns {Promise<void>}
+   */
+  async createAssetFolder(projectPath, folderPath) {
+    await this.ensureDir(path.join(projectPath, 'assets', folderPath));
+  }
+  
+  /**
+   * Copy a file into the project's assets folder
+   * Files already inside the assets folder are used where they are, and a file that is
+   * already in the target folder with the same contents is reused instead of copied again.
+   * @param {string} projectPath - Path to the project
+   * @param {string} sourcePath - File to import
+   * @param {string} [targetDir=''] - Folder relative to the assets folder
+   * @returns {Promise<object>} Asset record
+   */
+  async importAsset(projectPath, sourcePath, targetDir = '') {
+    const assetDir = path.join(projectPath, 'assets');
+    const insidePath = path.relative(assetDir, sourcePath);
+    
+    try {
+      if (!insidePath.startsWith('..') && !path.isAbsolute(insidePath)) {
+        return await this.createAssetRecord(assetDir, insidePath);
+      }
+      
+      const content = await fsPromises.readFile(sourcePath);
+      const ext = path.extname(sourcePath);
+      const baseName = path.basename(sourcePath, ext);
+      let assetPath = path.join(targetDir, baseName + ext);
+      
+      // Find a free name, stopping early at an identical copy
+      for (let i = 2; fs.existsSync(path.join(assetDir, assetPath)); i++) {
+        const existing = await fsPromises.readFile(path.join(assetDir, assetPath));
         
-        if (entry.isDirectory()) {
-          // Recursively scan subdirectory
-          await this.scanDir(baseDir, relativePath, assets);
-        } else {
-          // Add file to assets
-          const stats = await fsPromises.stat(fullPath);
-          
-          assets.push({
-            id: this.generateAssetId(relativePath),
-            name: entry.name,
-            path: relativePath,
-            type: this.getAssetType(entry.name),
-            size: stats.size,
-            lastModified: stats.mtime.toISOString()
-          });
+        if (existing.equals(content)) {
+          return await this.createAssetRecord(assetDir, assetPath);
         }
+        
+        assetPath = path.join(targetDir, `${baseName}_${i}${ext}`);
       }
+      
+      await this.ensureDir(path.dirname(path.join(assetDir, assetPath)));
+      await fsPromises.writeFile(path.join(assetDir, assetPath), content);
+      
+      return await this.createAssetRecord(assetDir, assetPath);
+    } catch (err) {
+      console.error('Error importing asset:', err);
+      throw new Error(`Failed to import ${path.basename(sourcePath)}: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Read a definition file such as a tileset or animation
+   * @param {string} filePath - Path to the JSON definition file
+   * @returns {Promise<object|null>} Definition, or null if the file is unreadable
+   */
+  async readDefinitionFile(filePath) {
+    try {
+      return JSON.parse(await fsPromises.readFile(filePath, 'utf8'));
     } catch (err) {
-      console.error(`Error scanning directory ${currentDir}:`, err);
+      console.error(`Error reading definition ${filePath}:`, err);
+      return null;
     }
   }
   
+  /**
+   * Write a tileset definition file
+   * @param {string} projectPath - Path to the project
+   * @param {string} assetPath - Tileset path relative to the assets folder
+   * @param {object} definition - Tileset definition (imageId, tileWidth, tileHeight, margin, spacing)
+   * @returns {Promise<object>} Asset record for the tileset
+   */
+  async saveTileset(projectPath, assetPath, definition) {
+    return this.saveDefinitionAsset(projectPath, assetPath, 'tileset', definition);
+  }
+  
+  /**
+   * Write an animation definition file
+   * @param {string} projectPath - Path to the project
+   * @param {string} assetPath - Animation path relative to the assets folder
+   * @param {object} definition - Animation definition (imageId, slicing, frames, clips)
+   * @returns {Promise<object>} Asset record for the animation
+   */
+  async saveAnimation(projectPath, assetPath, definition) {
+    return this.saveDefinitionAsset(projectPath, assetPath, 'animation', definition);
+  }
+  
+  /**
+   * Write a definition file and describe it as an asset
+   * The definition is kept on the asset record under the asset type's name.
+   * @param {string} projectPath - Path to the project
+   * @param {string} assetPath - File path relative to the assets folder
+   * @param {string} type - Asset type ('tileset' or 'animation')
+   * @param {object} definition - Definition to write as JSON
+   * @returns {Promise<object>} Asset record
+   */
+  async saveDefinitionAsset(projectPath, assetPath, type, definition) {
+    const filePath = path.join(projectPath, 'assets', assetPath);
+    
+    try {
+      await this.ensureDir(path.dirname(filePath));
+      await fsPromises.writeFile(filePath, JSON.stringify(definition, null, 2));
+      
+      return await this.createAssetRecord(path.join(projectPath, 'assets'), assetPath);
+    } catch (err) {
+      console.error(`Error saving ${type}:`, err);
+      throw new Error(`Failed to save ${type}: ${err.message}`);
+    }
+  }
+  
+  /**
+   * Recursively collect all file paths in a directory
+   * @param {string} baseDir - Base directory
+   * @param {string} [subDir=''] - Subdirectory path (relative to baseDir)
+   * @returns {Promise<Array<string>>} File paths relative to baseDir
+   */
+  async collectFiles(baseDir, subDir = '') {
+    const files = [];
+    const entries = await fsPromises.readdir(path.join(baseDir, subDir), { withFileTypes: true });
+    
+    for (const entry of entries) {
+      const relativePath = path.join(subDir, entry.name);
+      
+      if (entry.isDirectory()) {
+        files.push(...await this.collectFiles(baseDir, relativePath));
+      } else if (entry.isFile()) {
+        files.push(relativePath);
+      }
+    }
+    
+    return files;
+  }
+  
   /**
    * Load scenes from directory
    * @param {string} scenesDir - Path to scenes directory
@@ -365,6 +1053,8 @@ class FileSystemManager {
    * @returns {string} Content for main.lua
    */
   generateMainLua(config) {
+    const { width, height } = this.getWindowSize(config);
+    
     return `-- Generated by Love2D Editor Suite
 -- Project: ${config.name}
 -- Version: ${config.version}
@@ -373,15 +1063,15 @@ class FileSystemManager {
 function love.load()
   -- Load project configuration
   local projectConfig = {
-    name = "${config.name}",
-    version = "${config.version}",
-    width = ${config.width || 800},
-    height = ${config.height || 600}
+    name = ${this.toLuaString(config.name)},
+    version = ${this.toLuaString(config.version)},
+    width = ${width},
+    height = ${height}
   }
   
-  -- Set window properties
+  -- Set window properties; setMode resets any flag it isn't given
   love.window.setTitle(projectConfig.name)
-  love.window.setMode(projectConfig.width, projectConfig.height)
+  love.window.setMode(projectConfig.width, projectConfig.height, { resizable = ${config.resizable ? 'true' : 'false'} })
   
   -- Initialize game state
   gameState = {
@@ -390,7 +1080,7 @@ function love.load()
   }
   
   -- Load the initial scene
-  loadScene("${config.initialScene || 'main'}")
+  loadScene(${this.toLuaString(config.initialScene || 'main')})
 end
 
 function love.update(dt)
@@ -429,6 +1119,57 @@ end
 `;
   }
   
+  /**
+   * Generate a conf.lua file based on project config
+   * @param {object} config - Project configuration
+   * @returns {string} Content for conf.lua
+   */
+  generateConfLua(config) {
+    const { width, height } = this.getWindowSize(config);
+    
+    return `-- Generated by Love2D Editor Suite
+-- Project: ${config.name}
+-- Version: ${config.version}
+
+function love.conf(t)
+  t.identity = ${this.toLuaString(this.getExportName(config).toLowerCase())}
+  t.version = "11.4"
+  
+  t.window.title = ${this.toLuaString(config.name || 'Game')}
+  t.window.width = ${width}
+  t.window.height = ${height}
+  t.window.resizable = ${config.resizable ? 'true' : 'false'}
+end
+`;
+  }
+  
+  /**
+   * Get the game window size from project config
+   * @param {object} config - Project configuration
+   * @returns {object} Width and height, swapped if needed to match the orientation
+   */
+  getWindowSize(config) {
+    let width = config.width || 800;
+    let height = config.height || 600;
+    
+    // Make sure the window matches the requested orientation
+    if ((config.orientation === 'portrait' && width > height) ||
+        (config.orientation === 'landscape' && height > width)) {
+      [width, height] = [height, width];
+    }
+    
+    return { width, height };
+  }
+  
+  /**
+   * Convert a value to a quoted Lua string literal
+   * @param {string} value - String value
+   * @returns {string} Lua string literal
+   */
+  toLuaString(value) {
+    return this.sceneCompiler.toLuaString(value);
+  }
+  
   /**
    * Ensure a directory exists
    * @param {string} dir - Directory path
@@ -473,6 +1214,12 @@ end
       '.moon': 'script',
       '.js': 'script',
       
+      // Tileset definitions
+      '.tileset': 'tileset',
+      
+      // Animation definitions
+      '.anim': 'animation',
+      
       // Data files
       '.json': 'data',
       '.xml': 'data',
@@ -483,15 +1230,24 @@ end
   }
   
   /**
-   * Generate a unique ID for an asset
+   * Derive an asset ID from its path
+   * Assets used to be identified this way; the result now seeds the GUID of assets found without a .meta file.
    * @param {string} path - Asset path
-   * @returns {string} Unique ID
+   * @returns {string} Path-based ID
    */
   generateAssetId(path) {
     // Replace non-alphanumeric characters with underscores
     return path.replace(/[^a-zA-Z0-9]/g, '_');
   }
   
+  /**
+   * Generate a GUID for a new asset
+   * @returns {string} Random GUID
+   */
+  generateGuid() {
+    return crypto.randomUUID();
+  }
+  
   /**
    * Read a file and cache its contents
    * @param {string} filePath - Path to the file
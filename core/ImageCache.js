@@ -0,0 +1,190 @@
+// core/ImageCache.js - Loads and caches project images for canvas rendering
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+// Tints that leave the image unchanged
+const NEUTRAL_TINTS = ['#fff', '#ffffff', '#ffffffff'];
+
+/**
+ * Image Cache - Loads image assets by ID and keeps them for drawing
+ * Entries are dropped when their asset is renamed, deleted or the project changes
+ */
+class ImageCache {
+  /**
+   * Create a new Image Cache
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.entries = new Map();
+
+    // Register event handlers
+    this.app.core.events.on('asset:renamed', ({ asset }) => this.invalidate(asset.id));
+    this.app.core.events.on('asset:deleted', (asset) => {
+      // Emitted with the asset by the browser and with its ID by other callers
+      this.invalidate(typeof asset === 'object' ? asset.id : asset);
+    });
+    this.app.core.events.on('project:loaded', () => this.clear());
+  }
+
+  /**
+   * Initialize the image cache
+   */
+  initialize() {
+    console.log('Initializing Image Cache');
+  }
+
+  /**
+   * Find an asset in the open project
+   * @param {string} assetId - Asset ID
+   * @returns {object|null} Asset or null if unknown
+   */
+  getAsset(assetId) {
+    const assetBrowser = this.app.assetBrowser;
+    const assets = (assetBrowser && assetBrowser.assets) ||
+      (this.app.project && this.app.project.assets) ||
+      [];
+
+    return assets.find(asset => asset.id === assetId) || null;
+  }
+
+  /**
+   * Get the file path of an asset
+   * @param {object} asset - Asset with a path relative to the assets folder
+   * @returns {string} Absolute file path
+   */
+  getAssetFilePath(asset) {
+    return path.join(this.app.project.path, 'assets', asset.path);
+  }
+
+  /**
+   * Get the loaded image for an asset, starting the load on first use
+   * @param {string} assetId - Image asset ID
+   * @returns {HTMLImageElement|null} Image, or null until it has loaded
+   */
+  get(assetId) {
+    const entry = this.getEntry(assetId);
+
+    return entry && entry.loaded ? entry.image : null;
+  }
+
+  /**
+   * Wait for an asset's image to load
+   * @param {string} assetId - Image asset ID
+   * @returns {Promise<HTMLImageElement>} The loaded image
+   */
+  load(assetId) {
+    const entry = this.getEntry(assetId);
+
+    if (!entry) {
+      return Promise.reject(new Error(`Unknown image asset '${assetId}'`));
+    }
+
+    if (entry.loaded) return Promise.resolve(entry.image);
+    if (entry.error) return Promise.reject(new Error(entry.error));
+
+    return new Promise((resolve, reject) => {
+      entry.image.addEventListener('load', () => resolve(entry.image), { once: true });
+      entry.image.addEventListener('error', () => reject(new Error(entry.error)), { once: true });
+    });
+  }
+
+  /**
+   * Get the cache entry for an asset, creating it if needed
+   * @param {string} assetId - Image asset ID
+   * @returns {object|null} Entry with image, loaded and error, or null if the asset is unknown
+   */
+  getEntry(assetId) {
+    if (!assetId || !this.app.project) return null;
+
+    if (this.entries.has(assetId)) {
+      return this.entries.get(assetId);
+    }
+
+    const asset = this.getAsset(assetId);
+
+    if (!asset) return null;
+
+    const image = new Image();
+    const entry = { image, loaded: false, error: null, tinted: new Map() };
+
+    image.onload = () => {
+      // The entry may have been invalidated while loading
+      if (this.entries.get(assetId) !== entry) return;
+
+      entry.loaded = true;
+      this.app.core.events.emit('image:loaded', assetId);
+    };
+
+    image.onerror = () => {
+      entry.error = `Failed to load ${asset.path}`;
+      console.warn(`Failed to load image asset '${asset.name}' (${asset.path})`);
+    };
+
+    // Versioned URL so an invalidated image isn't served from Chromium's cache
+    const url = pathToFileURL(this.getAssetFilePath(asset));
+    url.searchParams.set('v', asset.lastModified || Date.now());
+    image.src = url.href;
+
+    this.entries.set(assetId, entry);
+
+    return entry;
+  }
+
+  /**
+   * Get an image multiplied by a tint color
+   * @param {string} assetId - Image asset ID
+   * @param {string} [tint] - CSS color; white or empty returns the plain image
+   * @returns {HTMLImageElement|HTMLCanvasElement|null} Drawable image, or null until loaded
+   */
+  getTinted(assetId, tint) {
+    const image = this.get(assetId);
+
+    if (!image || !tint || NEUTRAL_TINTS.includes(tint.toLowerCase())) {
+      return image;
+    }
+
+    const entry = this.entries.get(assetId);
+
+    if (!entry.tinted.has(tint)) {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.naturalWidth;
+      canvas.height = image.naturalHeight;
+
+      const ctx = canvas.getContext('2d');
+
+      // Multiply the color in, then cut it back to the image's own alpha
+      ctx.drawImage(image, 0, 0);
+      ctx.globalCompositeOperation = 'multiply';
+      ctx.fillStyle = tint;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.globalCompositeOperation = 'destination-in';
+      ctx.drawImage(image, 0, 0);
+
+      entry.tinted.set(tint, canvas);
+    }
+
+    return entry.tinted.get(tint);
+  }
+
+  /**
+   * Drop an asset's image so it is reloaded on next use
+   * @param {string} assetId - Asset ID
+   */
+  invalidate(assetId) {
+    if (this.entries.delete(assetId)) {
+      this.app.core.events.emit('image:invalidated', assetId);
+    }
+  }
+
+  /**
+   * Drop all cached images
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+// Export the ImageCache class
+module.exports = ImageCache;
@@ -0,0 +1,316 @@
+// core/LogManager.js - Collects editor, event and game log messages
+
+const util = require('util');
+
+// Console methods captured and the level they log at
+const CONSOLE_LEVELS = {
+  log: 'info',
+  info: 'info',
+  warn: 'warning',
+  error: 'error'
+};
+
+/**
+ * Log Manager - Central log store shown in the Console panel
+ * Captures console calls, EventBus handler errors and the running game's output
+ */
+class LogManager {
+  /**
+   * Create a new Log Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.entries = [];
+    this.maxEntries = 1000;
+    this.nextId = 1;
+    this.isLogging = false;
+    this.originalConsole = null;
+    this.lastGameError = null;
+
+    // Register event handlers
+    this.app.core.events.on('runner:started', this.onRunnerStarted.bind(this));
+    this.app.core.events.on('runner:output', this.onRunnerOutput.bind(this));
+    this.app.core.events.on('runner:exited', this.onRunnerExited.bind(this));
+  }
+
+  /**
+   * Initialize the log manager
+   */
+  initialize() {
+    this.maxEntries = this.app.core.config.get('console.maxEntries', 1000);
+
+    this.captureConsole();
+
+    // Errors thrown by event handlers were only printed to the devtools console
+    this.app.core.events.setErrorHandler((eventName, error) => {
+      this.error(`Error in event handler for ${eventName}: ${error.message}`, {
+        source: 'events',
+        details: error.stack
+      });
+    });
+
+    console.log('Initializing Log Manager');
+  }
+
+  /**
+   * Route console calls into the log while still printing them
+   */
+  captureConsole() {
+    if (this.originalConsole) return;
+
+    this.originalConsole = {};
+
+    for (const method of Object.keys(CONSOLE_LEVELS)) {
+      const original = console[method].bind(console);
+      this.originalConsole[method] = original;
+
+      console[method] = (...args) => {
+        original(...args);
+        this.log(CONSOLE_LEVELS[method], this.formatArgs(args), {
+          source: 'editor',
+          details: this.getErrorStack(args)
+        });
+      };
+    }
+  }
+
+  /**
+   * Restore the original console methods
+   */
+  releaseConsole() {
+    if (!this.originalConsole) return;
+
+    Object.assign(console, this.originalConsole);
+    this.originalConsole = null;
+  }
+
+  /**
+   * Add a log entry
+   * @param {string} level - 'info', 'warning' or 'error'
+   * @param {string} message - Log message
+   * @param {object} [options={}] - Entry options
+   * @param {string} [options.source='editor'] - Where the message came from ('editor', 'events', 'game')
+   * @param {string} [options.details] - Extra text such as a stack trace
+   * @returns {object|null} The new entry, or null if it was dropped
+   */
+  log(level, message, options = {}) {
+    // A listener that logs would otherwise recurse forever
+    if (this.isLogging) {
+      const fallback = this.originalConsole ? this.originalConsole.error : console.error;
+      fallback('[log]', message);
+      return null;
+    }
+
+    const entry = {
+      id: this.nextId++,
+      level: level,
+      source: options.source || 'editor',
+      message: String(message),
+      details: options.details || null,
+      time: Date.now()
+    };
+
+    this.entries.push(entry);
+
+    if (this.entries.length > this.maxEntries) {
+      this.entries.splice(0, this.entries.length - this.maxEntries);
+    }
+
+    this.notify('log:entry', entry);
+
+    return entry;
+  }
+
+  /**
+   * Log an info message
+   * @param {string} message - Log message
+   * @param {object} [options] - Entry options
+   * @returns {object|null} The new entry
+   */
+  info(message, options) {
+    return this.log('info', message, options);
+  }
+
+  /**
+   * Log a warning
+   * @param {string} message - Log message
+   * @param {object} [options] - Entry options
+   * @returns {object|null} The new entry
+   */
+  warn(message, options) {
+    return this.log('warning', message, options);
+  }
+
+  /**
+   * Log an error
+   * @param {string} message - Log message
+   * @param {object} [options] - Entry options
+   * @returns {object|null} The new entry
+   */
+  error(message, options) {
+    return this.log('error', message, options);
+  }
+
+  /**
+   * Append text to an entry's details
+   * @param {object} entry - Log entry
+   * @param {string} text - Text to append
+   */
+  appendDetails(entry, text) {
+    entry.details = entry.details ? `${entry.details}\n${text}` : text;
+
+    this.notify('log:updated', entry);
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries = [];
+    this.lastGameError = null;
+
+    this.notify('log:cleared');
+  }
+
+  /**
+   * Get the entries matching a filter
+   * @param {object} [filter={}] - Filter options
+   * @param {Array<string>} [filter.levels] - Levels to include
+   * @param {string} [filter.search] - Case-insensitive text to search for
+   * @returns {Array<object>} Matching entries
+   */
+  getEntries(filter = {}) {
+    const search = filter.search ? filter.search.toLowerCase() : '';
+
+    return this.entries.filter(entry => {
+      if (filter.levels && !filter.levels.includes(entry.level)) return false;
+
+      if (search) {
+        const text = entry.details ? `${entry.message}\n${entry.details}` : entry.message;
+        return text.toLowerCase().includes(search);
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Count entries per level
+   * @returns {object} Counts keyed by level
+   */
+  getCounts() {
+    const counts = { info: 0, warning: 0, error: 0 };
+
+    for (const entry of this.entries) {
+      counts[entry.level] = (counts[entry.level] || 0) + 1;
+    }
+
+    return counts;
+  }
+
+  /**
+   * Emit a log event without logging errors from its listeners back into the log
+   * @param {string} eventName - Event name
+   * @param {...any} args - Event arguments
+   */
+  notify(eventName, ...args) {
+    this.isLogging = true;
+
+    try {
+      this.app.core.events.emit(eventName, ...args);
+    } finally {
+      this.isLogging = false;
+    }
+  }
+
+  /**
+   * Turn console arguments into a single message
+   * @param {Array} args - Console arguments
+   * @returns {string} Message
+   */
+  formatArgs(args) {
+    return args.map(arg => {
+      if (typeof arg === 'string') return arg;
+      if (arg instanceof Error) return arg.message;
+      return util.inspect(arg, { depth: 2, breakLength: Infinity });
+    }).join(' ');
+  }
+
+  /**
+   * Get the stack of the first error among console arguments
+   * @param {Array} args - Console arguments
+   * @returns {string|null} Stack trace
+   */
+  getErrorStack(args) {
+    const error = args.find(arg => arg instanceof Error);
+    return error ? error.stack : null;
+  }
+
+  /**
+   * Work out the level of a line printed by the game
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} line - Output line
+   * @returns {string} Log level
+   */
+  getGameLineLevel(stream, line) {
+    // Love2D's error handler prints "Error: file.lua:10: message" to stdout
+    if (stream === 'stderr' || /^(lua: )?error\b/i.test(line)) return 'error';
+    if (/^warning\b/i.test(line)) return 'warning';
+    return 'info';
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle the game starting
+   * @param {object} info - Runner info with pid and projectPath
+   */
+  onRunnerStarted(info) {
+    if (this.app.core.config.get('console.clearOnPlay', true)) {
+      this.clear();
+    }
+
+    this.info(`Game started (PID ${info.pid})`, { source: 'game' });
+  }
+
+  /**
+   * Handle a line of game output
+   * @param {object} output - Output with stream and line properties
+   */
+  onRunnerOutput({ stream, line }) {
+    // Traceback lines belong to the error printed just before them
+    if (this.lastGameError && (line === 'stack traceback:' || /^\s/.test(line))) {
+      this.appendDetails(this.lastGameError, line);
+      return;
+    }
+
+    if (!line.trim()) {
+      this.lastGameError = null;
+      return;
+    }
+
+    const entry = this.log(this.getGameLineLevel(stream, line), line, { source: 'game' });
+
+    this.lastGameError = entry && entry.level === 'error' ? entry : null;
+  }
+
+  /**
+   * Handle the game exiting
+   * @param {object} result - Exit result with code, signal and stopped properties
+   */
+  onRunnerExited(result) {
+    this.lastGameError = null;
+
+    if (result.stopped || result.code === 0) {
+      this.info('Game exited', { source: 'game' });
+    } else if (result.signal) {
+      this.error(`Game terminated by ${result.signal}`, { source: 'game' });
+    } else {
+      this.error(`Game exited with code ${result.code}`, { source: 'game' });
+    }
+  }
+}
+
+// Export the LogManager class
+module.exports = LogManager;
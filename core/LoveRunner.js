@@ -0,0 +1,388 @@
+// core/LoveRunner.js - Runs the open project in Love2D
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+// Where Love2D is installed by default on each platform
+const DEFAULT_LOVE_PATHS = {
+  win32: 'love',
+  darwin: '/Applications/love.app/Contents/MacOS/love',
+  linux: 'love'
+};
+
+/**
+ * Love Runner - Launches Love2D as a managed child process for play mode
+ * Handles the toolbar Play/Pause/Stop buttons and streams the game's output
+ */
+class LoveRunner {
+  /**
+   * Create a new Love Runner
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.process = null;
+    this.projectPath = null;
+    this.args = [];
+    this.startTime = null;
+    this.isPaused = false;
+    this.isStopping = false;
+    this.exitPromise = null;
+    this.killTimeout = 3000;
+
+    // How long to wait for output after the process exits; processes it started may keep the pipes open
+    this.drainTimeout = 500;
+    this.lineBuffers = { stdout: '', stderr: '' };
+
+    // Register event handlers
+    this.app.core.events.on('project:test', this.onTest.bind(this));
+    this.app.core.events.on('project:pause', this.onPause.bind(this));
+    this.app.core.events.on('project:stop', this.onStop.bind(this));
+    this.app.core.events.on('runner:exited', this.onExited.bind(this));
+  }
+
+  /**
+   * Initialize the runner
+   */
+  initialize() {
+    // Don't leave the game running when the editor closes
+    // ('unload' because closing can still be cancelled at 'beforeunload')
+    if (typeof window !== 'undefined') {
+      window.addEventListener('unload', () => {
+        if (this.process) {
+          this.process.kill('SIGKILL');
+        }
+      });
+    }
+
+    console.log('Initializing Love Runner');
+  }
+
+  /**
+   * Get the Love2D executable to launch
+   * @returns {string} Executable path or command name
+   */
+  getLovePath() {
+    return this.app.core.config.get('runner.lovePath') ||
+      DEFAULT_LOVE_PATHS[process.platform] ||
+      'love';
+  }
+
+  /**
+   * Check if the game is running
+   * @returns {boolean} True while the Love2D process is alive
+   */
+  isRunning() {
+    return this.process !== null;
+  }
+
+  /**
+   * Get the PID of the running game
+   * @returns {number|null} Process ID or null if not running
+   */
+  getPid() {
+    return this.process ? this.process.pid : null;
+  }
+
+  /**
+   * Launch Love2D with a project
+   * @param {string} projectPath - Project directory or .love file
+   * @param {Array<string>} [args=[]] - Extra arguments passed to the game
+   * @returns {Promise<number>} PID of the started process
+   */
+  start(projectPath, args = []) {
+    if (this.process) {
+      return Promise.reject(new Error('The game is already running'));
+    }
+
+    const lovePath = this.getLovePath();
+
+    // A .love archive is a file, so the game runs from the folder holding it
+    const cwd = path.extname(projectPath).toLowerCase() === '.love' ? path.dirname(projectPath) : projectPath;
+
+    return new Promise((resolve, reject) => {
+      const child = spawn(lovePath, [projectPath, ...args], {
+        cwd,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        windowsHide: false
+      });
+
+      let exitResolve;
+      this.exitPromise = new Promise(res => { exitResolve = res; });
+
+      this.process = child;
+      this.projectPath = projectPath;
+      this.args = args;
+      this.isPaused = false;
+      this.isStopping = false;
+      this.lineBuffers = { stdout: '', stderr: '' };
+
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', data => this.handleOutput('stdout', data));
+      child.stderr.on('data', data => this.handleOutput('stderr', data));
+
+      child.once('spawn', () => {
+        this.startTime = Date.now();
+
+        // Notify other components
+        this.app.core.events.emit('runner:started', {
+          pid: child.pid,
+          projectPath: projectPath,
+          lovePath: lovePath
+        });
+
+        resolve(child.pid);
+      });
+
+      child.once('error', (error) => {
+        // Spawn failures (e.g. Love2D not installed) never reach 'spawn'
+        if (this.process === child && !this.startTime) {
+          this.process = null;
+          exitResolve(null);
+          reject(new Error(`Failed to launch Love2D (${lovePath}): ${error.message}`));
+          return;
+        }
+
+        console.error('Love2D process error:', error);
+      });
+
+      let drainTimer = null;
+
+      const finish = (code, signal) => {
+        if (this.process !== child) return;
+
+        clearTimeout(drainTimer);
+        this.flushOutput();
+
+        // Let go of pipes another process may still hold
+        child.stdout.destroy();
+        child.stderr.destroy();
+
+        const result = {
+          pid: child.pid,
+          code: code,
+          signal: signal,
+          stopped: this.isStopping,
+          duration: Date.now() - this.startTime
+        };
+
+        this.process = null;
+        this.startTime = null;
+        this.isPaused = false;
+        this.isStopping = false;
+
+        // Notify other components
+        this.app.core.events.emit('runner:exited', result);
+
+        exitResolve(result);
+      };
+
+      // 'close' fires after the output streams are drained, so no lines are lost, but it never
+      // fires while a process the game started still holds them; 'exit' gives up on them after a while
+      child.once('close', finish);
+      child.once('exit', (code, signal) => {
+        drainTimer = setTimeout(() => finish(code, signal), this.drainTimeout);
+      });
+    });
+  }
+
+  /**
+   * Stop the running game
+   * Sends SIGTERM first and kills the process if it doesn't exit in time
+   * @returns {Promise<object|null>} Exit result or null if nothing was running
+   */
+  stop() {
+    if (!this.process) return Promise.resolve(null);
+
+    const child = this.process;
+    const exitPromise = this.exitPromise;
+
+    this.isStopping = true;
+
+    // A paused process can't handle SIGTERM until it is resumed
+    if (this.isPaused) {
+      this.resume();
+    }
+
+    child.kill('SIGTERM');
+
+    const timer = setTimeout(() => {
+      if (this.process === child) {
+        child.kill('SIGKILL');
+      }
+    }, this.killTimeout);
+
+    return exitPromise.then((result) => {
+      clearTimeout(timer);
+      return result;
+    });
+  }
+
+  /**
+   * Restart the game with the same project and arguments
+   * @returns {Promise<number>} PID of the new process
+   */
+  async restart() {
+    const projectPath = this.projectPath;
+    const args = this.args;
+
+    if (!projectPath) {
+      throw new Error('The game has not been started');
+    }
+
+    await this.stop();
+
+    return this.start(projectPath, args);
+  }
+
+  /**
+   * Suspend the game process
+   * @returns {boolean} True if the game was paused
+   */
+  pause() {
+    // Windows has no equivalent of SIGSTOP
+    if (!this.process || this.isPaused || process.platform === 'win32') return false;
+
+    this.process.kill('SIGSTOP');
+    this.isPaused = true;
+
+    this.app.core.events.emit('runner:paused', { pid: this.process.pid });
+
+    return true;
+  }
+
+  /**
+   * Resume a suspended game process
+   * @returns {boolean} True if the game was resumed
+   */
+  resume() {
+    if (!this.process || !this.isPaused) return false;
+
+    this.process.kill('SIGCONT');
+    this.isPaused = false;
+
+    this.app.core.events.emit('runner:resumed', { pid: this.process.pid });
+
+    return true;
+  }
+
+  /**
+   * Split process output into lines and emit them
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {string} data - Output chunk
+   */
+  handleOutput(stream, data) {
+    const lines = (this.lineBuffers[stream] + data).split(/\r?\n/);
+
+    // The last piece is an incomplete line until more output arrives
+    this.lineBuffers[stream] = lines.pop();
+
+    for (const line of lines) {
+      this.app.core.events.emit('runner:output', { stream, line });
+    }
+  }
+
+  /**
+   * Emit any output left without a trailing newline
+   */
+  flushOutput() {
+    for (const stream of ['stdout', 'stderr']) {
+      if (this.lineBuffers[stream]) {
+        this.app.core.events.emit('runner:output', { stream, line: this.lineBuffers[stream] });
+        this.lineBuffers[stream] = '';
+      }
+    }
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle project test event (Play button / F5)
+   * Restarts the game if it is already running
+   */
+  async onTest() {
+    const ui = this.app.core.ui;
+
+    if (!this.app.project) {
+      ui.showError('Run Error', 'Open a project before running it.');
+      return;
+    }
+
+    // Pressing Play while paused just resumes
+    if (this.isPaused) {
+      this.resume();
+      ui.setStatus('Game resumed');
+      return;
+    }
+
+    // Love2D reads the scenes from disk
+    const projectManager = this.app.projectManager;
+    if (projectManager && projectManager.isDirty() && this.app.core.config.get('runner.saveBeforeRun', true)) {
+      if (!await projectManager.save()) return;
+    }
+
+    try {
+      const pid = this.isRunning()
+        ? await this.restart()
+        : await this.start(this.app.project.path);
+
+      ui.setStatus(`Game running (PID ${pid})`);
+    } catch (error) {
+      console.error('Error running project:', error);
+      ui.showError('Run Error', error.message);
+      ui.setStatus('Failed to run game', 'error');
+    }
+  }
+
+  /**
+   * Handle project pause event
+   */
+  onPause() {
+    const ui = this.app.core.ui;
+
+    if (!this.isRunning()) return;
+
+    if (this.isPaused) {
+      this.resume();
+      ui.setStatus('Game resumed');
+    } else if (this.pause()) {
+      ui.setStatus('Game paused');
+    } else {
+      ui.showNotification('Pausing the game is not supported on this platform', 'warning');
+    }
+  }
+
+  /**
+   * Handle project stop event
+   */
+  async onStop() {
+    const result = await this.stop();
+
+    if (result) {
+      this.app.core.ui.setStatus('Game stopped');
+    }
+  }
+
+  /**
+   * Handle the game process exiting
+   * @param {object} result - Exit result with code, signal and stopped properties
+   */
+  onExited(result) {
+    // Stopping from the editor is reported by onStop
+    if (result.stopped) return;
+
+    const ui = this.app.core.ui;
+
+    if (result.code === 0) {
+      ui.setStatus('Game exited');
+    } else if (result.signal) {
+      ui.setStatus(`Game terminated by ${result.signal}`, 'error');
+    } else {
+      ui.setStatus(`Game exited with code ${result.code}`, 'error');
+    }
+  }
+}
+
+// Export the LoveRunner class
+module.exports = LoveRunner;
@@ -1,5 +1,27 @@
 // core/ModuleManager.js - Manages editor modules using dependency injection
 
+// Built-in modules loaded at startup, exposed on the app under their name
+const BUILTIN_MODULES = [
+  { name: 'logManager', path: './LogManager', dependencies: [] },
+  { name: 'commandHistory', path: './CommandHistory', dependencies: [] },
+  { name: 'buildManager', path: './BuildManager', dependencies: [] },
+  { name: 'loveRunner', path: './LoveRunner', dependencies: [] },
+  { name: 'imageCache', path: './ImageCache', dependencies: [] },
+  { name: 'tilesetManager', path: './TilesetManager', dependencies: ['imageCache'] },
+  { name: 'animationManager', path: './AnimationManager', dependencies: ['imageCache'] },
+  { name: 'sceneEditor', path: '../editors/SceneEditor', dependencies: ['commandHistory', 'imageCache', 'tilesetManager', 'animationManager'] },
+  { name: 'inspector', path: '../editors/Inspector', dependencies: ['sceneEditor', 'commandHistory'] },
+  { name: 'hierarchy', path: '../editors/HierarchyPanel', dependencies: ['sceneEditor', 'commandHistory'] },
+  { name: 'assetBrowser', path: '../editors/AssetBrowser', dependencies: [] },
+  { name: 'projectManager', path: './ProjectManager', dependencies: ['commandHistory', 'sceneEditor'] },
+  { name: 'prefabManager', path: './PrefabManager', dependencies: ['commandHistory', 'sceneEditor', 'projectManager'] },
+  { name: 'referenceIndex', path: './ReferenceIndex', dependencies: ['assetBrowser', 'prefabManager'] },
+  { name: 'tiledManager', path: './TiledManager', dependencies: ['tilesetManager', 'projectManager'] },
+  { name: 'consolePanel', path: '../editors/ConsolePanel', dependencies: ['logManager', 'assetBrowser'] },
+  { name: 'tilePalette', path: '../editors/TilePalette', dependencies: ['tilesetManager', 'sceneEditor'] },
+  { name: 'welcomeScreen', path: '../editors/WelcomeScreen', dependencies: ['projectManager'] }
+];
+
 /**
  * Module Manager - Handles registration, initialization, and management of editor modules
  * Following the Dependency Injection pattern for loose coupling
@@ -39,6 +61,42 @@ class ModuleManager {
       return true;
     }
     
+    /**
+     * Load, register and initialize the built-in modules
+     * @returns {Promise<boolean>} Overall success of loading
+     */
+    async loadModules() {
+      for (const definition of BUILTIN_MODULES) {
+        try {
+          const ModuleClass = require(definition.path);
+          const moduleInstance = new ModuleClass(this.app);
+          
+          // Expose the module on the app so other modules can reach it
+          this.app[definition.name] = moduleInstance;
+          
+          this.register(definition.name, moduleInstance, definition.dependencies);
+        } catch (error) {
+          console.error(`Error loading module '${definition.name}':`, error);
+        }
+      }
+      
+      let success = await this.initializeAll();
+      
+      // Let modules build their UI once every module is initialized
+      for (const name of this.getModuleNames()) {
+        if (this.initialized[name] && typeof this.modules[name].initUI === 'function') {
+          try {
+            this.modules[name].initUI();
+          } catch (error) {
+            console.error(`Error creating UI for module '${name}':`, error);
+            success = false;
+          }
+        }
+      }
+      
+      return success;
+    }
+    
     /**
      * Initialize a module and its dependencies
      * @param {string} name - Name of the module to initialize
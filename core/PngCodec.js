@@ -0,0 +1,360 @@
+// core/PngCodec.js - Pure JavaScript PNG decoder and encoder
+
+const zlib = require('zlib');
+const ZipWriter = require('./ZipWriter');
+
+// Every PNG file starts with these bytes
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+// Samples per pixel by color type (grayscale, RGB, palette, grayscale + alpha, RGBA)
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 interlacing passes as [x offset, y offset, x step, y step]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * PNG Codec - Reads and writes PNG images as RGBA pixel buffers
+ * Runs without a canvas, so exports can work on images headless
+ */
+class PngCodec {
+  /**
+   * Check if a buffer holds a PNG file
+   * @param {Buffer} buffer - File contents
+   * @returns {boolean} True if the buffer starts with the PNG signature
+   */
+  static isPng(buffer) {
+    return buffer.length >= PNG_SIGNATURE.length && buffer.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE);
+  }
+
+  /**
+   * Decode a PNG file
+   * Every bit depth, color type and interlacing mode is supported; 16-bit samples are reduced to 8 bits.
+   * @param {Buffer} buffer - PNG file contents
+   * @returns {object} Image with width, height and data (RGBA, 4 bytes per pixel, rows top to bottom)
+   */
+  static decode(buffer) {
+    if (!PngCodec.isPng(buffer)) {
+      throw new Error('Not a PNG file');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const compressed = [];
+
+    for (let offset = PNG_SIGNATURE.length; offset + 8 <= buffer.length;) {
+      const length = buffer.readUInt32BE(offset);
+      const type = buffer.toString('latin1', offset + 4, offset + 8);
+      const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+      if (type === 'IHDR') {
+        header = {
+          width: data.readUInt32BE(0),
+          height: data.readUInt32BE(4),
+          bitDepth: data[8],
+          colorType: data[9],
+          interlace: data[12]
+        };
+      } else if (type === 'PLTE') {
+        palette = data;
+      } else if (type === 'tRNS') {
+        transparency = data;
+      } else if (type === 'IDAT') {
+        compressed.push(data);
+      } else if (type === 'IEND') {
+        break;
+      }
+
+      // Length, type, data and CRC
+      offset += 12 + length;
+    }
+
+    if (!header || compressed.length === 0) {
+      throw new Error('PNG file is missing its header or image data');
+    }
+
+    if (!CHANNELS[header.colorType]) {
+      throw new Error(`Unsupported PNG color type ${header.colorType}`);
+    }
+
+    if (header.colorType === 3 && !palette) {
+      throw new Error('Palette PNG file has no palette');
+    }
+
+    const raw = zlib.inflateSync(Buffer.concat(compressed));
+    const { width, height } = header;
+    const pixels = Buffer.alloc(width * height * 4);
+    const passes = header.interlace === 1 ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    let position = 0;
+
+    for (const [startX, startY, stepX, stepY] of passes) {
+      const passWidth = Math.ceil((width - startX) / stepX);
+      const passHeight = Math.ceil((height - startY) / stepY);
+
+      // Passes with no pixels have no scanlines either
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      const rows = PngCodec.unfilter(raw, position, passWidth, passHeight, header);
+      position += passHeight * (rows.stride + 1);
+
+      for (let row = 0; row < passHeight; row++) {
+        const line = rows.data.subarray(row * rows.stride, (row + 1) * rows.stride);
+        const y = startY + row * stepY;
+
+        for (let column = 0; column < passWidth; column++) {
+          const target = (y * width + startX + column * stepX) * 4;
+          PngCodec.readPixel(line, column, header, palette, transparency, pixels, target);
+        }
+      }
+    }
+
+    return { width, height, data: pixels };
+  }
+
+  /**
+   * Undo the per-scanline filters of one pass of image data
+   * @param {Buffer} raw - Inflated image data
+   * @param {number} offset - Where the pass starts in the data
+   * @param {number} width - Pass width in pixels
+   * @param {number} height - Pass height in pixels
+   * @param {object} header - Image header
+   * @returns {object} Unfiltered scanlines (data) and the byte length of one scanline (stride)
+   */
+  static unfilter(raw, offset, width, height, header) {
+    const bitsPerPixel = CHANNELS[header.colorType] * header.bitDepth;
+    const stride = Math.ceil(width * bitsPerPixel / 8);
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const data = Buffer.alloc(stride * height);
+
+    if (raw.length < offset + height * (stride + 1)) {
+      throw new Error('PNG image data is truncated');
+    }
+
+    for (let row = 0; row < height; row++) {
+      const filter = raw[offset + row * (stride + 1)];
+      const source = offset + row * (stride + 1) + 1;
+      const current = row * stride;
+      const previous = current - stride;
+
+      for (let i = 0; i < stride; i++) {
+        const value = raw[source + i];
+        const left = i >= bytesPerPixel ? data[current + i - bytesPerPixel] : 0;
+        const up = row > 0 ? data[previous + i] : 0;
+        const upLeft = row > 0 && i >= bytesPerPixel ? data[previous + i - bytesPerPixel] : 0;
+
+        switch (filter) {
+          case 0:
+            data[current + i] = value;
+            break;
+          case 1:
+            data[current + i] = value + left;
+            break;
+          case 2:
+            data[current + i] = value + up;
+            break;
+          case 3:
+            data[current + i] = value + ((left + up) >> 1);
+            break;
+          case 4:
+            data[current + i] = value + PngCodec.paeth(left, up, upLeft);
+            break;
+          default:
+            throw new Error(`Unknown PNG filter type ${filter}`);
+        }
+      }
+    }
+
+    return { data, stride };
+  }
+
+  /**
+   * Convert one pixel of an unfiltered scanline to RGBA
+   * @param {Buffer} line - Scanline
+   * @param {number} column - Pixel index within the scanline
+   * @param {object} header - Image header
+   * @param {Buffer|null} palette - PLTE chunk
+   * @param {Buffer|null} transparency - tRNS chunk
+   * @param {Buffer} pixels - RGBA output
+   * @param {number} target - Byte offset of the pixel in the output
+   */
+  static readPixel(line, column, header, palette, transparency, pixels, target) {
+    const { bitDepth, colorType } = header;
+    const channels = CHANNELS[colorType];
+
+    // Read the raw samples at full precision
+    const samples = [];
+
+    for (let channel = 0; channel < channels; channel++) {
+      const index = column * channels + channel;
+
+      if (bitDepth === 16) {
+        samples.push(line.readUInt16BE(index * 2));
+      } else if (bitDepth === 8) {
+        samples.push(line[index]);
+      } else {
+        const bit = index * bitDepth;
+        samples.push((line[bit >> 3] >> (8 - bitDepth - (bit & 7))) & ((1 << bitDepth) - 1));
+      }
+    }
+
+    // Scale a sample to 0-255
+    const max = (1 << bitDepth) - 1;
+    const scale = value => (bitDepth === 8 ? value : Math.round(value * 255 / max));
+
+    switch (colorType) {
+      case 0: {
+        const gray = scale(samples[0]);
+        const key = transparency && transparency.length >= 2 ? transparency.readUInt16BE(0) : -1;
+        pixels[target] = pixels[target + 1] = pixels[target + 2] = gray;
+        pixels[target + 3] = samples[0] === key ? 0 : 255;
+        break;
+      }
+      case 2: {
+        const transparent = transparency && transparency.length >= 6 &&
+          samples[0] === transparency.readUInt16BE(0) &&
+          samples[1] === transparency.readUInt16BE(2) &&
+          samples[2] === transparency.readUInt16BE(4);
+        pixels[target] = scale(samples[0]);
+        pixels[target + 1] = scale(samples[1]);
+        pixels[target + 2] = scale(samples[2]);
+        pixels[target + 3] = transparent ? 0 : 255;
+        break;
+      }
+      case 3: {
+        const entry = samples[0];
+        pixels[target] = palette[entry * 3] || 0;
+        pixels[target + 1] = palette[entry * 3 + 1] || 0;
+        pixels[target + 2] = palette[entry * 3 + 2] || 0;
+        pixels[target + 3] = transparency && entry < transparency.length ? transparency[entry] : 255;
+        break;
+      }
+      case 4:
+        pixels[target] = pixels[target + 1] = pixels[target + 2] = scale(samples[0]);
+        pixels[target + 3] = scale(samples[1]);
+        break;
+      case 6:
+        pixels[target] = scale(samples[0]);
+        pixels[target + 1] = scale(samples[1]);
+        pixels[target + 2] = scale(samples[2]);
+        pixels[target + 3] = scale(samples[3]);
+        break;
+    }
+  }
+
+  /**
+   * Encode an image as an 8-bit RGBA PNG file
+   * Each scanline uses whichever filter leaves the smallest values, which usually compresses best.
+   * @param {object} image - Image with width, height and data (RGBA, 4 bytes per pixel)
+   * @returns {Buffer} PNG file contents
+   */
+  static encode(image) {
+    const { width, height, data } = image;
+    const stride = width * 4;
+
+    if (data.length < stride * height) {
+      throw new Error('Image data is smaller than its dimensions');
+    }
+
+    const filtered = Buffer.alloc((stride + 1) * height);
+    const candidates = [0, 1, 2, 3, 4].map(() => Buffer.alloc(stride));
+
+    for (let row = 0; row < height; row++) {
+      const current = row * stride;
+      const previous = current - stride;
+      let best = 0;
+      let bestScore = Infinity;
+
+      for (let filter = 0; filter < 5; filter++) {
+        const line = candidates[filter];
+        let score = 0;
+
+        for (let i = 0; i < stride; i++) {
+          const value = data[current + i];
+          const left = i >= 4 ? data[current + i - 4] : 0;
+          const up = row > 0 ? data[previous + i] : 0;
+          const upLeft = row > 0 && i >= 4 ? data[previous + i - 4] : 0;
+          let result;
+
+          switch (filter) {
+            case 0: result = value; break;
+            case 1: result = value - left; break;
+            case 2: result = value - up; break;
+            case 3: result = value - ((left + up) >> 1); break;
+            default: result = value - PngCodec.paeth(left, up, upLeft);
+          }
+
+          line[i] = result & 0xFF;
+
+          // Sum of the bytes as signed values
+          score += line[i] < 128 ? line[i] : 256 - line[i];
+        }
+
+        if (score < bestScore) {
+          best = filter;
+          bestScore = score;
+        }
+      }
+
+      filtered[row * (stride + 1)] = best;
+      candidates[best].copy(filtered, row * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;    // Bit depth
+    header[9] = 6;    // Color type: RGBA
+    header[10] = 0;   // Compression: deflate
+    header[11] = 0;   // Filter method: adaptive
+    header[12] = 0;   // Interlace: none
+
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      PngCodec.createChunk('IHDR', header),
+      PngCodec.createChunk('IDAT', zlib.deflateSync(filtered, { level: 9 })),
+      PngCodec.createChunk('IEND', Buffer.alloc(0))
+    ]);
+  }
+
+  /**
+   * Build a PNG chunk
+   * @param {string} type - Four letter chunk type
+   * @param {Buffer} data - Chunk data
+   * @returns {Buffer} Length, type, data and CRC
+   */
+  static createChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'latin1');
+    data.copy(chunk, 8);
+
+    // The CRC covers the type and the data
+    chunk.writeUInt32BE(ZipWriter.crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+
+    return chunk;
+  }
+
+  /**
+   * Paeth predictor used by PNG filter type 4
+   * @param {number} left - Byte to the left
+   * @param {number} up - Byte above
+   * @param {number} upLeft - Byte above and to the left
+   * @returns {number} Whichever neighbour is closest to left + up - upLeft
+   */
+  static paeth(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    if (distanceUp <= distanceUpLeft) return up;
+    return upLeft;
+  }
+}
+
+// Export the PngCodec class
+module.exports = PngCodec;
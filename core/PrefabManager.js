@@ -0,0 +1,576 @@
+// core/PrefabManager.js - Reusable object templates placed in scenes as linked instances
+
+// Properties that belong to each placed object rather than to its prefab
+const INSTANCE_PROPS = ['id', 'x', 'y', 'prefab'];
+
+// Data type the Asset Browser uses when a prefab is dragged into the scene
+const DRAG_TYPE = 'application/x-love-prefab';
+
+/**
+ * Copy a property value so templates and objects never share arrays or objects
+ * @param {*} value - Property value
+ * @returns {*} Deep copy of the value
+ */
+function cloneValue(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Compare two property values by content
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if both values are the same
+ */
+function isSameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Prefab Manager - Saves scene objects as prefabs and keeps their instances in sync
+ * A prefab is stored in the project's objects/ folder as { id, type: 'prefab', name, objects },
+ * where objects are template parts positioned relative to the prefab's top-left corner.
+ * Every placed object links back to its part with prefab: { id, part, instance }; objects
+ * placed together share the instance ID. A property that differs from the template is an
+ * override and is kept when the prefab changes. Positions always belong to the instance.
+ */
+class PrefabManager {
+  /**
+   * Create a new Prefab Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+
+    // Register event handlers
+    this.app.core.events.on('prefab:create', () => this.createFromSelection());
+  }
+
+  /**
+   * Initialize the prefab manager
+   */
+  initialize() {
+    console.log('Initializing Prefab Manager');
+  }
+
+  /**
+   * Get the data type used to drag prefabs
+   * @returns {string} Drag data type
+   */
+  static getDragType() {
+    return DRAG_TYPE;
+  }
+
+  /**
+   * Get all prefabs in the open project
+   * @returns {Array<object>} Prefabs
+   */
+  getPrefabs() {
+    const objects = (this.app.project && this.app.project.objects) || [];
+
+    return objects.filter(object => object.type === 'prefab');
+  }
+
+  /**
+   * Get a prefab by ID
+   * @param {string} prefabId - Prefab ID
+   * @returns {object|null} Prefab or null if unknown
+   */
+  getPrefab(prefabId) {
+    return this.getPrefabs().find(prefab => prefab.id === prefabId) || null;
+  }
+
+  /**
+   * Get the prefab a scene object is linked to
+   * @param {object} object - Scene object
+   * @returns {object|null} Prefab, or null if the object isn't a prefab instance
+   */
+  getPrefabOf(object) {
+    return object && object.prefab ? this.getPrefab(object.prefab.id) : null;
+  }
+
+  /**
+   * Get the template part a scene object was placed from
+   * @param {object} object - Scene object
+   * @returns {object|null} Template part, or null if the object isn't linked
+   */
+  getTemplate(object) {
+    const prefab = this.getPrefabOf(object);
+
+    if (!prefab) return null;
+
+    return prefab.objects.find(part => part.id === object.prefab.part) || null;
+  }
+
+  /**
+   * Get every scene of the project, including the open one
+   * @returns {Array<object>} Scenes
+   */
+  getScenes() {
+    const scenes = this.app.project ? [...this.app.project.scenes] : [];
+    const activeScene = this.app.sceneEditor.activeScene;
+
+    if (activeScene && !scenes.includes(activeScene)) {
+      const index = scenes.findIndex(scene => scene.id === activeScene.id);
+
+      if (index === -1) {
+        scenes.push(activeScene);
+      } else {
+        scenes[index] = activeScene;
+      }
+    }
+
+    return scenes;
+  }
+
+  /**
+   * Get every placed object linked to a prefab, in all scenes
+   * @param {string} prefabId - Prefab ID
+   * @returns {Array<object>} Scene objects
+   */
+  getLinkedObjects(prefabId) {
+    const objects = [];
+
+    for (const scene of this.getScenes()) {
+      for (const layer of scene.layers) {
+        for (const object of layer.objects) {
+          if (object.prefab && object.prefab.id === prefabId) {
+            objects.push(object);
+          }
+        }
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Get the objects of the active scene placed together with an object
+   * @param {object} object - Prefab instance object
+   * @returns {Array<object>} Scene objects of the same instance
+   */
+  getInstanceObjects(object) {
+    if (!object.prefab) return [object];
+
+    const objects = [];
+
+    for (const layer of this.app.sceneEditor.activeScene.layers) {
+      for (const other of layer.objects) {
+        if (other.prefab && other.prefab.instance === object.prefab.instance) {
+          objects.push(other);
+        }
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Count the placed instances of a prefab
+   * @param {string} prefabId - Prefab ID
+   * @returns {number} Number of instances in all scenes
+   */
+  countInstances(prefabId) {
+    return new Set(this.getLinkedObjects(prefabId).map(object => object.prefab.instance)).size;
+  }
+
+  /**
+   * Turn a scene object into a template part
+   * @param {object} object - Scene object
+   * @returns {object} Part without the object's ID and prefab link
+   */
+  toTemplate(object) {
+    const part = {};
+
+    for (const key in object) {
+      if (key !== 'prefab' && key !== 'id' && !key.startsWith('_')) {
+        part[key] = cloneValue(object[key]);
+      }
+    }
+
+    return part;
+  }
+
+  /**
+   * Get the size of a prefab
+   * @param {object} prefab - Prefab
+   * @returns {object} Size with width and height
+   */
+  getSize(prefab) {
+    const bounds = this.app.sceneEditor.getSelectionBounds(prefab.objects);
+
+    if (!bounds) return { width: 0, height: 0 };
+
+    return {
+      width: bounds.maxX - bounds.minX,
+      height: bounds.maxY - bounds.minY
+    };
+  }
+
+  /**
+   * Ask for a name and save the selected objects as a prefab
+   * @returns {Promise<object|null>} The new prefab, or null if cancelled
+   */
+  async createFromSelection() {
+    const ui = this.app.core.ui;
+    const entries = this.app.sceneEditor.getSelectedEntries();
+
+    if (!this.app.project) return null;
+
+    if (entries.length === 0) {
+      ui.setStatus('Select the objects to save as a prefab', 'warning');
+      return null;
+    }
+
+    const values = await ui.showFormDialog({
+      title: 'Create Prefab',
+      fields: [
+        { id: 'name', label: 'Name', type: 'text', value: entries[0].object.name || 'Prefab' }
+      ],
+      buttons: ['Cancel', 'Create']
+    });
+
+    if (!values || !values.name.trim()) return null;
+
+    // Keep the objects' stacking order so instances draw the same way
+    const layers = this.app.sceneEditor.activeScene.layers;
+
+    entries.sort((a, b) =>
+      layers.indexOf(a.layer) - layers.indexOf(b.layer) ||
+      a.layer.objects.indexOf(a.object) - b.layer.objects.indexOf(b.object)
+    );
+
+    return this.createPrefab(entries.map(entry => entry.object), values.name.trim());
+  }
+
+  /**
+   * Save scene objects as a prefab and link them to it
+   * @param {Array<object>} objects - Scene objects, bottom to top
+   * @param {string} name - Prefab name
+   * @returns {object} The new prefab
+   */
+  createPrefab(objects, name) {
+    const sceneEditor = this.app.sceneEditor;
+    const history = this.app.commandHistory;
+    const bounds = sceneEditor.getSelectionBounds(objects);
+    const stamp = Date.now();
+
+    const prefab = {
+      id: 'prefab_' + stamp,
+      type: 'prefab',
+      name: name,
+      objects: objects.map((object, index) => ({
+        id: `part_${index + 1}`,
+        ...this.toTemplate(object),
+        x: object.x - bounds.minX,
+        y: object.y - bounds.minY
+      }))
+    };
+
+    history.beginGroup(`Create Prefab ${name}`);
+
+    history.execute(this.createPrefabListCommand(prefab, true));
+
+    // The source objects become the first instance
+    objects.forEach((object, index) => {
+      const before = { prefab: object.prefab };
+      const after = {
+        prefab: { id: prefab.id, part: prefab.objects[index].id, instance: 'instance_' + stamp }
+      };
+
+      sceneEditor.applyObjectProperties(object, after);
+      sceneEditor.recordPropertyChange(object, before, after);
+    });
+
+    history.endGroup();
+
+    this.app.core.ui.setStatus(`Created prefab ${name}`);
+
+    return prefab;
+  }
+
+  /**
+   * Place an instance of a prefab in the active layer
+   * @param {string} prefabId - Prefab ID
+   * @param {object} [position] - Scene point the prefab is centered on (defaults to the middle of the view)
+   * @returns {Array<object>} The placed objects
+   */
+  instantiate(prefabId, position) {
+    const sceneEditor = this.app.sceneEditor;
+    const history = this.app.commandHistory;
+    const prefab = this.getPrefab(prefabId);
+    const scene = sceneEditor.activeScene;
+    const layer = scene && scene.layers.find(l => l.id === scene.activeLayer);
+
+    if (!prefab || !layer) return [];
+
+    if (!position) {
+      position = sceneEditor.canvasToScene({ x: sceneEditor.canvas.width / 2, y: sceneEditor.canvas.height / 2 });
+    }
+
+    const size = this.getSize(prefab);
+    const originX = sceneEditor.snapToGridValue(position.x - size.width / 2);
+    const originY = sceneEditor.snapToGridValue(position.y - size.height / 2);
+    const stamp = Date.now();
+
+    const objects = prefab.objects.map((part, index) => ({
+      ...cloneValue(part),
+      id: `object_${stamp}_${index + 1}`,
+      x: originX + part.x,
+      y: originY + part.y,
+      prefab: { id: prefab.id, part: part.id, instance: 'instance_' + stamp }
+    }));
+
+    history.beginGroup(`Add ${prefab.name}`);
+
+    for (const object of objects) {
+      history.execute(sceneEditor.createAddObjectCommand(object, layer, layer.objects.length));
+    }
+
+    history.endGroup();
+
+    sceneEditor.setSelection(objects.map(object => object.id));
+
+    return objects;
+  }
+
+  /**
+   * Get the properties of an instance object that differ from its template
+   * @param {object} object - Scene object
+   * @returns {Array<string>} Overridden property names
+   */
+  getOverrides(object) {
+    const template = this.getTemplate(object);
+
+    if (!template) return [];
+
+    const keys = new Set([...Object.keys(template), ...Object.keys(object)]);
+
+    return Array.from(keys).filter(key =>
+      !INSTANCE_PROPS.includes(key) &&
+      !key.startsWith('_') &&
+      !isSameValue(object[key], template[key])
+    );
+  }
+
+  /**
+   * Check whether an instance overrides a property of its prefab
+   * @param {object} object - Scene object
+   * @param {string} property - Property name
+   * @returns {boolean} True if the property is overridden
+   */
+  isOverridden(object, property) {
+    return this.getOverrides(object).includes(property);
+  }
+
+  /**
+   * Reset instance properties to their prefab values
+   * @param {object} object - Scene object
+   * @param {Array<string>} [properties] - Properties to revert (defaults to every override)
+   */
+  revertOverrides(object, properties = this.getOverrides(object)) {
+    const template = this.getTemplate(object);
+
+    if (!template || properties.length === 0) return;
+
+    const before = {};
+    const after = {};
+
+    for (const property of properties) {
+      before[property] = object[property];
+      after[property] = cloneValue(template[property]);
+    }
+
+    const label = properties.length === 1 ? `Revert ${properties[0]}` : 'Revert Overrides';
+
+    this.app.sceneEditor.applyObjectProperties(object, after);
+    this.app.sceneEditor.recordPropertyChange(object, before, after, label);
+  }
+
+  /**
+   * Write an instance's overrides and layout back to its prefab and update the other instances
+   * @param {object} object - Any object of the instance
+   */
+  applyOverrides(object) {
+    const prefab = this.getPrefabOf(object);
+    const template = this.getTemplate(object);
+
+    if (!prefab || !template) return;
+
+    // The chosen object keeps its offset; the other parts are laid out around it
+    const originX = object.x - template.x;
+    const originY = object.y - template.y;
+    const instanceObjects = this.getInstanceObjects(object);
+
+    const parts = prefab.objects.map(part => {
+      const source = instanceObjects.find(other => other.prefab.part === part.id);
+
+      if (!source) return part;
+
+      return {
+        id: part.id,
+        ...this.toTemplate(source),
+        x: source.x - originX,
+        y: source.y - originY
+      };
+    });
+
+    this.setParts(prefab, parts, `Apply to Prefab ${prefab.name}`);
+    this.app.core.ui.setStatus(`Applied changes to prefab ${prefab.name}`);
+  }
+
+  /**
+   * Replace a prefab's parts and update every instance as one undo step
+   * Instance properties that still match the old template take the new value; overrides are kept.
+   * @param {object} prefab - Prefab
+   * @param {Array<object>} parts - New template parts
+   * @param {string} label - Undo step label
+   */
+  setParts(prefab, parts, label) {
+    const sceneEditor = this.app.sceneEditor;
+    const oldParts = prefab.objects;
+    const changes = [];
+
+    for (const object of this.getLinkedObjects(prefab.id)) {
+      const oldPart = oldParts.find(part => part.id === object.prefab.part);
+      const newPart = parts.find(part => part.id === object.prefab.part);
+
+      if (!oldPart || !newPart) continue;
+
+      const before = {};
+      const after = {};
+      const keys = new Set([...Object.keys(oldPart), ...Object.keys(newPart)]);
+
+      for (const key of keys) {
+        if (INSTANCE_PROPS.includes(key) || isSameValue(oldPart[key], newPart[key])) continue;
+
+        if (isSameValue(object[key], oldPart[key])) {
+          before[key] = object[key];
+          after[key] = cloneValue(newPart[key]);
+        }
+      }
+
+      // Parts moved within the prefab move in every instance
+      if (newPart.x !== oldPart.x || newPart.y !== oldPart.y) {
+        before.x = object.x;
+        before.y = object.y;
+        after.x = object.x + newPart.x - oldPart.x;
+        after.y = object.y + newPart.y - oldPart.y;
+      }
+
+      if (Object.keys(after).length > 0) {
+        changes.push({ object, before, after });
+      }
+    }
+
+    const apply = (objects, key) => {
+      prefab.objects = objects;
+
+      for (const change of changes) {
+        sceneEditor.applyObjectProperties(change.object, change[key]);
+      }
+
+      this.app.core.events.emit('prefab:updated', prefab);
+    };
+
+    this.app.commandHistory.execute({
+      label: label,
+      undo: () => apply(oldParts, 'before'),
+      redo: () => apply(parts, 'after')
+    });
+  }
+
+  /**
+   * Break the link between an instance and its prefab
+   * @param {object} object - Any object of the instance
+   */
+  unpack(object) {
+    const sceneEditor = this.app.sceneEditor;
+    const history = this.app.commandHistory;
+
+    history.beginGroup('Unpack Prefab');
+
+    for (const other of this.getInstanceObjects(object)) {
+      const before = { prefab: other.prefab };
+      const after = { prefab: undefined };
+
+      sceneEditor.applyObjectProperties(other, after);
+      sceneEditor.recordPropertyChange(other, before, after);
+    }
+
+    history.endGroup();
+  }
+
+  /**
+   * Rename a prefab
+   * @param {string} prefabId - Prefab ID
+   * @param {string} name - New name
+   */
+  renamePrefab(prefabId, name) {
+    const prefab = this.getPrefab(prefabId);
+
+    if (!prefab || !name || prefab.name === name) return;
+
+    prefab.name = name;
+
+    this.app.projectManager.markDirty();
+    this.app.core.events.emit('prefab:updated', prefab);
+  }
+
+  /**
+   * Delete a prefab; its instances stay in their scenes as plain objects
+   * The prefab file is removed from objects/ on the next save. Undo brings the prefab back
+   * and links the instances to it again.
+   * @param {string} prefabId - Prefab ID
+   */
+  deletePrefab(prefabId) {
+    const sceneEditor = this.app.sceneEditor;
+    const history = this.app.commandHistory;
+    const prefab = this.getPrefab(prefabId);
+
+    if (!prefab) return;
+
+    history.beginGroup(`Delete Prefab ${prefab.name}`);
+
+    for (const object of this.getLinkedObjects(prefabId)) {
+      const before = { prefab: object.prefab };
+      const after = { prefab: undefined };
+
+      sceneEditor.applyObjectProperties(object, after);
+      sceneEditor.recordPropertyChange(object, before, after);
+    }
+
+    history.execute(this.createPrefabListCommand(prefab, false));
+
+    history.endGroup();
+  }
+
+  /**
+   * Create a command that adds a prefab to the project or removes it
+   * @param {object} prefab - Prefab
+   * @param {boolean} add - True to add the prefab, false to remove it
+   * @returns {object} Command; redo() makes the change
+   */
+  createPrefabListCommand(prefab, add) {
+    const objects = this.app.project.objects;
+    const index = add ? objects.length : objects.indexOf(prefab);
+
+    const insert = () => {
+      objects.splice(Math.min(index, objects.length), 0, prefab);
+      this.app.core.events.emit('prefab:created', prefab);
+    };
+
+    const remove = () => {
+      objects.splice(objects.indexOf(prefab), 1);
+      this.app.core.events.emit('prefab:deleted', prefab);
+    };
+
+    return {
+      label: `${add ? 'Create' : 'Delete'} Prefab ${prefab.name}`,
+      undo: add ? remove : insert,
+      redo: add ? insert : remove
+    };
+  }
+}
+
+// Export the PrefabManager class
+module.exports = PrefabManager;
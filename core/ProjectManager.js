@@ -0,0 +1,456 @@
+// core/ProjectManager.js - Owns the open project and its lifecycle
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectTemplates = require('./ProjectTemplates');
+
+/**
+ * Project Manager - Handles New/Open/Save/Save As for the open project
+ * Keeps track of unsaved changes and asks before they are thrown away
+ */
+class ProjectManager {
+  /**
+   * Create a new Project Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.savedCommand = null;
+    this.hasUnsavedChanges = false;
+    this.allowClose = false;
+    this.wasDirty = false;
+
+    // Register event handlers
+    this.app.core.events.on('project:new', this.onNew.bind(this));
+    this.app.core.events.on('project:open', this.onOpen.bind(this));
+    this.app.core.events.on('project:save', this.onSave.bind(this));
+    this.app.core.events.on('project:saveas', this.onSaveAs.bind(this));
+    this.app.core.events.on('app:exit', () => window.close());
+    this.app.core.events.on('history:changed', () => this.updateDirtyState());
+    this.app.core.events.on('history:cleared', this.onHistoryCleared.bind(this));
+  }
+
+  /**
+   * Initialize the project manager
+   */
+  initialize() {
+    // Closing the window with unsaved changes asks first
+    window.addEventListener('beforeunload', (e) => {
+      if (this.allowClose || !this.isDirty()) return;
+
+      e.returnValue = false;
+
+      // Ask once the close has been cancelled
+      setTimeout(() => this.requestClose(), 0);
+    });
+
+    console.log('Initializing Project Manager');
+  }
+
+  /**
+   * Check if the open project has unsaved changes
+   * @returns {boolean} True if there are unsaved changes
+   */
+  isDirty() {
+    if (!this.app.project) return false;
+
+    return this.hasUnsavedChanges || this.app.commandHistory.getCurrentCommand() !== this.savedCommand;
+  }
+
+  /**
+   * Flag a change that isn't recorded in the undo history
+   */
+  markDirty() {
+    this.hasUnsavedChanges = true;
+    this.updateDirtyState();
+  }
+
+  /**
+   * Create a project and open it
+   * @param {string} location - Directory the project folder is created in
+   * @param {string} name - Project name
+   * @param {object} [options={}] - Project options passed to createProjectConfig
+   * @param {string} [options.template='empty'] - ID of the template to start from
+   * @returns {Promise<object>} The new project
+   */
+  async createProject(location, name, options = {}) {
+    const template = ProjectTemplates.get(options.template) || ProjectTemplates.get('empty');
+
+    // The project name doubles as the folder name
+    const projectPath = path.join(location, name.replace(/[\\/:*?"<>|]/g, '_'));
+
+    if (fs.existsSync(projectPath) && fs.readdirSync(projectPath).length > 0) {
+      throw new Error(`${projectPath} already exists and is not empty`);
+    }
+
+    const config = this.app.core.config.createProjectConfig(name, { ...template.options, ...options });
+    const project = await this.app.core.fs.createProject(projectPath, config);
+
+    project.scenes = template.createScenes(config);
+    project.objects = [];
+
+    this.setProject(project);
+
+    // Write the initial scene so the project runs straight away
+    await this.save();
+
+    this.app.core.config.addRecentProject(project.path, config.name);
+
+    return project;
+  }
+
+  /**
+   * Open a project from disk
+   * @param {string} projectPath - Project directory
+   * @returns {Promise<object>} The opened project
+   */
+  async openProject(projectPath) {
+    const project = await this.app.core.fs.loadProject(projectPath);
+
+    this.setProject(project);
+
+    this.app.core.config.addRecentProject(project.path, project.config.name);
+
+    // Copied assets that shared a GUID were given new ones; say so in case references moved
+    const warnings = this.app.core.fs.lastScanWarnings;
+
+    if (warnings.length > 0) {
+      this.app.core.ui.setStatus(`${warnings.length} copied asset(s) were given new GUIDs (see console)`, 'warning');
+    }
+
+    return project;
+  }
+
+  /**
+   * Make a project the open project and broadcast it
+   * @param {object} project - Project data from FileSystemManager
+   */
+  setProject(project) {
+    project.scenes = project.scenes || [];
+    project.objects = project.objects || [];
+
+    this.app.project = project;
+    this.app.core.config.projectConfig = project.config;
+
+    // Open the initial scene, or create one for projects that have none
+    const scene = this.findInitialScene(project);
+
+    if (scene) {
+      this.app.core.events.emit('scene:load', scene);
+      this.hasUnsavedChanges = false;
+    } else {
+      this.app.core.events.emit('scene:new', {
+        id: project.config.initialScene || 'main',
+        name: 'Main',
+        width: project.config.width,
+        height: project.config.height
+      });
+
+      project.scenes.push(this.app.sceneEditor.activeScene);
+      this.hasUnsavedChanges = true;
+    }
+
+    this.savedCommand = null;
+
+    // Notify other components
+    this.app.core.events.emit('project:loaded', project);
+
+    this.updateDirtyState();
+    this.app.core.ui.setStatus(`Opened ${project.config.name}`);
+  }
+
+  /**
+   * Find the scene a project starts with
+   * @param {object} project - Project data
+   * @returns {object|null} Scene or null if the project has no scenes
+   */
+  findInitialScene(project) {
+    const initialScene = project.config.initialScene;
+
+    return project.scenes.find(scene => scene.id === initialScene) ||
+      project.scenes.find(scene => (scene.name || '').toLowerCase() === String(initialScene).toLowerCase()) ||
+      project.scenes[0] ||
+      null;
+  }
+
+  /**
+   * Collect the project data to write to disk
+   * @returns {object} Project data for FileSystemManager.saveProject
+   */
+  getProjectData() {
+    const project = this.app.project;
+    const activeScene = this.app.sceneEditor.activeScene;
+
+    // Scenes are edited in place; a scene created from the menu may not be listed yet
+    if (activeScene && !project.scenes.includes(activeScene)) {
+      const index = project.scenes.findIndex(scene => scene.id === activeScene.id);
+
+      if (index === -1) {
+        project.scenes.push(activeScene);
+      } else {
+        project.scenes[index] = activeScene;
+      }
+    }
+
+    return {
+      config: project.config,
+      scenes: project.scenes,
+      objects: project.objects
+    };
+  }
+
+  /**
+   * Save the open project
+   * @returns {Promise<boolean>} True if the project was saved
+   */
+  async save() {
+    const ui = this.app.core.ui;
+    const project = this.app.project;
+
+    if (!project) return false;
+
+    try {
+      project.config.modified = new Date().toISOString();
+
+      await this.app.core.fs.saveProject(project.path, this.getProjectData());
+
+      this.savedCommand = this.app.commandHistory.getCurrentCommand();
+      this.hasUnsavedChanges = false;
+      this.updateDirtyState();
+
+      ui.setStatus(`Saved ${project.config.name}`);
+
+      // Notify other components
+      this.app.core.events.emit('project:saved', project);
+
+      return true;
+    } catch (error) {
+      console.error('Error saving project:', error);
+      ui.showError('Save Error', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Save the open project to a new directory and continue working there
+   * @param {string} targetPath - New project directory
+   * @returns {Promise<boolean>} True if the project was saved
+   */
+  async saveAs(targetPath) {
+    const project = this.app.project;
+
+    if (!project) return false;
+
+    if (fs.existsSync(targetPath) && fs.readdirSync(targetPath).length > 0) {
+      throw new Error(`${targetPath} already exists and is not empty`);
+    }
+
+    await this.app.core.fs.copyProject(project.path, targetPath);
+
+    project.path = targetPath;
+
+    const saved = await this.save();
+
+    if (saved) {
+      this.app.core.config.addRecentProject(project.path, project.config.name);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Ask what to do with unsaved changes
+   * @returns {Promise<boolean>} True if it is fine to discard the open project
+   */
+  async confirmDiscardChanges() {
+    if (!this.isDirty()) return true;
+
+    const choice = await this.app.core.ui.showConfirmDialog(
+      'Unsaved Changes',
+      `Do you want to save the changes to ${this.app.project.config.name}?`,
+      ['Cancel', 'Don\'t Save', 'Save']
+    );
+
+    if (choice === 'Save') {
+      return this.save();
+    }
+
+    return choice === 'Don\'t Save';
+  }
+
+  /**
+   * Close the window once unsaved changes are dealt with
+   */
+  async requestClose() {
+    if (await this.confirmDiscardChanges()) {
+      this.allowClose = true;
+      window.close();
+    }
+  }
+
+  /**
+   * Update the window title and notify other components when the dirty state changes
+   */
+  updateDirtyState() {
+    const dirty = this.isDirty();
+    const project = this.app.project;
+
+    document.title = project
+      ? `${project.config.name}${dirty ? ' *' : ''} - Love2D Editor`
+      : 'Love2D Editor';
+
+    if (dirty !== this.wasDirty) {
+      this.wasDirty = dirty;
+      this.app.core.events.emit('project:dirty', dirty);
+    }
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle project new event (File > New Project...)
+   * @param {string} [templateId='empty'] - Template selected in the wizard
+   */
+  async onNew(templateId = 'empty') {
+    const ui = this.app.core.ui;
+    const template = ProjectTemplates.get(templateId) || ProjectTemplates.get('empty');
+
+    if (!await this.confirmDiscardChanges()) return;
+
+    const values = await ui.showFormDialog({
+      title: 'New Project',
+      fields: [
+        { id: 'name', label: 'Name', type: 'text', value: 'My Game' },
+        { id: 'location', label: 'Location', type: 'directory', value: this.app.core.config.get('projectsDirectory') || os.homedir() },
+        {
+          id: 'template',
+          label: 'Template',
+          type: 'select',
+          value: template.id,
+          options: ProjectTemplates.getAll().map(t => ({ value: t.id, label: t.name }))
+        },
+        { id: 'width', label: 'Width', type: 'number', value: template.options.width },
+        { id: 'height', label: 'Height', type: 'number', value: template.options.height },
+        {
+          id: 'orientation',
+          label: 'Orientation',
+          type: 'select',
+          value: template.options.orientation,
+          options: [
+            { value: 'landscape', label: 'Landscape' },
+            { value: 'portrait', label: 'Portrait' }
+          ]
+        }
+      ],
+      buttons: ['Cancel', 'Create']
+    });
+
+    if (!values) return;
+
+    const name = values.name.trim();
+
+    if (!name || !values.location) {
+      ui.showError('New Project', 'Enter a project name and location.');
+      return;
+    }
+
+    // Remember where projects are created (saved along with the recent projects)
+    this.app.core.config.set('projectsDirectory', values.location);
+
+    try {
+      await this.createProject(values.location, name, {
+        template: values.template,
+        width: values.width || 800,
+        height: values.height || 600,
+        orientation: values.orientation
+      });
+    } catch (error) {
+      console.error('Error creating project:', error);
+      ui.showError('New Project', error.message);
+    }
+  }
+
+  /**
+   * Handle project open event (File > Open Project...)
+   * @param {string} [projectPath] - Project to open; asks for a folder if omitted
+   */
+  async onOpen(projectPath) {
+    const ui = this.app.core.ui;
+
+    if (!await this.confirmDiscardChanges()) return;
+
+    if (!projectPath) {
+      projectPath = await ui.showFileDialog({
+        title: 'Open Project',
+        directories: true,
+        defaultPath: this.app.core.config.get('projectsDirectory') || undefined
+      });
+
+      if (!projectPath) return;
+    }
+
+    try {
+      await this.openProject(projectPath);
+    } catch (error) {
+      console.error('Error opening project:', error);
+      ui.showError('Open Project', error.message);
+    }
+  }
+
+  /**
+   * Handle project save event (File > Save Project)
+   */
+  onSave() {
+    if (!this.app.project) {
+      this.app.core.ui.showNotification('No project is open', 'warning');
+      return;
+    }
+
+    this.save();
+  }
+
+  /**
+   * Handle project save as event (File > Save Project As...)
+   */
+  async onSaveAs() {
+    const ui = this.app.core.ui;
+    const project = this.app.project;
+
+    if (!project) {
+      ui.showNotification('No project is open', 'warning');
+      return;
+    }
+
+    const targetPath = await ui.showSaveDialog({
+      title: 'Save Project As',
+      message: 'Choose a folder name for the copy of the project',
+      defaultPath: `${project.path} copy`
+    });
+
+    if (!targetPath) return;
+
+    try {
+      await this.saveAs(targetPath);
+    } catch (error) {
+      console.error('Error saving project:', error);
+      ui.showError('Save Error', error.message);
+    }
+  }
+
+  /**
+   * Handle the undo history being cleared (e.g. when switching scenes)
+   * @param {object} info - Info with the command the history was at
+   */
+  onHistoryCleared({ command }) {
+    // Changes made before the history was dropped still need saving
+    if (command !== this.savedCommand) {
+      this.hasUnsavedChanges = true;
+    }
+
+    this.savedCommand = null;
+  }
+}
+
+// Export the ProjectManager class
+module.exports = ProjectManager;
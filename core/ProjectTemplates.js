@@ -0,0 +1,194 @@
+// core/ProjectTemplates.js - Built-in starting points for new projects
+
+/**
+ * Create a scene with the editor's default layers
+ * @param {object} config - Project configuration
+ * @param {object} [options={}] - Scene options
+ * @param {string} [options.backgroundColor] - Background color
+ * @param {object} [options.objects] - Objects keyed by layer name
+ * @param {Array<string>} [options.layers] - Layer names, bottom first
+ * @returns {object} Scene data
+ */
+function createScene(config, options = {}) {
+  const layerNames = options.layers || ['Background', 'Main', 'Foreground'];
+  const objects = options.objects || {};
+
+  const layers = layerNames.map((name, index) => ({
+    id: `layer_${index + 1}`,
+    name: name,
+    visible: true,
+    objects: (objects[name] || []).map(object => ({ ...object }))
+  }));
+
+  return {
+    id: config.initialScene || 'main',
+    name: 'Main',
+    width: config.width,
+    height: config.height,
+    backgroundColor: options.backgroundColor || '#87CEEB',
+    layers: layers,
+    activeLayer: layers[Math.min(1, layers.length - 1)].id
+  };
+}
+
+/**
+ * Create a rectangle object
+ * @param {string} id - Object ID
+ * @param {string} name - Object name
+ * @param {number} x - X position
+ * @param {number} y - Y position
+ * @param {number} width - Width
+ * @param {number} height - Height
+ * @param {string} fillColor - Fill color
+ * @returns {object} Object data
+ */
+function rectangle(id, name, x, y, width, height, fillColor) {
+  return { id, type: 'rectangle', name, x, y, width, height, rotation: 0, fillColor };
+}
+
+// Built-in templates, in the order they are offered
+const TEMPLATES = [
+  {
+    id: 'empty',
+    name: 'Empty',
+    description: 'A blank scene with background, main and foreground layers.',
+    options: { width: 800, height: 600, orientation: 'landscape' },
+    createScenes: config => [createScene(config)]
+  },
+  {
+    id: 'platformer',
+    name: 'Platformer',
+    description: 'Side view with ground, floating platforms and a player placeholder.',
+    options: { width: 800, height: 600, orientation: 'landscape' },
+    createScenes: config => [createScene(config, {
+      backgroundColor: '#87CEEB',
+      objects: {
+        Main: [
+          rectangle('ground', 'Ground', 0, config.height - 64, config.width, 64, '#5D4037'),
+          rectangle('platform_1', 'Platform', Math.round(config.width * 0.2), config.height - 200, 160, 24, '#795548'),
+          rectangle('platform_2', 'Platform', Math.round(config.width * 0.55), config.height - 320, 160, 24, '#795548'),
+          rectangle('player', 'Player', 64, config.height - 128, 32, 64, '#E53935')
+        ]
+      }
+    })]
+  },
+  {
+    id: 'topdown',
+    name: 'Top-Down',
+    description: 'Overhead view with a walled room and a player placeholder.',
+    options: { width: 800, height: 600, orientation: 'landscape' },
+    createScenes: config => [createScene(config, {
+      backgroundColor: '#4CAF50',
+      objects: {
+        Background: [
+          rectangle('floor', 'Floor', 32, 32, config.width - 64, config.height - 64, '#A1887F')
+        ],
+        Main: [
+          rectangle('wall_top', 'Wall', 0, 0, config.width, 32, '#424242'),
+          rectangle('wall_bottom', 'Wall', 0, config.height - 32, config.width, 32, '#424242'),
+          rectangle('wall_left', 'Wall', 0, 32, 32, config.height - 64, '#424242'),
+          rectangle('wall_right', 'Wall', config.width - 32, 32, 32, config.height - 64, '#424242'),
+          {
+            id: 'player',
+            type: 'circle',
+            name: 'Player',
+            x: Math.round(config.width / 2) - 16,
+            y: Math.round(config.height / 2) - 16,
+            width: 32,
+            height: 32,
+            rotation: 0,
+            fillColor: '#1E88E5'
+          }
+        ]
+      }
+    })]
+  },
+  {
+    id: 'ui',
+    name: 'UI Only',
+    description: 'A menu screen with a title and buttons, for tools and card games.',
+    options: { width: 800, height: 600, orientation: 'landscape' },
+    createScenes: config => {
+      const centerX = Math.round(config.width / 2);
+      const buttons = ['Play', 'Options', 'Quit'];
+      const objects = [
+        {
+          id: 'title',
+          type: 'text',
+          name: 'Title',
+          x: centerX - 200,
+          y: 80,
+          width: 400,
+          height: 48,
+          rotation: 0,
+          text: config.name,
+          textColor: '#FFFFFF',
+          textAlign: 'center'
+        }
+      ];
+
+      buttons.forEach((label, index) => {
+        const y = 220 + index * 72;
+        const id = label.toLowerCase();
+
+        objects.push(rectangle(`button_${id}`, `${label} Button`, centerX - 120, y, 240, 48, '#0F80C0'));
+        objects.push({
+          id: `label_${id}`,
+          type: 'text',
+          name: `${label} Label`,
+          x: centerX - 120,
+          y: y + 14,
+          width: 240,
+          height: 20,
+          rotation: 0,
+          text: label,
+          textColor: '#FFFFFF',
+          textAlign: 'center'
+        });
+      });
+
+      return [createScene(config, {
+        backgroundColor: '#263238',
+        layers: ['Background', 'UI'],
+        objects: { UI: objects }
+      })];
+    }
+  }
+];
+
+/**
+ * Project Templates - Scenes and settings that new projects start from
+ */
+class ProjectTemplates {
+  /**
+   * Get all built-in templates
+   * @returns {Array<object>} Templates with id, name, description and options
+   */
+  static getAll() {
+    return TEMPLATES;
+  }
+
+  /**
+   * Get a template by ID
+   * @param {string} id - Template ID
+   * @returns {object|null} Template or null if unknown
+   */
+  static get(id) {
+    return TEMPLATES.find(template => template.id === id) || null;
+  }
+
+  /**
+   * Create the scenes a new project starts with
+   * @param {string} id - Template ID
+   * @param {object} config - Project configuration
+   * @returns {Array<object>} Scene data
+   */
+  static createScenes(id, config) {
+    const template = ProjectTemplates.get(id) || ProjectTemplates.get('empty');
+
+    return template.createScenes(config);
+  }
+}
+
+// Export the ProjectTemplates class
+module.exports = ProjectTemplates;
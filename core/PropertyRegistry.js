@@ -0,0 +1,686 @@
+// core/PropertyRegistry.js - Property schemas of scene object types
+
+// Transform fields shown for object types that don't list their own
+const DEFAULT_TRANSFORM = ['position', 'size', 'rotation'];
+
+// Color values a color property accepts
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+// Object properties every object type has; the rest that aren't in a type's schema are custom
+// propertyTypes records the type chosen for each custom property
+const STANDARD_NAMES = ['id', 'type', 'name', 'x', 'y', 'width', 'height', 'rotation', 'enabled', 'prefab', 'components', 'propertyTypes'];
+
+// Kinds of value a custom property can hold, with the value each starts out as
+// Colors are #RRGGBB strings, vectors are { x, y } and asset references are asset IDs.
+const VALUE_TYPES = [
+  { type: 'text', label: 'Text', create: () => '' },
+  { type: 'number', label: 'Number', create: () => 0 },
+  { type: 'boolean', label: 'Boolean', create: () => false },
+  { type: 'color', label: 'Color', create: () => '#FFFFFF' },
+  { type: 'vector', label: 'Vector', create: () => ({ x: 0, y: 0 }) },
+  { type: 'asset', label: 'Asset Reference', create: () => null },
+  { type: 'array', label: 'List', create: () => [] },
+  { type: 'dictionary', label: 'Dictionary', create: () => ({}) }
+];
+
+/**
+ * Get the column and row count of a tilemap
+ * Older tilemaps don't store them, so they're worked out from the map size.
+ * @param {object} tilemap - Tilemap object
+ * @param {object} app - Main application reference
+ * @returns {object} Grid size with columns and rows
+ */
+function getGridSize(tilemap, app) {
+  const tileSize = app.sceneEditor.getTileSize(tilemap);
+
+  return {
+    columns: tilemap.columns || Math.floor(tilemap.width / tileSize.width),
+    rows: tilemap.rows || Math.floor(tilemap.height / tileSize.height)
+  };
+}
+
+/**
+ * Get the clip names of a sprite's animation
+ * @param {object} sprite - Sprite object
+ * @param {object} app - Main application reference
+ * @returns {Array<string>} Clip names, empty if the sprite has no animation
+ */
+function getClipNames(sprite, app) {
+  const animation = app.animationManager.getAnimation(sprite.animation);
+  return animation ? animation.clips.map(clip => clip.name) : [];
+}
+
+/**
+ * Turn a dash-separated name into a label (e.g. top-left -> Top Left)
+ * @param {string} name - Name
+ * @returns {string} Label
+ */
+function toLabel(name) {
+  return name.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+// Built-in object types
+// Property types: number (with optional min, max, step and integer), boolean, text, textarea,
+// select (with options), color, asset (with assetType), and readonly (display only).
+const BUILTIN_TYPES = [
+  {
+    type: 'sprite',
+    name: 'Sprite',
+    properties: [
+      { name: 'imageId', label: 'Image', type: 'asset', assetType: 'image', default: null },
+      { name: 'tint', label: 'Tint', type: 'color', default: '#FFFFFF' },
+      { name: 'flipX', label: 'Flip X', type: 'boolean', default: false },
+      { name: 'flipY', label: 'Flip Y', type: 'boolean', default: false },
+      { name: 'opacity', label: 'Opacity', type: 'number', default: 1, min: 0, max: 1, step: 0.01 },
+      // A new animation starts from its first clip
+      {
+        name: 'animation',
+        label: 'Animation',
+        type: 'asset',
+        assetType: 'animation',
+        default: null,
+        apply: (object, animation, { app, inspector }) => {
+          app.commandHistory.beginGroup('Change animation');
+          inspector.updateObjectProperty('animation', animation || undefined);
+          inspector.updateObjectProperty('clip', undefined);
+          app.commandHistory.endGroup();
+        }
+      },
+      {
+        name: 'clip',
+        label: 'Clip',
+        type: 'select',
+        visible: object => Boolean(object.animation),
+        options: (object, { app }) => getClipNames(object, app).map(name => ({ value: name, label: name })),
+        get: (object, { app }) => object.clip || getClipNames(object, app)[0] || ''
+      },
+      {
+        name: 'animationSpeed',
+        label: 'Speed',
+        type: 'number',
+        default: 1,
+        min: 0,
+        step: 0.1,
+        visible: object => Boolean(object.animation)
+      }
+    ]
+  },
+  {
+    type: 'rectangle',
+    name: 'Rectangle',
+    properties: [
+      { name: 'fillColor', label: 'Fill Color', type: 'color', default: '#FF0000' },
+      { name: 'borderColor', label: 'Border Color', type: 'color', default: '#000000' },
+      { name: 'borderWidth', label: 'Border Width', type: 'number', default: 1, min: 0 },
+      { name: 'cornerRadius', label: 'Corner Radius', type: 'number', default: 0, min: 0 }
+    ]
+  },
+  {
+    type: 'circle',
+    name: 'Circle',
+    properties: [
+      { name: 'fillColor', label: 'Fill Color', type: 'color', default: '#00FF00' },
+      { name: 'borderColor', label: 'Border Color', type: 'color', default: '#000000' },
+      { name: 'borderWidth', label: 'Border Width', type: 'number', default: 1, min: 0 }
+    ]
+  },
+  {
+    type: 'text',
+    name: 'Text',
+    properties: [
+      { name: 'text', label: 'Text', type: 'textarea', default: '' },
+      { name: 'fontFamily', label: 'Font Family', type: 'text', default: 'Arial' },
+      { name: 'fontSize', label: 'Font Size', type: 'number', default: 16, min: 1 },
+      {
+        name: 'fontStyle',
+        label: 'Font Style',
+        type: 'select',
+        default: '',
+        options: [
+          { value: '', label: 'Normal' },
+          { value: 'bold', label: 'Bold' },
+          { value: 'italic', label: 'Italic' },
+          { value: 'bold italic', label: 'Bold Italic' }
+        ]
+      },
+      {
+        name: 'textAlign',
+        label: 'Text Align',
+        type: 'select',
+        default: 'left',
+        options: [
+          { value: 'left', label: 'Left' },
+          { value: 'center', label: 'Center' },
+          { value: 'right', label: 'Right' }
+        ]
+      },
+      { name: 'textColor', label: 'Text Color', type: 'color', default: '#FFFFFF' },
+      { name: 'backgroundColor', label: 'Background Color', type: 'color', default: 'transparent' },
+      { name: 'wrap', label: 'Word Wrap', type: 'boolean', default: false }
+    ]
+  },
+  {
+    type: 'tilemap',
+    name: 'Tilemap',
+    transform: ['position', 'size'],
+    hidden: ['tileSize', 'tileData'],
+    properties: [
+      { name: 'tileset', label: 'Tileset', type: 'asset', assetType: 'tileset', default: null },
+      {
+        name: 'tileWidth',
+        label: 'Tile Width',
+        type: 'number',
+        min: 1,
+        get: (object, { app }) => app.sceneEditor.getTileSize(object).width
+      },
+      {
+        name: 'tileHeight',
+        label: 'Tile Height',
+        type: 'number',
+        min: 1,
+        get: (object, { app }) => app.sceneEditor.getTileSize(object).height
+      },
+      // Changing the size resizes the map around the anchor
+      {
+        name: 'columns',
+        label: 'Columns',
+        type: 'number',
+        integer: true,
+        min: 1,
+        get: (object, { app }) => getGridSize(object, app).columns,
+        apply: (object, columns, { app, inspector }) => {
+          app.sceneEditor.resizeTilemap(object, columns, getGridSize(object, app).rows, inspector.tilemapAnchor);
+        }
+      },
+      {
+        name: 'rows',
+        label: 'Rows',
+        type: 'number',
+        integer: true,
+        min: 1,
+        get: (object, { app }) => getGridSize(object, app).rows,
+        apply: (object, rows, { app, inspector }) => {
+          app.sceneEditor.resizeTilemap(object, getGridSize(object, app).columns, rows, inspector.tilemapAnchor);
+        }
+      },
+      // The anchor is an editor setting rather than part of the tilemap
+      {
+        name: 'tilemapAnchor',
+        label: 'Anchor',
+        type: 'select',
+        stored: false,
+        options: (object, { app }) => app.sceneEditor.getTilemapAnchors().map(anchor => ({ value: anchor, label: toLabel(anchor) })),
+        get: (object, { inspector }) => inspector.tilemapAnchor,
+        apply: (object, anchor, { inspector }) => {
+          inspector.tilemapAnchor = anchor;
+        }
+      },
+      { name: 'infinite', label: 'Infinite', type: 'boolean', default: false }
+    ],
+    actions: [
+      {
+        label: 'Edit Tilemap',
+        run: (object, { app }) => {
+          // Switch to tile tool in scene editor and select this tilemap
+          app.sceneEditor.setActiveTool('tile');
+          app.core.events.emit('object:select', object.id);
+        }
+      }
+    ]
+  },
+  {
+    type: 'camera',
+    name: 'Camera',
+    // A camera's size comes from its zoom
+    transform: ['position', 'rotation'],
+    properties: [
+      {
+        name: 'view',
+        label: 'View',
+        type: 'readonly',
+        stored: false,
+        get: (object, { app }) => {
+          const resolution = app.sceneEditor.getGameResolution();
+          return `${Math.round(object.width)} × ${Math.round(object.height)} (game ${resolution.width} × ${resolution.height})`;
+        }
+      },
+      {
+        name: 'zoom',
+        label: 'Zoom',
+        type: 'number',
+        default: 1,
+        min: 0.01,
+        apply: (object, zoom, { app }) => {
+          app.sceneEditor.setCameraZoom(object, zoom);
+        }
+      },
+      {
+        name: 'followTarget',
+        label: 'Follow Target',
+        type: 'select',
+        default: '',
+        options: (object, { app }) => {
+          const options = [{ value: '', label: 'None' }];
+
+          for (const layer of app.sceneEditor.activeScene.layers) {
+            for (const other of layer.objects) {
+              if (other.type !== 'camera') {
+                options.push({ value: other.id, label: other.name || other.id });
+              }
+            }
+          }
+
+          return options;
+        }
+      },
+      // Bounds start out covering the scene
+      {
+        name: 'bounds',
+        label: 'Limit to Bounds',
+        type: 'boolean',
+        get: object => Boolean(object.bounds),
+        apply: (object, enabled, { app, inspector }) => {
+          const scene = app.sceneEditor.activeScene;
+          inspector.updateObjectProperty('bounds', enabled ? { x: 0, y: 0, width: scene.width, height: scene.height } : undefined);
+        }
+      },
+      { name: 'bounds.x', label: 'Bounds X', type: 'number', visible: object => Boolean(object.bounds) },
+      { name: 'bounds.y', label: 'Bounds Y', type: 'number', visible: object => Boolean(object.bounds) },
+      { name: 'bounds.width', label: 'Bounds Width', type: 'number', min: 0, visible: object => Boolean(object.bounds) },
+      { name: 'bounds.height', label: 'Bounds Height', type: 'number', min: 0, visible: object => Boolean(object.bounds) }
+    ]
+  }
+];
+
+// Registered object types by type ID, in registration order
+const registry = new Map(BUILTIN_TYPES.map(definition => [definition.type, definition]));
+
+/**
+ * Property Registry - Schemas of the properties each scene object type has
+ * An object type has a type ID, a name used as its Inspector section title, and a property schema.
+ * Besides its type and label, a property can have a default, a range (min, max, step, integer),
+ * options for selects (a list, or a function of the object), an assetType, and a visible(object)
+ * condition. Names with a dot (e.g. bounds.x) edit a value inside an object property.
+ * Properties worked out from others provide get(object, context) and apply(object, value, context),
+ * where context holds the app and the inspector; stored: false keeps them out of the object's data.
+ * A type can also limit its transform fields, list hidden properties that have no field, and add
+ * action buttons with a label and run(object, context).
+ */
+class PropertyRegistry {
+  /**
+   * Register an object type, replacing any type with the same ID
+   * @param {object} definition - Object type definition
+   */
+  static register(definition) {
+    if (!definition || !definition.type) {
+      throw new Error('Object type definitions need a type');
+    }
+
+    registry.set(definition.type, { properties: [], ...definition });
+  }
+
+  /**
+   * Get an object type
+   * @param {string} type - Object type ID
+   * @returns {object|null} Definition or null if unknown
+   */
+  static get(type) {
+    return registry.get(type) || null;
+  }
+
+  /**
+   * Get the transform fields an object type shows
+   * @param {string} type - Object type ID
+   * @returns {Array<string>} Any of position, size and rotation
+   */
+  static getTransform(type) {
+    const definition = PropertyRegistry.get(type);
+    return definition && definition.transform ? definition.transform : DEFAULT_TRANSFORM;
+  }
+
+  /**
+   * Get the object properties an object type's schema covers
+   * @param {string} type - Object type ID
+   * @returns {Array<string>} Top-level property names, including hidden ones
+   */
+  static getPropertyNames(type) {
+    const definition = PropertyRegistry.get(type);
+
+    if (!definition) return [];
+
+    const names = definition.properties
+      .filter(property => property.stored !== false)
+      .map(property => property.name.split('.')[0]);
+
+    return [...new Set(names.concat(definition.hidden || []))];
+  }
+
+  /**
+   * Get the properties of an object's type that apply to it
+   * @param {object} object - Scene object
+   * @returns {Array<object>} Property schemas whose visible condition holds
+   */
+  static getVisibleProperties(object) {
+    const definition = PropertyRegistry.get(object.type);
+
+    if (!definition) return [];
+
+    return definition.properties.filter(property => !property.visible || property.visible(object));
+  }
+
+  /**
+   * Get a property's current value on an object
+   * @param {object} object - Scene object
+   * @param {object} property - Property schema
+   * @param {object} context - Context with app and inspector
+   * @returns {*} Value, or the property's default if the object doesn't set it
+   */
+  static getValue(object, property, context) {
+    let value;
+
+    if (property.get) {
+      value = property.get(object, context);
+    } else {
+      value = PropertyRegistry.getIn(object, property.name.split('.'));
+    }
+
+    return value !== undefined ? value : property.default;
+  }
+
+  /**
+   * Work out the change that sets a property on an object
+   * Values inside object properties replace the whole object so undo keeps the old one.
+   * @param {object} object - Scene object
+   * @param {object} property - Property schema
+   * @param {*} value - New value
+   * @returns {object} Change with the top-level property name and its new value
+   */
+  static getChange(object, property, value) {
+    const [name, ...path] = property.name.split('.');
+
+    return { name, value: path.length > 0 ? PropertyRegistry.setIn(object[name], path, value) : value };
+  }
+
+  /**
+   * Get a value nested inside objects and arrays
+   * @param {*} target - Outer value
+   * @param {Array<string|number>} path - Keys and indexes leading to the value
+   * @returns {*} Value, or undefined if the path doesn't exist
+   */
+  static getIn(target, path) {
+    return path.reduce((value, key) => (value !== undefined && value !== null ? value[key] : undefined), target);
+  }
+
+  /**
+   * Set a value nested inside objects and arrays without changing them
+   * Every object and array along the path is copied, so the old outer value stays intact for undo.
+   * @param {*} target - Outer value
+   * @param {Array<string|number>} path - Keys and indexes leading to the value
+   * @param {*} value - New value
+   * @returns {*} New outer value
+   */
+  static setIn(target, path, value) {
+    if (path.length === 0) return value;
+
+    const [key, ...rest] = path;
+    const copy = Array.isArray(target) ? target.slice() : { ...(target || {}) };
+    copy[key] = PropertyRegistry.setIn(copy[key], rest, value);
+
+    return copy;
+  }
+
+  /**
+   * Get the options of a select property
+   * @param {object} property - Property schema
+   * @param {object} object - Object the property belongs to
+   * @param {object} context - Context with app and inspector
+   * @returns {Array<object>} Options with value and label
+   */
+  static getOptions(property, object, context) {
+    if (typeof property.options === 'function') {
+      return property.options(object, context);
+    }
+
+    return property.options || [];
+  }
+
+  /**
+   * Check and convert a value entered for a property
+   * Numbers are parsed and kept within the property's range; other types must be valid as given.
+   * @param {object} property - Property schema
+   * @param {*} value - Entered value
+   * @param {object} object - Object the property belongs to
+   * @param {object} context - Context with app and inspector
+   * @returns {object} Result with the converted value, or an error message
+   */
+  static validate(property, value, object, context) {
+    const label = property.label || property.name;
+
+    switch (property.type) {
+      case 'number': {
+        let number = typeof value === 'number' ? value : parseFloat(value);
+
+        if (!isFinite(number)) {
+          return { error: `${label} must be a number` };
+        }
+
+        if (property.integer) number = Math.round(number);
+        if (property.min !== undefined) number = Math.max(property.min, number);
+        if (property.max !== undefined) number = Math.min(property.max, number);
+
+        return { value: number };
+      }
+      case 'boolean':
+        return { value: Boolean(value) };
+      case 'select': {
+        const options = PropertyRegistry.getOptions(property, object, context);
+
+        if (!options.some(option => option.value === value)) {
+          return { error: `${label} can't be ${JSON.stringify(value)}` };
+        }
+
+        return { value };
+      }
+      case 'color':
+        if (value !== 'transparent' && !COLOR_PATTERN.test(value)) {
+          return { error: `${label} must be a color like #FF0000` };
+        }
+
+        return { value };
+      case 'asset':
+        if (value !== null && typeof value !== 'string') {
+          return { error: `${label} must be an asset` };
+        }
+
+        return { value };
+      case 'readonly':
+        return { error: `${label} can't be changed` };
+      default:
+        return { value: value === undefined || value === null ? '' : String(value) };
+    }
+  }
+
+  /**
+   * Get the kinds of value a custom property can hold
+   * @returns {Array<object>} Value types with type and label
+   */
+  static getValueTypes() {
+    return VALUE_TYPES.map(({ type, label }) => ({ type, label }));
+  }
+
+  /**
+   * Create the starting value of a custom property
+   * @param {string} type - Value type
+   * @returns {*} New value
+   */
+  static createValue(type) {
+    const valueType = VALUE_TYPES.find(entry => entry.type === type) || VALUE_TYPES[0];
+    return valueType.create();
+  }
+
+  /**
+   * Create the type record of a new custom value
+   * @param {string} type - Value type
+   * @returns {string|object} The type name; lists and dictionaries are objects that also record
+   * their entries' types, as { type: 'array', items } and { type: 'dictionary', entries }
+   */
+  static createTypeInfo(type) {
+    if (type === 'array') return { type, items: [] };
+    if (type === 'dictionary') return { type, entries: {} };
+
+    return VALUE_TYPES.some(entry => entry.type === type) ? type : 'text';
+  }
+
+  /**
+   * Get which kind of value a custom value holds
+   * The type chosen for a value is recorded in its object's propertyTypes. Values without a record,
+   * such as those from other tools, are typed by their JavaScript type alone.
+   * @param {*} value - Custom value
+   * @param {string|object} [typeInfo] - The value's type record
+   * @returns {string} Value type
+   */
+  static getValueType(value, typeInfo) {
+    if (typeInfo) return typeof typeInfo === 'string' ? typeInfo : typeInfo.type;
+
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return 'number';
+    if (value && typeof value === 'object') return 'dictionary';
+
+    return 'text';
+  }
+
+  /**
+   * Get the type record of an entry of a list or dictionary
+   * @param {string|object} [typeInfo] - Type record of the list or dictionary
+   * @param {string|number} key - Entry key or index
+   * @returns {string|object|undefined} Type record, or undefined if the entry has none
+   */
+  static getEntryTypeInfo(typeInfo, key) {
+    const entries = typeInfo && typeof typeInfo === 'object' ? typeInfo.items || typeInfo.entries : null;
+
+    return (entries && entries[key]) || undefined;
+  }
+
+  /**
+   * Get the type record of a value nested inside a custom value
+   * @param {string|object} [typeInfo] - Type record of the outer value
+   * @param {Array<string|number>} path - Keys and indexes leading to the value
+   * @returns {string|object|undefined} Type record, or undefined if the value has none
+   */
+  static getTypeInfoIn(typeInfo, path) {
+    return path.reduce((info, key) => PropertyRegistry.getEntryTypeInfo(info, key), typeInfo);
+  }
+
+  /**
+   * Set the type record of a value nested inside a custom value without changing the old records
+   * Lists and dictionaries along the path that have no record yet get one.
+   * @param {string|object} [typeInfo] - Type record of the outer value
+   * @param {*} value - Outer value
+   * @param {Array<string|number>} path - Keys and indexes leading to the value
+   * @param {string|object} [info] - New type record, or undefined to remove it
+   * @returns {string|object|undefined} New type record of the outer value
+   */
+  static setTypeInfoIn(typeInfo, value, path, info) {
+    if (path.length === 0) return info;
+
+    const [key, ...rest] = path;
+    const container = typeInfo && typeof typeInfo === 'object'
+      ? typeInfo
+      : PropertyRegistry.createTypeInfo(Array.isArray(value) ? 'array' : 'dictionary');
+    const field = container.type === 'array' ? 'items' : 'entries';
+    const entries = Array.isArray(container[field]) ? container[field].slice() : { ...container[field] };
+    const entry = PropertyRegistry.setTypeInfoIn(entries[key], value ? value[key] : undefined, rest, info);
+
+    if (Array.isArray(entries)) {
+      // Items without a record are kept as null so the records stay lined up with the items
+      for (let i = 0; i < key; i++) {
+        entries[i] = entries[i] || null;
+      }
+
+      entries[key] = entry || null;
+    } else if (entry === undefined) {
+      delete entries[key];
+    } else {
+      entries[key] = entry;
+    }
+
+    return { ...container, [field]: entries };
+  }
+
+  /**
+   * Get the property names no custom property can use
+   * @param {string} type - Object type ID
+   * @returns {Array<string>} Standard property names and the type's schema names
+   */
+  static getReservedNames(type) {
+    return STANDARD_NAMES.concat(PropertyRegistry.getPropertyNames(type));
+  }
+
+  /**
+   * Get the names of an object's custom properties
+   * Underscore-prefixed properties are editor-only state and never custom.
+   * @param {object} object - Scene object
+   * @returns {Array<string>} Property names
+   */
+  static getCustomPropertyNames(object) {
+    const reserved = PropertyRegistry.getReservedNames(object.type);
+
+    return Object.keys(object).filter(name =>
+      !reserved.includes(name) && !name.startsWith('_') && object[name] !== undefined
+    );
+  }
+
+  /**
+   * Call a function for every asset reference inside a custom value
+   * @param {*} value - Custom value
+   * @param {string|object} [typeInfo] - The value's type record; values without one hold no references
+   * @param {Function} callback - Called with the asset ID (or null) and the path to it
+   * @param {Array<string|number>} [path=[]] - Path to the value, passed on to the callback
+   */
+  static forEachAssetReference(value, typeInfo, callback, path = []) {
+    if (typeInfo === 'asset') {
+      callback(typeof value === 'string' ? value : null, path);
+      return;
+    }
+
+    if (typeInfo && typeof typeInfo === 'object' && value && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        const entryKey = Array.isArray(value) ? Number(key) : key;
+        PropertyRegistry.forEachAssetReference(value[key], PropertyRegistry.getEntryTypeInfo(typeInfo, entryKey), callback, path.concat(entryKey));
+      }
+    }
+  }
+
+  /**
+   * Replace the asset references inside a custom value
+   * @param {*} value - Custom value
+   * @param {string|object} [typeInfo] - The value's type record; values without one are returned unchanged
+   * @param {Function} replace - Turns an asset ID (or null) into the value to use instead
+   * @returns {*} New value
+   */
+  static mapAssetReferences(value, typeInfo, replace) {
+    if (typeInfo === 'asset') {
+      return replace(typeof value === 'string' ? value : null);
+    }
+
+    if (!typeInfo || typeof typeInfo !== 'object' || !value || typeof value !== 'object') {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map((item, index) => PropertyRegistry.mapAssetReferences(item, PropertyRegistry.getEntryTypeInfo(typeInfo, index), replace));
+    }
+
+    const result = {};
+
+    for (const key in value) {
+      result[key] = PropertyRegistry.mapAssetReferences(value[key], PropertyRegistry.getEntryTypeInfo(typeInfo, key), replace);
+    }
+
+    return result;
+  }
+}
+
+// Export the PropertyRegistry class
+module.exports = PropertyRegistry;
@@ -0,0 +1,346 @@
+// core/ReferenceIndex.js - Finds where assets are used
+
+const fsPromises = require('fs').promises;
+const path = require('path');
+const ComponentRegistry = require('./ComponentRegistry');
+const PropertyRegistry = require('./PropertyRegistry');
+
+// Folder exported games load assets from; scripts name assets by paths under it
+const ASSET_ROOT = 'assets';
+
+/**
+ * Reference Index - Answers "where is this asset used?"
+ * Scene objects, prefab parts, tilesets and animations point at assets by GUID, so they are read
+ * straight from the open project. Scripts can only name assets by path (e.g. "assets/images/player.png"),
+ * so script assets are read from disk, and the paths in them are rewritten when assets move.
+ * A reference is { assetId, source, sourceId, sourceName, objectId, objectName, property, line } where
+ * source is scene, prefab, asset or script; the object fields are only set for scene and prefab
+ * references and line only for script references.
+ */
+class ReferenceIndex {
+  /**
+   * Create a new Reference Index
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+
+    // Script sources by asset ID, with the modification time they were read at
+    this.scriptCache = new Map();
+
+    // Register event handlers
+    this.app.core.events.on('asset:deleted', (asset) => this.scriptCache.delete(asset.id));
+  }
+
+  /**
+   * Initialize the reference index
+   */
+  initialize() {
+    console.log('Initializing Reference Index');
+  }
+
+  /**
+   * Get the project's assets
+   * @returns {Array<object>} Asset records
+   */
+  getAssets() {
+    const assetBrowser = this.app.assetBrowser;
+
+    return (assetBrowser && assetBrowser.assets) ||
+      (this.app.project && this.app.project.assets) ||
+      [];
+  }
+
+  /**
+   * Get everything that uses an asset
+   * @param {object} asset - Asset record
+   * @returns {Promise<Array<object>>} References, scenes first and scripts last
+   */
+  async getReferences(asset) {
+    const references = [
+      ...this.findObjectReferences(asset.id),
+      ...this.findDefinitionReferences(asset.id),
+      ...await this.findScriptReferences(asset)
+    ];
+
+    return references.map(reference => ({ assetId: asset.id, ...reference }));
+  }
+
+  /**
+   * Get everything outside a set of assets that uses any of them
+   * Used before deleting a folder, where assets inside it may use each other.
+   * @param {Array<object>} assets - Asset records
+   * @returns {Promise<Array<object>>} References
+   */
+  async getExternalReferences(assets) {
+    const ids = assets.map(asset => asset.id);
+    const references = [];
+
+    for (const asset of assets) {
+      for (const reference of await this.getReferences(asset)) {
+        const internal = (reference.source === 'asset' || reference.source === 'script') && ids.includes(reference.sourceId);
+
+        if (!internal) references.push(reference);
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Describe a reference in one line
+   * @param {object} reference - Reference from getReferences
+   * @returns {string} Description such as Scene "Main" › Player (Image)
+   */
+  describe(reference) {
+    switch (reference.source) {
+      case 'scene':
+        return `Scene "${reference.sourceName}" › ${reference.objectName} (${reference.property})`;
+      case 'prefab':
+        return `Prefab "${reference.sourceName}" › ${reference.objectName} (${reference.property})`;
+      case 'script':
+        return `${reference.property}, line ${reference.line}`;
+      default:
+        return `${reference.sourceName} (${reference.property})`;
+    }
+  }
+
+  /**
+   * Find the scene objects and prefab parts that use an asset
+   * @param {string} assetId - Asset GUID
+   * @returns {Array<object>} References
+   */
+  findObjectReferences(assetId) {
+    const references = [];
+    const prefabManager = this.app.prefabManager;
+
+    const add = (source, owner, object) => {
+      for (const property of this.getObjectProperties(object, assetId)) {
+        references.push({
+          source,
+          sourceId: owner.id,
+          sourceName: owner.name,
+          objectId: object.id,
+          objectName: object.name || object.type,
+          property
+        });
+      }
+    };
+
+    for (const scene of prefabManager.getScenes()) {
+      for (const layer of scene.layers) {
+        for (const object of layer.objects) {
+          add('scene', scene, object);
+        }
+      }
+    }
+
+    for (const prefab of prefabManager.getPrefabs()) {
+      for (const part of prefab.objects) {
+        add('prefab', prefab, part);
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Get the properties of an object that hold an asset
+   * Covers the object type's asset properties, its components' asset properties and
+   * asset references anywhere in its custom properties.
+   * @param {object} object - Scene object or prefab part
+   * @param {string} assetId - Asset GUID
+   * @returns {Array<string>} Property labels
+   */
+  getObjectProperties(object, assetId) {
+    const labels = [];
+    const definition = PropertyRegistry.get(object.type);
+
+    if (definition) {
+      for (const property of definition.properties) {
+        if (property.type === 'asset' && PropertyRegistry.getIn(object, property.name.split('.')) === assetId) {
+          labels.push(property.label);
+        }
+      }
+    }
+
+    for (const component of object.components || []) {
+      const componentDefinition = ComponentRegistry.get(component.type);
+
+      if (!componentDefinition) continue;
+
+      for (const property of componentDefinition.properties) {
+        if (property.type === 'asset' && component[property.name] === assetId) {
+          labels.push(`${componentDefinition.name} › ${property.label}`);
+        }
+      }
+    }
+
+    const types = object.propertyTypes || {};
+
+    for (const name of PropertyRegistry.getCustomPropertyNames(object)) {
+      PropertyRegistry.forEachAssetReference(object[name], types[name], (id, path) => {
+        if (id === assetId) labels.push([name, ...path].join('.'));
+      });
+    }
+
+    return labels;
+  }
+
+  /**
+   * Find the tilesets and animations drawn from an image
+   * @param {string} assetId - Asset GUID
+   * @returns {Array<object>} References
+   */
+  findDefinitionReferences(assetId) {
+    const references = [];
+
+    for (const asset of this.getAssets()) {
+      const definition = asset.type === 'tileset' ? asset.tileset : asset.type === 'animation' ? asset.animation : null;
+
+      if (definition && definition.imageId === assetId) {
+        references.push({ source: 'asset', sourceId: asset.id, sourceName: asset.name, property: 'Image' });
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Find the script lines that name an asset by path
+   * @param {object} asset - Asset record
+   * @returns {Promise<Array<object>>} References
+   */
+  async findScriptReferences(asset) {
+    const references = [];
+    const pattern = this.createPathPattern(asset.path);
+
+    for (const script of this.getScripts()) {
+      const source = await this.readScript(script);
+
+      if (source === null) continue;
+
+      for (const match of source.matchAll(pattern)) {
+        references.push({
+          source: 'script',
+          sourceId: script.id,
+          sourceName: script.name,
+          property: script.path,
+          line: source.slice(0, match.index).split('\n').length
+        });
+      }
+    }
+
+    return references;
+  }
+
+  /**
+   * Rewrite the asset paths scripts use after assets were renamed or moved
+   * References by GUID need no change; only quoted paths in scripts name assets by location.
+   * All renames are matched against the original source in one pass, so a batch that moves A to B
+   * and B to C leaves a path to A pointing at B.
+   * @param {Array<object>} renames - Moves with oldPath and newPath, relative to the assets folder
+   * @returns {Promise<number>} Number of paths rewritten
+   */
+  async updatePathReferences(renames) {
+    if (renames.length === 0) return 0;
+
+    const newPaths = new Map(renames.map(({ oldPath, newPath }) => [this.getGamePath(oldPath), this.getGamePath(newPath)]));
+    const pattern = this.createPathPattern(renames.map(rename => rename.oldPath));
+    let count = 0;
+
+    for (const script of this.getScripts()) {
+      // Read the file itself so edits made outside the editor are never written over
+      const source = await this.readScript(script, false);
+
+      if (source === null) continue;
+
+      const updated = source.replace(pattern, (match, quote, gamePath) => {
+        count++;
+        return `${quote}${newPaths.get(gamePath)}${quote}`;
+      });
+
+      if (updated === source) continue;
+
+      const fullPath = this.getScriptPath(script);
+      await fsPromises.writeFile(fullPath, updated);
+
+      const stats = await fsPromises.stat(fullPath);
+      script.size = stats.size;
+      script.lastModified = stats.mtime.toISOString();
+      this.scriptCache.set(script.id, { lastModified: script.lastModified, path: script.path, source: updated });
+
+      this.app.core.events.emit('asset:updated', script.id, { size: script.size, lastModified: script.lastModified });
+    }
+
+    return count;
+  }
+
+  /**
+   * Get the project's script assets
+   * @returns {Array<object>} Script asset records
+   */
+  getScripts() {
+    return this.getAssets().filter(asset => asset.type === 'script');
+  }
+
+  /**
+   * Get the full path of a script on disk
+   * @param {object} script - Script asset
+   * @returns {string} Full path
+   */
+  getScriptPath(script) {
+    return path.join(this.app.project.path, 'assets', script.path);
+  }
+
+  /**
+   * Read a script, reusing the last read while the file is unchanged
+   * The file's own modification time is checked rather than the asset record's, since scripts
+   * are edited in external editors that the record doesn't hear about.
+   * @param {object} script - Script asset
+   * @param {boolean} [useCache=true] - False to always read the file, as before rewriting it
+   * @returns {Promise<string|null>} Source, or null if the file can't be read
+   */
+  async readScript(script, useCache = true) {
+    const fullPath = this.getScriptPath(script);
+
+    try {
+      const lastModified = (await fsPromises.stat(fullPath)).mtime.toISOString();
+      const cached = this.scriptCache.get(script.id);
+
+      if (useCache && cached && cached.lastModified === lastModified && cached.path === script.path) {
+        return cached.source;
+      }
+
+      const source = await fsPromises.readFile(fullPath, 'utf8');
+      this.scriptCache.set(script.id, { lastModified, path: script.path, source });
+      return source;
+    } catch (error) {
+      console.warn(`Could not read script '${script.path}':`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get the path an exported game loads an asset from
+   * @param {string} assetPath - Path relative to the assets folder
+   * @returns {string} Path relative to the game root
+   */
+  getGamePath(assetPath) {
+    return `${ASSET_ROOT}/${assetPath.replace(/\\/g, '/')}`;
+  }
+
+  /**
+   * Create a pattern matching asset paths as quoted strings
+   * @param {string|Array<string>} assetPaths - Paths relative to the assets folder
+   * @returns {RegExp} Global pattern whose first group is the quote character and second the game path
+   */
+  createPathPattern(assetPaths) {
+    const escaped = [].concat(assetPaths).map(assetPath => this.getGamePath(assetPath).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+
+    return new RegExp(`(["'])(${escaped.join('|')})\\1`, 'g');
+  }
+}
+
+// Export the ReferenceIndex class
+module.exports = ReferenceIndex;
@@ -0,0 +1,900 @@
+// core/SceneCompiler.js - Compiles editor scenes into Lua modules
+
+const AnimationManager = require('./AnimationManager');
+const ComponentRegistry = require('./ComponentRegistry');
+const PropertyRegistry = require('./PropertyRegistry');
+
+// Lua keywords that cannot be used as bare table keys
+const LUA_KEYWORDS = [
+  'and', 'break', 'do', 'else', 'elseif', 'end', 'false', 'for', 'function',
+  'goto', 'if', 'in', 'local', 'nil', 'not', 'or', 'repeat', 'return', 'then',
+  'true', 'until', 'while'
+];
+
+// Shared runtime included in every compiled scene
+const SCENE_RUNTIME = `
+local function parseColor(value, alpha)
+  if type(value) == "table" then
+    return value
+  end
+
+  if type(value) ~= "string" or value == "transparent" then
+    return nil
+  end
+
+  local hex = value:gsub("#", "")
+
+  if #hex == 3 then
+    hex = hex:gsub("(.)", "%1%1")
+  end
+
+  local r = tonumber(hex:sub(1, 2), 16) or 255
+  local g = tonumber(hex:sub(3, 4), 16) or 255
+  local b = tonumber(hex:sub(5, 6), 16) or 255
+  local a = #hex >= 8 and (tonumber(hex:sub(7, 8), 16) or 255) / 255 or 1
+
+  return { r / 255, g / 255, b / 255, a * (alpha or 1) }
+end
+
+local function loadImage(path)
+  if not path then
+    return nil
+  end
+
+  local ok, image = pcall(love.graphics.newImage, path)
+
+  if not ok then
+    print("Error loading image: " .. path)
+    return nil
+  end
+
+  return image
+end
+
+-- Get the part of an image an object draws from: its region of a texture atlas, or the whole image
+local function getImageRegion(image, region)
+  if region then
+    return region.x, region.y, region.width, region.height
+  end
+
+  return 0, 0, image:getWidth(), image:getHeight()
+end
+
+-- Keep a camera's view inside bounds on one axis, centering it when the bounds are smaller
+local function clampView(position, size, min, length)
+  if size >= length then
+    return min + (length - size) / 2
+  end
+
+  return math.max(min, math.min(position, min + length - size))
+end
+
+-- Get an object's physics body, creating the scene's world and the body on first use
+local function getBody(scene, object)
+  if object._body then
+    return object._body
+  end
+
+  if not scene.world then
+    love.physics.setMeter(64)
+    scene.world = love.physics.newWorld(0, 9.81 * 64, true)
+  end
+
+  local rigidbody = object.components.rigidbody
+  local body = love.physics.newBody(
+    scene.world,
+    object.x + object.width / 2,
+    object.y + object.height / 2,
+    rigidbody and rigidbody.bodyType or "static"
+  )
+
+  body:setAngle(math.rad(object.rotation or 0))
+  body:setUserData(object)
+  object._body = body
+
+  return body
+end
+
+-- Component functions by component type
+local components = {}
+
+-- Start one of a sprite's animation clips from its first frame
+local function playAnimation(object, name)
+  local clip = object.animation and object.animation.clips[name]
+
+  if not clip or #clip.frames == 0 or not object._quads then
+    return false
+  end
+
+  object.clip = name
+  object._clip = clip
+  object._frame = 1
+  object._frameTime = 0
+  object._direction = 1
+  object._finished = false
+  object._quad = object._quads[clip.frames[1]]
+
+  return true
+end
+
+-- Move a sprite's animation on; ping-pong clips turn around at either end
+-- and clips that play once stop on their last frame
+local function updateAnimation(object, dt)
+  local clip = object._clip
+
+  if not clip or object._finished then
+    return
+  end
+
+  object._frameTime = object._frameTime + dt * (object.animationSpeed or 1)
+
+  while object._frameTime >= clip.durations[object._frame] do
+    object._frameTime = object._frameTime - clip.durations[object._frame]
+
+    local nextFrame = object._frame + object._direction
+
+    if nextFrame < 1 or nextFrame > #clip.frames then
+      if clip.loop == "once" then
+        object._finished = true
+        break
+      elseif clip.loop == "pingpong" and #clip.frames > 1 then
+        object._direction = -object._direction
+        nextFrame = object._frame + object._direction
+      else
+        nextFrame = 1
+      end
+    end
+
+    object._frame = nextFrame
+  end
+
+  object._quad = object._quads[clip.frames[object._frame]]
+end
+
+local drawers = {}
+
+function drawers.sprite(object)
+  local image = object._image
+
+  if not image then
+    return
+  end
+
+  -- Animations and animators draw one frame of the image
+  local quad = object._quad
+  local sourceWidth, sourceHeight = image:getDimensions()
+
+  if quad then
+    local _, _, quadWidth, quadHeight = quad:getViewport()
+    sourceWidth, sourceHeight = quadWidth, quadHeight
+  end
+
+  local color = parseColor(object.tint or "#FFFFFF", object.opacity or 1)
+  local sx = object.width / sourceWidth
+  local sy = object.height / sourceHeight
+  local x = object.flipX and object.width or 0
+  local y = object.flipY and object.height or 0
+
+  love.graphics.setColor(color)
+
+  if quad then
+    love.graphics.draw(image, quad, x, y, 0, object.flipX and -sx or sx, object.flipY and -sy or sy)
+  else
+    love.graphics.draw(image, x, y, 0, object.flipX and -sx or sx, object.flipY and -sy or sy)
+  end
+end
+
+function drawers.rectangle(object)
+  local radius = object.cornerRadius or 0
+
+  love.graphics.setColor(parseColor(object.fillColor or "#FF0000"))
+  love.graphics.rectangle("fill", 0, 0, object.width, object.height, radius, radius)
+
+  local border = parseColor(object.borderColor)
+
+  if border then
+    love.graphics.setColor(border)
+    love.graphics.setLineWidth(object.borderWidth or 1)
+    love.graphics.rectangle("line", 0, 0, object.width, object.height, radius, radius)
+  end
+end
+
+function drawers.circle(object)
+  local radius = math.min(object.width, object.height) / 2
+
+  love.graphics.setColor(parseColor(object.fillColor or "#00FF00"))
+  love.graphics.circle("fill", object.width / 2, object.height / 2, radius)
+
+  local border = parseColor(object.borderColor)
+
+  if border then
+    love.graphics.setColor(border)
+    love.graphics.setLineWidth(object.borderWidth or 1)
+    love.graphics.circle("line", object.width / 2, object.height / 2, radius)
+  end
+end
+
+function drawers.text(object)
+  local background = parseColor(object.backgroundColor)
+
+  if background then
+    love.graphics.setColor(background)
+    love.graphics.rectangle("fill", 0, 0, object.width, object.height)
+  end
+
+  love.graphics.setFont(object._font)
+  love.graphics.setColor(parseColor(object.textColor or "#FFFFFF"))
+
+  if object.wrap then
+    love.graphics.printf(object.text or "", 0, 0, object.width, object.textAlign or "left")
+  else
+    love.graphics.print(object.text or "", 0, 0)
+  end
+end
+
+function drawers.tilemap(object)
+  if object._batch then
+    love.graphics.setColor(1, 1, 1, 1)
+    love.graphics.draw(object._batch)
+  end
+end
+
+local loaders = {}
+
+function loaders.sprite(object)
+  object._image = loadImage(object.imagePath)
+
+  if not object._image then
+    return
+  end
+
+  local regionX, regionY, regionWidth, regionHeight = getImageRegion(object._image, object.imageRegion)
+
+  -- Sprites packed into an atlas draw only their part of it
+  if object.imageRegion then
+    object._quad = love.graphics.newQuad(regionX, regionY, regionWidth, regionHeight, object._image:getDimensions())
+  end
+
+  if object.animation then
+    object._quads = {}
+
+    for index, frame in ipairs(object.animation.frames) do
+      object._quads[index] = love.graphics.newQuad(regionX + frame.x, regionY + frame.y, frame.width, frame.height, object._image:getDimensions())
+    end
+
+    playAnimation(object, object.clip)
+  end
+end
+
+function loaders.text(object)
+  object._font = love.graphics.newFont(object.fontSize or 16)
+end
+
+function loaders.tilemap(object)
+  local image = loadImage(object.tilesetPath)
+
+  if not image or not object.tileData then
+    return
+  end
+
+  local tileWidth = object.tileWidth or object.tileSize or 32
+  local tileHeight = object.tileHeight or object.tileSize or 32
+
+  -- Tiles are cut from the tileset at its own size and scaled to fit the tilemap's cells
+  local sourceWidth = object.sourceTileWidth or tileWidth
+  local sourceHeight = object.sourceTileHeight or tileHeight
+  local scaleX = tileWidth / sourceWidth
+  local scaleY = tileHeight / sourceHeight
+  local margin = object.tileMargin or 0
+  local spacing = object.tileSpacing or 0
+  local columns = object.columns or math.floor(object.width / tileWidth)
+  local rows = object.rows or math.floor(object.height / tileHeight)
+  local regionX, regionY, regionWidth = getImageRegion(image, object.tilesetRegion)
+  local sheetColumns = math.max(1, math.floor((regionWidth - 2 * margin + spacing) / (sourceWidth + spacing)))
+  local batch = love.graphics.newSpriteBatch(image, columns * rows)
+  local quads = {}
+
+  for row = 0, rows - 1 do
+    for col = 0, columns - 1 do
+      local tile = object.tileData[row * columns + col + 1]
+
+      if tile and tile > 0 then
+        if not quads[tile] then
+          local index = tile - 1
+          quads[tile] = love.graphics.newQuad(
+            regionX + margin + (index % sheetColumns) * (sourceWidth + spacing),
+            regionY + margin + math.floor(index / sheetColumns) * (sourceHeight + spacing),
+            sourceWidth, sourceHeight,
+            image:getDimensions()
+          )
+        end
+
+        batch:add(quads[tile], col * tileWidth, row * tileHeight, 0, scaleX, scaleY)
+      end
+    end
+  end
+
+  object._batch = batch
+end
+`;
+
+// Methods every compiled scene exposes to main.lua
+const SCENE_METHODS = `
+function Scene:init()
+  self.objectsById = {}
+
+  for _, layer in ipairs(self.layers) do
+    for _, object in ipairs(layer.objects) do
+      self.objectsById[object.id] = object
+
+      if loaders[object.type] then
+        loaders[object.type](object)
+      end
+
+      -- Components can also be reached by type, e.g. object.components.rigidbody
+      for _, component in ipairs(object.components or {}) do
+        object.components[component.type] = component
+      end
+
+      -- The first enabled camera is the one the scene is viewed through
+      if object.type == "camera" and object.enabled ~= false and not self.camera then
+        self.camera = object
+      end
+    end
+  end
+
+  -- Every object exists before components start, so they can look each other up
+  self:callComponents("init")
+  self:callComponents("start")
+
+  if self.onInit then
+    self:onInit()
+  end
+
+  self:updateCamera()
+end
+
+function Scene:update(dt)
+  if self.world then
+    self.world:update(dt)
+  end
+
+  self:updateAnimations(dt)
+  self:callComponents("update", dt)
+
+  if self.onUpdate then
+    self:onUpdate(dt)
+  end
+
+  self:updateCamera()
+end
+
+function Scene:updateCamera()
+  local camera = self.camera
+
+  if not camera then
+    return
+  end
+
+  local screenWidth, screenHeight = love.graphics.getDimensions()
+  local zoom = camera.zoom or 1
+  local centerX = camera.x + camera.width / 2
+  local centerY = camera.y + camera.height / 2
+  local target = camera.followTarget and self.objectsById[camera.followTarget]
+
+  if target then
+    centerX = target.x + target.width / 2
+    centerY = target.y + target.height / 2
+  end
+
+  -- The view covers the window at the camera's zoom
+  camera.width = screenWidth / zoom
+  camera.height = screenHeight / zoom
+  camera.x = centerX - camera.width / 2
+  camera.y = centerY - camera.height / 2
+
+  if camera.bounds then
+    camera.x = clampView(camera.x, camera.width, camera.bounds.x, camera.bounds.width)
+    camera.y = clampView(camera.y, camera.height, camera.bounds.y, camera.bounds.height)
+  end
+end
+
+function Scene:applyCamera()
+  local camera = self.camera
+
+  if not camera then
+    return
+  end
+
+  local screenWidth, screenHeight = love.graphics.getDimensions()
+
+  love.graphics.translate(screenWidth / 2, screenHeight / 2)
+  love.graphics.scale(camera.zoom or 1)
+  love.graphics.rotate(-math.rad(camera.rotation or 0))
+  love.graphics.translate(-(camera.x + camera.width / 2), -(camera.y + camera.height / 2))
+end
+
+function Scene:toWorld(screenX, screenY)
+  local camera = self.camera
+
+  if not camera then
+    return screenX, screenY
+  end
+
+  local screenWidth, screenHeight = love.graphics.getDimensions()
+  local zoom = camera.zoom or 1
+  local angle = math.rad(camera.rotation or 0)
+  local dx = (screenX - screenWidth / 2) / zoom
+  local dy = (screenY - screenHeight / 2) / zoom
+
+  return camera.x + camera.width / 2 + dx * math.cos(angle) - dy * math.sin(angle),
+    camera.y + camera.height / 2 + dx * math.sin(angle) + dy * math.cos(angle)
+end
+
+function Scene:draw()
+  local background = parseColor(self.backgroundColor)
+
+  if background then
+    love.graphics.clear(background)
+  end
+
+  love.graphics.push()
+  self:applyCamera()
+
+  for _, layer in ipairs(self.layers) do
+    if layer.visible ~= false then
+      for _, object in ipairs(layer.objects) do
+        local draw = drawers[object.type]
+
+        if (draw or object.components) and object.enabled ~= false then
+          love.graphics.push()
+          love.graphics.translate(object.x + object.width / 2, object.y + object.height / 2)
+          love.graphics.rotate(math.rad(object.rotation or 0))
+          love.graphics.translate(-object.width / 2, -object.height / 2)
+
+          if draw then
+            draw(object)
+          end
+
+          self:callObjectComponents(object, "draw")
+          love.graphics.pop()
+        end
+      end
+    end
+  end
+
+  love.graphics.pop()
+  love.graphics.setColor(1, 1, 1, 1)
+
+  -- onDraw draws in screen space, after the camera is undone
+  if self.onDraw then
+    self:onDraw()
+  end
+end
+
+function Scene:callComponents(hook, ...)
+  for _, layer in ipairs(self.layers) do
+    for _, object in ipairs(layer.objects) do
+      self:callObjectComponents(object, hook, ...)
+    end
+  end
+end
+
+function Scene:callObjectComponents(object, hook, ...)
+  for _, component in ipairs(object.components or {}) do
+    local system = components[component.type]
+
+    if system and system[hook] and object.enabled ~= false then
+      system[hook](self, object, component, ...)
+    end
+  end
+end
+
+function Scene:updateAnimations(dt)
+  for _, layer in ipairs(self.layers) do
+    for _, object in ipairs(layer.objects) do
+      if object._clip and object.enabled ~= false then
+        updateAnimation(object, dt)
+      end
+    end
+  end
+end
+
+-- Switch a sprite to another of its animation's clips; returns false if it has no such clip
+function Scene:playAnimation(object, name)
+  return playAnimation(object, name)
+end
+
+function Scene:getObject(id)
+  return self.objectsById and self.objectsById[id]
+end
+
+function Scene:findObject(name)
+  for _, layer in ipairs(self.layers) do
+    for _, object in ipairs(layer.objects) do
+      if object.name == name then
+        return object
+      end
+    end
+  end
+
+  return nil
+end
+`;
+
+/**
+ * Scene Compiler - Turns SceneEditor scene data into Lua modules
+ * Each compiled module exposes init/update/draw so the generated main.lua can load it
+ */
+class SceneCompiler {
+  /**
+   * Create a new Scene Compiler
+   * @param {object} [options={}] - Compiler options
+   * @param {string} [options.assetRoot='assets'] - Folder assets live in, relative to the game root
+   */
+  constructor(options = {}) {
+    this.assetRoot = options.assetRoot || 'assets';
+    this.indent = '  ';
+  }
+
+  /**
+   * Get the Lua module name for a scene
+   * @param {object|string} scene - Scene data or scene ID
+   * @returns {string} Module name usable with require("scenes." .. name)
+   */
+  getModuleName(scene) {
+    const id = typeof scene === 'string' ? scene : scene.id;
+    return String(id || 'scene').replace(/[^a-zA-Z0-9_]/g, '_');
+  }
+
+  /**
+   * Compile a scene to a Lua module
+   * @param {object} scene - Scene data as produced by SceneEditor
+   * @param {object} [context={}] - Compilation context
+   * @param {Array} [context.assets=[]] - Project assets used to resolve asset IDs to file paths
+   * @param {object} [context.atlas={}] - Texture atlas regions by image path, for images packed into atlases
+   * @returns {string} Lua source
+   */
+  compile(scene, context = {}) {
+    const assets = new Map((context.assets || []).map(asset => [asset.id, asset]));
+    const atlas = context.atlas || {};
+
+    const data = {
+      id: scene.id,
+      name: scene.name,
+      width: scene.width || 800,
+      height: scene.height || 600,
+      backgroundColor: scene.backgroundColor || '#000000',
+      layers: (scene.layers || []).map(layer => ({
+        id: layer.id,
+        name: layer.name,
+        visible: layer.visible !== false,
+        objects: (layer.objects || []).map(object => this.prepareObject(object, assets, atlas))
+      }))
+    };
+
+    // Only the components the scene uses are compiled in
+    const componentTypes = new Set();
+
+    for (const layer of data.layers) {
+      for (const object of layer.objects) {
+        for (const component of object.components || []) {
+          componentTypes.add(component.type);
+        }
+      }
+    }
+
+    let lua = `-- Generated by Love2D Editor Suite\n`;
+    lua += `-- Scene: ${String(scene.name || scene.id).replace(/[\r\n]+/g, ' ')}\n`;
+    lua += `-- Do not edit: this file is regenerated from scenes/${scene.id}.json\n`;
+    lua += SCENE_RUNTIME;
+    lua += ComponentRegistry.getLuaRuntime(componentTypes);
+    lua += `\nlocal Scene = ${this.toLuaValue(data, 0)}\n`;
+    lua += SCENE_METHODS;
+    lua += `\nreturn Scene\n`;
+
+    return lua;
+  }
+
+  /**
+   * Compile a module that forwards to another scene module
+   * Used so the project's initial scene name always resolves to a real scene
+   * @param {string} moduleName - Target module name
+   * @returns {string} Lua source
+   */
+  compileAlias(moduleName) {
+    return `-- Generated by Love2D Editor Suite\nreturn require(${this.toLuaString(`scenes.${moduleName}`)})\n`;
+  }
+
+  /**
+   * Prepare an object for export
+   * Drops editor-only state and resolves asset references to file paths
+   * @param {object} object - Scene object
+   * @param {Map} assets - Assets by ID
+   * @param {object} [atlas={}] - Texture atlas regions by image path
+   * @returns {object} Exportable object data
+   */
+  prepareObject(object, assets, atlas = {}) {
+    const data = {};
+    const types = object.propertyTypes || {};
+
+    for (const key in object) {
+      // Underscore-prefixed properties are editor-only state, as are the custom property types
+      if (key.startsWith('_') || key === 'propertyTypes') continue;
+
+      const value = this.toPlainValue(this.resolveAssetReferences(object[key], types[key], assets));
+
+      if (value !== undefined) {
+        data[key] = value;
+      }
+    }
+
+    // Every object needs a transform
+    data.x = data.x || 0;
+    data.y = data.y || 0;
+    data.width = data.width || 0;
+    data.height = data.height || 0;
+
+    // Resolve asset IDs to paths inside the game
+    if (object.type === 'sprite' && object.animation) {
+      Object.assign(data, this.resolveAnimation(object, assets));
+    } else if (object.type === 'sprite' && object.imageId) {
+      data.imagePath = this.resolveAssetPath(object.imageId, assets);
+    } else if (object.type === 'tilemap' && object.tileset) {
+      Object.assign(data, this.resolveTileset(object, assets));
+    }
+
+    // Images packed into an atlas are drawn from their region of the atlas page
+    this.applyAtlasRegion(data, 'imagePath', 'imageRegion', atlas);
+    this.applyAtlasRegion(data, 'tilesetPath', 'tilesetRegion', atlas);
+
+    if (Array.isArray(object.components)) {
+      data.components = this.toPlainValue(
+        ComponentRegistry.exportComponents(object.components, id => this.resolveAssetPath(id, assets))
+      );
+    }
+
+    return data;
+  }
+
+  /**
+   * Resolve a sprite's animation to its image and the frames and clips the runtime plays
+   * Clip frames become 1-based indexes into the frame list, with their durations alongside.
+   * @param {object} object - Sprite object
+   * @param {Map} assets - Assets by ID
+   * @returns {object} imagePath, animation and clip (the first clip if the sprite doesn't pick one)
+   */
+  resolveAnimation(object, assets) {
+    const asset = assets.get(object.animation);
+
+    if (!asset || asset.type !== 'animation' || !asset.animation) {
+      console.warn(`Scene references unknown animation '${object.animation}'`);
+      return { animation: undefined, imagePath: object.imageId ? this.resolveAssetPath(object.imageId, assets) : undefined };
+    }
+
+    const definition = asset.animation;
+    const clips = {};
+
+    for (const clip of definition.clips || []) {
+      clips[clip.name] = {
+        frames: clip.frames.map(clipFrame => clipFrame.frame + 1),
+        durations: clip.frames.map(clipFrame => AnimationManager.getFrameDuration(clipFrame)),
+        loop: clip.loop || 'loop'
+      };
+    }
+
+    const firstClip = (definition.clips || [])[0];
+
+    return {
+      imagePath: definition.imageId ? this.resolveAssetPath(definition.imageId, assets) : undefined,
+      animation: {
+        frames: (definition.frames || []).map(({ x, y, width, height }) => ({ x, y, width, height })),
+        clips
+      },
+      clip: object.clip || (firstClip ? firstClip.name : undefined)
+    };
+  }
+
+  /**
+   * Resolve a tilemap's tileset to the atlas image and its grid
+   * Older tilemaps reference an image directly and use their own tile size. The tilemap's cell size
+   * is kept, as the editor draws with it; tiles are scaled from the tileset's tile size to fit.
+   * @param {object} object - Tilemap object
+   * @param {Map} assets - Assets by ID
+   * @returns {object} tilesetPath plus sourceTileWidth, sourceTileHeight, tileMargin and tileSpacing for tileset assets
+   */
+  resolveTileset(object, assets) {
+    const asset = assets.get(object.tileset);
+
+    if (!asset || asset.type !== 'tileset') {
+      return { tilesetPath: this.resolveAssetPath(object.tileset, assets) };
+    }
+
+    const tileset = asset.tileset || {};
+
+    return {
+      tilesetPath: tileset.imageId ? this.resolveAssetPath(tileset.imageId, assets) : undefined,
+      sourceTileWidth: tileset.tileWidth || 32,
+      sourceTileHeight: tileset.tileHeight || 32,
+      tileMargin: tileset.margin || 0,
+      tileSpacing: tileset.spacing || 0
+    };
+  }
+
+  /**
+   * Point an image path at the atlas page the image was packed into
+   * @param {object} data - Exportable object data
+   * @param {string} pathKey - Property holding the image path
+   * @param {string} regionKey - Property that receives the image's rectangle on the page
+   * @param {object} atlas - Texture atlas regions by image path
+   */
+  applyAtlasRegion(data, pathKey, regionKey, atlas) {
+    const region = data[pathKey] && atlas[data[pathKey]];
+
+    if (!region) return;
+
+    data[pathKey] = region.atlas;
+    data[regionKey] = { x: region.x, y: region.y, width: region.width, height: region.height };
+  }
+
+  /**
+   * Resolve an asset ID to a path relative to the game root
+   * @param {string} assetId - Asset ID
+   * @param {Map} assets - Assets by ID
+   * @returns {string|undefined} Asset path or undefined if the asset is unknown
+   */
+  resolveAssetPath(assetId, assets) {
+    const asset = assets.get(assetId);
+
+    if (!asset) {
+      console.warn(`Scene references unknown asset '${assetId}'`);
+      return undefined;
+    }
+
+    return `${this.assetRoot}/${asset.path.replace(/\\/g, '/')}`;
+  }
+
+  /**
+   * Replace the asset references inside a custom property value with the assets' paths
+   * @param {*} value - Property value
+   * @param {string|object} [typeInfo] - The property's type record from the object's propertyTypes
+   * @param {Map} assets - Assets by ID
+   * @returns {*} Value with asset IDs turned into path strings
+   */
+  resolveAssetReferences(value, typeInfo, assets) {
+    return PropertyRegistry.mapAssetReferences(value, typeInfo, assetId =>
+      assetId ? this.resolveAssetPath(assetId, assets) : undefined
+    );
+  }
+
+  /**
+   * Reduce a value to plain data that can be written as Lua
+   * @param {*} value - Value to convert
+   * @returns {*} Plain value or undefined if the value cannot be exported
+   */
+  toPlainValue(value) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+
+    if (typeof value === 'string' || typeof value === 'boolean') {
+      return value;
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? value : undefined;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.toPlainValue(item)).map(item => item === undefined ? null : item);
+    }
+
+    // Only plain objects are data; DOM elements, images, etc. are runtime state
+    if (typeof value === 'object') {
+      const prototype = Object.getPrototypeOf(value);
+
+      if (prototype !== Object.prototype && prototype !== null) {
+        return undefined;
+      }
+
+      const result = {};
+
+      for (const key in value) {
+        if (key.startsWith('_')) continue;
+
+        const item = this.toPlainValue(value[key]);
+
+        if (item !== undefined) {
+          result[key] = item;
+        }
+      }
+
+      return result;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Serialize a plain value as a Lua expression
+   * @param {*} value - Value to serialize
+   * @param {number} [depth=0] - Current indentation depth
+   * @returns {string} Lua expression
+   */
+  toLuaValue(value, depth = 0) {
+    if (value === null || value === undefined) {
+      return 'nil';
+    }
+
+    if (typeof value === 'boolean') {
+      return value ? 'true' : 'false';
+    }
+
+    if (typeof value === 'number') {
+      return Number.isFinite(value) ? String(value) : '0';
+    }
+
+    if (typeof value === 'string') {
+      return this.toLuaString(value);
+    }
+
+    const pad = this.indent.repeat(depth + 1);
+    const closePad = this.indent.repeat(depth);
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '{}';
+
+      // Keep long flat number arrays (tile data) compact
+      if (value.every(item => typeof item === 'number')) {
+        const lines = [];
+
+        for (let i = 0; i < value.length; i += 32) {
+          lines.push(pad + value.slice(i, i + 32).map(item => this.toLuaValue(item)).join(', '));
+        }
+
+        return `{\n${lines.join(',\n')}\n${closePad}}`;
+      }
+
+      const items = value.map(item => pad + this.toLuaValue(item, depth + 1));
+      return `{\n${items.join(',\n')}\n${closePad}}`;
+    }
+
+    const keys = Object.keys(value);
+    if (keys.length === 0) return '{}';
+
+    const fields = keys.map(key => `${pad}${this.toLuaKey(key)} = ${this.toLuaValue(value[key], depth + 1)}`);
+    return `{\n${fields.join(',\n')}\n${closePad}}`;
+  }
+
+  /**
+   * Format a table key
+   * @param {string} key - Key name
+   * @returns {string} Bare identifier or bracketed string key
+   */
+  toLuaKey(key) {
+    if (/^[A-Za-z_][A-Za-z0-9_]*$/.test(key) && !LUA_KEYWORDS.includes(key)) {
+      return key;
+    }
+
+    return `[${this.toLuaString(key)}]`;
+  }
+
+  /**
+   * Convert a value to a quoted Lua string literal
+   * @param {string} value - String value
+   * @returns {string} Lua string literal
+   */
+  toLuaString(value) {
+    const escaped = String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/"/g, '\\"')
+      .replace(/\n/g, '\\n')
+      .replace(/\r/g, '\\r')
+      .replace(/\0/g, '\\0');
+
+    return `"${escaped}"`;
+  }
+}
+
+// Export the SceneCompiler class
+module.exports = SceneCompiler;
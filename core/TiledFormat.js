@@ -0,0 +1,771 @@
+// core/TiledFormat.js - Reads and writes Tiled map files (.tmx, .tmj, .tsx and .tsj)
+
+const path = require('path');
+const zlib = require('zlib');
+
+// Flags stored in the high bits of a global tile ID
+const FLIPPED_HORIZONTALLY = 0x80000000;
+const FLIPPED_VERTICALLY = 0x40000000;
+const FLIPPED_DIAGONALLY = 0x20000000;
+const ROTATED_HEXAGONAL = 0x10000000;
+
+// XML attributes read as numbers and as booleans; everything else stays a string
+const NUMBER_ATTRIBUTES = new Set([
+  'id', 'width', 'height', 'tilewidth', 'tileheight', 'x', 'y', 'rotation', 'gid', 'firstgid',
+  'margin', 'spacing', 'tilecount', 'columns', 'offsetx', 'offsety', 'opacity', 'nextlayerid',
+  'nextobjectid', 'parallaxx', 'parallaxy', 'hexsidelength', 'pixelsize', 'compressionlevel'
+]);
+const BOOLEAN_ATTRIBUTES = new Set([
+  'visible', 'locked', 'infinite', 'wrap', 'bold', 'italic', 'underline', 'strikeout', 'kerning',
+  'repeatx', 'repeaty'
+]);
+
+// Version written into exported maps
+const TILED_VERSION = '1.10';
+
+/**
+ * Get the child elements of an XML element, optionally by name
+ * @param {Element} element - Parent element
+ * @param {string} [name] - Element name to keep
+ * @returns {Array<Element>} Child elements in document order
+ */
+function childElements(element, name) {
+  return Array.from(element.childNodes).filter(node =>
+    node.nodeType === 1 && (!name || node.nodeName === name)
+  );
+}
+
+/**
+ * Read an element's attributes into an object
+ * @param {Element} element - XML element
+ * @returns {object} Attribute values, converted to numbers and booleans where Tiled uses them
+ */
+function readAttributes(element) {
+  const values = {};
+
+  for (const attribute of Array.from(element.attributes)) {
+    const name = attribute.name;
+
+    if (NUMBER_ATTRIBUTES.has(name)) {
+      values[name] = Number(attribute.value);
+    } else if (BOOLEAN_ATTRIBUTES.has(name)) {
+      values[name] = attribute.value === '1' || attribute.value === 'true';
+    } else {
+      values[name] = attribute.value;
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Read the <properties> of an element
+ * @param {Element} element - XML element
+ * @returns {Array<object>} Properties with name, type and value, as in .tmj files
+ */
+function readProperties(element) {
+  const container = childElements(element, 'properties')[0];
+
+  if (!container) return [];
+
+  return childElements(container, 'property').map(property => {
+    const attributes = readAttributes(property);
+    const type = attributes.type || 'string';
+    const text = property.hasAttribute('value') ? property.getAttribute('value') : property.textContent;
+    let value;
+
+    switch (type) {
+      case 'int':
+      case 'float':
+      case 'object':
+        value = Number(text);
+        break;
+      case 'bool':
+        value = text === 'true';
+        break;
+      case 'class':
+        value = TiledFormat.getPropertyValues(readProperties(property));
+        break;
+      default:
+        value = text;
+    }
+
+    const result = { name: attributes.name, type, value };
+
+    if (attributes.propertytype) {
+      result.propertytype = attributes.propertytype;
+    }
+
+    return result;
+  });
+}
+
+/**
+ * Decode tile layer data to global tile IDs
+ * @param {Array<number>|string} data - Tile IDs, or encoded data
+ * @param {string} [encoding] - 'csv' or 'base64'
+ * @param {string} [compression] - '', 'zlib' or 'gzip'
+ * @returns {Array<number>} Global tile IDs
+ */
+function decodeData(data, encoding, compression) {
+  if (Array.isArray(data)) return data;
+
+  if (encoding === 'csv') {
+    return data.split(',').map(value => value.trim()).filter(value => value !== '').map(Number);
+  }
+
+  if (encoding !== 'base64') {
+    throw new Error(`Unsupported tile data encoding '${encoding}'`);
+  }
+
+  let buffer = Buffer.from(data.trim(), 'base64');
+
+  if (compression === 'zlib') {
+    buffer = zlib.inflateSync(buffer);
+  } else if (compression === 'gzip') {
+    buffer = zlib.gunzipSync(buffer);
+  } else if (compression) {
+    throw new Error(`Unsupported tile data compression '${compression}'`);
+  }
+
+  const gids = [];
+
+  for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+    gids.push(buffer.readUInt32LE(offset));
+  }
+
+  return gids;
+}
+
+/**
+ * Read the tiles of a <data> or <chunk> element
+ * @param {Element} element - Data or chunk element
+ * @param {string} encoding - Encoding of the parent <data>
+ * @param {string} compression - Compression of the parent <data>
+ * @returns {Array<number>} Global tile IDs
+ */
+function readTileData(element, encoding, compression) {
+  // Without an encoding every tile is its own <tile gid="..."/> element
+  if (!encoding) {
+    return childElements(element, 'tile').map(tile => Number(tile.getAttribute('gid') || 0));
+  }
+
+  return decodeData(element.textContent, encoding, compression);
+}
+
+/**
+ * Read a <tileset> element
+ * @param {Element} element - Tileset element
+ * @returns {object} Tileset as in .tmj files
+ */
+function readTileset(element) {
+  const tileset = readAttributes(element);
+  const image = childElements(element, 'image')[0];
+
+  if (image) {
+    const attributes = readAttributes(image);
+    tileset.image = attributes.source;
+    tileset.imagewidth = attributes.width;
+    tileset.imageheight = attributes.height;
+  }
+
+  const tiles = childElements(element, 'tile').map(tileElement => {
+    const tile = readAttributes(tileElement);
+    const tileImage = childElements(tileElement, 'image')[0];
+
+    if (tileImage) {
+      const attributes = readAttributes(tileImage);
+      tile.image = attributes.source;
+      tile.imagewidth = attributes.width;
+      tile.imageheight = attributes.height;
+    }
+
+    const properties = readProperties(tileElement);
+
+    if (properties.length > 0) {
+      tile.properties = properties;
+    }
+
+    return tile;
+  });
+
+  if (tiles.length > 0) {
+    tileset.tiles = tiles;
+  }
+
+  tileset.properties = readProperties(element);
+
+  return tileset;
+}
+
+/**
+ * Read an <object> element
+ * @param {Element} element - Object element
+ * @returns {object} Object as in .tmj files
+ */
+function readObject(element) {
+  const object = readAttributes(element);
+
+  // Tiled 1.9 renamed an object's type to class
+  if (object.class !== undefined && object.type === undefined) {
+    object.type = object.class;
+    delete object.class;
+  }
+
+  for (const child of childElements(element)) {
+    switch (child.nodeName) {
+      case 'ellipse':
+        object.ellipse = true;
+        break;
+      case 'point':
+        object.point = true;
+        break;
+      case 'polygon':
+      case 'polyline':
+        object[child.nodeName] = child.getAttribute('points').trim().split(/\s+/).map(pair => {
+          const [x, y] = pair.split(',').map(Number);
+          return { x, y };
+        });
+        break;
+      case 'text':
+        object.text = { ...readAttributes(child), text: child.textContent };
+        break;
+    }
+  }
+
+  object.properties = readProperties(element);
+
+  return object;
+}
+
+/**
+ * Read the layers inside a map or group element
+ * @param {Element} element - Map or group element
+ * @returns {Array<object>} Layers as in .tmj files, bottom first
+ */
+function readLayers(element) {
+  const layers = [];
+
+  for (const child of childElements(element)) {
+    const layer = readAttributes(child);
+
+    switch (child.nodeName) {
+      case 'layer': {
+        const data = childElements(child, 'data')[0];
+        const encoding = data ? data.getAttribute('encoding') : null;
+        const compression = data ? data.getAttribute('compression') : null;
+        const chunks = data ? childElements(data, 'chunk') : [];
+
+        layer.type = 'tilelayer';
+
+        if (chunks.length > 0) {
+          layer.chunks = chunks.map(chunk => ({
+            ...readAttributes(chunk),
+            data: readTileData(chunk, encoding, compression)
+          }));
+        } else {
+          layer.data = data ? readTileData(data, encoding, compression) : [];
+        }
+        break;
+      }
+      case 'objectgroup':
+        layer.type = 'objectgroup';
+        layer.objects = childElements(child, 'object').map(readObject);
+        break;
+      case 'imagelayer': {
+        const image = childElements(child, 'image')[0];
+        layer.type = 'imagelayer';
+
+        if (image) {
+          const attributes = readAttributes(image);
+          layer.image = attributes.source;
+          layer.imagewidth = attributes.width;
+          layer.imageheight = attributes.height;
+        }
+        break;
+      }
+      case 'group':
+        layer.type = 'group';
+        layer.layers = readLayers(child);
+        break;
+      default:
+        continue;
+    }
+
+    layer.properties = readProperties(child);
+    layers.push(layer);
+  }
+
+  return layers;
+}
+
+/**
+ * Parse an XML document and return its root element
+ * @param {string} text - XML text
+ * @param {string} rootName - Expected root element name
+ * @returns {Element} Root element
+ */
+function parseXml(text, rootName) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+
+  if (!root || root.nodeName === 'parsererror' || doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid XML');
+  }
+
+  if (root.nodeName !== rootName) {
+    throw new Error(`Expected a <${rootName}> element but found <${root.nodeName}>`);
+  }
+
+  return root;
+}
+
+/**
+ * Decode base64 and compressed tile data in a .tmj map to plain tile ID arrays
+ * @param {Array<object>} layers - Layers, decoded in place
+ */
+function decodeLayers(layers) {
+  for (const layer of layers || []) {
+    if (layer.type === 'tilelayer') {
+      if (layer.chunks) {
+        for (const chunk of layer.chunks) {
+          chunk.data = decodeData(chunk.data, layer.encoding || 'csv', layer.compression);
+        }
+      } else {
+        layer.data = decodeData(layer.data || [], layer.encoding || 'csv', layer.compression);
+      }
+
+      delete layer.encoding;
+      delete layer.compression;
+    } else if (layer.type === 'group') {
+      decodeLayers(layer.layers);
+    }
+  }
+}
+
+/**
+ * Escape a value for an XML attribute or text
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format XML attributes, leaving out undefined values
+ * @param {object} attributes - Attribute values
+ * @returns {string} Attributes with a leading space each
+ */
+function formatAttributes(attributes) {
+  let text = '';
+
+  for (const name in attributes) {
+    let value = attributes[name];
+
+    if (value === undefined || value === null) continue;
+
+    if (typeof value === 'boolean') {
+      value = value ? 1 : 0;
+    }
+
+    text += ` ${name}="${escapeXml(value)}"`;
+  }
+
+  return text;
+}
+
+/**
+ * Write a <properties> element
+ * @param {Array<object>} properties - Properties with name, type and value
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML lines, or an empty string without properties
+ */
+function writeProperties(properties, indent) {
+  if (!properties || properties.length === 0) return '';
+
+  const lines = [`${indent}<properties>`];
+
+  for (const property of properties) {
+    const type = property.type === 'string' ? undefined : property.type;
+
+    if (property.type === 'class') {
+      lines.push(`${indent} <property${formatAttributes({ name: property.name, type, propertytype: property.propertytype })}>`);
+      lines.push(writeProperties(TiledFormat.createProperties(property.value), indent + '  ').trimEnd());
+      lines.push(`${indent} </property>`);
+    } else if (typeof property.value === 'string' && property.value.includes('\n')) {
+      // Multi-line strings are written as element text
+      lines.push(`${indent} <property${formatAttributes({ name: property.name, type })}>${escapeXml(property.value)}</property>`);
+    } else {
+      // Booleans are written as true and false, unlike boolean attributes
+      lines.push(`${indent} <property${formatAttributes({ name: property.name, type, value: String(property.value) })}/>`);
+    }
+  }
+
+  lines.push(`${indent}</properties>`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write an <object> element
+ * @param {object} object - Object as in .tmj files
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML lines
+ */
+function writeObject(object, indent) {
+  const attributes = formatAttributes({
+    id: object.id,
+    name: object.name || undefined,
+    type: object.type || undefined,
+    gid: object.gid,
+    x: object.x,
+    y: object.y,
+    width: object.width,
+    height: object.height,
+    rotation: object.rotation || undefined,
+    visible: object.visible === false ? false : undefined
+  });
+
+  let body = writeProperties(object.properties, indent + ' ');
+
+  if (object.ellipse) {
+    body += `${indent} <ellipse/>\n`;
+  } else if (object.point) {
+    body += `${indent} <point/>\n`;
+  } else if (object.polygon || object.polyline) {
+    const kind = object.polygon ? 'polygon' : 'polyline';
+    const points = object[kind].map(point => `${point.x},${point.y}`).join(' ');
+    body += `${indent} <${kind} points="${points}"/>\n`;
+  } else if (object.text) {
+    const { text, ...textAttributes } = object.text;
+    body += `${indent} <text${formatAttributes(textAttributes)}>${escapeXml(text)}</text>\n`;
+  }
+
+  if (!body) {
+    return `${indent}<object${attributes}/>\n`;
+  }
+
+  return `${indent}<object${attributes}>\n${body}${indent}</object>\n`;
+}
+
+/**
+ * Write layers as XML
+ * @param {Array<object>} layers - Layers as in .tmj files
+ * @param {string} indent - Indentation of the layer elements
+ * @returns {string} XML lines
+ */
+function writeLayers(layers, indent) {
+  let xml = '';
+
+  for (const layer of layers) {
+    const common = {
+      id: layer.id,
+      name: layer.name,
+      visible: layer.visible === false ? false : undefined,
+      locked: layer.locked ? true : undefined,
+      opacity: layer.opacity !== undefined && layer.opacity !== 1 ? layer.opacity : undefined,
+      offsetx: layer.offsetx || undefined,
+      offsety: layer.offsety || undefined
+    };
+    const properties = writeProperties(layer.properties, indent + ' ');
+
+    switch (layer.type) {
+      case 'tilelayer': {
+        const rows = [];
+
+        for (let row = 0; row < layer.height; row++) {
+          rows.push(layer.data.slice(row * layer.width, (row + 1) * layer.width).join(','));
+        }
+
+        xml += `${indent}<layer${formatAttributes({ ...common, width: layer.width, height: layer.height })}>\n`;
+        xml += properties;
+        xml += `${indent} <data encoding="csv">\n${rows.join(',\n')}\n${indent} </data>\n`;
+        xml += `${indent}</layer>\n`;
+        break;
+      }
+      case 'objectgroup':
+        xml += `${indent}<objectgroup${formatAttributes(common)}>\n`;
+        xml += properties;
+        xml += layer.objects.map(object => writeObject(object, indent + ' ')).join('');
+        xml += `${indent}</objectgroup>\n`;
+        break;
+      case 'imagelayer':
+        xml += `${indent}<imagelayer${formatAttributes(common)}>\n`;
+        xml += properties;
+        xml += `${indent} <image${formatAttributes({ source: layer.image, width: layer.imagewidth, height: layer.imageheight })}/>\n`;
+        xml += `${indent}</imagelayer>\n`;
+        break;
+      case 'group':
+        xml += `${indent}<group${formatAttributes(common)}>\n`;
+        xml += properties;
+        xml += writeLayers(layer.layers, indent + ' ');
+        xml += `${indent}</group>\n`;
+        break;
+    }
+  }
+
+  return xml;
+}
+
+/**
+ * Write a <tileset> element
+ * @param {object} tileset - Tileset as in .tmj files
+ * @param {string} indent - Indentation of the element
+ * @returns {string} XML lines
+ */
+function writeTileset(tileset, indent) {
+  if (tileset.source) {
+    return `${indent}<tileset${formatAttributes({ firstgid: tileset.firstgid, source: tileset.source })}/>\n`;
+  }
+
+  let xml = `${indent}<tileset${formatAttributes({
+    firstgid: tileset.firstgid,
+    name: tileset.name,
+    tilewidth: tileset.tilewidth,
+    tileheight: tileset.tileheight,
+    spacing: tileset.spacing || undefined,
+    margin: tileset.margin || undefined,
+    tilecount: tileset.tilecount,
+    columns: tileset.columns
+  })}>\n`;
+
+  xml += writeProperties(tileset.properties, indent + ' ');
+
+  if (tileset.image) {
+    xml += `${indent} <image${formatAttributes({ source: tileset.image, width: tileset.imagewidth, height: tileset.imageheight })}/>\n`;
+  }
+
+  for (const tile of tileset.tiles || []) {
+    xml += `${indent} <tile id="${tile.id}">\n`;
+    xml += writeProperties(tile.properties, indent + '  ');
+
+    if (tile.image) {
+      xml += `${indent}  <image${formatAttributes({ source: tile.image, width: tile.imagewidth, height: tile.imageheight })}/>\n`;
+    }
+
+    xml += `${indent} </tile>\n`;
+  }
+
+  xml += `${indent}</tileset>\n`;
+
+  return xml;
+}
+
+/**
+ * Tiled Format - Converts between Tiled's XML (.tmx/.tsx) and JSON (.tmj/.tsj) files and
+ * plain objects shaped like the JSON format, with tile layer data always decoded to arrays.
+ */
+class TiledFormat {
+  /**
+   * Get the format of a Tiled file from its extension
+   * @param {string} filePath - File path
+   * @returns {string|null} 'tmx', 'tmj', 'tsx', 'tsj' or null if it isn't a Tiled file
+   */
+  static getFormat(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+
+    switch (ext) {
+      case '.tmx':
+        return 'tmx';
+      case '.tmj':
+        return 'tmj';
+      case '.tsx':
+        return 'tsx';
+      case '.tsj':
+        return 'tsj';
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Parse a map file
+   * @param {string} text - File contents
+   * @param {string} format - 'tmx' or 'tmj'
+   * @returns {object} Map as in .tmj files
+   */
+  static parseMap(text, format) {
+    let map;
+
+    if (format === 'tmx') {
+      const root = parseXml(text, 'map');
+
+      map = {
+        type: 'map',
+        ...readAttributes(root),
+        properties: readProperties(root),
+        tilesets: childElements(root, 'tileset').map(readTileset),
+        layers: readLayers(root)
+      };
+    } else {
+      map = JSON.parse(text);
+
+      if (map.type !== 'map') {
+        throw new Error('The file is not a Tiled map');
+      }
+
+      decodeLayers(map.layers);
+    }
+
+    return map;
+  }
+
+  /**
+   * Parse an external tileset file
+   * @param {string} text - File contents
+   * @param {string} format - 'tsx' or 'tsj'
+   * @returns {object} Tileset as in .tsj files
+   */
+  static parseTileset(text, format) {
+    if (format === 'tsx') {
+      return readTileset(parseXml(text, 'tileset'));
+    }
+
+    return JSON.parse(text);
+  }
+
+  /**
+   * Write a map file
+   * @param {object} map - Map as in .tmj files, with decoded tile data
+   * @param {string} format - 'tmx' or 'tmj'
+   * @returns {string} File contents
+   */
+  static serializeMap(map, format) {
+    if (format === 'tmj') {
+      return JSON.stringify(map, null, 2);
+    }
+
+    let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+    xml += `<map${formatAttributes({
+      version: map.version,
+      tiledversion: map.tiledversion,
+      orientation: map.orientation,
+      renderorder: map.renderorder,
+      width: map.width,
+      height: map.height,
+      tilewidth: map.tilewidth,
+      tileheight: map.tileheight,
+      infinite: map.infinite ? 1 : 0,
+      backgroundcolor: map.backgroundcolor,
+      nextlayerid: map.nextlayerid,
+      nextobjectid: map.nextobjectid
+    })}>\n`;
+    xml += writeProperties(map.properties, ' ');
+    xml += map.tilesets.map(tileset => writeTileset(tileset, ' ')).join('');
+    xml += writeLayers(map.layers, ' ');
+    xml += '</map>\n';
+
+    return xml;
+  }
+
+  /**
+   * Create an empty orthogonal map
+   * @param {number} width - Width in tiles
+   * @param {number} height - Height in tiles
+   * @param {number} tileWidth - Tile width in pixels
+   * @param {number} tileHeight - Tile height in pixels
+   * @returns {object} Map as in .tmj files
+   */
+  static createMap(width, height, tileWidth, tileHeight) {
+    return {
+      type: 'map',
+      version: TILED_VERSION,
+      tiledversion: TILED_VERSION,
+      orientation: 'orthogonal',
+      renderorder: 'right-down',
+      width: width,
+      height: height,
+      tilewidth: tileWidth,
+      tileheight: tileHeight,
+      infinite: false,
+      nextlayerid: 1,
+      nextobjectid: 1,
+      properties: [],
+      tilesets: [],
+      layers: []
+    };
+  }
+
+  /**
+   * Split a global tile ID into its tile ID and flip flags
+   * @param {number} gid - Global tile ID
+   * @returns {object} Tile ID (without flags), flipX, flipY and flipDiagonal
+   */
+  static splitGid(gid) {
+    return {
+      id: (gid & ~(FLIPPED_HORIZONTALLY | FLIPPED_VERTICALLY | FLIPPED_DIAGONALLY | ROTATED_HEXAGONAL)) >>> 0,
+      flipX: (gid & FLIPPED_HORIZONTALLY) !== 0,
+      flipY: (gid & FLIPPED_VERTICALLY) !== 0,
+      flipDiagonal: (gid & FLIPPED_DIAGONALLY) !== 0
+    };
+  }
+
+  /**
+   * Build a global tile ID with flip flags
+   * @param {number} id - Global tile ID without flags
+   * @param {boolean} [flipX=false] - Flipped horizontally
+   * @param {boolean} [flipY=false] - Flipped vertically
+   * @returns {number} Global tile ID
+   */
+  static makeGid(id, flipX = false, flipY = false) {
+    return (id | (flipX ? FLIPPED_HORIZONTALLY : 0) | (flipY ? FLIPPED_VERTICALLY : 0)) >>> 0;
+  }
+
+  /**
+   * Turn a Tiled property list into plain values
+   * @param {Array<object>} [properties] - Properties with name, type and value
+   * @returns {object} Values keyed by property name
+   */
+  static getPropertyValues(properties) {
+    const values = {};
+
+    for (const property of properties || []) {
+      values[property.name] = property.value;
+    }
+
+    return values;
+  }
+
+  /**
+   * Turn plain values into a Tiled property list, choosing each property's type from its value
+   * Objects become class properties; arrays are written as JSON strings. Values recorded as
+   * colors are written as Tiled colors.
+   * @param {object} values - Values keyed by property name
+   * @param {object} [types={}] - Recorded value types keyed by property name
+   * @returns {Array<object>} Properties with name, type and value
+   */
+  static createProperties(values, types = {}) {
+    const properties = [];
+
+    for (const name in values) {
+      const value = values[name];
+
+      if (value === undefined || value === null) continue;
+
+      if (types[name] === 'color' && typeof value === 'string') {
+        properties.push({ name, type: 'color', value });
+      } else if (typeof value === 'boolean') {
+        properties.push({ name, type: 'bool', value });
+      } else if (typeof value === 'number') {
+        properties.push({ name, type: Number.isInteger(value) ? 'int' : 'float', value });
+      } else if (Array.isArray(value)) {
+        properties.push({ name, type: 'string', value: JSON.stringify(value) });
+      } else if (typeof value === 'object') {
+        properties.push({ name, type: 'class', propertytype: '', value });
+      } else {
+        properties.push({ name, type: 'string', value: String(value) });
+      }
+    }
+
+    return properties;
+  }
+}
+
+// Export the TiledFormat class
+module.exports = TiledFormat;
@@ -0,0 +1,1021 @@
+// core/TiledManager.js - Imports Tiled maps as scenes and exports scenes as Tiled maps
+
+const fs = require('fs');
+const path = require('path');
+const TiledFormat = require('./TiledFormat');
+
+// Folder inside assets that images used by imported maps are copied to
+const IMPORT_FOLDER = 'images';
+
+// Object keys Tiled keeps as object attributes rather than custom properties
+const OBJECT_ATTRIBUTES = ['id', 'name', 'type', 'x', 'y', 'width', 'height', 'rotation', 'visible'];
+
+// Keys of each object type that are written as part of the Tiled object or layer
+const TYPE_ATTRIBUTES = {
+  sprite: ['imageId', 'flipX', 'flipY'],
+  text: ['text', 'textColor', 'textAlign', 'fontFamily', 'wrap'],
+  tilemap: ['tileSize', 'tileWidth', 'tileHeight', 'columns', 'rows', 'tileset', 'tileData', 'infinite']
+};
+
+/**
+ * Rotate an offset clockwise
+ * @param {number} x - X offset
+ * @param {number} y - Y offset
+ * @param {number} degrees - Rotation in degrees
+ * @returns {object} Rotated offset with x and y
+ */
+function rotate(x, y, degrees) {
+  const angle = degrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  return { x: x * cos - y * sin, y: x * sin + y * cos };
+}
+
+/**
+ * Convert a Tiled color to the editor's #RRGGBB form
+ * @param {string} [color] - Tiled color (#RRGGBB or #AARRGGBB)
+ * @returns {string|null} Color, or null if none was given
+ */
+function convertColor(color) {
+  if (!color) return null;
+
+  const hex = color.replace(/^#/, '');
+
+  return '#' + (hex.length === 8 ? hex.slice(2) : hex).toUpperCase();
+}
+
+/**
+ * Tiled Manager - Turns Tiled (.tmx/.tmj) maps into scenes and writes scenes back out
+ * Tile layers become tilemap objects (one per tileset the layer uses), object layers become
+ * rectangles, circles, text and sprites with their custom properties, and group layers become
+ * scene layers. Exported scenes write each scene layer as a group, so they import back the same.
+ */
+class TiledManager {
+  /**
+   * Create a new Tiled Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+
+    // Register event handlers
+    this.app.core.events.on('scene:exportTiled', this.onExport.bind(this));
+  }
+
+  /**
+   * Initialize the Tiled manager
+   */
+  initialize() {
+    console.log('Initializing Tiled Manager');
+  }
+
+  /**
+   * Check if a file is a Tiled map
+   * @param {string} filePath - File path
+   * @returns {boolean} True for .tmx and .tmj files
+   */
+  isTiledMap(filePath) {
+    const format = TiledFormat.getFormat(filePath);
+
+    return format === 'tmx' || format === 'tmj';
+  }
+
+  /**
+   * Import a Tiled map as a new scene of the open project and open it
+   * @param {string} filePath - Path to the .tmx or .tmj file
+   * @returns {Promise<object>} Result with the new scene and any warnings
+   */
+  async importMap(filePath) {
+    const project = this.app.project;
+
+    if (!project) {
+      throw new Error('Open a project before importing a map');
+    }
+
+    const format = TiledFormat.getFormat(filePath);
+    const map = TiledFormat.parseMap(await fs.promises.readFile(filePath, 'utf8'), format);
+
+    if (map.orientation !== 'orthogonal') {
+      throw new Error(`Only orthogonal maps can be imported; this map is ${map.orientation}`);
+    }
+
+    const sceneId = this.getSceneId(path.basename(filePath, path.extname(filePath)));
+    const context = {
+      map: map,
+      baseDir: path.dirname(filePath),
+      tilesets: [],
+      warnings: [],
+      idPrefix: `${sceneId}_`,
+      nextId: 1
+    };
+
+    for (const entry of map.tilesets || []) {
+      context.tilesets.push(await this.importTileset(entry, context));
+    }
+
+    const scene = await this.createScene(map, sceneId, context);
+
+    // Add the scene to the project and open it
+    project.scenes.push(scene);
+    this.app.core.events.emit('scene:load', scene);
+    this.app.projectManager.markDirty();
+
+    return { scene, warnings: context.warnings };
+  }
+
+  /**
+   * Get an unused scene ID based on a file name
+   * @param {string} name - File name without extension
+   * @returns {string} Scene ID
+   */
+  getSceneId(name) {
+    const base = name.replace(/[^a-zA-Z0-9_]/g, '_') || 'map';
+    const scenes = this.app.project.scenes || [];
+    let id = base;
+
+    for (let i = 2; scenes.some(scene => scene.id === id); i++) {
+      id = `${base}_${i}`;
+    }
+
+    return id;
+  }
+
+  /**
+   * Copy an image used by a map into the project
+   * @param {string} filePath - Image path
+   * @returns {Promise<object>} Image asset
+   */
+  async importImage(filePath) {
+    const asset = await this.app.core.fs.importAsset(this.app.project.path, filePath, IMPORT_FOLDER);
+    const existing = this.app.tilesetManager.getAssets().find(a => a.id === asset.id);
+
+    if (existing) return existing;
+
+    // Notify other components
+    this.app.core.events.emit('asset:import', asset);
+
+    return asset;
+  }
+
+  /**
+   * Import one of a map's tilesets
+   * Atlas tilesets become (or reuse) a .tileset asset; for image collection tilesets
+   * every tile's image is imported on its own.
+   * @param {object} entry - Tileset entry of the map (embedded or with a source file)
+   * @param {object} context - Import context
+   * @returns {Promise<object>} Imported tileset with firstgid, name, assetId and images by tile ID
+   */
+  async importTileset(entry, context) {
+    let tileset = entry;
+    let baseDir = context.baseDir;
+
+    // External tilesets live in their own .tsx/.tsj file
+    if (entry.source) {
+      const sourcePath = path.resolve(context.baseDir, entry.source);
+      const format = TiledFormat.getFormat(sourcePath);
+
+      if (format !== 'tsx' && format !== 'tsj') {
+        throw new Error(`Unsupported tileset file ${entry.source}`);
+      }
+
+      tileset = TiledFormat.parseTileset(await fs.promises.readFile(sourcePath, 'utf8'), format);
+      baseDir = path.dirname(sourcePath);
+    }
+
+    const result = {
+      firstgid: entry.firstgid,
+      name: tileset.name,
+      tileWidth: tileset.tilewidth,
+      tileHeight: tileset.tileheight,
+      assetId: null,
+      images: new Map()
+    };
+
+    if (tileset.image) {
+      const imageAsset = await this.importImage(path.resolve(baseDir, tileset.image));
+      const options = {
+        tileWidth: tileset.tilewidth,
+        tileHeight: tileset.tileheight,
+        margin: tileset.margin || 0,
+        spacing: tileset.spacing || 0
+      };
+
+      // Reuse a tileset that already cuts this image the same way
+      const existing = this.app.tilesetManager.getTilesetAssets().find(asset =>
+        asset.tileset &&
+        asset.tileset.imageId === imageAsset.id &&
+        Object.keys(options).every(key => (asset.tileset[key] || 0) === options[key])
+      );
+
+      result.assetId = existing ? existing.id : (await this.app.tilesetManager.createTileset(imageAsset, options)).id;
+    } else {
+      for (const tile of tileset.tiles || []) {
+        if (!tile.image) continue;
+
+        const imageAsset = await this.importImage(path.resolve(baseDir, tile.image));
+
+        result.images.set(tile.id, {
+          assetId: imageAsset.id,
+          width: tile.imagewidth,
+          height: tile.imageheight
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Find the imported tileset a global tile ID belongs to
+   * @param {Array<object>} tilesets - Imported tilesets, by ascending firstgid
+   * @param {number} gid - Global tile ID without flip flags
+   * @returns {object|null} Tileset or null if none covers the ID
+   */
+  findTileset(tilesets, gid) {
+    let found = null;
+
+    for (const tileset of tilesets) {
+      if (tileset.firstgid <= gid) {
+        found = tileset;
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Get a new object ID for an imported scene
+   * @param {object} context - Import context
+   * @returns {string} Object ID
+   */
+  createObjectId(context) {
+    return context.idPrefix + context.nextId++;
+  }
+
+  /**
+   * Build a scene from a map
+   * @param {object} map - Parsed map
+   * @param {string} sceneId - Scene ID
+   * @param {object} context - Import context
+   * @returns {Promise<object>} Scene data
+   */
+  async createScene(map, sceneId, context) {
+    const scene = {
+      id: sceneId,
+      name: sceneId,
+      width: map.width * map.tilewidth,
+      height: map.height * map.tileheight,
+      backgroundColor: convertColor(map.backgroundcolor) || '#000000',
+      layers: [],
+      activeLayer: null
+    };
+
+    if (map.properties && map.properties.length > 0) {
+      scene.properties = TiledFormat.getPropertyValues(map.properties);
+    }
+
+    // Top-level layers become scene layers; groups are flattened into one layer
+    for (const layer of map.layers) {
+      const sceneLayer = {
+        id: `layer_${scene.layers.length + 1}`,
+        name: layer.name,
+        visible: layer.visible !== false,
+        objects: []
+      };
+
+      if (layer.locked) {
+        sceneLayer.locked = true;
+      }
+
+      await this.importLayer(layer, sceneLayer, 0, 0, context);
+      scene.layers.push(sceneLayer);
+    }
+
+    if (scene.layers.length === 0) {
+      scene.layers.push({ id: 'layer_1', name: 'Main', visible: true, objects: [] });
+    }
+
+    // Infinite maps can reach past their nominal size
+    if (map.infinite) {
+      for (const layer of scene.layers) {
+        for (const object of layer.objects) {
+          scene.width = Math.max(scene.width, Math.ceil(object.x + object.width));
+          scene.height = Math.max(scene.height, Math.ceil(object.y + object.height));
+        }
+      }
+    }
+
+    scene.activeLayer = scene.layers[0].id;
+
+    return scene;
+  }
+
+  /**
+   * Add the contents of a map layer to a scene layer
+   * @param {object} layer - Map layer
+   * @param {object} sceneLayer - Scene layer the objects are added to
+   * @param {number} parentX - X offset of the parent group
+   * @param {number} parentY - Y offset of the parent group
+   * @param {object} context - Import context
+   * @returns {Promise<void>}
+   */
+  async importLayer(layer, sceneLayer, parentX, parentY, context) {
+    const offsetX = parentX + (layer.offsetx || 0);
+    const offsetY = parentY + (layer.offsety || 0);
+
+    switch (layer.type) {
+      case 'group':
+        for (const child of layer.layers) {
+          await this.importLayer(child, sceneLayer, offsetX, offsetY, context);
+        }
+        break;
+
+      case 'tilelayer':
+        sceneLayer.objects.push(...this.importTileLayer(layer, offsetX, offsetY, context));
+        break;
+
+      case 'objectgroup':
+        for (const object of layer.objects) {
+          const imported = this.importObject(object, offsetX, offsetY, context);
+
+          if (imported) {
+            sceneLayer.objects.push(imported);
+          }
+        }
+        break;
+
+      case 'imagelayer': {
+        if (!layer.image) break;
+
+        const imageAsset = await this.importImage(path.resolve(context.baseDir, layer.image));
+
+        sceneLayer.objects.push({
+          id: this.createObjectId(context),
+          type: 'sprite',
+          name: layer.name,
+          x: offsetX,
+          y: offsetY,
+          width: layer.imagewidth || context.map.width * context.map.tilewidth,
+          height: layer.imageheight || context.map.height * context.map.tileheight,
+          rotation: 0,
+          imageId: imageAsset.id
+        });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Turn a tile layer into tilemap objects, one per tileset it uses
+   * @param {object} layer - Tile layer
+   * @param {number} offsetX - Layer X offset
+   * @param {number} offsetY - Layer Y offset
+   * @param {object} context - Import context
+   * @returns {Array<object>} Tilemap objects
+   */
+  importTileLayer(layer, offsetX, offsetY, context) {
+    const map = context.map;
+    let originX = 0;
+    let originY = 0;
+    let columns = layer.width;
+    let rows = layer.height;
+    let gids = layer.data;
+
+    // Infinite maps store tiles in chunks; lay them out on one grid covering all of them
+    if (layer.chunks) {
+      if (layer.chunks.length === 0) return [];
+
+      originX = Math.min(...layer.chunks.map(chunk => chunk.x));
+      originY = Math.min(...layer.chunks.map(chunk => chunk.y));
+      columns = Math.max(...layer.chunks.map(chunk => chunk.x + chunk.width)) - originX;
+      rows = Math.max(...layer.chunks.map(chunk => chunk.y + chunk.height)) - originY;
+      gids = new Array(columns * rows).fill(0);
+
+      for (const chunk of layer.chunks) {
+        for (let y = 0; y < chunk.height; y++) {
+          for (let x = 0; x < chunk.width; x++) {
+            gids[(chunk.y - originY + y) * columns + chunk.x - originX + x] = chunk.data[y * chunk.width + x];
+          }
+        }
+      }
+    }
+
+    // A tilemap draws from one tileset, so a layer mixing tilesets is split up
+    const tilemaps = new Map();
+    const layerProperties = this.getCustomProperties(layer.properties);
+    let flipped = 0;
+    let unknown = 0;
+
+    gids.forEach((gid, index) => {
+      if (!gid) return;
+
+      const { id, flipX, flipY, flipDiagonal } = TiledFormat.splitGid(gid);
+      const tileset = this.findTileset(context.tilesets, id);
+
+      if (flipX || flipY || flipDiagonal) {
+        flipped++;
+      }
+
+      if (!tileset || !tileset.assetId) {
+        unknown++;
+        return;
+      }
+
+      if (!tilemaps.has(tileset)) {
+        tilemaps.set(tileset, {
+          ...layerProperties,
+          id: this.createObjectId(context),
+          type: 'tilemap',
+          name: layer.name,
+          x: offsetX + originX * map.tilewidth,
+          y: offsetY + originY * map.tileheight,
+          width: columns * map.tilewidth,
+          height: rows * map.tileheight,
+          rotation: 0,
+          tileSize: map.tilewidth,
+          tileWidth: map.tilewidth,
+          tileHeight: map.tileheight,
+          columns: columns,
+          rows: rows,
+          tileset: tileset.assetId,
+          tileData: new Array(columns * rows).fill(0)
+        });
+
+        // Keep painting past the edge of infinite maps
+        if (map.infinite) {
+          tilemaps.get(tileset).infinite = true;
+        }
+
+        if (tileset.tileWidth !== map.tilewidth || tileset.tileHeight !== map.tileheight) {
+          context.warnings.push(`Tiles from '${tileset.name}' in layer '${layer.name}' are drawn at the map's tile size`);
+        }
+      }
+
+      tilemaps.get(tileset).tileData[index] = id - tileset.firstgid + 1;
+    });
+
+    if (flipped > 0) {
+      context.warnings.push(`${flipped} flipped or rotated tiles in layer '${layer.name}' were imported unflipped`);
+    }
+
+    if (unknown > 0) {
+      context.warnings.push(`${unknown} tiles in layer '${layer.name}' use a tileset that could not be imported`);
+    }
+
+    const result = Array.from(tilemaps.entries());
+
+    if (result.length > 1) {
+      for (const [tileset, tilemap] of result) {
+        tilemap.name = `${layer.name} (${tileset.name})`;
+      }
+    }
+
+    return result.map(([, tilemap]) => tilemap);
+  }
+
+  /**
+   * Turn a map object into a scene object
+   * @param {object} object - Map object
+   * @param {number} offsetX - Layer X offset
+   * @param {number} offsetY - Layer Y offset
+   * @param {object} context - Import context
+   * @returns {object|null} Scene object, or null if it can't be represented
+   */
+  importObject(object, offsetX, offsetY, context) {
+    const className = object.type || object.class || '';
+    const width = object.width || 0;
+    const height = object.height || 0;
+    const rotation = object.rotation || 0;
+    const imported = {
+      id: this.createObjectId(context),
+      name: object.name || className || 'Object',
+      rotation: rotation
+    };
+
+    // Tiled rotates around the object's origin; the editor rotates around the center.
+    // Tile objects have their origin at the bottom-left corner, everything else at the top-left.
+    const center = rotate(width / 2, object.gid ? -height / 2 : height / 2, rotation);
+    imported.x = offsetX + object.x + center.x - width / 2;
+    imported.y = offsetY + object.y + center.y - height / 2;
+    imported.width = width;
+    imported.height = height;
+
+    if (object.gid) {
+      const { id, flipX, flipY } = TiledFormat.splitGid(object.gid);
+      const tileset = this.findTileset(context.tilesets, id);
+      const image = tileset && tileset.images.get(id - tileset.firstgid);
+
+      if (image) {
+        imported.type = 'sprite';
+        imported.imageId = image.assetId;
+
+        if (flipX) imported.flipX = true;
+        if (flipY) imported.flipY = true;
+      } else if (tileset && tileset.assetId) {
+        // A single tile from an atlas is a one-cell tilemap
+        imported.type = 'tilemap';
+        imported.tileSize = width;
+        imported.tileWidth = width;
+        imported.tileHeight = height;
+        imported.columns = 1;
+        imported.rows = 1;
+        imported.tileset = tileset.assetId;
+        imported.tileData = [id - tileset.firstgid + 1];
+      } else {
+        context.warnings.push(`Object '${imported.name}' uses a tile that could not be imported`);
+        return null;
+      }
+    } else if (object.ellipse) {
+      imported.type = 'circle';
+    } else if (object.text) {
+      imported.type = 'text';
+      imported.text = object.text.text || '';
+      imported.textColor = convertColor(object.text.color) || '#000000';
+      imported.textAlign = object.text.halign || 'left';
+
+      if (object.text.fontfamily) imported.fontFamily = object.text.fontfamily;
+      if (object.text.wrap) imported.wrap = true;
+    } else if (object.polygon || object.polyline) {
+      // Shapes keep their points, relative to the bounding box the rectangle covers
+      const points = object.polygon || object.polyline;
+      const minX = Math.min(...points.map(point => point.x));
+      const minY = Math.min(...points.map(point => point.y));
+
+      imported.type = 'rectangle';
+      imported.x = offsetX + object.x + minX;
+      imported.y = offsetY + object.y + minY;
+      imported.width = Math.max(...points.map(point => point.x)) - minX;
+      imported.height = Math.max(...points.map(point => point.y)) - minY;
+      imported.shape = object.polygon ? 'polygon' : 'polyline';
+      imported.points = points.map(point => ({ x: point.x - minX, y: point.y - minY }));
+    } else if (className === 'camera') {
+      // Cameras exported by the editor keep their type; their size follows from the zoom on load
+      imported.type = 'camera';
+    } else {
+      imported.type = 'rectangle';
+
+      if (object.point) {
+        imported.shape = 'point';
+      }
+    }
+
+    // A Tiled class that isn't the editor type is kept as a property
+    if (className && className !== imported.type) {
+      imported.class = className;
+    }
+
+    // Custom properties become the object's own properties, as the inspector shows them
+    const { propertyTypes, ...values } = this.getCustomProperties(object.properties);
+
+    for (const [name, value] of Object.entries(values)) {
+      if (OBJECT_ATTRIBUTES.includes(name)) {
+        context.warnings.push(`Property '${name}' of object '${imported.name}' was skipped because the editor uses that name`);
+        continue;
+      }
+
+      imported[name] = value;
+
+      if (propertyTypes && propertyTypes[name]) {
+        imported.propertyTypes = { ...imported.propertyTypes, [name]: propertyTypes[name] };
+      }
+    }
+
+    return imported;
+  }
+
+  /**
+   * Read a Tiled property list as custom properties
+   * Colors are converted to the editor's form and recorded in propertyTypes, since the value alone
+   * can't tell a color from text.
+   * @param {Array<object>} [properties] - Tiled properties
+   * @returns {object} Values keyed by property name, with propertyTypes if any color was found
+   */
+  getCustomProperties(properties) {
+    const values = TiledFormat.getPropertyValues(properties);
+
+    for (const property of properties || []) {
+      if (property.type !== 'color') continue;
+
+      values[property.name] = convertColor(property.value) || '#000000';
+      values.propertyTypes = { ...values.propertyTypes, [property.name]: 'color' };
+    }
+
+    return values;
+  }
+
+  /**
+   * Write a scene as a Tiled map
+   * @param {object} scene - Scene data
+   * @param {string} filePath - Path of the .tmx or .tmj file to write
+   * @returns {Promise<Array<string>>} Warnings about things Tiled can't represent
+   */
+  async exportScene(scene, filePath) {
+    const format = TiledFormat.getFormat(filePath);
+
+    if (format !== 'tmx' && format !== 'tmj') {
+      throw new Error('Export to a .tmx or .tmj file');
+    }
+
+    const objects = scene.layers.flatMap(layer => layer.objects);
+    const tilemaps = objects.filter(object => object.type === 'tilemap' && object.tileset);
+
+    // The map grid follows the first tilemap, since Tiled has one tile size per map
+    const tileWidth = tilemaps.length > 0 ? (tilemaps[0].tileWidth || tilemaps[0].tileSize || 32) : 32;
+    const tileHeight = tilemaps.length > 0 ? (tilemaps[0].tileHeight || tilemaps[0].tileSize || 32) : 32;
+
+    const map = TiledFormat.createMap(
+      Math.ceil(scene.width / tileWidth),
+      Math.ceil(scene.height / tileHeight),
+      tileWidth,
+      tileHeight
+    );
+
+    map.backgroundcolor = scene.backgroundColor;
+    map.properties = TiledFormat.createProperties(scene.properties || {});
+
+    const context = {
+      map: map,
+      baseDir: path.dirname(filePath),
+      tilesets: new Map(),
+      sprites: new Map(),
+      nextGid: 1,
+      warnings: []
+    };
+
+    // Tilesets come first, since layers refer to their tiles by global ID
+    for (const tilemap of tilemaps) {
+      await this.exportTileset(tilemap, context);
+    }
+
+    await this.exportSprites(objects.filter(object => object.type === 'sprite' && object.imageId), context);
+
+    for (const layer of scene.layers) {
+      map.layers.push(this.exportLayer(layer, context));
+    }
+
+    await fs.promises.writeFile(filePath, TiledFormat.serializeMap(map, format));
+
+    return context.warnings;
+  }
+
+  /**
+   * Get an image's path relative to the exported map
+   * @param {object} asset - Image asset
+   * @param {object} context - Export context
+   * @returns {string} Relative path with forward slashes
+   */
+  getRelativeImagePath(asset, context) {
+    return path.relative(context.baseDir, this.app.imageCache.getAssetFilePath(asset)).split(path.sep).join('/');
+  }
+
+  /**
+   * Add the tileset of a tilemap to an exported map
+   * @param {object} tilemap - Tilemap object
+   * @param {object} context - Export context
+   * @returns {Promise<void>}
+   */
+  async exportTileset(tilemap, context) {
+    const tileset = this.app.tilesetManager.getTileset(tilemap.tileset, tilemap.tileWidth || tilemap.tileSize || 32);
+
+    if (!tileset || context.tilesets.has(tileset.id)) return;
+
+    const imageAsset = this.app.imageCache.getAsset(tileset.imageId);
+
+    if (!imageAsset) {
+      context.warnings.push(`Tileset '${tileset.name}' has no image and was left out`);
+      return;
+    }
+
+    const image = await this.app.imageCache.load(tileset.imageId);
+    const grid = this.app.tilesetManager.getGrid(tileset);
+    const entry = {
+      firstgid: context.nextGid,
+      name: path.basename(tileset.name, path.extname(tileset.name)),
+      tilewidth: tileset.tileWidth,
+      tileheight: tileset.tileHeight,
+      margin: tileset.margin,
+      spacing: tileset.spacing,
+      tilecount: grid.count,
+      columns: grid.columns,
+      image: this.getRelativeImagePath(imageAsset, context),
+      imagewidth: image.naturalWidth,
+      imageheight: image.naturalHeight
+    };
+
+    context.nextGid += Math.max(grid.count, 1);
+    context.map.tilesets.push(entry);
+    context.tilesets.set(tileset.id, entry);
+  }
+
+  /**
+   * Add an image collection tileset holding every sprite image
+   * @param {Array<object>} sprites - Sprite objects
+   * @param {object} context - Export context
+   * @returns {Promise<void>}
+   */
+  async exportSprites(sprites, context) {
+    const tiles = [];
+
+    for (const sprite of sprites) {
+      if (context.sprites.has(sprite.imageId)) continue;
+
+      const asset = this.app.imageCache.getAsset(sprite.imageId);
+
+      if (!asset) {
+        context.warnings.push(`Sprite '${sprite.name}' has no image`);
+        continue;
+      }
+
+      const image = await this.app.imageCache.load(sprite.imageId);
+
+      context.sprites.set(sprite.imageId, context.nextGid + tiles.length);
+      tiles.push({
+        id: tiles.length,
+        image: this.getRelativeImagePath(asset, context),
+        imagewidth: image.naturalWidth,
+        imageheight: image.naturalHeight
+      });
+    }
+
+    if (tiles.length === 0) return;
+
+    context.map.tilesets.push({
+      firstgid: context.nextGid,
+      name: 'Sprites',
+      tilewidth: Math.max(...tiles.map(tile => tile.imagewidth)),
+      tileheight: Math.max(...tiles.map(tile => tile.imageheight)),
+      margin: 0,
+      spacing: 0,
+      tilecount: tiles.length,
+      columns: 0,
+      tiles: tiles
+    });
+
+    context.nextGid += tiles.length;
+  }
+
+  /**
+   * Turn a scene layer into a group layer
+   * Tilemaps become tile layers; runs of other objects become object layers, keeping the draw order.
+   * @param {object} layer - Scene layer
+   * @param {object} context - Export context
+   * @returns {object} Group layer
+   */
+  exportLayer(layer, context) {
+    const map = context.map;
+    const group = {
+      id: map.nextlayerid++,
+      name: layer.name,
+      type: 'group',
+      visible: layer.visible !== false,
+      locked: Boolean(layer.locked),
+      opacity: 1,
+      x: 0,
+      y: 0,
+      properties: [],
+      layers: []
+    };
+
+    let objectLayer = null;
+
+    for (const object of layer.objects) {
+      const tileset = object.type === 'tilemap' && this.app.tilesetManager.getTileset(object.tileset, object.tileWidth || object.tileSize || 32);
+
+      if (tileset && context.tilesets.has(tileset.id)) {
+        group.layers.push(this.exportTilemap(object, context.tilesets.get(tileset.id), context));
+        objectLayer = null;
+        continue;
+      }
+
+      if (!objectLayer) {
+        objectLayer = {
+          id: map.nextlayerid++,
+          name: layer.name,
+          type: 'objectgroup',
+          draworder: 'index',
+          visible: true,
+          opacity: 1,
+          x: 0,
+          y: 0,
+          properties: [],
+          objects: []
+        };
+        group.layers.push(objectLayer);
+      }
+
+      objectLayer.objects.push(this.exportObject(object, context));
+    }
+
+    return group;
+  }
+
+  /**
+   * Get the values of an object that Tiled stores as custom properties
+   * @param {object} object - Scene object
+   * @returns {object} Values keyed by property name
+   */
+  getCustomValues(object) {
+    // The recorded types go out as the Tiled property types instead
+    const excluded = OBJECT_ATTRIBUTES.concat(TYPE_ATTRIBUTES[object.type] || [], ['propertyTypes']);
+
+    // Shapes from Tiled go back out as Tiled shapes
+    if (this.getShape(object)) {
+      excluded.push('shape', 'points');
+    }
+    const values = {};
+
+    for (const key in object) {
+      if (!excluded.includes(key)) {
+        values[key] = object[key];
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Get the Tiled shape a rectangle was imported from
+   * @param {object} object - Scene object
+   * @returns {string|null} 'point', 'polygon', 'polyline' or null for a plain rectangle
+   */
+  getShape(object) {
+    if (object.type !== 'rectangle') return null;
+
+    if (object.shape === 'point') return 'point';
+
+    if ((object.shape === 'polygon' || object.shape === 'polyline') && Array.isArray(object.points)) {
+      return object.shape;
+    }
+
+    return null;
+  }
+
+  /**
+   * Turn a tilemap into a tile layer covering the map
+   * @param {object} tilemap - Tilemap object
+   * @param {object} tileset - Exported tileset entry
+   * @param {object} context - Export context
+   * @returns {object} Tile layer
+   */
+  exportTilemap(tilemap, tileset, context) {
+    const map = context.map;
+
+    // Line the tiles up with the map grid and keep any remainder as a pixel offset
+    const cellX = Math.floor(tilemap.x / map.tilewidth);
+    const cellY = Math.floor(tilemap.y / map.tileheight);
+    const data = new Array(map.width * map.height).fill(0);
+    let clipped = 0;
+
+    (tilemap.tileData || []).forEach((tile, index) => {
+      if (!tile) return;
+
+      const x = cellX + index % tilemap.columns;
+      const y = cellY + Math.floor(index / tilemap.columns);
+
+      if (x < 0 || x >= map.width || y < 0 || y >= map.height) {
+        clipped++;
+        return;
+      }
+
+      data[y * map.width + x] = tileset.firstgid + tile - 1;
+    });
+
+    if (clipped > 0) {
+      context.warnings.push(`${clipped} tiles of '${tilemap.name}' lie outside the map and were left out`);
+    }
+
+    if ((tilemap.tileWidth || tilemap.tileSize) !== map.tilewidth || (tilemap.tileHeight || tilemap.tileSize) !== map.tileheight) {
+      context.warnings.push(`'${tilemap.name}' uses a different tile size from the map and is drawn on the map's grid`);
+    }
+
+    const layer = {
+      id: map.nextlayerid++,
+      name: tilemap.name,
+      type: 'tilelayer',
+      width: map.width,
+      height: map.height,
+      x: 0,
+      y: 0,
+      visible: true,
+      opacity: 1,
+      properties: TiledFormat.createProperties(this.getCustomValues(tilemap), tilemap.propertyTypes),
+      data: data
+    };
+
+    if (tilemap.x !== cellX * map.tilewidth) layer.offsetx = tilemap.x - cellX * map.tilewidth;
+    if (tilemap.y !== cellY * map.tileheight) layer.offsety = tilemap.y - cellY * map.tileheight;
+
+    return layer;
+  }
+
+  /**
+   * Turn a scene object into a map object
+   * @param {object} object - Scene object
+   * @param {object} context - Export context
+   * @returns {object} Map object
+   */
+  exportObject(object, context) {
+    const width = object.width || 0;
+    const height = object.height || 0;
+    const rotation = object.rotation || 0;
+    const exported = {
+      id: context.map.nextobjectid++,
+      name: object.name || '',
+      type: object.type,
+      x: object.x,
+      y: object.y,
+      width: width,
+      height: height,
+      rotation: rotation,
+      visible: true,
+      properties: TiledFormat.createProperties(this.getCustomValues(object), object.propertyTypes)
+    };
+
+    switch (object.type) {
+      case 'rectangle': {
+        const shape = this.getShape(object);
+
+        if (shape === 'point') {
+          exported.point = true;
+        } else if (shape) {
+          exported[shape] = object.points.map(point => ({ x: point.x, y: point.y }));
+        }
+        break;
+      }
+
+      case 'circle':
+        exported.ellipse = true;
+        break;
+
+      case 'text':
+        exported.text = {
+          text: object.text || '',
+          color: object.textColor,
+          halign: object.textAlign,
+          fontfamily: object.fontFamily,
+          wrap: Boolean(object.wrap)
+        };
+        break;
+
+      case 'sprite':
+        if (context.sprites.has(object.imageId)) {
+          exported.gid = TiledFormat.makeGid(context.sprites.get(object.imageId), object.flipX, object.flipY);
+        }
+        break;
+
+      case 'tilemap':
+        context.warnings.push(`Tilemap '${object.name}' has no tileset and was exported as a rectangle`);
+        break;
+    }
+
+    // The editor rotates around the center, Tiled around the origin (bottom-left for tile objects)
+    const center = rotate(width / 2, exported.gid ? -height / 2 : height / 2, rotation);
+    exported.x = object.x + width / 2 - center.x;
+    exported.y = object.y + height / 2 - center.y;
+
+    return exported;
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle export to Tiled event (asks where to write the active scene)
+   */
+  async onExport() {
+    const ui = this.app.core.ui;
+    const project = this.app.project;
+    const scene = this.app.sceneEditor.activeScene;
+
+    if (!project || !scene) {
+      ui.showError('Export to Tiled', 'Open a scene to export.');
+      return;
+    }
+
+    const filePath = await ui.showSaveDialog({
+      title: 'Export Scene to Tiled',
+      defaultPath: path.join(project.path, this.app.core.fs.exportDir, `${scene.id}.tmx`),
+      fileTypes: ['.tmx', '.tmj']
+    });
+
+    if (!filePath) return;
+
+    try {
+      const warnings = await this.exportScene(scene, filePath);
+
+      for (const warning of warnings) {
+        console.warn(`Tiled export: ${warning}`);
+      }
+
+      ui.setStatus(warnings.length > 0
+        ? `Exported ${path.basename(filePath)} with ${warnings.length} warnings (see console)`
+        : `Exported ${path.basename(filePath)}`);
+    } catch (error) {
+      console.error('Error exporting Tiled map:', error);
+      ui.showError('Export to Tiled', error.message);
+    }
+  }
+}
+
+// Export the TiledManager class
+module.exports = TiledManager;
@@ -0,0 +1,295 @@
+// core/TilesetManager.js - Tileset asset definitions and tile lookup
+
+const fs = require('fs');
+const path = require('path');
+const Autotiler = require('./Autotiler');
+
+// Definition values used when a tileset file leaves them out
+const TILESET_DEFAULTS = {
+  imageId: null,
+  tileWidth: 32,
+  tileHeight: 32,
+  margin: 0,
+  spacing: 0,
+  terrains: []
+};
+
+/**
+ * Tileset Manager - Reads and writes .tileset assets and maps tile numbers to atlas rectangles
+ * A tileset points at an image asset and describes the grid its tiles are laid out on.
+ * Tile numbers in tilemaps start at 1 (0 is an empty cell) and run row by row.
+ */
+class TilesetManager {
+  /**
+   * Create a new Tileset Manager
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+
+    // Register event handlers
+    this.app.core.events.on('tileset:create', this.onCreateTileset.bind(this));
+  }
+
+  /**
+   * Initialize the tileset manager
+   */
+  initialize() {
+    console.log('Initializing Tileset Manager');
+  }
+
+  /**
+   * Get the assets of the open project
+   * @returns {Array<object>} Assets
+   */
+  getAssets() {
+    const assetBrowser = this.app.assetBrowser;
+
+    return (assetBrowser && assetBrowser.assets) ||
+      (this.app.project && this.app.project.assets) ||
+      [];
+  }
+
+  /**
+   * Get all tileset assets in the project
+   * @returns {Array<object>} Tileset assets
+   */
+  getTilesetAssets() {
+    return this.getAssets().filter(asset => asset.type === 'tileset');
+  }
+
+  /**
+   * Get a tileset by asset ID
+   * Tilemaps made before tilesets existed point straight at an image; those are
+   * treated as a tileset of square tiles with no margin or spacing.
+   * @param {string} assetId - Tileset (or image) asset ID
+   * @param {number} [fallbackTileSize=32] - Tile size for image-only tilesets
+   * @returns {object|null} Tileset with id, name, imageId, tileWidth, tileHeight, margin, spacing and terrains
+   */
+  getTileset(assetId, fallbackTileSize = 32) {
+    const asset = this.getAssets().find(a => a.id === assetId);
+
+    if (!asset) return null;
+
+    if (asset.type === 'image') {
+      return {
+        ...TILESET_DEFAULTS,
+        id: asset.id,
+        name: asset.name,
+        imageId: asset.id,
+        tileWidth: fallbackTileSize,
+        tileHeight: fallbackTileSize
+      };
+    }
+
+    if (asset.type !== 'tileset' || !asset.tileset) return null;
+
+    return {
+      ...TILESET_DEFAULTS,
+      ...asset.tileset,
+      id: asset.id,
+      name: asset.name
+    };
+  }
+
+  /**
+   * Get the tile grid of a tileset's image
+   * @param {object} tileset - Tileset from getTileset
+   * @returns {object|null} Grid with columns, rows and count, or null until the image has loaded
+   */
+  getGrid(tileset) {
+    const image = tileset && this.app.imageCache.get(tileset.imageId);
+
+    if (!image) return null;
+
+    const stepX = tileset.tileWidth + tileset.spacing;
+    const stepY = tileset.tileHeight + tileset.spacing;
+    const columns = Math.max(0, Math.floor((image.naturalWidth - 2 * tileset.margin + tileset.spacing) / stepX));
+    const rows = Math.max(0, Math.floor((image.naturalHeight - 2 * tileset.margin + tileset.spacing) / stepY));
+
+    return { columns, rows, count: columns * rows };
+  }
+
+  /**
+   * Get the rectangle of a tile inside the tileset image
+   * @param {object} tileset - Tileset from getTileset
+   * @param {number} tile - Tile number (1-based)
+   * @param {number} columns - Number of tile columns in the image
+   * @returns {object} Rectangle with x, y, width and height in image pixels
+   */
+  getTileRect(tileset, tile, columns) {
+    const index = tile - 1;
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+
+    return {
+      x: tileset.margin + column * (tileset.tileWidth + tileset.spacing),
+      y: tileset.margin + row * (tileset.tileHeight + tileset.spacing),
+      width: tileset.tileWidth,
+      height: tileset.tileHeight
+    };
+  }
+
+  /**
+   * Create a tileset asset next to an image
+   * @param {object} imageAsset - Image asset the tiles are cut from
+   * @param {object} [options={}] - tileWidth, tileHeight, margin and spacing
+   * @returns {Promise<object>} The new tileset asset
+   */
+  async createTileset(imageAsset, options = {}) {
+    const project = this.app.project;
+
+    if (!project) {
+      throw new Error('Open a project before creating a tileset');
+    }
+
+    const definition = {
+      imageId: imageAsset.id,
+      tileWidth: options.tileWidth || TILESET_DEFAULTS.tileWidth,
+      tileHeight: options.tileHeight || TILESET_DEFAULTS.tileHeight,
+      margin: options.margin || 0,
+      spacing: options.spacing || 0,
+      terrains: []
+    };
+
+    // Put the tileset beside its image, without overwriting an existing one
+    const directory = path.dirname(imageAsset.path);
+    const baseName = path.basename(imageAsset.path, path.extname(imageAsset.path));
+    let assetPath = path.join(directory, `${baseName}.tileset`);
+
+    for (let i = 2; fs.existsSync(path.join(project.path, 'assets', assetPath)); i++) {
+      assetPath = path.join(directory, `${baseName}_${i}.tileset`);
+    }
+
+    const asset = await this.app.core.fs.saveTileset(project.path, assetPath, definition);
+
+    // Notify other components
+    this.app.core.events.emit('asset:import', asset);
+
+    return asset;
+  }
+
+  /**
+   * Change a tileset's definition and write it to disk
+   * @param {object} asset - Tileset asset
+   * @param {object} properties - Definition properties to change
+   * @returns {Promise<void>}
+   */
+  async updateTileset(asset, properties) {
+    const definition = { ...TILESET_DEFAULTS, ...asset.tileset, ...properties };
+
+    const saved = await this.app.core.fs.saveTileset(this.app.project.path, asset.path, definition);
+
+    asset.tileset = definition;
+    asset.size = saved.size;
+    asset.lastModified = saved.lastModified;
+
+    // Notify other components
+    this.app.core.events.emit('asset:updated', asset.id, properties);
+    this.app.core.events.emit('tileset:changed', asset.id);
+  }
+
+  /**
+   * Add an autotile terrain to a tileset
+   * The terrain's tiles are taken from a block of the tileset in the default layout
+   * (see Autotiler.createRules); edit the .tileset file to point rules at other tiles.
+   * @param {object} asset - Tileset asset
+   * @param {object} options - name, type ('16' or '47') and firstTile
+   * @returns {Promise<object>} The new terrain
+   */
+  async addTerrain(asset, options) {
+    const tileset = this.getTileset(asset.id);
+    const grid = this.getGrid(tileset);
+
+    if (!grid) {
+      throw new Error('The tileset image has not loaded yet');
+    }
+
+    if (!Autotiler.getTypes()[options.type]) {
+      throw new Error(`Unknown terrain type '${options.type}'`);
+    }
+
+    // The block must not wrap around the right edge or run off the bottom of the image
+    const rules = Autotiler.createRules(options.type, options.firstTile, grid.columns);
+    const blockColumns = Autotiler.getTypes()[options.type].columns;
+    const firstColumn = (options.firstTile - 1) % grid.columns;
+    const lastTile = Math.max(...Object.values(rules));
+
+    if (!Number.isInteger(options.firstTile) || options.firstTile < 1 || firstColumn + blockColumns > grid.columns || lastTile > grid.count) {
+      throw new Error(`The terrain's tiles don't fit in the tileset starting at tile ${options.firstTile}`);
+    }
+
+    const terrain = {
+      id: 'terrain_' + Date.now(),
+      name: options.name || 'Terrain',
+      type: options.type,
+      tiles: rules
+    };
+
+    await this.updateTileset(asset, { terrains: [...tileset.terrains, terrain] });
+
+    return terrain;
+  }
+
+  /**
+   * Remove an autotile terrain from a tileset
+   * Tiles already painted with it stay as they are
+   * @param {object} asset - Tileset asset
+   * @param {string} terrainId - Terrain ID
+   * @returns {Promise<void>}
+   */
+  async removeTerrain(asset, terrainId) {
+    const tileset = this.getTileset(asset.id);
+
+    await this.updateTileset(asset, {
+      terrains: tileset.terrains.filter(terrain => terrain.id !== terrainId)
+    });
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle tileset create event (asks for the grid of an image asset)
+   * @param {object} imageAsset - Image asset the tiles are cut from
+   */
+  async onCreateTileset(imageAsset) {
+    const ui = this.app.core.ui;
+
+    if (!imageAsset || imageAsset.type !== 'image') {
+      ui.showError('Create Tileset', 'Choose an image to cut the tiles from.');
+      return;
+    }
+
+    const values = await ui.showFormDialog({
+      title: `Create Tileset from ${imageAsset.name}`,
+      fields: [
+        { id: 'tileWidth', label: 'Tile Width', type: 'number', value: TILESET_DEFAULTS.tileWidth },
+        { id: 'tileHeight', label: 'Tile Height', type: 'number', value: TILESET_DEFAULTS.tileHeight },
+        { id: 'margin', label: 'Margin', type: 'number', value: 0 },
+        { id: 'spacing', label: 'Spacing', type: 'number', value: 0 }
+      ],
+      buttons: ['Cancel', 'Create']
+    });
+
+    if (!values) return;
+
+    if (!(values.tileWidth > 0) || !(values.tileHeight > 0)) {
+      ui.showError('Create Tileset', 'Tile width and height must be greater than zero.');
+      return;
+    }
+
+    try {
+      const asset = await this.createTileset(imageAsset, values);
+
+      ui.setStatus(`Created tileset ${asset.name}`);
+
+      this.app.core.events.emit('tileset:selected', asset.id);
+    } catch (error) {
+      console.error('Error creating tileset:', error);
+      ui.showError('Create Tileset', error.message);
+    }
+  }
+}
+
+// Export the TilesetManager class
+module.exports = TilesetManager;
@@ -1,5 +1,7 @@
 // core/UIManager.js - Manages the application UI
 
+const { ipcRenderer } = require('electron');
+
 /**
  * UI Manager - Creates and manages the application UI
  * Implements a Unity-like interface with dockable panels and a scene hierarchy
@@ -14,6 +16,7 @@ class UIManager {
       this.panels = {};
       this.layout = null;
       this.menuItems = [];
+      this.shortcuts = {};
       this.modalStack = [];
       this.dragging = null;
       
@@ -22,6 +25,7 @@ class UIManager {
       this.onPanelDragStart = this.onPanelDragStart.bind(this);
       this.onPanelDragMove = this.onPanelDragMove.bind(this);
       this.onPanelDragEnd = this.onPanelDragEnd.bind(this);
+      this.onKeyDown = this.onKeyDown.bind(this);
     }
     
     /**
@@ -33,6 +37,7 @@ class UIManager {
       
       // Add event listeners
       window.addEventListener('resize', this.onWindowResize);
+      document.addEventListener('keydown', this.onKeyDown);
       
       // Load theme
       this.loadTheme(this.app.core.config.get('theme', 'light'));
@@ -49,6 +54,7 @@ class UIManager {
       
       // Create main layout elements
       this.createMainMenu();
+      this.setupMainMenu();
       this.createToolbar();
       this.createMainContainer();
       this.createStatusBar();
@@ -169,6 +175,13 @@ class UIManager {
         minWidth: 150
       });
       
+      // Create Tile Palette panel (left side, below the hierarchy)
+      this.createPanel('tiles', 'Tile Palette', 'left', {
+        width: 250,
+        height: 260,
+        minWidth: 150
+      });
+      
       // Create Inspector panel (right side)
       this.createPanel('inspector', 'Inspector', 'right', {
         width: 300,
@@ -439,6 +452,7 @@ class UIManager {
         { type: 'separator' },
         { label: 'Import...', action: 'project:import' },
         { label: 'Export...', action: 'project:export' },
+        { label: 'Export Scene to Tiled...', action: 'scene:exportTiled' },
         { type: 'separator' },
         { label: 'Exit', action: 'app:exit', shortcut: 'Alt+F4' }
       ]);
@@ -458,12 +472,25 @@ class UIManager {
         { label: 'Preferences...', action: 'edit:preferences' }
       ]);
       
+      // Create GameObject menu
+      this.addMenuItem('GameObject', [
+        { label: 'Camera', action: 'object:add', params: [{ type: 'camera', name: 'Camera' }] },
+        { type: 'separator' },
+        { label: 'Create Prefab from Selection', action: 'prefab:create' }
+      ]);
+      
       // Create View menu
       this.addMenuItem('View', [
         { label: 'Scene', action: 'editor:change', params: ['sceneEditor'] },
         { label: 'Game', action: 'editor:change', params: ['gameEditor'] },
         { type: 'separator' },
+        { label: 'Frame Selected', action: 'scene:frameSelected', shortcut: 'F' },
+        { label: 'Frame All', action: 'scene:frameAll', shortcut: 'Shift+F' },
+        { label: 'Minimap', action: 'scene:toggleMinimap', checkable: true, checked: true },
+        { label: 'Play Animations', action: 'scene:toggleAnimations', checkable: true, checked: true },
+        { type: 'separator' },
         { label: 'Hierarchy', action: 'panel:toggle', params: ['hierarchy'], checkable: true, checked: true },
+        { label: 'Tile Palette', action: 'panel:toggle', params: ['tiles'], checkable: true, checked: true },
         { label: 'Inspector', action: 'panel:toggle', params: ['inspector'], checkable: true, checked: true },
         { label: 'Project', action: 'panel:toggle', params: ['project'], checkable: true, checked: true },
         { label: 'Console', action: 'panel:toggle', params: ['console'], checkable: true, checked: true },
@@ -476,11 +503,13 @@ class UIManager {
         { label: 'Build', action: 'project:build', shortcut: 'Ctrl+B' },
         { label: 'Run', action: 'project:test', shortcut: 'F5' },
         { type: 'separator' },
+        { label: 'Texture Atlas...', action: 'project:atlasSettings' },
         { label: 'Project Settings...', action: 'project:settings' }
       ]);
       
       // Create Help menu
       this.addMenuItem('Help', [
+        { label: 'Welcome Screen', action: 'welcome:show' },
         { label: 'Documentation', action: 'help:docs' },
         { label: 'About', action: 'help:about' }
       ]);
@@ -525,6 +554,11 @@ class UIManager {
             shortcut.className = 'menu-shortcut';
             shortcut.textContent = item.shortcut;
             menuEntry.appendChild(shortcut);
+            
+            // Register the keyboard shortcut
+            if (item.action) {
+              this.shortcuts[this.normalizeShortcut(item.shortcut)] = item;
+            }
           }
           
           // Add checkbox if checkable
@@ -1098,82 +1132,225 @@ class UIManager {
     }
     
     /**
-     * Show a file dialog
+     * Show a form dialog
      * @param {object} options - Dialog options
-     * @returns {Promise<string>} Promise that resolves with the selected file path
+     * @param {string} options.title - Dialog title
+     * @param {Array<object>} options.fields - Fields with id, label, type ('text', 'number', 'select', 'directory'), value and options
+     * @param {Array<string>} [options.buttons=['Cancel', 'OK']] - Button labels; the first one cancels
+     * @returns {Promise<object|null>} Promise that resolves with the field values, or null if cancelled
      */
-    showFileDialog(options) {
-      // This is a mock implementation for a file dialog
-      // In a real NW.js application, we would use the native file dialog
-      
-      return new Promise((resolve, reject) => {
-        try {
-          // Use NW.js file dialog if available
-          const fileInput = document.createElement('input');
-          fileInput.type = 'file';
+    showFormDialog(options) {
+      return new Promise((resolve) => {
+        // Create modal container
+        const modal = document.createElement('div');
+        modal.className = 'modal';
+        
+        // Create dialog
+        const dialog = document.createElement('div');
+        dialog.className = 'dialog form-dialog';
+        
+        // Create dialog header
+        const header = document.createElement('div');
+        header.className = 'dialog-header';
+        header.textContent = options.title || 'Form';
+        dialog.appendChild(header);
+        
+        // Create dialog content with one row per field
+        const content = document.createElement('div');
+        content.className = 'dialog-content';
+        
+        const inputs = {};
+        
+        for (const field of options.fields) {
+          const row = document.createElement('div');
+          row.className = 'dialog-field';
+          
+          const label = document.createElement('label');
+          label.textContent = field.label;
+          label.htmlFor = `dialog-${field.id}`;
+          row.appendChild(label);
           
-          // Set accept attribute if file types are specified
-          if (options.fileTypes) {
-            fileInput.accept = options.fileTypes.join(',');
+          let input;
+          
+          if (field.type === 'select') {
+            input = document.createElement('select');
+            
+            for (const option of field.options || []) {
+              const optionElement = document.createElement('option');
+              optionElement.value = option.value;
+              optionElement.textContent = option.label;
+              input.appendChild(optionElement);
+            }
+          } else {
+            input = document.createElement('input');
+            input.type = field.type === 'number' ? 'number' : 'text';
           }
           
-          // Set directory attribute if selecting directories
-          if (options.directories) {
-            fileInput.webkitdirectory = true;
+          input.id = `dialog-${field.id}`;
+          input.value = field.value !== undefined ? field.value : '';
+          row.appendChild(input);
+          
+          // Directory fields get a browse button
+          if (field.type === 'directory') {
+            const browseButton = document.createElement('button');
+            browseButton.className = 'dialog-button';
+            browseButton.textContent = 'Browse...';
+            browseButton.addEventListener('click', async () => {
+              const directory = await this.showFileDialog({ title: field.label, directories: true });
+              
+              if (directory) {
+                input.value = directory;
+              }
+            });
+            row.appendChild(browseButton);
           }
           
-          // Set multiple attribute if selecting multiple files
-          if (options.multiple) {
-            fileInput.multiple = true;
+          inputs[field.id] = { input, field };
+          content.appendChild(row);
+        }
+        
+        dialog.appendChild(content);
+        
+        // Create dialog footer with buttons
+        const footer = document.createElement('div');
+        footer.className = 'dialog-footer';
+        
+        const buttons = options.buttons || ['Cancel', 'OK'];
+        
+        const close = (values) => {
+          document.body.removeChild(modal);
+          document.removeEventListener('keydown', keyHandler);
+          this.modalStack.pop();
+          resolve(values);
+        };
+        
+        const submit = () => {
+          const values = {};
+          
+          for (const id in inputs) {
+            const { input, field } = inputs[id];
+            values[id] = field.type === 'number' ? parseFloat(input.value) : input.value;
           }
           
-          // Handle file selection
-          fileInput.addEventListener('change', () => {
-            const files = fileInput.files;
-            
-            if (files.length === 0) {
-              resolve(null);
-            } else if (options.multiple) {
-              // Return array of paths for multiple selection
-              const paths = Array.from(files).map(file => file.path);
-              resolve(paths);
+          close(values);
+        };
+        
+        buttons.forEach((buttonLabel, index) => {
+          const button = document.createElement('button');
+          button.className = 'dialog-button';
+          button.textContent = buttonLabel;
+          
+          // The first button cancels, the others submit
+          button.addEventListener('click', () => {
+            if (index === 0) {
+              close(null);
             } else {
-              // Return single path
-              resolve(files[0].path);
+              submit();
             }
           });
           
-          // Trigger file dialog
-          fileInput.click();
-        } catch (err) {
-          reject(err);
+          footer.appendChild(button);
+        });
+        
+        dialog.appendChild(footer);
+        modal.appendChild(dialog);
+        
+        // Add to document
+        document.body.appendChild(modal);
+        
+        // Add to modal stack
+        this.modalStack.push(modal);
+        
+        // Focus the first field
+        const firstInput = content.querySelector('input, select');
+        if (firstInput) {
+          firstInput.focus();
         }
+        
+        // Enter submits, Escape cancels
+        const keyHandler = (e) => {
+          if (e.key === 'Escape') {
+            close(null);
+          } else if (e.key === 'Enter') {
+            submit();
+          }
+        };
+        
+        document.addEventListener('keydown', keyHandler);
       });
     }
     
     /**
-     * Show a save dialog
+     * Show a native open dialog
      * @param {object} options - Dialog options
-     * @returns {Promise<string>} Promise that resolves with the selected save path
+     * @param {string} [options.title] - Dialog title
+     * @param {Array<string>} [options.fileTypes] - Allowed extensions (e.g. ['.png', '.jpg'])
+     * @param {boolean} [options.directories] - Select directories instead of files
+     * @param {boolean} [options.multiple] - Allow selecting several entries
+     * @param {string} [options.defaultPath] - Initial path
+     * @returns {Promise<string|Array<string>|null>} Selected path(s) or null if cancelled
      */
-    showSaveDialog(options) {
-      // This is a mock implementation for a save dialog
-      // In a real NW.js application, we would use the native save dialog
-      
-      return new Promise((resolve, reject) => {
-        try {
-          // Use a simplified dialog for now
-          const filename = prompt(options.message || 'Enter file name:', options.defaultPath || '');
-          
-          if (!filename) {
-            resolve(null);
-          } else {
-            resolve(filename);
-          }
-        } catch (err) {
-          reject(err);
-        }
-      });
+    async showFileDialog(options) {
+      const properties = [options.directories ? 'openDirectory' : 'openFile'];
+      
+      if (options.directories) {
+        properties.push('createDirectory');
+      }
+      
+      if (options.multiple) {
+        properties.push('multiSelections');
+      }
+      
+      const dialogOptions = {
+        title: options.title,
+        defaultPath: options.defaultPath,
+        properties: properties
+      };
+      
+      if (options.fileTypes) {
+        dialogOptions.filters = [{
+          name: 'Supported Files',
+          extensions: options.fileTypes.map(type => type.replace(/^\./, ''))
+        }];
+      }
+      
+      const result = await ipcRenderer.invoke('dialog:open', dialogOptions);
+      
+      if (result.canceled || result.filePaths.length === 0) {
+        return null;
+      }
+      
+      // Return array of paths for multiple selection
+      return options.multiple ? result.filePaths : result.filePaths[0];
+    }
+    
+    /**
+     * Show a native save dialog
+     * @param {object} options - Dialog options
+     * @param {string} [options.title] - Dialog title
+     * @param {string} [options.message] - Message shown on macOS
+     * @param {string} [options.defaultPath] - Initial path
+     * @param {Array<string>} [options.fileTypes] - Allowed extensions (e.g. ['.love'])
+     * @returns {Promise<string|null>} Selected path or null if cancelled
+     */
+    async showSaveDialog(options) {
+      const dialogOptions = {
+        title: options.title,
+        message: options.message,
+        defaultPath: options.defaultPath,
+        properties: ['createDirectory', 'showOverwriteConfirmation']
+      };
+      
+      if (options.fileTypes) {
+        dialogOptions.filters = [{
+          name: 'Supported Files',
+          extensions: options.fileTypes.map(type => type.replace(/^\./, ''))
+        }];
+      }
+      
+      const result = await ipcRenderer.invoke('dialog:save', dialogOptions);
+      
+      return result.canceled || !result.filePath ? null : result.filePath;
     }
     
     /**
@@ -1194,6 +1371,57 @@ class UIManager {
       console.log(`Theme set to ${theme}`);
     }
     
+    /**
+     * Normalize a shortcut string so it can be used as a lookup key
+     * @param {string} shortcut - Shortcut like 'Ctrl+Shift+S'
+     * @returns {string} Normalized shortcut
+     */
+    normalizeShortcut(shortcut) {
+      const parts = shortcut.split('+').map(part => part.trim().toLowerCase());
+      const key = parts.pop();
+      const modifiers = ['ctrl', 'alt', 'shift'].filter(modifier => parts.includes(modifier));
+      
+      return [...modifiers, key].join('+');
+    }
+    
+    /**
+     * Build the shortcut string for a keyboard event
+     * @param {KeyboardEvent} e - Keyboard event
+     * @returns {string} Normalized shortcut
+     */
+    getEventShortcut(e) {
+      const modifiers = [];
+      
+      // Treat Cmd on macOS the same as Ctrl
+      if (e.ctrlKey || e.metaKey) modifiers.push('ctrl');
+      if (e.altKey) modifiers.push('alt');
+      if (e.shiftKey) modifiers.push('shift');
+      
+      return [...modifiers, e.key.toLowerCase()].join('+');
+    }
+    
+    /**
+     * Handle global keyboard shortcuts for menu actions
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    onKeyDown(e) {
+      // Leave text editing keys to the focused field
+      const target = e.target;
+      if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+        return;
+      }
+      
+      // Modal dialogs handle their own keys
+      if (this.modalStack.length > 0) return;
+      
+      const item = this.shortcuts[this.getEventShortcut(e)];
+      
+      if (item) {
+        e.preventDefault();
+        this.app.core.events.emit(item.action, ...(item.params || []));
+      }
+    }
+    
     /**
      * Handle window resize
      */
@@ -0,0 +1,187 @@
+// core/ZipWriter.js - Minimal ZIP archive writer
+
+const zlib = require('zlib');
+
+// Lazily built CRC-32 lookup table
+let crcTable = null;
+
+/**
+ * Zip Writer - Builds ZIP archives in memory
+ * Love2D's .love files are plain ZIP archives, so exports are packaged with this
+ */
+class ZipWriter {
+  constructor() {
+    this.entries = [];
+  }
+
+  /**
+   * Add a file to the archive
+   * @param {string} name - Path of the file inside the archive
+   * @param {Buffer|string} data - File contents
+   * @param {object} [options={}] - Entry options
+   * @param {boolean} [options.compress=true] - Deflate the file when it makes it smaller
+   * @param {Date} [options.date] - Modification date stored for the entry
+   */
+  addFile(name, data, options = {}) {
+    // ZIP paths always use forward slashes
+    const entryName = name.replace(/\\/g, '/').replace(/^\/+/, '');
+    const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+
+    let method = 0;
+    let compressed = content;
+
+    if (options.compress !== false && content.length > 0) {
+      const deflated = zlib.deflateRawSync(content);
+
+      // Only keep the compressed data if it actually saves space
+      if (deflated.length < content.length) {
+        method = 8;
+        compressed = deflated;
+      }
+    }
+
+    // Replace an existing entry with the same name
+    this.entries = this.entries.filter(entry => entry.name !== entryName);
+
+    this.entries.push({
+      name: entryName,
+      nameBuffer: Buffer.from(entryName, 'utf8'),
+      method: method,
+      crc: ZipWriter.crc32(content),
+      size: content.length,
+      data: compressed,
+      date: options.date || new Date()
+    });
+  }
+
+  /**
+   * Check if the archive contains a file
+   * @param {string} name - Path of the file inside the archive
+   * @returns {boolean} True if the entry exists
+   */
+  hasFile(name) {
+    return this.entries.some(entry => entry.name === name);
+  }
+
+  /**
+   * Get the names of all entries in the archive
+   * @returns {Array<string>} Entry names
+   */
+  getFileNames() {
+    return this.entries.map(entry => entry.name);
+  }
+
+  /**
+   * Serialize the archive
+   * @returns {Buffer} ZIP file contents
+   */
+  toBuffer() {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of this.entries) {
+      const { time, date } = ZipWriter.toDosDateTime(entry.date);
+
+      // Local file header
+      const local = Buffer.alloc(30);
+      local.writeUInt32LE(0x04034b50, 0);
+      local.writeUInt16LE(20, 4);            // Version needed to extract
+      local.writeUInt16LE(0x0800, 6);        // Flags: UTF-8 file names
+      local.writeUInt16LE(entry.method, 8);
+      local.writeUInt16LE(time, 10);
+      local.writeUInt16LE(date, 12);
+      local.writeUInt32LE(entry.crc, 14);
+      local.writeUInt32LE(entry.data.length, 18);
+      local.writeUInt32LE(entry.size, 22);
+      local.writeUInt16LE(entry.nameBuffer.length, 26);
+      local.writeUInt16LE(0, 28);            // Extra field length
+
+      localParts.push(local, entry.nameBuffer, entry.data);
+
+      // Central directory header
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      central.writeUInt16LE(20, 4);          // Version made by
+      central.writeUInt16LE(20, 6);          // Version needed to extract
+      central.writeUInt16LE(0x0800, 8);
+      central.writeUInt16LE(entry.method, 10);
+      central.writeUInt16LE(time, 12);
+      central.writeUInt16LE(date, 14);
+      central.writeUInt32LE(entry.crc, 16);
+      central.writeUInt32LE(entry.data.length, 20);
+      central.writeUInt32LE(entry.size, 24);
+      central.writeUInt16LE(entry.nameBuffer.length, 28);
+      central.writeUInt16LE(0, 30);          // Extra field length
+      central.writeUInt16LE(0, 32);          // Comment length
+      central.writeUInt16LE(0, 34);          // Disk number
+      central.writeUInt16LE(0, 36);          // Internal attributes
+      central.writeUInt32LE(0, 38);          // External attributes
+      central.writeUInt32LE(offset, 42);     // Offset of local header
+
+      centralParts.push(central, entry.nameBuffer);
+
+      offset += local.length + entry.nameBuffer.length + entry.data.length;
+    }
+
+    const centralDirectory = Buffer.concat(centralParts);
+
+    // End of central directory record
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(0, 4);
+    end.writeUInt16LE(0, 6);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    end.writeUInt16LE(0, 20);
+
+    return Buffer.concat([...localParts, centralDirectory, end]);
+  }
+
+  /**
+   * Convert a date to MS-DOS date and time fields
+   * @param {Date} value - Date to convert
+   * @returns {object} Object with time and date fields
+   */
+  static toDosDateTime(value) {
+    // DOS dates cannot represent years before 1980
+    const year = Math.max(value.getFullYear(), 1980);
+
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+
+  /**
+   * Calculate the CRC-32 checksum of a buffer
+   * @param {Buffer} buffer - Data to checksum
+   * @returns {number} Unsigned CRC-32 value
+   */
+  static crc32(buffer) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xFFFFFFFF;
+
+    for (let i = 0; i < buffer.length; i++) {
+      crc = crcTable[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+}
+
+// Export the ZipWriter class
+module.exports = ZipWriter;
@@ -1,5 +1,9 @@
 // editors/AssetBrowser.js - Asset management and organization
 
+const fs = require('fs');
+const path = require('path');
+const PrefabManager = require('../core/PrefabManager');
+
 /**
  * Asset Browser - Manages project assets with a Unity-like interface
  * Allows importing, organizing, and using assets in the editor
@@ -27,6 +31,10 @@ class AssetBrowser {
       this.app.core.events.on('asset:rename', this.onRenameAsset.bind(this));
       this.app.core.events.on('asset:select', this.onSelectAsset.bind(this));
       this.app.core.events.on('project:loaded', this.onProjectLoaded.bind(this));
+      this.app.core.events.on('project:import', () => this.importAsset());
+      this.app.core.events.on('prefab:created', () => this.renderAssets());
+      this.app.core.events.on('prefab:updated', () => this.renderAssets());
+      this.app.core.events.on('prefab:deleted', this.onPrefabDeleted.bind(this));
     }
     
     /**
@@ -263,6 +271,16 @@ class AssetBrowser {
         preview.innerHTML = '<i class="icon-font"></i>';
       } else if (asset.type === 'script') {
         preview.innerHTML = '<i class="icon-script"></i>';
+      } else if (asset.type === 'tileset') {
+        preview.innerHTML = '<i class="icon-tileset"></i>';
+      } else if (asset.type === 'animation' && this.app.animationManager.getAnimation(asset.id)) {
+        // Show the first frame, playing the first clip while hovered
+        const animationPreview = this.app.animationManager.createPreview(asset.id, { width: 64, height: 64 });
+        preview.appendChild(animationPreview.canvas);
+        item.addEventListener('mouseenter', () => animationPreview.play());
+        item.addEventListener('mouseleave', () => animationPreview.stop());
+      } else if (asset.type === 'prefab') {
+        preview.innerHTML = '<i class="icon-prefab"></i>';
       } else {
         preview.innerHTML = '<i class="icon-file"></i>';
       }
@@ -301,6 +319,15 @@ class AssetBrowser {
         this.app.core.events.emit('asset:selected', asset);
       });
       
+      // Prefabs are dragged into the scene to place them
+      if (asset.type === 'prefab') {
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+          e.dataTransfer.effectAllowed = 'copy';
+          e.dataTransfer.setData(PrefabManager.getDragType(), asset.id);
+        });
+      }
+      
       // Add context menu
       item.addEventListener('contextmenu', (e) => {
         e.preventDefault();
@@ -419,6 +446,12 @@ class AssetBrowser {
         icon.innerHTML = '<i class="icon-font"></i>';
       } else if (asset.type === 'script') {
         icon.innerHTML = '<i class="icon-script"></i>';
+      } else if (asset.type === 'tileset') {
+        icon.innerHTML = '<i class="icon-tileset"></i>';
+      } else if (asset.type === 'animation') {
+        icon.innerHTML = '<i class="icon-animation"></i>';
+      } else if (asset.type === 'prefab') {
+        icon.innerHTML = '<i class="icon-prefab"></i>';
       } else {
         icon.innerHTML = '<i class="icon-file"></i>';
       }
@@ -437,7 +470,7 @@ class AssetBrowser {
       // Size cell
       const sizeCell = document.createElement('div');
       sizeCell.className = 'asset-list-cell size-column';
-      sizeCell.textContent = asset.type === 'folder' ? '--' : this.formatSize(asset.size);
+      sizeCell.textContent = asset.type === 'folder' || asset.type === 'prefab' ? '--' : this.formatSize(asset.size);
       
       // Date cell
       const dateCell = document.createElement('div');
@@ -478,6 +511,15 @@ class AssetBrowser {
         this.app.core.events.emit('asset:selected', asset);
       });
       
+      // Prefabs are dragged into the scene to place them
+      if (asset.type === 'prefab') {
+        item.draggable = true;
+        item.addEventListener('dragstart', (e) => {
+          e.dataTransfer.effectAllowed = 'copy';
+          e.dataTransfer.setData(PrefabManager.getDragType(), asset.id);
+        });
+      }
+      
       // Add context menu
       item.addEventListener('contextmenu', (e) => {
         e.preventDefault();
@@ -549,12 +591,18 @@ class AssetBrowser {
         }
       });
       
+      // Prefabs live in the project's objects folder and are listed at the root
+      if (this.currentPath === '') {
+        filtered = filtered.concat(this.getPrefabItems());
+      }
+      
       // Apply search filter if any
       if (this.filter) {
         const lowerFilter = this.filter.toLowerCase();
         filtered = filtered.filter(asset => 
           asset.name.toLowerCase().includes(lowerFilter) ||
-          asset.type.toLowerCase().includes(lowerFilter)
+          asset.type.toLowerCase().includes(lowerFilter) ||
+          (asset.tags || []).some(tag => tag.toLowerCase().includes(lowerFilter))
         );
       }
       
@@ -639,8 +687,11 @@ class AssetBrowser {
     
     /**
      * Import an asset
+     * Tiled maps are imported as new scenes instead of being copied
      */
     async importAsset() {
+      if (!this.app.project) return;
+      
       try {
         // Show file dialog
         const filePath = await this.app.core.ui.showFileDialog({
@@ -650,20 +701,28 @@ class AssetBrowser {
             '.mp3', '.wav', '.ogg',                  // Audio
             '.ttf', '.otf',                          // Fonts
             '.lua', '.moon', '.js',                  // Scripts
-            '.json', '.xml', '.csv'                  // Data
+            '.json', '.xml', '.csv',                 // Data
+            '.tmx', '.tmj'                           // Tiled maps
           ]
         });
         
         if (!filePath) return;
         
+        if (this.app.tiledManager.isTiledMap(filePath)) {
+          await this.importTiledMap(filePath);
+          return;
+        }
+        
         // Show progress indicator
         this.app.core.ui.setStatus('Importing asset...');
         
         // Import the asset
-        const asset = await this.app.core.fs.importAsset(filePath, this.currentPath);
+        const asset = await this.app.core.fs.importAsset(this.app.project.path, filePath, this.currentPath);
         
-        // Add to assets list
-        this.assets.push(asset);
+        // Add to assets list, unless an identical file was already there
+        if (!this.assets.some(a => a.id === asset.id)) {
+          this.assets.push(asset);
+        }
         
         // Re-render assets
         this.renderAssets();
@@ -683,13 +742,37 @@ class AssetBrowser {
       }
     }
     
+    /**
+     * Import a Tiled map as a new scene
+     * @param {string} filePath - Path to the .tmx or .tmj file
+     */
+    async importTiledMap(filePath) {
+      this.app.core.ui.setStatus('Importing map...');
+      
+      const { scene, warnings } = await this.app.tiledManager.importMap(filePath);
+      
+      for (const warning of warnings) {
+        console.warn(`Tiled import: ${warning}`);
+      }
+      
+      this.app.core.ui.setStatus(warnings.length > 0
+        ? `Imported ${scene.name} with ${warnings.length} warnings (see console)`
+        : `Imported ${scene.name}`);
+    }
+    
     /**
      * Create a new folder
      */
     async createFolder() {
       try {
         // Show dialog for folder name
-        const folderName = await this.app.core.ui.showPrompt('New Folder', 'Enter folder name:');
+        const values = await this.app.core.ui.showFormDialog({
+          title: 'New Folder',
+          fields: [{ id: 'name', label: 'Name', type: 'text', value: 'New Folder' }],
+          buttons: ['Cancel', 'Create']
+        });
+        
+        const folderName = values && values.name.trim();
         
         if (!folderName) return;
         
@@ -699,7 +782,7 @@ class AssetBrowser {
           : folderName;
         
         // Create the folder
-        await this.app.core.fs.createDirectory(folderPath);
+        await this.app.core.fs.createAssetFolder(this.app.project.path, folderPath);
         
         // Add to assets list
         const folder = {
@@ -733,26 +816,37 @@ class AssetBrowser {
     async deleteSelectedAsset() {
       if (!this.selectedAsset) return;
       
+      if (this.app.prefabManager.getPrefab(this.selectedAsset)) {
+        await this.deletePrefab(this.selectedAsset);
+        return;
+      }
+      
       try {
         // Find the selected asset
         const asset = this.assets.find(a => a.id === this.selectedAsset);
         
         if (!asset) return;
         
-        // Confirm deletion
+        // Confirm deletion, warning about anything that still uses the asset or a folder's contents
+        const deleted = [asset, ...this.getAssetsInFolder(asset)];
+        const references = await this.app.referenceIndex.getExternalReferences(deleted);
+        const confirmLabel = references.length > 0 ? 'Delete Anyway' : 'Delete';
+        
         const result = await this.app.core.ui.showConfirmDialog(
           'Delete Asset',
-          `Are you sure you want to delete "${asset.name}"?`,
-          ['Cancel', 'Delete']
+          references.length > 0
+            ? this.getReferenceWarning(asset, references)
+            : `Are you sure you want to delete "${asset.name}"?`,
+          ['Cancel', confirmLabel]
         );
         
-        if (result !== 'Delete') return;
+        if (result !== confirmLabel) return;
         
-        // Delete the asset
-        await this.app.core.fs.deleteAsset(asset.path);
+        // Delete the asset and its .meta file
+        await this.app.core.fs.deleteAsset(this.app.project.path, asset.path);
         
-        // Remove from assets list
-        this.assets = this.assets.filter(a => a.id !== this.selectedAsset);
+        // Remove from assets list, along with everything inside a deleted folder
+        this.assets = this.assets.filter(a => !deleted.includes(a));
         
         // Clear selection
         this.selectedAsset = null;
@@ -763,8 +857,10 @@ class AssetBrowser {
         // Update status
         this.app.core.ui.setStatus('Asset deleted');
         
-        // Emit event
-        this.app.core.events.emit('asset:deleted', asset);
+        // Emit events
+        for (const deletedAsset of deleted) {
+          this.app.core.events.emit('asset:deleted', deletedAsset);
+        }
       } catch (error) {
         console.error('Error deleting asset:', error);
         this.app.core.ui.showError('Delete Error', error.message);
@@ -772,39 +868,60 @@ class AssetBrowser {
       }
     }
     
+    /**
+     * Build the message warning that an asset about to be deleted is still used
+     * @param {object} asset - Asset being deleted
+     * @param {Array<object>} references - References to it (or to a folder's contents)
+     * @returns {string} Dialog message
+     */
+    getReferenceWarning(asset, references) {
+      const shown = 10;
+      const lines = references.slice(0, shown).map(reference => {
+        const target = reference.assetId !== asset.id ? this.assets.find(a => a.id === reference.assetId) : null;
+        const description = this.app.referenceIndex.describe(reference);
+        
+        return `• ${target ? `${target.name}: ` : ''}${description}`;
+      });
+      
+      if (references.length > shown) {
+        lines.push(`…and ${references.length - shown} more`);
+      }
+      
+      return `"${asset.name}" is still used in ${references.length} place${references.length === 1 ? '' : 's'}:\n\n` +
+        `${lines.join('\n')}\n\nDeleting it leaves these pointing at a missing asset.`;
+    }
+    
     /**
      * Rename an asset
      * @param {object} asset - Asset to rename
      */
     async renameAsset(asset) {
+      if (asset.type === 'prefab') {
+        await this.renamePrefab(asset);
+        return;
+      }
+      
       try {
-        // Show dialog for new name
-        const newName = await this.app.core.ui.showPrompt('Rename Asset', 'Enter new name:', asset.name);
-        
-        if (!newName || newName === asset.name) return;
+        // Show dialog for new name; the extension stays the same
+        const extension = asset.type === 'folder' ? '' : this.getExtension(asset.name);
+        const values = await this.app.core.ui.showFormDialog({
+          title: 'Rename Asset',
+          fields: [{ id: 'name', label: 'Name', type: 'text', value: path.basename(asset.name, extension) }],
+          buttons: ['Cancel', 'Rename']
+        });
         
-        // Calculate new path
-        const oldPath = asset.path;
-        const basePath = this.currentPath || '';
-        const newPath = asset.type === 'folder'
-          ? basePath ? `${basePath}/${newName}` : newName
-          : `${basePath}/${newName}${this.getExtension(asset.name)}`;
+        const newName = values && values.name.trim();
         
-        // Rename the asset
-        await this.app.core.fs.renameAsset(oldPath, newPath);
+        if (!newName || newName + extension === asset.name) return;
         
-        // Update asset in the list
-        asset.name = newName;
-        asset.path = newPath;
+        // Calculate new path
+        const folder = path.dirname(asset.path);
+        const fileName = newName + extension;
         
-        // Re-render assets
-        this.renderAssets();
+        const updated = await this.moveAssetTo(asset, folder === '.' ? fileName : `${folder}/${fileName}`);
         
         // Update status
-        this.app.core.ui.setStatus('Asset renamed');
-        
-        // Emit event
-        this.app.core.events.emit('asset:renamed', { asset, oldPath, newPath });
+        this.app.core.ui.setStatus(`Asset renamed${this.describeScriptUpdates(updated)}`);
       } catch (error) {
         console.error('Error renaming asset:', error);
         this.app.core.ui.showError('Rename Error', error.message);
@@ -812,6 +929,109 @@ class AssetBrowser {
       }
     }
     
+    /**
+     * Move an asset to another folder
+     * @param {object} asset - Asset to move
+     */
+    async moveAsset(asset) {
+      try {
+        const currentFolder = path.dirname(asset.path);
+        const values = await this.app.core.ui.showFormDialog({
+          title: `Move ${asset.name}`,
+          fields: [{ id: 'folder', label: 'Folder (empty for the top level)', type: 'text', value: currentFolder === '.' ? '' : currentFolder }],
+          buttons: ['Cancel', 'Move']
+        });
+        
+        if (!values) return;
+        
+        const folder = values.folder.trim().replace(/\\/g, '/').replace(/^\/+|\/+$/g, '');
+        const newPath = folder ? `${folder}/${asset.name}` : asset.name;
+        
+        if (newPath === asset.path) return;
+        
+        if (asset.type === 'folder' && newPath.startsWith(`${asset.path}/`)) {
+          throw new Error('A folder cannot be moved into itself');
+        }
+        
+        const updated = await this.moveAssetTo(asset, newPath);
+        
+        // Update status
+        this.app.core.ui.setStatus(`Moved ${asset.name} to ${folder || 'the top level'}${this.describeScriptUpdates(updated)}`);
+      } catch (error) {
+        console.error('Error moving asset:', error);
+        this.app.core.ui.showError('Move Error', error.message);
+        this.app.core.ui.setStatus('Error moving asset', 'error');
+      }
+    }
+    
+    /**
+     * Rename or move an asset on disk and in the list
+     * The .meta file moves with the asset, so its GUID and settings are kept.
+     * @param {object} asset - Asset to move
+     * @param {string} newPath - New path relative to the assets folder
+     * @returns {Promise<number>} Number of asset paths rewritten in scripts
+     */
+    async moveAssetTo(asset, newPath) {
+      const oldPath = asset.path;
+      
+      // Paths inside the folder, compared with forward slashes since Windows paths use backslashes
+      const children = this.getAssetsInFolder(asset).map(child => ({
+        child,
+        relativePath: child.path.replace(/\\/g, '/').slice(oldPath.replace(/\\/g, '/').length + 1)
+      }));
+      
+      await this.app.core.fs.renameAsset(this.app.project.path, oldPath, newPath);
+      
+      // Update the asset and, for folders, everything inside it
+      asset.name = path.basename(newPath);
+      asset.path = newPath;
+      
+      for (const { child, relativePath } of children) {
+        child.path = path.join(newPath, relativePath);
+      }
+      
+      // Re-render assets
+      this.renderAssets();
+      
+      // Emit events
+      const renames = [{ asset, oldPath, newPath }].concat(children.map(({ child, relativePath }) => ({
+        asset: child,
+        oldPath: path.join(oldPath, relativePath),
+        newPath: child.path
+      })));
+      
+      for (const rename of renames) {
+        this.app.core.events.emit('asset:renamed', rename);
+      }
+      
+      // Objects point at assets by GUID and keep working; scripts name them by path
+      return this.app.referenceIndex.updatePathReferences(renames);
+    }
+    
+    /**
+     * Describe how many script paths a move rewrote, for the status bar
+     * @param {number} updated - Number of paths rewritten
+     * @returns {string} Text to append to the status message; empty if nothing changed
+     */
+    describeScriptUpdates(updated) {
+      if (updated === 0) return '';
+      
+      return ` (updated ${updated} path${updated === 1 ? '' : 's'} in scripts)`;
+    }
+    
+    /**
+     * Get the assets inside a folder, at any depth
+     * @param {object} folder - Folder asset (other assets have nothing inside them)
+     * @returns {Array<object>} Assets in the folder
+     */
+    getAssetsInFolder(folder) {
+      if (folder.type !== 'folder') return [];
+      
+      const folderPath = folder.path.replace(/\\/g, '/');
+      
+      return this.assets.filter(asset => asset.path.replace(/\\/g, '/').startsWith(`${folderPath}/`));
+    }
+    
     /**
      * Open an asset
      * @param {object} asset - Asset to open
@@ -831,6 +1051,9 @@ class AssetBrowser {
         case 'script':
           this.openScriptAsset(asset);
           break;
+        case 'prefab':
+          this.app.prefabManager.instantiate(asset.id);
+          break;
         default:
           this.openGenericAsset(asset);
       }
@@ -936,6 +1159,42 @@ class AssetBrowser {
     }
   }
   
+  /**
+   * Open a script file at a line, e.g. from a Lua traceback in the console
+   * Uses the configured external script editor, or the system default application
+   * @param {string} filePath - Absolute path to the script
+   * @param {number} [line=1] - Line to jump to
+   */
+  openScriptFile(filePath, line = 1) {
+    const scriptEditor = this.app.core.config.get('externalEditors.script');
+    
+    if (!fs.existsSync(filePath)) {
+      this.app.core.ui.showNotification(`Script not found: ${filePath}`, 'warning');
+      return;
+    }
+    
+    if (scriptEditor) {
+      // The argument template lets editors that support it jump to the line (e.g. -g "{file}:{line}")
+      const args = this.app.core.config.get('externalEditors.scriptArgs', '"{file}"')
+        .replace(/\{file\}/g, filePath)
+        .replace(/\{line\}/g, line);
+      
+      const child_process = require('child_process');
+      
+      child_process.exec(`"${scriptEditor}" ${args}`, (error) => {
+        if (error) {
+          console.error('Error opening external editor:', error);
+          this.app.core.ui.showError('External Editor Error', error.message);
+        }
+      });
+    } else {
+      const { shell } = require('electron');
+      shell.openPath(filePath);
+    }
+    
+    this.app.core.ui.setStatus(`Opening ${path.basename(filePath)}:${line}`);
+  }
+  
   /**
    * Show image viewer for an image asset
    * @param {object} asset - Image asset
@@ -1261,6 +1520,16 @@ class AssetBrowser {
       }
     }));
     
+    // Move
+    if (asset.type !== 'prefab') {
+      menu.append(new (require('nw.gui').MenuItem)({
+        label: 'Move To...',
+        click: () => {
+          this.moveAsset(asset);
+        }
+      }));
+    }
+    
     // Delete
     menu.append(new (require('nw.gui').MenuItem)({
       label: 'Delete',
@@ -1289,6 +1558,14 @@ class AssetBrowser {
           this.app.core.events.emit('object:create', { type: 'sprite', asset });
         }
       }));
+      
+      // Create Animation
+      menu.append(new (require('nw.gui').MenuItem)({
+        label: 'Create Animation',
+        click: () => {
+          this.app.core.events.emit('animation:create', asset);
+        }
+      }));
     }
     
     // Popup at mouse position
@@ -1432,6 +1709,12 @@ class AssetBrowser {
       '.moon': 'MoonScript File',
       '.js': 'JavaScript File',
       
+      // Tilesets
+      '.tileset': 'Tileset',
+      
+      // Animations
+      '.anim': 'Animation',
+      
       // Data
       '.json': 'JSON Data',
       '.xml': 'XML Data',
@@ -1445,8 +1728,74 @@ class AssetBrowser {
     return typeMap[extension] || `${extension.substr(1).toUpperCase()} File`;
   }
   
+  /**
+   * Get the project's prefabs as browser items
+   * @returns {Array<object>} Items with id, type 'prefab' and name
+   */
+  getPrefabItems() {
+    return this.app.prefabManager.getPrefabs().map(prefab => ({
+      id: prefab.id,
+      type: 'prefab',
+      name: prefab.name
+    }));
+  }
+  
+  /**
+   * Rename a prefab
+   * @param {object} item - Prefab item
+   */
+  async renamePrefab(item) {
+    const values = await this.app.core.ui.showFormDialog({
+      title: 'Rename Prefab',
+      fields: [
+        { id: 'name', label: 'Name', type: 'text', value: item.name }
+      ],
+      buttons: ['Cancel', 'Rename']
+    });
+    
+    if (!values || !values.name.trim()) return;
+    
+    this.app.prefabManager.renamePrefab(item.id, values.name.trim());
+    this.app.core.ui.setStatus('Prefab renamed');
+  }
+  
+  /**
+   * Delete a prefab after confirmation
+   * @param {string} prefabId - Prefab ID
+   */
+  async deletePrefab(prefabId) {
+    const prefabManager = this.app.prefabManager;
+    const prefab = prefabManager.getPrefab(prefabId);
+    const count = prefabManager.countInstances(prefabId);
+    const placed = count > 0 ? ` Its ${count} placed instance(s) will be kept as plain objects.` : '';
+    
+    const result = await this.app.core.ui.showConfirmDialog(
+      'Delete Prefab',
+      `Are you sure you want to delete "${prefab.name}"?${placed}`,
+      ['Cancel', 'Delete']
+    );
+    
+    if (result !== 'Delete') return;
+    
+    prefabManager.deletePrefab(prefabId);
+    this.app.core.ui.setStatus('Prefab deleted');
+  }
+  
   // Event Handlers
   
+  /**
+   * Handle a prefab being deleted
+   * @param {object} prefab - Deleted prefab
+   */
+  onPrefabDeleted(prefab) {
+    if (this.selectedAsset === prefab.id) {
+      this.selectedAsset = null;
+      this.app.core.events.emit('asset:selected', null);
+    }
+    
+    this.renderAssets();
+  }
+  
   /**
    * Handle import asset event
    * @param {object} asset - Asset data
@@ -0,0 +1,347 @@
+// editors/ConsolePanel.js - Log viewer for editor and game output
+
+const path = require('path');
+
+// Matches Lua source locations such as "scenes/main.lua:42"
+const LUA_LOCATION_PATTERN = /([A-Za-z0-9_./\\-]+\.lua):(\d+)/g;
+
+/**
+ * Console Panel - Shows entries from the Log Manager
+ * Similar to Unity's Console window
+ */
+class ConsolePanel {
+  /**
+   * Create a new Console Panel
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.listContainer = null;
+    this.levelButtons = {};
+    this.levels = ['info', 'warning', 'error'];
+    this.search = '';
+    this.collapse = false;
+    this.expandedEntries = new Set();
+    this.renderPending = false;
+    this.isInitialized = false;
+
+    // Register event handlers
+    const scheduleRender = () => this.scheduleRender();
+    this.app.core.events.on('log:entry', scheduleRender);
+    this.app.core.events.on('log:updated', scheduleRender);
+    this.app.core.events.on('log:cleared', scheduleRender);
+  }
+
+  /**
+   * Initialize the console panel
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    this.collapse = this.app.core.config.get('console.collapse', false);
+
+    console.log('Initializing Console Panel');
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create the console UI
+   */
+  initUI() {
+    // Get the panel content from UI manager
+    const panel = this.app.core.ui.getPanelContent('console');
+
+    if (!panel) {
+      console.error('Console panel not found');
+      return;
+    }
+
+    panel.classList.add('console-panel');
+
+    this.createToolbar(panel);
+
+    // Create entry list
+    const list = document.createElement('div');
+    list.className = 'console-list';
+    panel.appendChild(list);
+
+    // Lua locations are links to the script
+    list.addEventListener('click', (e) => {
+      const link = e.target.closest('.console-link');
+
+      if (link) {
+        e.stopPropagation();
+        this.openLocation(link.dataset.file, parseInt(link.dataset.line, 10));
+      }
+    });
+
+    // Store reference
+    this.listContainer = list;
+
+    this.render();
+  }
+
+  /**
+   * Create the console toolbar
+   * @param {HTMLElement} panel - Panel content element
+   */
+  createToolbar(panel) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'console-toolbar';
+
+    // Clear button
+    const clearButton = document.createElement('button');
+    clearButton.className = 'console-toolbar-button';
+    clearButton.textContent = 'Clear';
+    clearButton.addEventListener('click', () => {
+      this.expandedEntries.clear();
+      this.app.logManager.clear();
+    });
+    toolbar.appendChild(clearButton);
+
+    // Collapse toggle
+    const collapseButton = document.createElement('button');
+    collapseButton.className = 'console-toolbar-button';
+    collapseButton.textContent = 'Collapse';
+    collapseButton.classList.toggle('active', this.collapse);
+    collapseButton.addEventListener('click', () => {
+      this.collapse = !this.collapse;
+      collapseButton.classList.toggle('active', this.collapse);
+      this.app.core.config.set('console.collapse', this.collapse);
+      this.render();
+    });
+    toolbar.appendChild(collapseButton);
+
+    // Search field
+    const searchInput = document.createElement('input');
+    searchInput.type = 'text';
+    searchInput.className = 'console-search';
+    searchInput.placeholder = 'Search...';
+    searchInput.addEventListener('input', () => {
+      this.search = searchInput.value;
+      this.render();
+    });
+    toolbar.appendChild(searchInput);
+
+    // Severity toggles with counts
+    const labels = { info: 'Info', warning: 'Warnings', error: 'Errors' };
+
+    for (const level of ['info', 'warning', 'error']) {
+      const button = document.createElement('button');
+      button.className = `console-toolbar-button console-level-button ${level}`;
+      button.innerHTML = `<i class="icon-${level}"></i> <span class="console-count">0</span>`;
+      button.title = labels[level];
+      button.classList.toggle('active', this.levels.includes(level));
+      button.addEventListener('click', () => {
+        this.toggleLevel(level);
+      });
+
+      this.levelButtons[level] = button;
+      toolbar.appendChild(button);
+    }
+
+    panel.appendChild(toolbar);
+  }
+
+  /**
+   * Show or hide entries of a severity level
+   * @param {string} level - Log level
+   */
+  toggleLevel(level) {
+    if (this.levels.includes(level)) {
+      this.levels = this.levels.filter(l => l !== level);
+    } else {
+      this.levels.push(level);
+    }
+
+    this.levelButtons[level].classList.toggle('active', this.levels.includes(level));
+
+    this.render();
+  }
+
+  /**
+   * Render on the next frame so bursts of output only redraw once
+   */
+  scheduleRender() {
+    if (this.renderPending || !this.listContainer) return;
+
+    this.renderPending = true;
+
+    requestAnimationFrame(() => {
+      this.renderPending = false;
+      this.render();
+    });
+  }
+
+  /**
+   * Rebuild the entry list
+   */
+  render() {
+    if (!this.listContainer) return;
+
+    const logManager = this.app.logManager;
+
+    // Update the level counts
+    const counts = logManager.getCounts();
+    for (const level in this.levelButtons) {
+      this.levelButtons[level].querySelector('.console-count').textContent = counts[level] || 0;
+    }
+
+    // Only follow new output if the list is already scrolled to the bottom
+    const list = this.listContainer;
+    const atBottom = list.scrollTop + list.clientHeight >= list.scrollHeight - 4;
+
+    list.innerHTML = '';
+
+    const entries = logManager.getEntries({ levels: this.levels, search: this.search });
+    const rows = this.collapse ? this.collapseEntries(entries) : entries.map(entry => ({ entry, count: 1 }));
+
+    const fragment = document.createDocumentFragment();
+    for (const { entry, count } of rows) {
+      fragment.appendChild(this.createEntryRow(entry, count));
+    }
+    list.appendChild(fragment);
+
+    if (atBottom) {
+      list.scrollTop = list.scrollHeight;
+    }
+  }
+
+  /**
+   * Merge entries with the same level, source and message
+   * @param {Array<object>} entries - Log entries
+   * @returns {Array<object>} Rows with the first entry and its repeat count
+   */
+  collapseEntries(entries) {
+    const rows = new Map();
+
+    for (const entry of entries) {
+      const key = `${entry.level}\u0000${entry.source}\u0000${entry.message}`;
+      const row = rows.get(key);
+
+      if (row) {
+        row.count++;
+      } else {
+        rows.set(key, { entry, count: 1 });
+      }
+    }
+
+    return Array.from(rows.values());
+  }
+
+  /**
+   * Create the row for a log entry
+   * @param {object} entry - Log entry
+   * @param {number} count - Number of collapsed repeats
+   * @returns {HTMLElement} Entry row
+   */
+  createEntryRow(entry, count) {
+    const row = document.createElement('div');
+    row.className = `console-entry ${entry.level}`;
+
+    // Header line
+    const header = document.createElement('div');
+    header.className = 'console-entry-header';
+
+    const icon = document.createElement('i');
+    icon.className = `icon-${entry.level}`;
+    header.appendChild(icon);
+
+    const time = document.createElement('span');
+    time.className = 'console-time';
+    time.textContent = new Date(entry.time).toLocaleTimeString();
+    header.appendChild(time);
+
+    const source = document.createElement('span');
+    source.className = 'console-source';
+    source.textContent = `[${entry.source}]`;
+    header.appendChild(source);
+
+    const message = document.createElement('span');
+    message.className = 'console-message';
+    this.appendLinkedText(message, entry.message);
+    header.appendChild(message);
+
+    if (count > 1) {
+      const badge = document.createElement('span');
+      badge.className = 'console-badge';
+      badge.textContent = count;
+      header.appendChild(badge);
+    }
+
+    row.appendChild(header);
+
+    // Details such as stack traces are shown when the entry is expanded
+    if (entry.details) {
+      row.classList.add('has-details');
+
+      const expanded = this.expandedEntries.has(entry.id);
+      row.classList.toggle('expanded', expanded);
+
+      header.addEventListener('click', () => {
+        if (this.expandedEntries.has(entry.id)) {
+          this.expandedEntries.delete(entry.id);
+        } else {
+          this.expandedEntries.add(entry.id);
+        }
+
+        row.classList.toggle('expanded');
+      });
+
+      const details = document.createElement('pre');
+      details.className = 'console-details';
+      this.appendLinkedText(details, entry.details);
+      row.appendChild(details);
+    }
+
+    return row;
+  }
+
+  /**
+   * Append text to an element, turning Lua file:line locations into links
+   * @param {HTMLElement} element - Target element
+   * @param {string} text - Text to append
+   */
+  appendLinkedText(element, text) {
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(LUA_LOCATION_PATTERN)) {
+      if (match.index > lastIndex) {
+        element.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      }
+
+      const link = document.createElement('a');
+      link.className = 'console-link';
+      link.textContent = match[0];
+      link.dataset.file = match[1];
+      link.dataset.line = match[2];
+      element.appendChild(link);
+
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex < text.length) {
+      element.appendChild(document.createTextNode(text.slice(lastIndex)));
+    }
+  }
+
+  /**
+   * Open a Lua script at a line
+   * @param {string} file - Script path as printed by Love2D (relative to the project)
+   * @param {number} line - Line number
+   */
+  openLocation(file, line) {
+    if (!this.app.project) {
+      this.app.core.ui.showNotification('Open a project to jump to scripts', 'warning');
+      return;
+    }
+
+    const filePath = path.isAbsolute(file) ? file : path.join(this.app.project.path, file);
+
+    this.app.assetBrowser.openScriptFile(filePath, line);
+  }
+}
+
+// Export the ConsolePanel class
+module.exports = ConsolePanel;
@@ -0,0 +1,528 @@
+// editors/HierarchyPanel.js - Scene hierarchy tree view
+
+/**
+ * Hierarchy Panel - Shows the layers and objects of the active scene as a tree
+ * Similar to Unity's Hierarchy window
+ */
+class HierarchyPanel {
+  /**
+   * Create a new Hierarchy Panel
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.treeContainer = null;
+    this.collapsedLayers = new Set();
+    this.selectionAnchor = null;
+    this.draggedIds = null;
+    this.isRenaming = false;
+    this.isInitialized = false;
+
+    // Register event handlers
+    const refresh = () => this.refresh();
+    this.app.core.events.on('scene:new', refresh);
+    this.app.core.events.on('scene:load', refresh);
+    this.app.core.events.on('scene:created', refresh);
+    this.app.core.events.on('project:loaded', refresh);
+    this.app.core.events.on('object:added', refresh);
+    this.app.core.events.on('object:removed', refresh);
+    this.app.core.events.on('object:moved', refresh);
+    this.app.core.events.on('layer:changed', refresh);
+    this.app.core.events.on('layer:active', refresh);
+    this.app.core.events.on('history:applied', refresh);
+    this.app.core.events.on('prefab:updated', refresh);
+    this.app.core.events.on('prefab:deleted', refresh);
+    this.app.core.events.on('object:selection', this.onObjectSelection.bind(this));
+    this.app.core.events.on('object:properties', this.onObjectProperties.bind(this));
+  }
+
+  /**
+   * Initialize the hierarchy panel
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    console.log('Initializing Hierarchy Panel');
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create the hierarchy UI
+   */
+  initUI() {
+    // Get the panel content from UI manager
+    const panel = this.app.core.ui.getPanelContent('hierarchy');
+
+    if (!panel) {
+      console.error('Hierarchy panel not found');
+      return;
+    }
+
+    // Create tree container
+    const container = document.createElement('div');
+    container.className = 'hierarchy-tree';
+    panel.appendChild(container);
+
+    // Clicking empty space clears the selection
+    container.addEventListener('click', (e) => {
+      if (e.target === container) {
+        this.app.sceneEditor.setSelection([]);
+      }
+    });
+
+    // Store reference
+    this.treeContainer = container;
+
+    this.refresh();
+  }
+
+  /**
+   * Get the scene shown in the hierarchy
+   * @returns {object|null} Active scene
+   */
+  getScene() {
+    return this.app.sceneEditor ? this.app.sceneEditor.activeScene : null;
+  }
+
+  /**
+   * Rebuild the tree from the active scene
+   */
+  refresh() {
+    // Don't throw away an open rename field
+    if (!this.treeContainer || this.isRenaming) return;
+
+    this.treeContainer.innerHTML = '';
+
+    const scene = this.getScene();
+
+    if (!scene) {
+      const emptyState = document.createElement('div');
+      emptyState.className = 'hierarchy-empty-state';
+      emptyState.textContent = 'No scene open';
+      this.treeContainer.appendChild(emptyState);
+      return;
+    }
+
+    for (const layer of scene.layers) {
+      this.treeContainer.appendChild(this.createLayerNode(layer, scene));
+    }
+
+    this.updateSelection();
+  }
+
+  /**
+   * Create the tree node for a layer and its objects
+   * @param {object} layer - Scene layer
+   * @param {object} scene - Scene containing the layer
+   * @returns {HTMLElement} Layer node
+   */
+  createLayerNode(layer, scene) {
+    const node = document.createElement('div');
+    node.className = 'hierarchy-layer';
+    node.dataset.layerId = layer.id;
+
+    const collapsed = this.collapsedLayers.has(layer.id);
+
+    // Layer header row
+    const row = document.createElement('div');
+    row.className = 'hierarchy-row hierarchy-layer-row';
+    row.classList.toggle('active', scene.activeLayer === layer.id);
+    row.classList.toggle('hidden-layer', layer.visible === false);
+    row.classList.toggle('locked-layer', !!layer.locked);
+
+    // Expand/collapse toggle
+    const toggle = document.createElement('span');
+    toggle.className = 'hierarchy-toggle';
+    toggle.innerHTML = collapsed ? '<i class="icon-chevron-right"></i>' : '<i class="icon-chevron-down"></i>';
+    toggle.addEventListener('click', (e) => {
+      e.stopPropagation();
+
+      if (this.collapsedLayers.has(layer.id)) {
+        this.collapsedLayers.delete(layer.id);
+      } else {
+        this.collapsedLayers.add(layer.id);
+      }
+
+      this.refresh();
+    });
+    row.appendChild(toggle);
+
+    // Layer name
+    const name = document.createElement('span');
+    name.className = 'hierarchy-name';
+    name.textContent = layer.name || layer.id;
+    name.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this.startRename(name, layer.name || '', (value) => {
+        this.app.sceneEditor.setLayerProperties(layer, { name: value }, 'Rename Layer');
+      });
+    });
+    row.appendChild(name);
+
+    // Visibility toggle
+    row.appendChild(this.createRowButton(
+      layer.visible === false ? 'icon-eye-off' : 'icon-eye',
+      layer.visible === false ? 'Show Layer' : 'Hide Layer',
+      () => this.app.sceneEditor.setLayerProperties(layer, { visible: layer.visible === false }, layer.visible === false ? 'Show Layer' : 'Hide Layer')
+    ));
+
+    // Lock toggle
+    row.appendChild(this.createRowButton(
+      layer.locked ? 'icon-lock' : 'icon-unlock',
+      layer.locked ? 'Unlock Layer' : 'Lock Layer',
+      () => this.app.sceneEditor.setLayerProperties(layer, { locked: !layer.locked }, layer.locked ? 'Unlock Layer' : 'Lock Layer')
+    ));
+
+    // Clicking a layer makes it the active layer
+    row.addEventListener('click', () => {
+      this.app.sceneEditor.setActiveLayer(layer.id);
+    });
+
+    // Dropping onto a layer moves objects to the top of it
+    this.addDropTarget(row, () => ({ layer, beforeObject: null }));
+
+    node.appendChild(row);
+
+    // Object rows, topmost object first
+    if (!collapsed) {
+      const children = document.createElement('div');
+      children.className = 'hierarchy-children';
+
+      for (let i = layer.objects.length - 1; i >= 0; i--) {
+        children.appendChild(this.createObjectRow(layer.objects[i], layer));
+      }
+
+      node.appendChild(children);
+    }
+
+    return node;
+  }
+
+  /**
+   * Create the tree row for a scene object
+   * @param {object} object - Scene object
+   * @param {object} layer - Layer containing the object
+   * @returns {HTMLElement} Object row
+   */
+  createObjectRow(object, layer) {
+    const row = document.createElement('div');
+    row.className = 'hierarchy-row hierarchy-object-row';
+    row.dataset.objectId = object.id;
+    row.draggable = !layer.locked;
+
+    // Prefab instances stand out from plain objects
+    const prefab = this.app.prefabManager.getPrefabOf(object);
+
+    if (prefab) {
+      row.classList.add('prefab-instance');
+      row.title = `Instance of ${prefab.name}`;
+    }
+
+    // Type icon
+    const icon = document.createElement('span');
+    icon.className = 'hierarchy-icon';
+    icon.innerHTML = `<i class="icon-${object.type || 'object'}"></i>`;
+    row.appendChild(icon);
+
+    // Object name
+    const name = document.createElement('span');
+    name.className = 'hierarchy-name';
+    name.textContent = object.name || object.type || object.id;
+    name.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this.startRename(name, object.name || '', (value) => {
+        const before = { name: object.name };
+        this.app.sceneEditor.applyObjectProperties(object, { name: value });
+        this.app.sceneEditor.recordPropertyChange(object, before, { name: value }, 'Rename Object');
+      });
+    });
+    row.appendChild(name);
+
+    row.addEventListener('click', (e) => {
+      this.onObjectClick(e, object);
+    });
+
+    // Drag to reorder or move to another layer
+    row.addEventListener('dragstart', (e) => {
+      const selected = this.app.sceneEditor.selectedObjects;
+
+      // Dragging an unselected object drags just that object
+      if (!selected.includes(object.id)) {
+        this.app.sceneEditor.setSelection([object.id]);
+      }
+
+      this.draggedIds = [...this.app.sceneEditor.selectedObjects];
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.draggedIds.join(','));
+    });
+
+    row.addEventListener('dragend', () => {
+      this.draggedIds = null;
+      this.clearDropIndicators();
+    });
+
+    // Rows are listed top-down, so dropping on the upper half puts objects above this one
+    this.addDropTarget(row, (e) => {
+      const rect = row.getBoundingClientRect();
+      const above = e.clientY < rect.top + rect.height / 2;
+      const index = layer.objects.indexOf(object);
+
+      return {
+        layer: layer,
+        beforeObject: above ? layer.objects[index + 1] || null : object,
+        position: above ? 'before' : 'after'
+      };
+    });
+
+    return row;
+  }
+
+  /**
+   * Create a small toggle button for a tree row
+   * @param {string} iconClass - Icon class name
+   * @param {string} title - Button tooltip
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLElement} Button
+   */
+  createRowButton(iconClass, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'hierarchy-button';
+    button.innerHTML = `<i class="${iconClass}"></i>`;
+    button.title = title;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+
+    return button;
+  }
+
+  /**
+   * Make a row accept dropped objects
+   * @param {HTMLElement} row - Tree row
+   * @param {Function} getTarget - Returns {layer, beforeObject, position} for a drag event
+   */
+  addDropTarget(row, getTarget) {
+    row.addEventListener('dragover', (e) => {
+      if (!this.draggedIds) return;
+
+      const target = getTarget(e);
+
+      // Locked layers can't be changed
+      if (target.layer.locked) return;
+
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+
+      this.clearDropIndicators();
+      row.classList.add(target.position ? `drop-${target.position}` : 'drop-into');
+    });
+
+    row.addEventListener('dragleave', () => {
+      row.classList.remove('drop-before', 'drop-after', 'drop-into');
+    });
+
+    row.addEventListener('drop', (e) => {
+      e.preventDefault();
+
+      if (!this.draggedIds) return;
+
+      const target = getTarget(e);
+      this.moveObjects(this.draggedIds, target.layer, target.beforeObject);
+
+      this.draggedIds = null;
+      this.clearDropIndicators();
+    });
+  }
+
+  /**
+   * Remove drop position highlights from all rows
+   */
+  clearDropIndicators() {
+    if (!this.treeContainer) return;
+
+    for (const row of this.treeContainer.querySelectorAll('.drop-before, .drop-after, .drop-into')) {
+      row.classList.remove('drop-before', 'drop-after', 'drop-into');
+    }
+  }
+
+  /**
+   * Move objects to a layer as an undoable step
+   * @param {Array<string>} objectIds - IDs of the objects to move
+   * @param {object} layer - Target layer
+   * @param {object|null} beforeObject - Object to place the moved objects under, or null for the top of the layer
+   */
+  moveObjects(objectIds, layer, beforeObject) {
+    const sceneEditor = this.app.sceneEditor;
+
+    // Keep the objects in their current draw order
+    const objects = [];
+    for (const sceneLayer of this.getScene().layers) {
+      for (const object of sceneLayer.objects) {
+        if (objectIds.includes(object.id) && !sceneLayer.locked) {
+          objects.push(object);
+        }
+      }
+    }
+
+    // Dropping next to one of the dragged objects places them under the next unmoved one
+    while (beforeObject && objects.includes(beforeObject)) {
+      beforeObject = layer.objects[layer.objects.indexOf(beforeObject) + 1] || null;
+    }
+
+    if (objects.length === 0 || this.isInPlace(objects, layer, beforeObject)) return;
+
+    const command = sceneEditor.createMoveObjectsCommand(objects, layer, beforeObject);
+
+    if (command) {
+      this.app.commandHistory.execute(command);
+    }
+  }
+
+  /**
+   * Check if moving objects would leave them where they already are
+   * @param {Array<object>} objects - Objects in draw order
+   * @param {object} layer - Target layer
+   * @param {object|null} beforeObject - Object to place the moved objects under
+   * @returns {boolean} True if the move changes nothing
+   */
+  isInPlace(objects, layer, beforeObject) {
+    const end = beforeObject ? layer.objects.indexOf(beforeObject) : layer.objects.length;
+    const start = end - objects.length;
+
+    return start >= 0 && objects.every((object, i) => layer.objects[start + i] === object);
+  }
+
+  /**
+   * Handle a click on an object row
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} object - Clicked object
+   */
+  onObjectClick(e, object) {
+    const sceneEditor = this.app.sceneEditor;
+    let selection;
+
+    if (e.shiftKey && this.selectionAnchor) {
+      // Select the range between the anchor and the clicked row
+      const ids = this.getVisibleObjectIds();
+      const from = ids.indexOf(this.selectionAnchor);
+      const to = ids.indexOf(object.id);
+
+      if (from === -1) {
+        selection = [object.id];
+      } else {
+        selection = ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+      }
+    } else if (e.ctrlKey || e.metaKey) {
+      // Toggle the clicked object
+      const current = sceneEditor.selectedObjects;
+      selection = current.includes(object.id)
+        ? current.filter(id => id !== object.id)
+        : [...current, object.id];
+      this.selectionAnchor = object.id;
+    } else {
+      selection = [object.id];
+      this.selectionAnchor = object.id;
+    }
+
+    sceneEditor.setSelection(selection);
+  }
+
+  /**
+   * Get the IDs of the object rows in the order they are shown
+   * @returns {Array<string>} Object IDs
+   */
+  getVisibleObjectIds() {
+    if (!this.treeContainer) return [];
+
+    return Array.from(this.treeContainer.querySelectorAll('.hierarchy-object-row'))
+      .map(row => row.dataset.objectId);
+  }
+
+  /**
+   * Replace a name label with a text field until editing finishes
+   * @param {HTMLElement} label - Name label
+   * @param {string} value - Current name
+   * @param {Function} onCommit - Called with the new name if it changed
+   */
+  startRename(label, value, onCommit) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'hierarchy-rename';
+    input.value = value;
+
+    let finished = false;
+    const finish = (commit) => {
+      if (finished) return;
+      finished = true;
+      this.isRenaming = false;
+
+      const newValue = input.value.trim();
+
+      if (commit && newValue && newValue !== value) {
+        onCommit(newValue);
+      }
+
+      this.refresh();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        finish(true);
+      } else if (e.key === 'Escape') {
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', e => e.stopPropagation());
+
+    this.isRenaming = true;
+    label.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Highlight the selected object rows
+   */
+  updateSelection() {
+    if (!this.treeContainer) return;
+
+    const selected = this.app.sceneEditor ? this.app.sceneEditor.selectedObjects : [];
+
+    for (const row of this.treeContainer.querySelectorAll('.hierarchy-object-row')) {
+      row.classList.toggle('selected', selected.includes(row.dataset.objectId));
+    }
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle object selection event
+   * @param {Array<string>} objectIds - Selected object IDs
+   */
+  onObjectSelection(objectIds) {
+    // Selecting on the canvas moves the range anchor too
+    if (objectIds.length === 1) {
+      this.selectionAnchor = objectIds[0];
+    }
+
+    this.updateSelection();
+  }
+
+  /**
+   * Handle object properties event
+   * @param {string} objectId - Object ID
+   * @param {object} properties - Changed properties
+   */
+  onObjectProperties(objectId, properties) {
+    // Only names, types and prefab links are shown in the tree
+    if (properties && ('name' in properties || 'type' in properties || 'prefab' in properties)) {
+      this.refresh();
+    }
+  }
+}
+
+// Export the HierarchyPanel class
+module.exports = HierarchyPanel;
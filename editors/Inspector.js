@@ -1,5 +1,17 @@
 // editors/Inspector.js - Property inspector for scene objects
 
+const path = require('path');
+const AnimationManager = require('../core/AnimationManager');
+const Autotiler = require('../core/Autotiler');
+const ComponentRegistry = require('../core/ComponentRegistry');
+const PropertyRegistry = require('../core/PropertyRegistry');
+
+// Field IDs of properties whose field isn't named after the property
+const OVERRIDE_FIELDS = {
+  width: 'size-x',
+  height: 'size-y'
+};
+
 /**
  * Inspector - Displays and edits properties of selected objects
  * Similar to Unity's Inspector panel
@@ -13,13 +25,22 @@ class Inspector {
       this.app = app;
       this.selectedObjects = [];
       this.currentObject = null;
+      this.currentSelection = null;
       this.inspectorContainer = null;
+      this.isUpdating = false;
       this.isInitialized = false;
       
+      // Side or corner kept in place when a tilemap is resized
+      this.tilemapAnchor = 'top-left';
+      
       // Register event handlers
       this.app.core.events.on('object:selection', this.onObjectSelection.bind(this));
       this.app.core.events.on('asset:selected', this.onAssetSelected.bind(this));
       this.app.core.events.on('project:loaded', this.onProjectLoaded.bind(this));
+      this.app.core.events.on('history:applied', this.onHistoryApplied.bind(this));
+      this.app.core.events.on('object:properties', this.onObjectProperties.bind(this));
+      this.app.core.events.on('prefab:updated', this.onPrefabChanged.bind(this));
+      this.app.core.events.on('prefab:deleted', this.onPrefabChanged.bind(this));
     }
     
     /**
@@ -114,6 +135,7 @@ class Inspector {
       
       // Store current object
       this.currentObject = { object, layer };
+      this.currentSelection = null;
       
       // Clear container
       this.inspectorContainer.innerHTML = '';
@@ -136,37 +158,47 @@ class Inspector {
       
       this.inspectorContainer.appendChild(objectHeader);
       
-      // Add transform section
+      // Add prefab link for prefab instances
+      if (object.prefab) {
+        this.addPrefabSection(object);
+      }
+      
+      // Add transform section with the fields the object's type uses
       const transformSection = this.createSection('Transform');
+      const transform = PropertyRegistry.getTransform(object.type);
       
       // Add position fields
-      const positionGroup = this.createVectorField('position', 'Position', 
-        { x: object.x || 0, y: object.y || 0 },
-        (prop, value) => {
-          if (prop === 'x') {
-            this.updateObjectProperty('x', parseFloat(value));
-          } else if (prop === 'y') {
-            this.updateObjectProperty('y', parseFloat(value));
+      if (transform.includes('position')) {
+        const positionGroup = this.createVectorField('position', 'Position', 
+          { x: object.x || 0, y: object.y || 0 },
+          (prop, value) => {
+            if (prop === 'x') {
+              this.updateObjectProperty('x', parseFloat(value));
+            } else if (prop === 'y') {
+              this.updateObjectProperty('y', parseFloat(value));
+            }
           }
-        }
-      );
-      transformSection.appendChild(positionGroup);
+        );
+        transformSection.appendChild(positionGroup);
+      }
       
       // Add size fields
-      const sizeGroup = this.createVectorField('size', 'Size', 
-        { x: object.width || 100, y: object.height || 100 },
-        (prop, value) => {
-          if (prop === 'x') {
-            this.updateObjectProperty('width', parseFloat(value));
-          } else if (prop === 'y') {
-            this.updateObjectProperty('height', parseFloat(value));
+      if (transform.includes('size')) {
+        const sizeGroup = this.createVectorField('size', 'Size', 
+          { x: object.width || 100, y: object.height || 100 },
+          (prop, value) => {
+            if (prop === 'x') {
+              this.updateObjectProperty('width', parseFloat(value));
+            } else if (prop === 'y') {
+              this.updateObjectProperty('height', parseFloat(value));
+            }
           }
-        }
-      );
-      transformSection.appendChild(sizeGroup);
+        );
+        transformSection.appendChild(sizeGroup);
+      }
       
-      // Add rotation field (if applicable)
-      if (object.type !== 'tilemap') {
+      // Add rotation field
+      if (transform.includes('rotation')) {
         const rotationField = this.createNumberField('rotation', 'Rotation', object.rotation || 0, (value) => {
           this.updateObjectProperty('rotation', parseFloat(value));
         });
@@ -176,24 +208,10 @@ class Inspector {
       this.inspectorContainer.appendChild(transformSection);
       
       // Add type-specific properties
-      switch (object.type) {
-        case 'sprite':
-          this.addSpriteProperties(object);
-          break;
-        case 'rectangle':
-          this.addRectangleProperties(object);
-          break;
-        case 'circle':
-          this.addCircleProperties(object);
-          break;
-        case 'text':
-          this.addTextProperties(object);
-          break;
-        case 'tilemap':
-          this.addTilemapProperties(object);
-          break;
-        // Add more types as needed
-      }
+      this.addTypeSection(object);
+      
+      // Add a section for each attached component
+      this.addComponentSections(object);
       
       // Add layer information
       const layerSection = this.createSection('Layer');
@@ -206,6 +224,209 @@ class Inspector {
       
       // Add custom properties section
       this.addCustomPropertiesSection(object);
+      
+      // Highlight the properties that differ from the prefab
+      if (object.prefab) {
+        this.markOverrides(object);
+      }
+    }
+    
+    /**
+     * Show inspector for several selected scene objects
+     * Only properties shared by every object are listed; differing values are shown as mixed
+     * @param {Array<object>} entries - Entries with object and layer properties
+     */
+    showMultiObjectInspector(entries) {
+      if (!this.inspectorContainer) return;
+      
+      // Store current selection
+      this.currentObject = null;
+      this.currentSelection = entries;
+      
+      // Clear container
+      this.inspectorContainer.innerHTML = '';
+      
+      const objects = entries.map(entry => entry.object);
+      
+      // Create selection header
+      const header = document.createElement('div');
+      header.className = 'object-header';
+      
+      const types = [...new Set(objects.map(object => object.type))];
+      const summary = this.createReadOnlyField('selection', 'Selection',
+        `${objects.length} objects (${types.join(', ')})`);
+      header.appendChild(summary);
+      
+      header.appendChild(this.createMixedField('enabled', 'Enabled', 'boolean', objects,
+        object => object.enabled !== false));
+      
+      this.inspectorContainer.appendChild(header);
+      
+      // Add transform section
+      const transformSection = this.createSection('Transform');
+      const transformProps = [
+        { property: 'x', label: 'X' },
+        { property: 'y', label: 'Y' },
+        { property: 'width', label: 'Width' },
+        { property: 'height', label: 'Height' },
+        { property: 'rotation', label: 'Rotation' }
+      ];
+      
+      for (const { property, label } of transformProps) {
+        transformSection.appendChild(this.createMixedField(property, label, 'number', objects,
+          object => object[property] || 0));
+      }
+      
+      this.inspectorContainer.appendChild(transformSection);
+      
+      // Add the other properties every selected object has
+      const commonProps = this.getCommonProperties(objects);
+      
+      if (commonProps.length > 0) {
+        const commonSection = this.createSection('Common Properties');
+        
+        for (const { property, type } of commonProps) {
+          commonSection.appendChild(this.createMixedField(property, this.formatPropertyLabel(property), type, objects,
+            object => object[property]));
+        }
+        
+        this.inspectorContainer.appendChild(commonSection);
+      }
+    }
+    
+    /**
+     * Find the editable properties shared by a set of objects
+     * @param {Array<object>} objects - Scene objects
+     * @returns {Array<object>} Properties with property and field type
+     */
+    getCommonProperties(objects) {
+      const skip = ['id', 'type', 'name', 'enabled', 'x', 'y', 'width', 'height', 'rotation'];
+      const common = [];
+      
+      for (const property of Object.keys(objects[0])) {
+        if (skip.includes(property) || property.startsWith('_')) continue;
+        
+        const type = typeof objects[0][property];
+        
+        // Only plain values can be edited across a selection
+        if (!['string', 'number', 'boolean'].includes(type)) continue;
+        
+        if (objects.every(object => typeof object[property] === type)) {
+          const isColor = type === 'string' && objects.every(object => /^#[0-9a-f]{6}$/i.test(object[property]));
+          common.push({ property, type: isColor ? 'color' : type });
+        }
+      }
+      
+      return common;
+    }
+    
+    /**
+     * Turn a property name into a field label (e.g. fillColor -> Fill Color)
+     * @param {string} property - Property name
+     * @returns {string} Label
+     */
+    formatPropertyLabel(property) {
+      const spaced = property.replace(/([a-z])([A-Z])/g, '$1 $2');
+      return spaced.charAt(0).toUpperCase() + spaced.slice(1);
+    }
+    
+    /**
+     * Create a field that edits a property on every selected object
+     * @param {string} property - Property name
+     * @param {string} label - Field label
+     * @param {string} type - Field type ('number', 'string', 'boolean', 'color')
+     * @param {Array<object>} objects - Selected objects
+     * @param {Function} getValue - Returns an object's current value
+     * @returns {HTMLElement} Field element
+     */
+    createMixedField(property, label, type, objects, getValue) {
+      const values = objects.map(getValue);
+      const mixed = values.some(value => value !== values[0]);
+      const id = `multi-${property}`;
+      let field;
+      
+      const onChange = (value) => {
+        field.classList.remove('mixed');
+        this.updateSelectionProperty(property, value);
+      };
+      
+      switch (type) {
+        case 'number':
+          field = this.createNumberField(id, label, mixed ? '' : values[0], value => {
+            if (value !== '') {
+              onChange(parseFloat(value));
+            }
+          });
+          break;
+        case 'boolean':
+          field = this.createCheckboxField(id, label, mixed ? false : values[0], onChange);
+          break;
+        case 'color':
+          field = this.createColorField(id, label, values[0], onChange);
+          break;
+        default:
+          field = this.createTextField(id, label, mixed ? '' : values[0], onChange);
+      }
+      
+      if (mixed) {
+        // Show that the selected objects disagree on this value
+        field.classList.add('mixed');
+        
+        const input = field.querySelector('input');
+        if (input.type === 'checkbox') {
+          input.indeterminate = true;
+        } else if (input.type !== 'color') {
+          input.placeholder = '\u2014';
+        }
+      }
+      
+      return field;
+    }
+    
+    /**
+     * Set a property on every selected object as a single undo step
+     * @param {string} property - Property name
+     * @param {*} value - New value
+     */
+    updateSelectionProperty(property, value) {
+      if (!this.currentSelection) return;
+      
+      const sceneEditor = this.app.sceneEditor;
+      const history = this.app.commandHistory;
+      
+      history.beginGroup(`Change ${property}`);
+      
+      for (const { object } of this.currentSelection) {
+        const oldValue = object[property];
+        
+        if (oldValue === value) continue;
+        
+        object[property] = value;
+        sceneEditor.recordPropertyChange(object, { [property]: oldValue }, { [property]: value });
+        
+        // Notify other components
+        this.notifyPropertyChange(object, { [property]: value });
+      }
+      
+      history.endGroup();
+      
+      // Force scene render
+      sceneEditor.render();
+    }
+    
+    /**
+     * Emit an object property change without refreshing the inspector itself
+     * @param {object} object - Scene object
+     * @param {object} properties - Changed properties
+     */
+    notifyPropertyChange(object, properties) {
+      this.isUpdating = true;
+      
+      try {
+        this.app.core.events.emit('object:properties', object.id, properties);
+      } finally {
+        this.isUpdating = false;
+      }
     }
     
     /**
@@ -253,6 +474,9 @@ class Inspector {
           case 'script':
             icon.className = 'icon-script';
             break;
+          case 'animation':
+            icon.className = 'icon-animation';
+            break;
           default:
             icon.className = 'icon-file';
         }
@@ -287,8 +511,22 @@ class Inspector {
       const dateField = this.createReadOnlyField('date', 'Modified', new Date(asset.lastModified).toLocaleDateString());
       infoSection.appendChild(dateField);
       
+      // Add tags; folders have no .meta file to keep them in
+      if (asset.type !== 'folder') {
+        const tagsField = this.createTextField('tags', 'Tags', (asset.tags || []).join(', '), (value) => {
+          this.updateAssetTags(asset, value);
+        });
+        tagsField.title = 'Comma-separated; the Project panel search matches tags';
+        infoSection.appendChild(tagsField);
+      }
+      
       this.inspectorContainer.appendChild(infoSection);
       
+      // Add the places that use the asset
+      if (asset.type !== 'folder') {
+        this.addAssetReferencesSection(asset);
+      }
+      
       // Add type-specific properties
       switch (asset.type) {
         case 'image':
@@ -297,6 +535,12 @@ class Inspector {
         case 'audio':
           this.addAudioAssetProperties(asset);
           break;
+        case 'tileset':
+          this.addTilesetAssetProperties(asset);
+          break;
+        case 'animation':
+          this.addAnimationAssetProperties(asset);
+          break;
         // Add more types as needed
       }
       
@@ -335,363 +579,1511 @@ class Inspector {
           this.app.core.events.emit('scene:setBackground', asset);
         });
         actionsContainer.appendChild(bgButton);
+        
+        // Add Create Tileset button
+        const tilesetButton = document.createElement('button');
+        tilesetButton.className = 'action-button';
+        tilesetButton.textContent = 'Create Tileset';
+        tilesetButton.addEventListener('click', () => {
+          this.app.core.events.emit('tileset:create', asset);
+        });
+        actionsContainer.appendChild(tilesetButton);
+        
+        // Add Create Animation button
+        const animationButton = document.createElement('button');
+        animationButton.className = 'action-button';
+        animationButton.textContent = 'Create Animation';
+        animationButton.addEventListener('click', () => {
+          this.app.core.events.emit('animation:create', asset);
+        });
+        actionsContainer.appendChild(animationButton);
+      }
+      
+      actionsSection.appendChild(actionsContainer);
+      this.inspectorContainer.appendChild(actionsSection);
+    }
+    
+    /**
+     * Show inspector for a prefab
+     * @param {string} prefabId - Prefab ID
+     */
+    showPrefabInspector(prefabId) {
+      if (!this.inspectorContainer) return;
+      
+      const prefabManager = this.app.prefabManager;
+      const prefab = prefabManager.getPrefab(prefabId);
+      
+      if (!prefab) {
+        this.showEmptyState();
+        return;
       }
       
+      // Store current prefab
+      this.currentObject = { prefab };
+      this.currentSelection = null;
+      
+      // Clear container
+      this.inspectorContainer.innerHTML = '';
+      
+      // Create prefab header
+      const prefabHeader = document.createElement('div');
+      prefabHeader.className = 'asset-header';
+      
+      const preview = document.createElement('div');
+      preview.className = 'asset-preview';
+      preview.innerHTML = '<i class="icon-prefab"></i>';
+      prefabHeader.appendChild(preview);
+      
+      // Add prefab name
+      const nameField = this.createTextField('name', 'Name', prefab.name, (value) => {
+        prefabManager.renamePrefab(prefab.id, value.trim());
+      });
+      prefabHeader.appendChild(nameField);
+      
+      this.inspectorContainer.appendChild(prefabHeader);
+      
+      // Add prefab information section
+      const infoSection = this.createSection('Information');
+      const size = prefabManager.getSize(prefab);
+      
+      infoSection.appendChild(this.createReadOnlyField('type', 'Type', 'Prefab'));
+      infoSection.appendChild(this.createReadOnlyField('size', 'Size', `${Math.round(size.width)} x ${Math.round(size.height)}`));
+      infoSection.appendChild(this.createReadOnlyField('instances', 'Instances', String(prefabManager.countInstances(prefab.id))));
+      
+      this.inspectorContainer.appendChild(infoSection);
+      
+      // List the objects the prefab is made of
+      const objectsSection = this.createSection('Objects');
+      
+      prefab.objects.forEach((part, index) => {
+        const partField = this.createReadOnlyField(`part-${index}`, part.name || part.type, part.type);
+        objectsSection.appendChild(partField);
+      });
+      
+      this.inspectorContainer.appendChild(objectsSection);
+      
+      // Add actions section
+      const actionsSection = this.createSection('Actions');
+      
+      const actionsContainer = document.createElement('div');
+      actionsContainer.className = 'actions-container';
+      
+      // Add Place in Scene button
+      const placeButton = document.createElement('button');
+      placeButton.className = 'action-button';
+      placeButton.textContent = 'Place in Scene';
+      placeButton.addEventListener('click', () => {
+        prefabManager.instantiate(prefab.id);
+      });
+      actionsContainer.appendChild(placeButton);
+      
+      // Add Delete button
+      const deleteButton = document.createElement('button');
+      deleteButton.className = 'action-button';
+      deleteButton.textContent = 'Delete';
+      deleteButton.addEventListener('click', () => {
+        this.app.assetBrowser.deletePrefab(prefab.id);
+      });
+      actionsContainer.appendChild(deleteButton);
+      
       actionsSection.appendChild(actionsContainer);
       this.inspectorContainer.appendChild(actionsSection);
     }
     
     /**
-     * Add sprite-specific properties
-     * @param {object} object - Sprite object
+     * Add image asset-specific properties
+     * @param {object} asset - Image asset
+     */
+    addImageAssetProperties(asset) {
+      const imageSection = this.createSection('Image Properties');
+      
+      // Add dimensions fields
+      if (asset.width && asset.height) {
+        const dimensionsField = this.createReadOnlyField('dimensions', 'Dimensions', `${asset.width} × ${asset.height} pixels`);
+        imageSection.appendChild(dimensionsField);
+      }
+      
+      // Add filter mode dropdown
+      const filterModeOptions = [
+        { value: 'nearest', label: 'Point (Nearest)' },
+        { value: 'linear', label: 'Bilinear' }
+      ];
+      const filterModeField = this.createDropdownField('filterMode', 'Filter Mode', asset.filterMode || 'nearest', filterModeOptions, (value) => {
+        this.updateAssetProperty(asset, 'filterMode', value);
+      });
+      imageSection.appendChild(filterModeField);
+      
+      // Add wrap mode dropdown
+      const wrapModeOptions = [
+        { value: 'clamp', label: 'Clamp' },
+        { value: 'repeat', label: 'Repeat' },
+        { value: 'mirroredRepeat', label: 'Mirrored Repeat' }
+      ];
+      const wrapModeField = this.createDropdownField('wrapMode', 'Wrap Mode', asset.wrapMode || 'clamp', wrapModeOptions, (value) => {
+        this.updateAssetProperty(asset, 'wrapMode', value);
+      });
+      imageSection.appendChild(wrapModeField);
+      
+      // Add texture atlas flag; sprites and tilemaps draw packed images from the atlas in exported builds
+      const packField = this.createCheckboxField('packAtlas', 'Pack into Atlas', Boolean(asset.packAtlas), (value) => {
+        this.updateAssetProperty(asset, 'packAtlas', value);
+      });
+      packField.title = 'Combine this PNG with the other packed images into texture atlas pages when the project is exported';
+      imageSection.appendChild(packField);
+      
+      this.inspectorContainer.appendChild(imageSection);
+    }
+    
+    /**
+     * Add tileset asset-specific properties
+     * @param {object} asset - Tileset asset
      */
-    addSpriteProperties(object) {
-      const spriteSection = this.createSection('Sprite');
+    addTilesetAssetProperties(asset) {
+      const tilesetSection = this.createSection('Tileset');
+      const tileset = this.app.tilesetManager.getTileset(asset.id);
+      
+      if (!tileset) {
+        tilesetSection.appendChild(this.createReadOnlyField('error', 'Error', 'The tileset file could not be read'));
+        this.inspectorContainer.appendChild(tilesetSection);
+        return;
+      }
+      
+      const update = (property, value) => {
+        this.app.tilesetManager.updateTileset(asset, { [property]: value }).catch(error => {
+          console.error('Error saving tileset:', error);
+          this.app.core.ui.showError('Tileset Error', error.message);
+        });
+      };
       
       // Add image field
-      const imageField = this.createAssetField('image', 'Image', object.imageId, 'image', (value) => {
-        this.updateObjectProperty('imageId', value);
+      const imageField = this.createAssetField('imageId', 'Image', tileset.imageId, 'image', (value) => {
+        update('imageId', value);
       });
-      spriteSection.appendChild(imageField);
+      tilesetSection.appendChild(imageField);
+      
+      // Add grid fields; tiles must be at least a pixel across
+      const gridFields = [
+        { property: 'tileWidth', label: 'Tile Width', min: 1 },
+        { property: 'tileHeight', label: 'Tile Height', min: 1 },
+        { property: 'margin', label: 'Margin', min: 0 },
+        { property: 'spacing', label: 'Spacing', min: 0 }
+      ];
+      
+      for (const { property, label, min } of gridFields) {
+        const field = this.createNumberField(property, label, tileset[property], (value) => {
+          const number = parseInt(value, 10);
+          
+          if (number >= min) {
+            update(property, number);
+          }
+        });
+        tilesetSection.appendChild(field);
+      }
+      
+      // Add tile count once the image is loaded
+      const grid = this.app.tilesetManager.getGrid(tileset);
+      
+      if (grid) {
+        const countField = this.createReadOnlyField('tileCount', 'Tiles', `${grid.count} (${grid.columns} × ${grid.rows})`);
+        tilesetSection.appendChild(countField);
+      }
+      
+      this.inspectorContainer.appendChild(tilesetSection);
+      
+      this.addTerrainProperties(asset, tileset);
+    }
+    
+    /**
+     * Add the autotile terrains of a tileset
+     * @param {object} asset - Tileset asset
+     * @param {object} tileset - Tileset from the tileset manager
+     */
+    addTerrainProperties(asset, tileset) {
+      const terrainSection = this.createSection('Terrains');
+      const types = Autotiler.getTypes();
+      
+      const refresh = (promise) => {
+        promise.then(() => {
+          this.showAssetInspector(asset);
+        }).catch(error => {
+          console.error('Error saving tileset:', error);
+          this.app.core.ui.showError('Terrain Error', error.message);
+        });
+      };
+      
+      for (const terrain of tileset.terrains) {
+        const tiles = Object.keys(terrain.tiles).length;
+        const field = this.createReadOnlyField(terrain.id, terrain.name, `${types[terrain.type] ? types[terrain.type].name : terrain.type}, ${tiles} tiles`);
+        
+        // Add remove button
+        const removeButton = document.createElement('button');
+        removeButton.className = 'inspector-field-button';
+        removeButton.innerHTML = '<i class="icon-close"></i>';
+        removeButton.title = 'Remove terrain';
+        removeButton.addEventListener('click', () => {
+          refresh(this.app.tilesetManager.removeTerrain(asset, terrain.id));
+        });
+        field.appendChild(removeButton);
+        
+        terrainSection.appendChild(field);
+      }
       
-      // Add color tint
-      const colorField = this.createColorField('tint', 'Tint', object.tint || '#FFFFFF', (value) => {
-        this.updateObjectProperty('tint', value);
+      // Add button to add a terrain from a block of tiles
+      const addTerrainButton = document.createElement('button');
+      addTerrainButton.className = 'full-width-button';
+      addTerrainButton.textContent = 'Add Terrain';
+      addTerrainButton.addEventListener('click', async () => {
+        const values = await this.app.core.ui.showFormDialog({
+          title: 'Add Terrain',
+          fields: [
+            { id: 'name', label: 'Name', type: 'text', value: 'Terrain' },
+            {
+              id: 'type',
+              label: 'Rule Set',
+              type: 'select',
+              value: '47',
+              options: Object.keys(types).map(id => ({ value: id, label: types[id].name }))
+            },
+            { id: 'firstTile', label: 'First Tile', type: 'number', value: 1 }
+          ],
+          buttons: ['Cancel', 'Add']
+        });
+        
+        if (!values) return;
+        
+        refresh(this.app.tilesetManager.addTerrain(asset, values));
       });
-      spriteSection.appendChild(colorField);
+      terrainSection.appendChild(addTerrainButton);
+      
+      this.inspectorContainer.appendChild(terrainSection);
+    }
+    
+    /**
+     * Add the animation editor for an animation asset
+     * Shows a preview, the frames cut from the image and the clips made of them.
+     * @param {object} asset - Animation asset
+     */
+    addAnimationAssetProperties(asset) {
+      const animationManager = this.app.animationManager;
+      const animation = animationManager.getAnimation(asset.id);
+      const animationSection = this.createSection('Animation');
+      
+      if (!animation) {
+        animationSection.appendChild(this.createReadOnlyField('error', 'Error', 'The animation file could not be read'));
+        this.inspectorContainer.appendChild(animationSection);
+        return;
+      }
       
-      // Add flip options
-      const flipXField = this.createCheckboxField('flipX', 'Flip X', object.flipX || false, (value) => {
-        this.updateObjectProperty('flipX', value);
+      // Add image field
+      const imageField = this.createAssetField('imageId', 'Image', animation.imageId, 'image', (value) => {
+        this.saveAnimation(asset, animationManager.updateAnimation(asset, { imageId: value }), true);
       });
-      spriteSection.appendChild(flipXField);
+      animationSection.appendChild(imageField);
+      
+      // Add clip preview
+      if (animation.clips.length > 0) {
+        const preview = animationManager.createPreview(asset.id, { width: 160, height: 160, clip: animation.clips[0].name });
+        
+        const clipOptions = animation.clips.map(clip => ({ value: clip.name, label: clip.name }));
+        const clipField = this.createDropdownField('previewClip', 'Preview', animation.clips[0].name, clipOptions, (value) => {
+          preview.setClip(value);
+        });
+        animationSection.appendChild(clipField);
+        
+        const previewContainer = document.createElement('div');
+        previewContainer.className = 'animation-preview-container';
+        previewContainer.appendChild(preview.canvas);
+        animationSection.appendChild(previewContainer);
+        
+        const playButton = document.createElement('button');
+        playButton.className = 'full-width-button';
+        playButton.textContent = 'Play';
+        playButton.addEventListener('click', () => {
+          const playing = playButton.textContent === 'Stop';
+          
+          if (playing) {
+            preview.stop();
+          } else {
+            preview.play();
+          }
+          
+          playButton.textContent = playing ? 'Play' : 'Stop';
+        });
+        animationSection.appendChild(playButton);
+      }
       
-      const flipYField = this.createCheckboxField('flipY', 'Flip Y', object.flipY || false, (value) => {
-        this.updateObjectProperty('flipY', value);
+      this.inspectorContainer.appendChild(animationSection);
+      
+      this.addAnimationFramesSection(asset, animation);
+      this.addAnimationClipsSection(asset, animation);
+    }
+    
+    /**
+     * Add the frame slicing part of the animation editor
+     * Frames are cut on a grid or placed by hand, and shown numbered over the image.
+     * @param {object} asset - Animation asset
+     * @param {object} animation - Animation from the animation manager
+     */
+    addAnimationFramesSection(asset, animation) {
+      const animationManager = this.app.animationManager;
+      const framesSection = this.createSection(`Frames (${animation.frames.length})`);
+      framesSection.classList.add('animation-section');
+      const slicing = animation.slicing;
+      
+      // Add slicing mode dropdown
+      const modeOptions = [
+        { value: 'grid', label: 'Grid' },
+        { value: 'manual', label: 'Manual' }
+      ];
+      const modeField = this.createDropdownField('slicingMode', 'Slicing', slicing.mode, modeOptions, (value) => {
+        this.saveAnimation(asset, animationManager.updateAnimation(asset, { slicing: { ...slicing, mode: value } }), true);
       });
-      spriteSection.appendChild(flipYField);
+      framesSection.appendChild(modeField);
+      
+      if (slicing.mode === 'manual') {
+        // Add a field per frame
+        animation.frames.forEach((frame, index) => {
+          const components = [
+            { key: 'x', label: 'X', value: frame.x },
+            { key: 'y', label: 'Y', value: frame.y },
+            { key: 'width', label: 'W', value: frame.width },
+            { key: 'height', label: 'H', value: frame.height }
+          ];
+          
+          const frameField = this.createNumberGroupField(`frame-${index}`, `Frame ${index + 1}`, components, (key, value) => {
+            const number = Math.round(parseFloat(value));
+            
+            // Frames must be at least a pixel across
+            if (isNaN(number) || number < (key === 'width' || key === 'height' ? 1 : 0)) {
+              this.showAssetInspector(asset);
+              return;
+            }
+            
+            const frames = animationManager.getAnimation(asset.id).frames.slice();
+            frames[index] = { ...frames[index], [key]: number };
+            this.saveAnimation(asset, animationManager.setFrames(asset, frames), false);
+          });
+          
+          const removeButton = document.createElement('button');
+          removeButton.className = 'inspector-field-button';
+          removeButton.innerHTML = '<i class="icon-close"></i>';
+          removeButton.title = 'Remove frame';
+          removeButton.addEventListener('click', () => {
+            const frames = animationManager.getAnimation(asset.id).frames.filter((other, otherIndex) => otherIndex !== index);
+            this.saveAnimation(asset, animationManager.setFrames(asset, frames), true);
+          });
+          frameField.querySelector('.vector-label').appendChild(removeButton);
+          
+          framesSection.appendChild(frameField);
+        });
+        
+        // Add button to add a frame beside the last one
+        const addFrameButton = document.createElement('button');
+        addFrameButton.className = 'full-width-button';
+        addFrameButton.textContent = 'Add Frame';
+        addFrameButton.addEventListener('click', () => {
+          const frames = animationManager.getAnimation(asset.id).frames;
+          const last = frames[frames.length - 1];
+          const frame = last
+            ? { x: last.x + last.width, y: last.y, width: last.width, height: last.height }
+            : { x: 0, y: 0, width: slicing.frameWidth, height: slicing.frameHeight };
+          
+          this.saveAnimation(asset, animationManager.setFrames(asset, frames.concat([frame])), true);
+        });
+        framesSection.appendChild(addFrameButton);
+      } else {
+        // Add grid fields; the frames are only recut when Slice is pressed
+        const grid = { ...slicing };
+        const gridFields = [
+          { property: 'frameWidth', label: 'Frame Width' },
+          { property: 'frameHeight', label: 'Frame Height' },
+          { property: 'margin', label: 'Margin' },
+          { property: 'spacing', label: 'Spacing' }
+        ];
+        
+        for (const { property, label } of gridFields) {
+          const field = this.createNumberField(property, label, grid[property], (value) => {
+            grid[property] = parseInt(value, 10) || 0;
+          });
+          framesSection.appendChild(field);
+        }
+        
+        const sliceButton = document.createElement('button');
+        sliceButton.className = 'full-width-button';
+        sliceButton.textContent = 'Slice Frames';
+        sliceButton.addEventListener('click', () => {
+          this.saveAnimation(asset, animationManager.sliceAnimation(asset, grid), true);
+        });
+        framesSection.appendChild(sliceButton);
+      }
+      
+      // Show the frames over the image
+      const image = this.app.imageCache.get(animation.imageId);
+      
+      if (image) {
+        framesSection.appendChild(this.createFrameSheet(image, animation.frames));
+      } else if (animation.imageId) {
+        // Show the sheet once the image has loaded
+        this.app.imageCache.load(animation.imageId).then(() => {
+          if (this.currentObject && this.currentObject.asset === asset) {
+            this.showAssetInspector(asset);
+          }
+        }).catch(() => {});
+      }
+      
+      this.inspectorContainer.appendChild(framesSection);
+    }
+    
+    /**
+     * Create a canvas showing an image with its animation frames outlined and numbered
+     * @param {HTMLImageElement} image - Sprite sheet
+     * @param {Array<object>} frames - Frames with x, y, width and height
+     * @returns {HTMLCanvasElement} Canvas element
+     */
+    createFrameSheet(image, frames) {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'animation-frame-sheet';
+      
+      // Fit the sheet in the panel, scaling small sheets up to whole pixels
+      const maxWidth = 260;
+      const scale = image.naturalWidth > maxWidth ? maxWidth / image.naturalWidth : Math.max(1, Math.floor(maxWidth / image.naturalWidth));
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      
+      const ctx = canvas.getContext('2d');
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      
+      ctx.strokeStyle = '#FFFF00';
+      ctx.fillStyle = '#FFFF00';
+      ctx.font = '10px Arial';
+      ctx.textBaseline = 'top';
+      ctx.lineWidth = 1;
+      
+      frames.forEach((frame, index) => {
+        ctx.strokeRect(frame.x * scale + 0.5, frame.y * scale + 0.5, frame.width * scale - 1, frame.height * scale - 1);
+        ctx.fillText(String(index + 1), frame.x * scale + 2, frame.y * scale + 2);
+      });
+      
+      return canvas;
+    }
+    
+    /**
+     * Add the clips part of the animation editor
+     * @param {object} asset - Animation asset
+     * @param {object} animation - Animation from the animation manager
+     */
+    addAnimationClipsSection(asset, animation) {
+      const animationManager = this.app.animationManager;
+      const frameCount = animation.frames.length;
+      
+      for (const clip of animation.clips) {
+        const clipSection = this.createSection(`Clip: ${clip.name}`);
+        clipSection.classList.add('animation-section', 'clip-section');
+        
+        const updateClip = (changes, rebuild) => {
+          this.saveAnimation(asset, animationManager.updateClip(asset, clip.name, changes), rebuild);
+        };
+        
+        // Frames are read again on each change so quick edits don't undo each other
+        const getClipFrames = () => animationManager.getClip(animationManager.getAnimation(asset.id), clip.name).frames.slice();
+        
+        // Add remove button to the section header
+        const removeButton = document.createElement('button');
+        removeButton.className = 'inspector-field-button';
+        removeButton.innerHTML = '<i class="icon-close"></i>';
+        removeButton.title = 'Remove clip';
+        removeButton.addEventListener('click', () => {
+          this.saveAnimation(asset, animationManager.removeClip(asset, clip.name), true);
+        });
+        clipSection.querySelector('.section-header').appendChild(removeButton);
+        
+        // Add name and loop mode
+        const nameField = this.createTextField(`clip-${clip.name}-name`, 'Name', clip.name, (value) => {
+          updateClip({ name: value.trim() }, true);
+        });
+        clipSection.appendChild(nameField);
+        
+        const loopField = this.createDropdownField(`clip-${clip.name}-loop`, 'Loop', clip.loop || 'loop', AnimationManager.getLoopModes(), (value) => {
+          updateClip({ loop: value }, false);
+        });
+        clipSection.appendChild(loopField);
+        
+        // Add a row per clip frame with its frame number and duration in seconds
+        clip.frames.forEach((clipFrame, index) => {
+          const components = [
+            { key: 'frame', label: 'Frame', value: clipFrame.frame + 1 },
+            { key: 'duration', label: 'Sec', value: AnimationManager.getFrameDuration(clipFrame) }
+          ];
+          
+          const frameField = this.createNumberGroupField(`clip-${clip.name}-${index}`, `${index + 1}`, components, (key, value) => {
+            const number = parseFloat(value);
+            const valid = key === 'frame' ? Number.isInteger(number) && number >= 1 && number <= frameCount : number > 0;
+            
+            if (!valid) {
+              this.app.core.ui.setStatus(key === 'frame' ? `Frame must be between 1 and ${frameCount}` : 'Duration must be more than 0 seconds', 'warning');
+              this.showAssetInspector(asset);
+              return;
+            }
+            
+            const frames = getClipFrames();
+            frames[index] = { ...frames[index], [key]: key === 'frame' ? number - 1 : number };
+            updateClip({ frames }, false);
+          });
+          
+          const controls = [
+            { icon: 'icon-chevron-up', title: 'Move up', offset: -1 },
+            { icon: 'icon-chevron-down', title: 'Move down', offset: 1 },
+            { icon: 'icon-close', title: 'Remove frame from clip', offset: 0 }
+          ];
+          
+          for (const { icon, title, offset } of controls) {
+            const target = index + offset;
+            const button = document.createElement('button');
+            button.className = 'inspector-field-button';
+            button.innerHTML = `<i class="${icon}"></i>`;
+            button.title = title;
+            button.disabled = target < 0 || target >= clip.frames.length;
+            button.addEventListener('click', () => {
+              const frames = getClipFrames();
+              
+              if (offset === 0) {
+                frames.splice(index, 1);
+              } else {
+                [frames[index], frames[target]] = [frames[target], frames[index]];
+              }
+              
+              updateClip({ frames }, true);
+            });
+            frameField.querySelector('.vector-label').appendChild(button);
+          }
+          
+          clipSection.appendChild(frameField);
+        });
+        
+        // Add buttons to add frames to the clip
+        const actionsContainer = document.createElement('div');
+        actionsContainer.className = 'actions-container';
+        
+        const addFrameButton = document.createElement('button');
+        addFrameButton.className = 'action-button';
+        addFrameButton.textContent = 'Add Frame';
+        addFrameButton.title = 'Add the frame after the clip\'s last one';
+        addFrameButton.disabled = frameCount === 0;
+        addFrameButton.addEventListener('click', () => {
+          const frames = getClipFrames();
+          const last = frames[frames.length - 1];
+          
+          frames.push({
+            frame: last ? (last.frame + 1) % frameCount : 0,
+            duration: last ? AnimationManager.getFrameDuration(last) : 0.1
+          });
+          updateClip({ frames }, true);
+        });
+        actionsContainer.appendChild(addFrameButton);
+        
+        const allFramesButton = document.createElement('button');
+        allFramesButton.className = 'action-button';
+        allFramesButton.textContent = 'Use All Frames';
+        allFramesButton.title = 'Play every frame in order';
+        allFramesButton.disabled = frameCount === 0;
+        allFramesButton.addEventListener('click', () => {
+          const frames = getClipFrames();
+          const duration = frames.length > 0 ? AnimationManager.getFrameDuration(frames[0]) : 0.1;
+          
+          updateClip({ frames: animation.frames.map((frame, index) => ({ frame: index, duration })) }, true);
+        });
+        actionsContainer.appendChild(allFramesButton);
+        
+        clipSection.appendChild(actionsContainer);
+        this.inspectorContainer.appendChild(clipSection);
+      }
+      
+      // Add button to add a clip
+      const addClipButton = document.createElement('button');
+      addClipButton.className = 'full-width-button';
+      addClipButton.textContent = 'Add Clip';
+      addClipButton.addEventListener('click', async () => {
+        const values = await this.app.core.ui.showFormDialog({
+          title: 'Add Clip',
+          fields: [
+            { id: 'name', label: 'Name', type: 'text', value: `clip${animation.clips.length + 1}` }
+          ],
+          buttons: ['Cancel', 'Add']
+        });
+        
+        if (!values) return;
+        
+        this.saveAnimation(asset, animationManager.addClip(asset, values.name.trim()), true);
+      });
+      this.inspectorContainer.appendChild(addClipButton);
+    }
+    
+    /**
+     * Wait for an animation change to be saved, reporting errors
+     * @param {object} asset - Animation asset
+     * @param {Promise} promise - The save
+     * @param {boolean} rebuild - Whether to show the animation editor again afterwards
+     */
+    saveAnimation(asset, promise, rebuild) {
+      promise.then(() => {
+        if (rebuild && this.currentObject && this.currentObject.asset === asset) {
+          this.showAssetInspector(asset);
+        }
+      }).catch(error => {
+        console.error('Error saving animation:', error);
+        this.app.core.ui.showError('Animation Error', error.message);
+        this.showAssetInspector(asset);
+      });
+    }
+    
+    /**
+     * Add audio asset-specific properties
+     * @param {object} asset - Audio asset
+     */
+    addAudioAssetProperties(asset) {
+      const audioSection = this.createSection('Audio Properties');
+      
+      // Add audio preview player
+      const audioPreview = document.createElement('div');
+      audioPreview.className = 'audio-preview';
+      
+      const audioElement = document.createElement('audio');
+      audioElement.src = path.join(this.app.project.path, asset.path);
+      audioElement.controls = true;
+      
+      audioPreview.appendChild(audioElement);
+      audioSection.appendChild(audioPreview);
+      
+      // Add volume slider
+      const volumeField = this.createSliderField('volume', 'Default Volume', asset.volume !== undefined ? asset.volume : 1, 0, 1, 0.01, (value) => {
+        this.updateAssetProperty(asset, 'volume', parseFloat(value));
+      });
+      audioSection.appendChild(volumeField);
+      
+      // Add loop checkbox
+      const loopField = this.createCheckboxField('loop', 'Loop by Default', asset.loop || false, (value) => {
+        this.updateAssetProperty(asset, 'loop', value);
+      });
+      audioSection.appendChild(loopField);
+      
+      // Add duration field (if available)
+      if (asset.duration) {
+        const durationField = this.createReadOnlyField('duration', 'Duration', `${asset.duration.toFixed(2)} seconds`);
+        audioSection.appendChild(durationField);
+      }
+      
+      this.inspectorContainer.appendChild(audioSection);
+    }
+    
+    /**
+     * Add the section listing what uses an asset
+     * Scripts are read from disk, so the list fills in once the search finishes. Clicking an
+     * entry selects the object in the open scene, or opens the script or asset that uses it.
+     * @param {object} asset - Asset
+     */
+    addAssetReferencesSection(asset) {
+      const referenceIndex = this.app.referenceIndex;
+      const referencesSection = this.createSection('Used By');
+      
+      const status = document.createElement('div');
+      status.className = 'reference-empty';
+      status.textContent = 'Searching...';
+      referencesSection.appendChild(status);
+      
+      this.inspectorContainer.appendChild(referencesSection);
+      
+      referenceIndex.getReferences(asset).then(references => {
+        // Another selection may have replaced this inspector while searching
+        if (!this.currentObject || this.currentObject.asset !== asset) return;
+        
+        if (references.length === 0) {
+          status.textContent = 'Not used by any scene, prefab, asset or script';
+          return;
+        }
+        
+        status.remove();
+        referencesSection.querySelector('.section-header').textContent = `Used By (${references.length})`;
+        
+        const activeScene = this.app.sceneEditor.activeScene;
+        const assets = this.app.assetBrowser.assets;
+        
+        for (const reference of references) {
+          const item = document.createElement('div');
+          item.className = 'reference-item';
+          item.textContent = referenceIndex.describe(reference);
+          item.title = item.textContent;
+          
+          let open = null;
+          
+          if (reference.source === 'scene' && activeScene && reference.sourceId === activeScene.id) {
+            open = () => this.app.sceneEditor.setSelection([reference.objectId]);
+          } else if (reference.source === 'script') {
+            const script = assets.find(a => a.id === reference.sourceId);
+            open = script ? () => this.app.assetBrowser.openAsset(script) : null;
+          } else if (reference.source === 'asset') {
+            const user = assets.find(a => a.id === reference.sourceId);
+            open = user ? () => this.showAssetInspector(user) : null;
+          }
+          
+          if (open) {
+            item.classList.add('selectable');
+            item.addEventListener('click', open);
+          }
+          
+          referencesSection.appendChild(item);
+        }
+      }).catch(error => {
+        console.error('Error finding asset references:', error);
+        status.textContent = 'Could not search for references';
+      });
+    }
+    
+    /**
+     * Add custom properties section
+     * @param {object} object - Object with custom properties
+     */
+    addCustomPropertiesSection(object) {
+      // Create custom properties section
+      const customSection = this.createSection('Custom Properties');
+      
+      // Properties handled by other sections aren't custom
+      for (const key of PropertyRegistry.getCustomPropertyNames(object)) {
+        const removeControl = {
+          icon: 'icon-close',
+          title: 'Remove property',
+          action: () => {
+            this.removeCustomProperty(object, key);
+            this.refresh();
+          }
+        };
+        
+        customSection.appendChild(this.createValueEditor(object, key, [], key, key, object[key], [removeControl]));
+      }
+      
+      // Add button to add new property
+      const addPropertyButton = document.createElement('button');
+      addPropertyButton.className = 'full-width-button';
+      addPropertyButton.textContent = 'Add Property';
+      addPropertyButton.addEventListener('click', () => {
+        this.showAddPropertyDialog();
+      });
+      customSection.appendChild(addPropertyButton);
+      
+      this.inspectorContainer.appendChild(customSection);
+    }
+    
+    /**
+     * Create an editor for a custom property value or a value nested inside one
+     * Lists and dictionaries get an editor per entry; other values use the field of the type
+     * recorded for them in the object's propertyTypes.
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property holding the value
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the value
+     * @param {string} id - Field ID
+     * @param {string} label - Field label
+     * @param {*} value - Current value
+     * @param {Array<object>} [controls] - Buttons with icon, title, action and disabled to add to the field
+     * @returns {HTMLElement} Field element
+     */
+    createValueEditor(object, key, path, id, label, value, controls = []) {
+      const setValue = (newValue) => this.setCustomValue(object, key, path, newValue);
+      const typeInfo = PropertyRegistry.getTypeInfoIn((object.propertyTypes || {})[key], path);
+      let field;
+      
+      switch (PropertyRegistry.getValueType(value, typeInfo)) {
+        case 'array':
+        case 'dictionary':
+          field = this.createCollectionEditor(object, key, path, id, label, value);
+          break;
+        case 'number':
+          field = this.createNumberField(id, label, value, (newValue) => {
+            const number = parseFloat(newValue);
+            
+            if (isNaN(number)) {
+              this.refresh();
+            } else {
+              setValue(number);
+            }
+          });
+          break;
+        case 'boolean':
+          field = this.createCheckboxField(id, label, value, setValue);
+          break;
+        case 'color':
+          field = this.createColorField(id, label, value, setValue);
+          break;
+        case 'vector':
+          field = this.createVectorField(id, label, value || { x: 0, y: 0 }, (component, newValue) => {
+            const number = parseFloat(newValue);
+            
+            // Read the vector again so an edit of the other component isn't lost
+            if (!isNaN(number)) {
+              setValue({ ...PropertyRegistry.getIn(object[key], path), [component]: number });
+            }
+          });
+          break;
+        case 'asset':
+          field = this.createAssetField(id, label, typeof value === 'string' ? value : null, null, setValue);
+          break;
+        default:
+          field = this.createTextField(id, label, value !== null && typeof value !== 'object' ? value : '', setValue);
+      }
+      
+      // Lists and dictionaries take their buttons in the header
+      const controlsContainer = field.querySelector(':scope > .nested-header') || field;
+      
+      for (const { icon, title, action, disabled } of controls) {
+        const button = document.createElement('button');
+        button.className = 'inspector-field-button';
+        button.innerHTML = `<i class="${icon}"></i>`;
+        button.title = title;
+        button.disabled = Boolean(disabled);
+        button.addEventListener('click', action);
+        controlsContainer.appendChild(button);
+      }
+      
+      return field;
+    }
+    
+    /**
+     * Create an editor for a list or dictionary custom value
+     * Entries can be edited in place, moved up and down, removed and added.
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property holding the value
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the value
+     * @param {string} id - Field ID
+     * @param {string} label - Field label
+     * @param {Array|object} value - Current list or dictionary
+     * @returns {HTMLElement} Field element
+     */
+    createCollectionEditor(object, key, path, id, label, value) {
+      const isArray = Array.isArray(value);
+      const entries = isArray ? value.map((item, index) => [index, item]) : Object.entries(value);
+      
+      const field = document.createElement('div');
+      field.className = 'inspector-field nested-field';
+      field.id = id;
+      
+      // Create header with the label and entry count
+      const header = document.createElement('div');
+      header.className = 'nested-header';
+      
+      const labelElement = document.createElement('label');
+      labelElement.textContent = `${label} (${entries.length})`;
+      header.appendChild(labelElement);
+      
+      field.appendChild(header);
+      
+      // Add an editor per entry; list items are numbered from 1 like Lua arrays
+      const entriesContainer = document.createElement('div');
+      entriesContainer.className = 'nested-entries';
+      
+      entries.forEach(([entryKey, entryValue], index) => {
+        const controls = [
+          {
+            icon: 'icon-chevron-up',
+            title: 'Move up',
+            disabled: index === 0,
+            action: () => this.moveCustomEntry(object, key, path, index, -1)
+          },
+          {
+            icon: 'icon-chevron-down',
+            title: 'Move down',
+            disabled: index === entries.length - 1,
+            action: () => this.moveCustomEntry(object, key, path, index, 1)
+          },
+          {
+            icon: 'icon-close',
+            title: isArray ? 'Remove item' : 'Remove entry',
+            action: () => this.removeCustomEntry(object, key, path, index)
+          }
+        ];
+        
+        const entryLabel = isArray ? String(index + 1) : entryKey;
+        entriesContainer.appendChild(this.createValueEditor(object, key, path.concat(entryKey), `${id}-${entryKey}`, entryLabel, entryValue, controls));
+      });
+      
+      field.appendChild(entriesContainer);
+      
+      // Add button to add an entry
+      const addButton = document.createElement('button');
+      addButton.className = 'nested-add-button';
+      addButton.textContent = isArray ? 'Add Item' : 'Add Entry';
+      addButton.addEventListener('click', () => {
+        this.addCustomEntry(object, key, path);
+      });
+      field.appendChild(addButton);
+      
+      return field;
+    }
+    
+    /**
+     * Set a custom property value, or a value nested inside one
+     * The property is replaced as a whole so the change can be undone. A new type record
+     * goes into the object's propertyTypes in the same undo step.
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the value
+     * @param {*} value - New value
+     * @param {string|object} [typeInfo] - New type record of the value; the record is left alone if omitted
+     */
+    setCustomValue(object, key, path, value, typeInfo) {
+      const newValue = PropertyRegistry.setIn(object[key], path, value);
+      
+      if (typeInfo === undefined) {
+        this.updateObjectProperty(key, newValue);
+        return;
+      }
+      
+      const types = object.propertyTypes || {};
+      const newTypes = { ...types, [key]: PropertyRegistry.setTypeInfoIn(types[key], object[key], path, typeInfo) };
+      const history = this.app.commandHistory;
+      
+      history.beginGroup(`Change ${key}`);
+      this.updateObjectProperty(key, newValue);
+      this.updateObjectProperty('propertyTypes', newTypes);
+      history.endGroup();
+    }
+    
+    /**
+     * Remove a custom property and its type record
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     */
+    removeCustomProperty(object, key) {
+      const { [key]: removed, ...types } = object.propertyTypes || {};
+      const history = this.app.commandHistory;
+      
+      history.beginGroup(`Remove ${key}`);
+      this.updateObjectProperty(key, undefined);
+      
+      if (removed !== undefined) {
+        this.updateObjectProperty('propertyTypes', Object.keys(types).length > 0 ? types : undefined);
+      }
+      
+      history.endGroup();
+    }
+    
+    /**
+     * Get the type record of a list or dictionary custom value
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the list or dictionary
+     * @returns {object} Type record; one with no entry records if none was kept
+     */
+    getCollectionTypeInfo(object, key, path) {
+      const collection = PropertyRegistry.getIn(object[key], path);
+      const typeInfo = PropertyRegistry.getTypeInfoIn((object.propertyTypes || {})[key], path);
+      
+      return typeInfo && typeof typeInfo === 'object'
+        ? typeInfo
+        : PropertyRegistry.createTypeInfo(Array.isArray(collection) ? 'array' : 'dictionary');
+    }
+    
+    /**
+     * Get the type records of a list's items, one per item
+     * @param {object} typeInfo - Type record of the list
+     * @param {Array} list - List value
+     * @returns {Array<string|object|null>} Records, null for items without one
+     */
+    getItemTypeInfos(typeInfo, list) {
+      return list.map((item, index) => PropertyRegistry.getEntryTypeInfo(typeInfo, index) || null);
+    }
+    
+    /**
+     * Ask for a new entry and add it to a list or dictionary custom value
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the list or dictionary
+     */
+    async addCustomEntry(object, key, path) {
+      const collection = PropertyRegistry.getIn(object[key], path);
+      const typeInfo = this.getCollectionTypeInfo(object, key, path);
+      const isArray = Array.isArray(collection);
+      
+      // New list items start out like the last one
+      const lastIndex = collection.length - 1;
+      const lastType = isArray && collection.length > 0
+        ? PropertyRegistry.getValueType(collection[lastIndex], PropertyRegistry.getEntryTypeInfo(typeInfo, lastIndex))
+        : 'text';
+      const values = await this.showValueTypeDialog(isArray ? 'Add Item' : 'Add Entry', isArray ? null : 'Key', lastType);
+      
+      // The selection may have changed while the dialog was open
+      if (!values || !this.currentObject || this.currentObject.object !== object) return;
+      
+      const value = PropertyRegistry.createValue(values.type);
+      const entryTypeInfo = PropertyRegistry.createTypeInfo(values.type);
+      
+      if (isArray) {
+        this.setCustomValue(object, key, path, collection.concat([value]), {
+          ...typeInfo,
+          items: this.getItemTypeInfos(typeInfo, collection).concat([entryTypeInfo])
+        });
+      } else {
+        const entryKey = values.name.trim();
+        
+        if (!entryKey) {
+          this.app.core.ui.setStatus('Dictionary entries need a key', 'warning');
+          return;
+        }
+        
+        if (Object.prototype.hasOwnProperty.call(collection, entryKey)) {
+          this.app.core.ui.setStatus(`The dictionary already has an entry named "${entryKey}"`, 'warning');
+          return;
+        }
+        
+        this.setCustomValue(object, key, path, { ...collection, [entryKey]: value }, {
+          ...typeInfo,
+          entries: { ...typeInfo.entries, [entryKey]: entryTypeInfo }
+        });
+      }
+      
+      this.refresh();
+    }
+    
+    /**
+     * Remove an entry from a list or dictionary custom value
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the list or dictionary
+     * @param {number} index - Position of the entry
+     */
+    removeCustomEntry(object, key, path, index) {
+      const collection = PropertyRegistry.getIn(object[key], path);
+      const typeInfo = this.getCollectionTypeInfo(object, key, path);
+      
+      if (Array.isArray(collection)) {
+        this.setCustomValue(object, key, path, collection.filter((item, itemIndex) => itemIndex !== index), {
+          ...typeInfo,
+          items: this.getItemTypeInfos(typeInfo, collection).filter((item, itemIndex) => itemIndex !== index)
+        });
+      } else {
+        const entries = Object.entries(collection);
+        const [entryKey] = entries[index];
+        const { [entryKey]: removed, ...entryTypes } = typeInfo.entries || {};
+        
+        this.setCustomValue(object, key, path, Object.fromEntries(entries.filter((entry, entryIndex) => entryIndex !== index)), {
+          ...typeInfo,
+          entries: entryTypes
+        });
+      }
+      
+      this.refresh();
+    }
+    
+    /**
+     * Move an entry of a list or dictionary custom value up or down
+     * Dictionary keys that are whole numbers always stay in numeric order.
+     * @param {object} object - Scene object
+     * @param {string} key - Custom property
+     * @param {Array<string|number>} path - Keys and indexes leading from the property to the list or dictionary
+     * @param {number} index - Position of the entry
+     * @param {number} offset - -1 to move up, 1 to move down
+     */
+    moveCustomEntry(object, key, path, index, offset) {
+      const collection = PropertyRegistry.getIn(object[key], path);
+      const isArray = Array.isArray(collection);
+      const entries = isArray ? collection.slice() : Object.entries(collection);
+      const target = index + offset;
+      
+      if (target < 0 || target >= entries.length) return;
+      
+      [entries[index], entries[target]] = [entries[target], entries[index]];
+      
+      if (!isArray) {
+        // Dictionary type records are keyed, so they don't move
+        this.setCustomValue(object, key, path, Object.fromEntries(entries));
+        this.refresh();
+        return;
+      }
+      
+      const typeInfo = this.getCollectionTypeInfo(object, key, path);
+      const items = this.getItemTypeInfos(typeInfo, collection);
+      [items[index], items[target]] = [items[target], items[index]];
+      
+      this.setCustomValue(object, key, path, entries, { ...typeInfo, items });
+      this.refresh();
+    }
+    
+    /**
+     * Ask for the kind of value to add, and optionally its name
+     * @param {string} title - Dialog title
+     * @param {string|null} nameLabel - Label of the name field, or null to ask for the type only
+     * @param {string} type - Value type selected at first
+     * @returns {Promise<object|null>} Values with name and type, or null if cancelled
+     */
+    showValueTypeDialog(title, nameLabel, type) {
+      const fields = [];
+      
+      if (nameLabel) {
+        fields.push({ id: 'name', label: nameLabel, type: 'text', value: '' });
+      }
+      
+      fields.push({
+        id: 'type',
+        label: 'Type',
+        type: 'select',
+        options: PropertyRegistry.getValueTypes().map(valueType => ({ value: valueType.type, label: valueType.label })),
+        value: type
+      });
+      
+      return this.app.core.ui.showFormDialog({ title, fields, buttons: ['Cancel', 'Add'] });
+    }
+    
+    /**
+     * Add a section for each component of an object, and a button to add more
+     * @param {object} object - Scene object
+     */
+    addComponentSections(object) {
+      for (const component of object.components || []) {
+        const definition = ComponentRegistry.get(component.type);
+        const componentSection = this.createSection(definition ? definition.name : component.type);
+        componentSection.classList.add('component-section');
+        
+        // Add remove button to the section header
+        const removeButton = document.createElement('button');
+        removeButton.className = 'inspector-field-button';
+        removeButton.innerHTML = '<i class="icon-close"></i>';
+        removeButton.title = 'Remove component';
+        removeButton.addEventListener('click', () => {
+          this.removeComponent(object, component.type);
+        });
+        componentSection.querySelector('.section-header').appendChild(removeButton);
+        
+        if (definition) {
+          for (const property of definition.properties) {
+            const value = component[property.name] !== undefined ? component[property.name] : property.default;
+            const field = this.createSchemaField(`component-${component.type}-${property.name}`, property, value, (newValue) => {
+              const result = this.checkSchemaValue(property, newValue, component);
+              
+              if (result) {
+                this.updateComponent(object, component.type, { [property.name]: result.value });
+                
+                if (result.adjusted) {
+                  this.refresh();
+                }
+              }
+            }, component);
+            componentSection.appendChild(field);
+          }
+        } else {
+          // Components from a plugin that isn't loaded keep their data
+          const unknownField = this.createReadOnlyField(`component-${component.type}`, 'Type', 'Unknown component');
+          componentSection.appendChild(unknownField);
+        }
+        
+        this.inspectorContainer.appendChild(componentSection);
+      }
       
-      // Add opacity slider
-      const opacityField = this.createSliderField('opacity', 'Opacity', object.opacity !== undefined ? object.opacity : 1, 0, 1, 0.01, (value) => {
-        this.updateObjectProperty('opacity', parseFloat(value));
-      });
-      spriteSection.appendChild(opacityField);
+      // Add button to add a component
+      const available = ComponentRegistry.getAvailable(object);
       
-      this.inspectorContainer.appendChild(spriteSection);
+      if (available.length > 0) {
+        const addComponentButton = document.createElement('button');
+        addComponentButton.className = 'full-width-button';
+        addComponentButton.textContent = 'Add Component';
+        addComponentButton.addEventListener('click', () => {
+          this.showAddComponentDialog(object);
+        });
+        this.inspectorContainer.appendChild(addComponentButton);
+      }
     }
     
     /**
-     * Add rectangle-specific properties
-     * @param {object} object - Rectangle object
+     * Add the section listing the properties of an object's type
+     * Fields come from the type's schema in the property registry.
+     * @param {object} object - Scene object
      */
-    addRectangleProperties(object) {
-      const shapeSection = this.createSection('Rectangle');
+    addTypeSection(object) {
+      const definition = PropertyRegistry.get(object.type);
       
-      // Add fill color field
-      const fillColorField = this.createColorField('fillColor', 'Fill Color', object.fillColor || '#FF0000', (value) => {
-        this.updateObjectProperty('fillColor', value);
-      });
-      shapeSection.appendChild(fillColorField);
+      if (!definition) return;
       
-      // Add border color field
-      const borderColorField = this.createColorField('borderColor', 'Border Color', object.borderColor || '#000000', (value) => {
-        this.updateObjectProperty('borderColor', value);
-      });
-      shapeSection.appendChild(borderColorField);
+      const context = this.getSchemaContext();
+      const typeSection = this.createSection(definition.name);
       
-      // Add border width field
-      const borderWidthField = this.createNumberField('borderWidth', 'Border Width', object.borderWidth || 1, (value) => {
-        this.updateObjectProperty('borderWidth', parseFloat(value));
-      });
-      shapeSection.appendChild(borderWidthField);
+      for (const property of PropertyRegistry.getVisibleProperties(object)) {
+        const value = PropertyRegistry.getValue(object, property, context);
+        
+        // Values inside object properties get IDs like bounds-x
+        const field = this.createSchemaField(property.name.replace(/\./g, '-'), property, value, (newValue) => {
+          this.setSchemaProperty(object, property, newValue);
+        }, object);
+        typeSection.appendChild(field);
+      }
       
-      // Add corner radius field
-      const cornerRadiusField = this.createNumberField('cornerRadius', 'Corner Radius', object.cornerRadius || 0, (value) => {
-        this.updateObjectProperty('cornerRadius', parseFloat(value));
-      });
-      shapeSection.appendChild(cornerRadiusField);
+      // Add the type's action buttons
+      for (const action of definition.actions || []) {
+        const button = document.createElement('button');
+        button.className = 'full-width-button';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+          action.run(object, context);
+        });
+        typeSection.appendChild(button);
+      }
       
-      this.inspectorContainer.appendChild(shapeSection);
+      this.inspectorContainer.appendChild(typeSection);
     }
     
     /**
-     * Add circle-specific properties
-     * @param {object} object - Circle object
+     * Set a property of an object's type from its field
+     * @param {object} object - Scene object
+     * @param {object} property - Property schema
+     * @param {*} value - Entered value
      */
-    addCircleProperties(object) {
-      const shapeSection = this.createSection('Circle');
+    setSchemaProperty(object, property, value) {
+      const result = this.checkSchemaValue(property, value, object);
       
-      // Add fill color field
-      const fillColorField = this.createColorField('fillColor', 'Fill Color', object.fillColor || '#00FF00', (value) => {
-        this.updateObjectProperty('fillColor', value);
-      });
-      shapeSection.appendChild(fillColorField);
+      if (!result) return;
       
-      // Add border color field
-      const borderColorField = this.createColorField('borderColor', 'Border Color', object.borderColor || '#000000', (value) => {
-        this.updateObjectProperty('borderColor', value);
-      });
-      shapeSection.appendChild(borderColorField);
+      const visibleBefore = PropertyRegistry.getVisibleProperties(object);
       
-      // Add border width field
-      const borderWidthField = this.createNumberField('borderWidth', 'Border Width', object.borderWidth || 1, (value) => {
-        this.updateObjectProperty('borderWidth', parseFloat(value));
-      });
-      shapeSection.appendChild(borderWidthField);
+      if (property.apply) {
+        property.apply(object, result.value, this.getSchemaContext());
+      } else {
+        const change = PropertyRegistry.getChange(object, property, result.value);
+        this.updateObjectProperty(change.name, change.value);
+      }
+      
+      // Rebuild the fields when the value was adjusted or other fields were shown or hidden
+      const visibleAfter = PropertyRegistry.getVisibleProperties(object);
+      const visibilityChanged = visibleAfter.length !== visibleBefore.length ||
+        visibleAfter.some((other, index) => other !== visibleBefore[index]);
       
-      this.inspectorContainer.appendChild(shapeSection);
+      if (result.adjusted || visibilityChanged) {
+        this.refresh();
+      }
     }
     
     /**
-     * Add text-specific properties
-     * @param {object} object - Text object
+     * Check a value entered in a schema field
+     * Rejected values are reported in the status bar and the field is reset.
+     * @param {object} property - Property schema
+     * @param {*} value - Entered value
+     * @param {object} target - Object or component the property belongs to
+     * @returns {object|null} Result with the value to store and whether it differs from the entered one, or null if rejected
      */
-    addTextProperties(object) {
-      const textSection = this.createSection('Text');
-      
-      // Add text content field
-      const textField = this.createTextAreaField('text', 'Text', object.text || '', (value) => {
-        this.updateObjectProperty('text', value);
-      });
-      textSection.appendChild(textField);
-      
-      // Add font family field
-      const fontFamilyField = this.createTextField('fontFamily', 'Font Family', object.fontFamily || 'Arial', (value) => {
-        this.updateObjectProperty('fontFamily', value);
-      });
-      textSection.appendChild(fontFamilyField);
-      
-      // Add font size field
-      const fontSizeField = this.createNumberField('fontSize', 'Font Size', object.fontSize || 16, (value) => {
-        this.updateObjectProperty('fontSize', parseFloat(value));
-      });
-      textSection.appendChild(fontSizeField);
-      
-      // Add font style dropdown
-      const fontStyleOptions = [
-        { value: '', label: 'Normal' },
-        { value: 'bold', label: 'Bold' },
-        { value: 'italic', label: 'Italic' },
-        { value: 'bold italic', label: 'Bold Italic' }
-      ];
-      const fontStyleField = this.createDropdownField('fontStyle', 'Font Style', object.fontStyle || '', fontStyleOptions, (value) => {
-        this.updateObjectProperty('fontStyle', value);
-      });
-      textSection.appendChild(fontStyleField);
-      
-      // Add text align dropdown
-      const alignOptions = [
-        { value: 'left', label: 'Left' },
-        { value: 'center', label: 'Center' },
-        { value: 'right', label: 'Right' }
-      ];
-      const textAlignField = this.createDropdownField('textAlign', 'Text Align', object.textAlign || 'left', alignOptions, (value) => {
-        this.updateObjectProperty('textAlign', value);
-      });
-      textSection.appendChild(textAlignField);
+    checkSchemaValue(property, value, target) {
+      const result = PropertyRegistry.validate(property, value, target, this.getSchemaContext());
       
-      // Add text color field
-      const textColorField = this.createColorField('textColor', 'Text Color', object.textColor || '#FFFFFF', (value) => {
-        this.updateObjectProperty('textColor', value);
-      });
-      textSection.appendChild(textColorField);
-      
-      // Add background color field
-      const bgColorField = this.createColorField('backgroundColor', 'Background Color', object.backgroundColor || 'transparent', (value) => {
-        this.updateObjectProperty('backgroundColor', value);
-      });
-      textSection.appendChild(bgColorField);
-      
-      // Add word wrap checkbox
-      const wrapField = this.createCheckboxField('wrap', 'Word Wrap', object.wrap || false, (value) => {
-        this.updateObjectProperty('wrap', value);
-      });
-      textSection.appendChild(wrapField);
+      if (result.error) {
+        this.app.core.ui.setStatus(result.error, 'warning');
+        this.refresh();
+        return null;
+      }
       
-      this.inspectorContainer.appendChild(textSection);
+      return { value: result.value, adjusted: String(result.value) !== String(value) };
     }
     
     /**
-     * Add tilemap-specific properties
-     * @param {object} object - Tilemap object
+     * Get the context passed to a property schema's functions
+     * @returns {object} Context with app and inspector
      */
-    addTilemapProperties(object) {
-      const tilemapSection = this.createSection('Tilemap');
-      
-      // Add tileset field
-      const tilesetField = this.createAssetField('tileset', 'Tileset', object.tileset, 'image', (value) => {
-        this.updateObjectProperty('tileset', value);
-      });
-      tilemapSection.appendChild(tilesetField);
-      
-      // Add tile size field
-      const tileSizeField = this.createNumberField('tileSize', 'Tile Size', object.tileSize || 32, (value) => {
-        this.updateObjectProperty('tileSize', parseFloat(value));
-      });
-      tilemapSection.appendChild(tileSizeField);
-      
-      // Add columns field
-      const columnsField = this.createNumberField('columns', 'Columns', object.columns || Math.floor(object.width / (object.tileSize || 32)), (value) => {
-        this.updateObjectProperty('columns', parseInt(value));
-      });
-      tilemapSection.appendChild(columnsField);
-      
-      // Add rows field
-      const rowsField = this.createNumberField('rows', 'Rows', object.rows || Math.floor(object.height / (object.tileSize || 32)), (value) => {
-        this.updateObjectProperty('rows', parseInt(value));
-      });
-      tilemapSection.appendChild(rowsField);
-      
-      // Add edit button
-      const editButton = document.createElement('button');
-      editButton.className = 'full-width-button';
-      editButton.textContent = 'Edit Tilemap';
-      editButton.addEventListener('click', () => {
-        // Switch to tile tool in scene editor
-        this.app.sceneEditor.setActiveTool('tile');
-        // Select this tilemap
-        this.app.core.events.emit('object:select', object.id);
-      });
-      tilemapSection.appendChild(editButton);
-      
-      this.inspectorContainer.appendChild(tilemapSection);
+    getSchemaContext() {
+      return { app: this.app, inspector: this };
     }
     
     /**
-     * Add image asset-specific properties
-     * @param {object} asset - Image asset
+     * Create a field for a schema property
+     * @param {string} id - Field ID
+     * @param {object} property - Property schema with type, label and type-specific options
+     * @param {*} value - Current value
+     * @param {Function} onChange - Change handler, called with the entered value
+     * @param {object} [target] - Object or component the property belongs to, for options that depend on it
+     * @returns {HTMLElement} Field element
      */
-    addImageAssetProperties(asset) {
-      const imageSection = this.createSection('Image Properties');
-      
-      // Add dimensions fields
-      if (asset.width && asset.height) {
-        const dimensionsField = this.createReadOnlyField('dimensions', 'Dimensions', `${asset.width} × ${asset.height} pixels`);
-        imageSection.appendChild(dimensionsField);
+    createSchemaField(id, property, value, onChange, target) {
+      const label = property.label || property.name;
+      
+      switch (property.type) {
+        case 'number':
+          if (property.min !== undefined && property.max !== undefined) {
+            const step = property.step || (property.integer ? 1 : 0.01);
+            return this.createSliderField(id, label, value, property.min, property.max, step, onChange);
+          }
+          
+          return this.createNumberField(id, label, value, onChange);
+        case 'boolean':
+          return this.createCheckboxField(id, label, Boolean(value), onChange);
+        case 'select':
+          return this.createDropdownField(id, label, value, PropertyRegistry.getOptions(property, target, this.getSchemaContext()), onChange);
+        case 'color':
+          return this.createColorField(id, label, value || '#FFFFFF', onChange);
+        case 'asset':
+          return this.createAssetField(id, label, value, property.assetType, onChange);
+        case 'textarea':
+          return this.createTextAreaField(id, label, value !== undefined && value !== null ? value : '', onChange);
+        case 'readonly':
+          return this.createReadOnlyField(id, label, value);
+        default:
+          return this.createTextField(id, label, value !== undefined && value !== null ? value : '', onChange);
       }
-      
-      // Add filter mode dropdown
-      const filterModeOptions = [
-        { value: 'nearest', label: 'Point (Nearest)' },
-        { value: 'linear', label: 'Bilinear' }
-      ];
-      const filterModeField = this.createDropdownField('filterMode', 'Filter Mode', asset.filterMode || 'nearest', filterModeOptions, (value) => {
-        this.updateAssetProperty(asset, 'filterMode', value);
+    }
+    
+    /**
+     * Ask which component to add to an object
+     * @param {object} object - Scene object
+     */
+    async showAddComponentDialog(object) {
+      const available = ComponentRegistry.getAvailable(object);
+      
+      const values = await this.app.core.ui.showFormDialog({
+        title: 'Add Component',
+        fields: [
+          {
+            id: 'type',
+            label: 'Component',
+            type: 'select',
+            options: available.map(definition => ({ value: definition.type, label: definition.name })),
+            value: available[0].type
+          }
+        ],
+        buttons: ['Cancel', 'Add']
       });
-      imageSection.appendChild(filterModeField);
       
-      // Add wrap mode dropdown
-      const wrapModeOptions = [
-        { value: 'clamp', label: 'Clamp' },
-        { value: 'repeat', label: 'Repeat' },
-        { value: 'mirroredRepeat', label: 'Mirrored Repeat' }
-      ];
-      const wrapModeField = this.createDropdownField('wrapMode', 'Wrap Mode', asset.wrapMode || 'clamp', wrapModeOptions, (value) => {
-        this.updateAssetProperty(asset, 'wrapMode', value);
-      });
-      imageSection.appendChild(wrapModeField);
+      if (values && values.type) {
+        this.addComponent(object, values.type);
+      }
+    }
+    
+    /**
+     * Add a component with its default values to the current object
+     * @param {object} object - Scene object
+     * @param {string} type - Component type ID
+     */
+    addComponent(object, type) {
+      this.updateObjectProperty('components', [...(object.components || []), ComponentRegistry.create(type)]);
+      this.refresh();
+    }
+    
+    /**
+     * Remove a component from the current object
+     * @param {object} object - Scene object
+     * @param {string} type - Component type ID
+     */
+    removeComponent(object, type) {
+      const components = (object.components || []).filter(component => component.type !== type);
       
-      this.inspectorContainer.appendChild(imageSection);
+      // Objects without components don't keep an empty list
+      this.updateObjectProperty('components', components.length > 0 ? components : undefined);
+      this.refresh();
     }
     
     /**
-     * Add audio asset-specific properties
-     * @param {object} asset - Audio asset
+     * Change values of a component on the current object
+     * Components are replaced rather than edited in place so each change can be undone.
+     * @param {object} object - Scene object
+     * @param {string} type - Component type ID
+     * @param {object} changes - Component values to set
      */
-    addAudioAssetProperties(asset) {
-      const audioSection = this.createSection('Audio Properties');
+    updateComponent(object, type, changes) {
+      const components = (object.components || []).map(component =>
+        component.type === type ? { ...component, ...changes } : component
+      );
       
-      // Add audio preview player
-      const audioPreview = document.createElement('div');
-      audioPreview.className = 'audio-preview';
+      this.updateObjectProperty('components', components);
+    }
+    
+    /**
+     * Add the prefab link section of a prefab instance
+     * @param {object} object - Prefab instance object
+     */
+    addPrefabSection(object) {
+      const prefabManager = this.app.prefabManager;
+      const prefab = prefabManager.getPrefabOf(object);
       
-      const audioElement = document.createElement('audio');
-      audioElement.src = path.join(this.app.project.path, asset.path);
-      audioElement.controls = true;
+      this.prefabOverridesValue = null;
       
-      audioPreview.appendChild(audioElement);
-      audioSection.appendChild(audioPreview);
+      if (!prefab) return;
       
-      // Add volume slider
-      const volumeField = this.createSliderField('volume', 'Default Volume', asset.volume !== undefined ? asset.volume : 1, 0, 1, 0.01, (value) => {
-        this.updateAssetProperty(asset, 'volume', parseFloat(value));
-      });
-      audioSection.appendChild(volumeField);
+      const prefabSection = this.createSection('Prefab');
       
-      // Add loop checkbox
-      const loopField = this.createCheckboxField('loop', 'Loop by Default', asset.loop || false, (value) => {
-        this.updateAssetProperty(asset, 'loop', value);
-      });
-      audioSection.appendChild(loopField);
+      // Add prefab name
+      const nameField = this.createReadOnlyField('prefabName', 'Prefab', prefab.name);
+      prefabSection.appendChild(nameField);
       
-      // Add duration field (if available)
-      if (asset.duration) {
-        const durationField = this.createReadOnlyField('duration', 'Duration', `${asset.duration.toFixed(2)} seconds`);
-        audioSection.appendChild(durationField);
+      // Add overrides summary, kept up to date by markOverrides
+      const overridesField = this.createReadOnlyField('prefabOverrides', 'Overrides', '');
+      this.prefabOverridesValue = overridesField.querySelector('.readonly-value');
+      prefabSection.appendChild(overridesField);
+      
+      // Create actions container
+      const actionsContainer = document.createElement('div');
+      actionsContainer.className = 'actions-container';
+      
+      const actions = [
+        {
+          label: 'Select Instance',
+          title: 'Select every object placed with this one',
+          action: () => this.app.sceneEditor.setSelection(prefabManager.getInstanceObjects(object).map(other => other.id))
+        },
+        {
+          label: 'Apply to Prefab',
+          title: 'Save this instance\'s changes to the prefab and update its other instances',
+          action: () => prefabManager.applyOverrides(object)
+        },
+        {
+          label: 'Revert All',
+          title: 'Reset every overridden property to the prefab value',
+          action: () => prefabManager.revertOverrides(object)
+        },
+        {
+          label: 'Unpack',
+          title: 'Turn this instance into plain objects',
+          action: () => prefabManager.unpack(object)
+        }
+      ];
+      
+      for (const { label, title, action } of actions) {
+        const button = document.createElement('button');
+        button.className = 'action-button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', action);
+        actionsContainer.appendChild(button);
       }
       
-      this.inspectorContainer.appendChild(audioSection);
+      prefabSection.appendChild(actionsContainer);
+      this.inspectorContainer.appendChild(prefabSection);
     }
     
     /**
-     * Add custom properties section
-     * @param {object} object - Object with custom properties
+     * Highlight the fields of properties a prefab instance overrides
+     * Each highlighted field gets a button that reverts it to the prefab value.
+     * @param {object} object - Prefab instance object
      */
-    addCustomPropertiesSection(object) {
-      // Create custom properties section
-      const customSection = this.createSection('Custom Properties');
+    markOverrides(object) {
+      const prefabManager = this.app.prefabManager;
+      const overrides = prefabManager.getOverrides(object);
       
-      // Get custom properties (excluding standard ones)
-      const standardProps = ['id', 'type', 'name', 'x', 'y', 'width', 'height', 'rotation', 'enabled'];
-      const customProps = {};
+      // Clear the previous highlights
+      this.inspectorContainer.querySelectorAll('.overridden').forEach(field => field.classList.remove('overridden'));
+      this.inspectorContainer.querySelectorAll('.override-revert').forEach(button => button.remove());
       
-      for (const key in object) {
-        if (!standardProps.includes(key) && !key.startsWith('_')) {
-          // Skip properties that are handled by specific type sections
-          const skipProps = this.getTypeSpecificProps(object.type);
-          if (!skipProps.includes(key)) {
-            customProps[key] = object[key];
-          }
-        }
+      if (this.prefabOverridesValue) {
+        this.prefabOverridesValue.textContent = overrides.length > 0 ? overrides.join(', ') : 'None';
       }
       
-      // Add custom properties
-      for (const key in customProps) {
-        const value = customProps[key];
-        const type = typeof value;
+      for (const property of overrides) {
+        const input = this.inspectorContainer.querySelector(`#${CSS.escape(OVERRIDE_FIELDS[property] || property)}`);
         
-        let field;
+        // Properties such as tile data have no field of their own
+        if (!input) continue;
         
-        if (type === 'string') {
-          field = this.createTextField(key, key, value, (newValue) => {
-            this.updateObjectProperty(key, newValue);
-          });
-        } else if (type === 'number') {
-          field = this.createNumberField(key, key, value, (newValue) => {
-            this.updateObjectProperty(key, parseFloat(newValue));
-          });
-        } else if (type === 'boolean') {
-          field = this.createCheckboxField(key, key, value, (newValue) => {
-            this.updateObjectProperty(key, newValue);
-          });
-        } else {
-          // For objects or arrays, show as readonly JSON
-          field = this.createReadOnlyField(key, key, JSON.stringify(value));
-        }
+        const field = input.closest('.vector-component, .inspector-field');
+        field.classList.add('overridden');
         
-        customSection.appendChild(field);
+        const revertButton = document.createElement('button');
+        revertButton.className = 'inspector-field-button override-revert';
+        revertButton.innerHTML = '<i class="icon-undo"></i>';
+        revertButton.title = 'Revert to prefab value';
+        revertButton.addEventListener('click', () => {
+          prefabManager.revertOverrides(object, [property]);
+        });
+        field.appendChild(revertButton);
       }
-      
-      // Add button to add new property
-      const addPropertyButton = document.createElement('button');
-      addPropertyButton.className = 'full-width-button';
-      addPropertyButton.textContent = 'Add Property';
-      addPropertyButton.addEventListener('click', () => {
-        this.showAddPropertyDialog();
-      });
-      customSection.appendChild(addPropertyButton);
-      
-      this.inspectorContainer.appendChild(customSection);
     }
     
     /**
@@ -700,42 +2092,30 @@ class Inspector {
     async showAddPropertyDialog() {
       if (!this.currentObject || !this.currentObject.object) return;
       
-      try {
-        // Show dialog for property name
-        const name = await this.app.core.ui.showPrompt('Add Property', 'Enter property name:');
-        
-        if (!name) return;
-        
-        // Show dialog for property type
-        const type = await this.app.core.ui.showOptions('Property Type', 'Select property type:', [
-          { value: 'string', label: 'String' },
-          { value: 'number', label: 'Number' },
-          { value: 'boolean', label: 'Boolean' }
-        ]);
-        
-        if (!type) return;
-        
-        // Show dialog for property value
-        let value;
-        
-        if (type === 'string') {
-          value = await this.app.core.ui.showPrompt('Property Value', 'Enter string value:', '');
-        } else if (type === 'number') {
-          const numStr = await this.app.core.ui.showPrompt('Property Value', 'Enter number value:', '0');
-          value = parseFloat(numStr || '0');
-        } else if (type === 'boolean') {
-          value = await this.app.core.ui.showConfirm('Property Value', 'Set boolean value to true?');
-        }
-        
-        // Add property to object
-        this.updateObjectProperty(name, value);
-        
-        // Update inspector
-        this.showObjectInspector(this.currentObject.object, this.currentObject.layer);
-      } catch (error) {
-        console.error('Error adding property:', error);
-        this.app.core.ui.showError('Add Property Error', error.message);
+      const object = this.currentObject.object;
+      const values = await this.showValueTypeDialog('Add Property', 'Name', 'text');
+      
+      // The selection may have changed while the dialog was open
+      if (!values || !this.currentObject || this.currentObject.object !== object) return;
+      
+      const name = values.name.trim();
+      const reserved = PropertyRegistry.getReservedNames(object.type);
+      
+      if (!name || name.startsWith('_')) {
+        this.app.core.ui.setStatus('Property names can\'t be empty or start with an underscore', 'warning');
+        return;
+      }
+      
+      if (object[name] !== undefined || reserved.includes(name)) {
+        this.app.core.ui.setStatus(`The object already has a property named "${name}"`, 'warning');
+        return;
       }
+      
+      // Add property to object, remembering the type chosen for it
+      this.setCustomValue(object, name, [], PropertyRegistry.createValue(values.type), PropertyRegistry.createTypeInfo(values.type));
+      
+      // Update inspector
+      this.refresh();
     }
     
     /**
@@ -746,11 +2126,24 @@ class Inspector {
     updateObjectProperty(property, value) {
       if (!this.currentObject || !this.currentObject.object) return;
       
+      const object = this.currentObject.object;
+      const oldValue = object[property];
+      
+      if (oldValue === value) return;
+      
       // Update the property
-      this.currentObject.object[property] = value;
+      object[property] = value;
+      
+      // Record the change so it can be undone
+      this.app.sceneEditor.recordPropertyChange(object, { [property]: oldValue }, { [property]: value }, `Change ${property}`);
       
       // Notify other components
-      this.app.core.events.emit('object:properties', this.currentObject.object.id, { [property]: value });
+      this.notifyPropertyChange(object, { [property]: value });
+      
+      // The change may have added or removed a prefab override
+      if (object.prefab) {
+        this.markOverrides(object);
+      }
       
       // Force scene render
       this.app.sceneEditor.render();
@@ -758,6 +2151,7 @@ class Inspector {
     
     /**
      * Update a property on an asset
+     * The property is an import setting, saved in the asset's .meta file.
      * @param {object} asset - Asset object
      * @param {string} property - Property name
      * @param {*} value - New property value
@@ -768,30 +2162,39 @@ class Inspector {
       // Update the property
       asset[property] = value;
       
+      this.saveAssetMeta(asset, { settings: { [property]: value } });
+      
       // Notify other components
       this.app.core.events.emit('asset:updated', asset.id, { [property]: value });
     }
     
     /**
-     * Get type-specific properties to exclude from custom properties section
-     * @param {string} type - Object type
-     * @returns {Array<string>} Properties to exclude
+     * Set an asset's tags
+     * @param {object} asset - Asset object
+     * @param {string} value - Comma-separated tags
      */
-    getTypeSpecificProps(type) {
-      switch (type) {
-        case 'sprite':
-          return ['imageId', 'tint', 'flipX', 'flipY', 'opacity'];
-        case 'rectangle':
-          return ['fillColor', 'borderColor', 'borderWidth', 'cornerRadius'];
-        case 'circle':
-          return ['fillColor', 'borderColor', 'borderWidth'];
-        case 'text':
-          return ['text', 'fontFamily', 'fontSize', 'fontStyle', 'textAlign', 'textColor', 'backgroundColor', 'wrap'];
-        case 'tilemap':
-          return ['tileset', 'tileSize', 'columns', 'rows', 'tileData'];
-        default:
-          return [];
-      }
+    updateAssetTags(asset, value) {
+      // Tags are trimmed, and empty or repeated tags dropped
+      const tags = [...new Set(value.split(',').map(tag => tag.trim()).filter(tag => tag))];
+      
+      asset.tags = tags;
+      
+      this.saveAssetMeta(asset, { tags });
+      
+      // Notify other components
+      this.app.core.events.emit('asset:updated', asset.id, { tags });
+    }
+    
+    /**
+     * Write changes to an asset's .meta file, reporting errors
+     * @param {object} asset - Asset object
+     * @param {object} changes - settings and/or tags
+     */
+    saveAssetMeta(asset, changes) {
+      this.app.core.fs.updateAssetMeta(this.app.project.path, asset.path, changes).catch(error => {
+        console.error('Error saving asset settings:', error);
+        this.app.core.ui.showError('Asset Error', error.message);
+      });
     }
     
     /**
@@ -1133,6 +2536,53 @@ class Inspector {
     return field;
   }
   
+  /**
+   * Create a field with a row of labelled number inputs, like a vector field with more components
+   * @param {string} id - Field ID; each input's ID is the field ID followed by its key
+   * @param {string} label - Field label
+   * @param {Array<object>} components - Inputs with key, label and value
+   * @param {Function} onChange - Change handler, called with the component's key and value
+   * @returns {HTMLElement} Field element
+   */
+  createNumberGroupField(id, label, components, onChange) {
+    const field = document.createElement('div');
+    field.className = 'inspector-field vector-field';
+    
+    const labelElement = document.createElement('div');
+    labelElement.className = 'vector-label';
+    labelElement.textContent = label;
+    field.appendChild(labelElement);
+    
+    const container = document.createElement('div');
+    container.className = 'vector-container';
+    
+    for (const component of components) {
+      const componentContainer = document.createElement('div');
+      componentContainer.className = 'vector-component';
+      
+      const componentLabel = document.createElement('label');
+      componentLabel.htmlFor = `${id}-${component.key}`;
+      componentLabel.textContent = component.label;
+      componentContainer.appendChild(componentLabel);
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = `${id}-${component.key}`;
+      input.value = component.value;
+      input.step = 'any';
+      input.addEventListener('change', () => {
+        onChange(component.key, input.value);
+      });
+      componentContainer.appendChild(input);
+      
+      container.appendChild(componentContainer);
+    }
+    
+    field.appendChild(container);
+    
+    return field;
+  }
+  
   /**
    * Create an asset field
    * @param {string} id - Field ID
@@ -1159,7 +2609,7 @@ class Inspector {
     preview.className = 'asset-preview-small';
     
     // Find the asset
-    const asset = this.app.assets.find(a => a.id === assetId);
+    const asset = this.app.assetBrowser.assets.find(a => a.id === assetId);
     
     if (asset && asset.type === 'image') {
       // Show image preview
@@ -1279,7 +2729,7 @@ class Inspector {
     grid.className = 'asset-selector-grid';
     
     // Filter assets by type
-    const assets = this.app.assets.filter(asset => !assetType || asset.type === assetType);
+    const assets = this.app.assetBrowser.assets.filter(asset => !assetType || asset.type === assetType);
     
     // Special case: add 'None' option
     const noneItem = document.createElement('div');
@@ -1416,6 +2866,10 @@ class Inspector {
         return 'Font';
       case 'script':
         return 'Script';
+      case 'tileset':
+        return 'Tileset';
+      case 'animation':
+        return 'Animation';
       default:
         return 'File';
     }
@@ -1465,6 +2919,24 @@ class Inspector {
       }
     }
     
+    // Several objects share one inspector
+    if (this.selectedObjects.length > 1) {
+      const entries = this.app.sceneEditor.getSelectedEntries();
+      
+      if (entries.length > 1) {
+        this.showMultiObjectInspector(entries);
+        return;
+      }
+      
+      if (entries.length === 1) {
+        this.showObjectInspector(entries[0].object, entries[0].layer);
+        return;
+      }
+    }
+    
+    this.currentObject = null;
+    this.currentSelection = null;
+    
     // Otherwise show empty state
     this.showEmptyState();
   }
@@ -1474,13 +2946,63 @@ class Inspector {
    * @param {object} asset - Selected asset
    */
   onAssetSelected(asset) {
-    if (asset) {
+    if (asset && asset.type === 'prefab') {
+      this.showPrefabInspector(asset.id);
+    } else if (asset) {
       this.showAssetInspector(asset);
     } else {
       this.showEmptyState();
     }
   }
   
+  /**
+   * Handle undo/redo being applied
+   */
+  onHistoryApplied() {
+    // Refresh the current object so the fields show the restored values
+    this.refresh();
+  }
+  
+  /**
+   * Handle object properties event
+   * @param {string} objectId - Object ID
+   * @param {object} properties - Changed properties
+   */
+  onObjectProperties(objectId, properties) {
+    // Changes made from the inspector are already shown
+    if (this.isUpdating) return;
+    
+    if (this.selectedObjects.includes(objectId)) {
+      this.refresh();
+    }
+  }
+  
+  /**
+   * Handle a prefab being changed or deleted
+   * @param {object} prefab - Prefab
+   */
+  onPrefabChanged(prefab) {
+    if (this.currentObject && this.currentObject.prefab) {
+      if (this.currentObject.prefab === prefab) {
+        this.showPrefabInspector(prefab.id);
+      }
+      
+      return;
+    }
+    
+    // Instances show the prefab's name and their overrides
+    this.refresh();
+  }
+  
+  /**
+   * Rebuild the object view from the current selection
+   */
+  refresh() {
+    if (!this.currentObject && !this.currentSelection) return;
+    
+    this.onObjectSelection(this.app.sceneEditor.selectedObjects);
+  }
+  
   /**
    * Handle project loaded event
    */
@@ -1488,6 +3010,7 @@ class Inspector {
     // Reset state
     this.selectedObjects = [];
     this.currentObject = null;
+    this.currentSelection = null;
     
     // Show empty state
     this.showEmptyState();
@@ -1,5 +1,24 @@
 // editors/SceneEditor.js - Visual scene editing and layout
 
+const Autotiler = require('../core/Autotiler');
+const PrefabManager = require('../core/PrefabManager');
+
+// Cells an infinite tilemap grows by when painted past its edge
+const TILEMAP_CHUNK_SIZE = 16;
+
+// Where a resized tilemap's existing tiles stay, as fractions of the size change
+const TILEMAP_ANCHORS = {
+  'top-left': { x: 0, y: 0 },
+  'top': { x: 0.5, y: 0 },
+  'top-right': { x: 1, y: 0 },
+  'left': { x: 0, y: 0.5 },
+  'center': { x: 0.5, y: 0.5 },
+  'right': { x: 1, y: 0.5 },
+  'bottom-left': { x: 0, y: 1 },
+  'bottom': { x: 0.5, y: 1 },
+  'bottom-right': { x: 1, y: 1 }
+};
+
 /**
  * Scene Editor - Provides a visual editor for scene creation and object placement
  * Similar to Unity's Scene view
@@ -18,8 +37,16 @@ class SceneEditor {
       this.gridSize = 32;
       this.showGrid = true;
       this.snapToGrid = true;
+      this.showGamePreview = false;
+      this.showMinimap = true;
+      this.playAnimations = true;
+      this.animationStart = performance.now();
+      this.animationFrame = null;
       this.zoom = 1.0;
       this.panOffset = { x: 0, y: 0 };
+      this.viewPan = null;
+      this.isMinimapDragging = false;
+      this.isSpaceHeld = false;
       this.isDragging = false;
       this.lastMousePos = { x: 0, y: 0 };
       this.tools = {
@@ -50,6 +77,35 @@ class SceneEditor {
         }
       };
       this.activeTool = 'select';
+      this.tileModes = {
+        brush: {
+          name: 'Brush',
+          icon: 'icon-brush'
+        },
+        rect: {
+          name: 'Rectangle Fill',
+          icon: 'icon-rect-fill'
+        },
+        fill: {
+          name: 'Bucket Fill',
+          icon: 'icon-bucket'
+        },
+        line: {
+          name: 'Line',
+          icon: 'icon-line'
+        },
+        erase: {
+          name: 'Eraser',
+          icon: 'icon-eraser'
+        },
+        pick: {
+          name: 'Pick Tile',
+          icon: 'icon-eyedropper'
+        }
+      };
+      this.tileMode = 'brush';
+      this.tileBrush = null;
+      this.tileHover = null;
       this.isInitialized = false;
       
       // Bind event handlers
@@ -57,6 +113,11 @@ class SceneEditor {
       this.onCanvasMouseMove = this.onCanvasMouseMove.bind(this);
       this.onCanvasMouseUp = this.onCanvasMouseUp.bind(this);
       this.onCanvasWheel = this.onCanvasWheel.bind(this);
+      this.onCanvasMouseLeave = this.onCanvasMouseLeave.bind(this);
+      this.onCanvasKeyDown = this.onCanvasKeyDown.bind(this);
+      this.onCanvasKeyUp = this.onCanvasKeyUp.bind(this);
+      this.onCanvasDragOver = this.onCanvasDragOver.bind(this);
+      this.onCanvasDrop = this.onCanvasDrop.bind(this);
       this.onResize = this.onResize.bind(this);
       
       // Register event handlers
@@ -67,6 +128,24 @@ class SceneEditor {
       this.app.core.events.on('object:remove', this.onRemoveObject.bind(this));
       this.app.core.events.on('object:select', this.onSelectObject.bind(this));
       this.app.core.events.on('object:properties', this.onObjectProperties.bind(this));
+      this.app.core.events.on('history:applied', () => this.render());
+      this.app.core.events.on('image:loaded', () => this.render());
+      this.app.core.events.on('image:invalidated', () => this.render());
+      this.app.core.events.on('asset:updated', () => this.render());
+      this.app.core.events.on('tileset:changed', () => this.render());
+      this.app.core.events.on('tile:brush', this.onTileBrush.bind(this));
+      this.app.core.events.on('scene:frameSelected', () => this.frameSelected());
+      this.app.core.events.on('scene:frameAll', () => this.frameAll());
+      this.app.core.events.on('scene:toggleMinimap', () => {
+        this.showMinimap = !this.showMinimap;
+        this.render();
+      });
+      this.app.core.events.on('scene:toggleAnimations', () => {
+        this.playAnimations = !this.playAnimations;
+        this.animationStart = performance.now();
+        this.render();
+      });
+      this.app.core.events.on('animation:changed', () => this.render());
     }
     
     /**
@@ -103,6 +182,9 @@ class SceneEditor {
       // Create the canvas
       this.canvas = document.createElement('canvas');
       this.canvas.className = 'scene-canvas';
+      
+      // Focusable so it gets the space key for panning
+      this.canvas.tabIndex = 0;
       canvasContainer.appendChild(this.canvas);
       
       // Get 2D context
@@ -111,8 +193,20 @@ class SceneEditor {
       // Add event listeners
       this.canvas.addEventListener('mousedown', this.onCanvasMouseDown);
       this.canvas.addEventListener('mousemove', this.onCanvasMouseMove);
-      this.canvas.addEventListener('mouseup', this.onCanvasMouseUp);
       this.canvas.addEventListener('wheel', this.onCanvasWheel);
+      this.canvas.addEventListener('mouseleave', this.onCanvasMouseLeave);
+      this.canvas.addEventListener('keydown', this.onCanvasKeyDown);
+      this.canvas.addEventListener('keyup', this.onCanvasKeyUp);
+      this.canvas.addEventListener('dragover', this.onCanvasDragOver);
+      this.canvas.addEventListener('drop', this.onCanvasDrop);
+      this.canvas.addEventListener('blur', () => {
+        // The key up is missed when focus moves away mid-press
+        this.isSpaceHeld = false;
+        this.updateCursor();
+      });
+      
+      // Drags end wherever the button is released, not only over the canvas
+      window.addEventListener('mouseup', this.onCanvasMouseUp);
       
       // Handle resize
       window.addEventListener('resize', this.onResize);
@@ -148,6 +242,28 @@ class SceneEditor {
         toolbar.appendChild(button);
       }
       
+      // Add tile tool modes, shown while the tile tool is active
+      const tileModeGroup = document.createElement('div');
+      tileModeGroup.className = 'scene-tile-modes';
+      tileModeGroup.style.display = this.activeTool === 'tile' ? '' : 'none';
+      
+      for (const modeId in this.tileModes) {
+        const mode = this.tileModes[modeId];
+        
+        const button = document.createElement('button');
+        button.className = 'scene-tile-mode-button';
+        button.innerHTML = `<i class="${mode.icon}"></i>`;
+        button.title = mode.name;
+        button.dataset.mode = modeId;
+        button.classList.toggle('active', modeId === this.tileMode);
+        button.addEventListener('click', () => this.setTileMode(modeId));
+        
+        tileModeGroup.appendChild(button);
+      }
+      
+      this.tileModeGroup = tileModeGroup;
+      toolbar.appendChild(tileModeGroup);
+      
       // Add separator
       const separator = document.createElement('div');
       separator.className = 'toolbar-separator';
@@ -182,6 +298,18 @@ class SceneEditor {
       snapButton.classList.toggle('active', this.snapToGrid);
       toolbar.appendChild(snapButton);
       
+      // Add game resolution preview button
+      const previewButton = document.createElement('button');
+      previewButton.className = 'scene-tool-button';
+      previewButton.innerHTML = '<i class="icon-camera"></i>';
+      previewButton.title = 'Preview Game View';
+      previewButton.addEventListener('click', () => {
+        this.showGamePreview = !this.showGamePreview;
+        previewButton.classList.toggle('active', this.showGamePreview);
+        this.render();
+      });
+      toolbar.appendChild(previewButton);
+      
       // Add zoom controls
       const zoomOutButton = document.createElement('button');
       zoomOutButton.className = 'scene-tool-button';
@@ -250,16 +378,59 @@ class SceneEditor {
       if (this.canvas) {
         this.canvas.style.cursor = this.tools[toolId].cursor;
       }
+      
+      // Tile modes only apply to the tile tool
+      if (this.tileModeGroup) {
+        this.tileModeGroup.style.display = toolId === 'tile' ? '' : 'none';
+      }
+      
+      if (toolId !== 'tile' && this.tileHover) {
+        this.tileHover = null;
+        this.render();
+      }
+    }
+    
+    /**
+     * Set the tile tool mode
+     * @param {string} modeId - Mode identifier ('brush', 'rect', 'fill', 'line', 'erase' or 'pick')
+     */
+    setTileMode(modeId) {
+      if (!this.tileModes[modeId]) return;
+      
+      this.tileMode = modeId;
+      this.tileHover = null;
+      
+      // Update UI
+      if (this.tileModeGroup) {
+        this.tileModeGroup.querySelectorAll('.scene-tile-mode-button').forEach(button => {
+          button.classList.toggle('active', button.dataset.mode === modeId);
+        });
+      }
+      
+      if (this.activeTool !== 'tile') {
+        this.setActiveTool('tile');
+      }
+      
+      this.render();
     }
     
     /**
      * Set the zoom level
      * @param {number} zoom - Zoom level
+     * @param {object} [anchor] - Canvas point that stays over the same scene point (defaults to the canvas center)
      */
-    setZoom(zoom) {
+    setZoom(zoom, anchor) {
+      const point = anchor || (this.canvas && { x: this.canvas.width / 2, y: this.canvas.height / 2 });
+      const scenePoint = point && this.activeScene ? this.canvasToScene(point) : null;
+      
       // Clamp zoom between 10% and 500%
       this.zoom = Math.max(0.1, Math.min(5.0, zoom));
       
+      // Pan so the anchor still shows the same part of the scene
+      if (scenePoint) {
+        this.placeScenePoint(scenePoint, point);
+      }
+      
       // Update zoom label
       if (this.zoomLabel) {
         this.zoomLabel.textContent = `${Math.round(this.zoom * 100)}%`;
@@ -344,8 +515,24 @@ class SceneEditor {
       // Draw scene content (layers, objects, etc.)
       this.renderLayers(sceneX, sceneY);
       
+      // Shade what the player won't see
+      if (this.showGamePreview) {
+        this.renderGamePreview(sceneX, sceneY);
+      }
+      
+      // Draw the cells the tile tool would change
+      this.renderTilePreview(sceneX, sceneY);
+      
       // Draw selection indicators
       this.renderSelection(sceneX, sceneY);
+      
+      // Draw the overview on top of everything
+      if (this.showMinimap) {
+        this.renderMinimap();
+      }
+      
+      // Animated sprites need the scene redrawn as they play
+      this.updateAnimationLoop();
     }
     
     /**
@@ -442,6 +629,9 @@ class SceneEditor {
         case 'tilemap':
           this.renderTilemap(object, x, y, width, height);
           break;
+        case 'camera':
+          this.renderCamera(object, x, y, width, height);
+          break;
         default:
           // For unknown types, render placeholder
           this.renderPlaceholder(object, x, y, width, height);
@@ -460,10 +650,39 @@ class SceneEditor {
      * @param {number} height - Height
      */
     renderSprite(object, x, y, width, height) {
-      // Check if image is loaded
-      if (object.image && object.image.loaded) {
-        // Draw the image
-        this.ctx.drawImage(object.image, x, y, width, height);
+      // An animated sprite draws from its animation's image
+      const animationManager = this.app.animationManager;
+      const animation = object.animation ? animationManager.getAnimation(object.animation) : null;
+      const image = this.app.imageCache.getTinted(animation ? animation.imageId : object.imageId, object.tint);
+      
+      if (image) {
+        const asset = this.app.imageCache.getAsset(object.imageId);
+        
+        // Match Love2D's filter: 'nearest' keeps pixel art crisp
+        this.ctx.imageSmoothingEnabled = (asset && asset.filterMode) === 'linear';
+        
+        if (object.opacity !== undefined) {
+          this.ctx.globalAlpha *= Math.max(0, Math.min(1, object.opacity));
+        }
+        
+        // Mirror around the object's center
+        if (object.flipX || object.flipY) {
+          this.ctx.translate(x + width / 2, y + height / 2);
+          this.ctx.scale(object.flipX ? -1 : 1, object.flipY ? -1 : 1);
+          this.ctx.translate(-(x + width / 2), -(y + height / 2));
+        }
+        
+        // An animated sprite shows its current frame, and one with an animator its first
+        const frame = animation ? this.getSpriteFrame(object, animation) : null;
+        const animator = (object.components || []).find(component => component.type === 'animator');
+        
+        if (frame) {
+          this.ctx.drawImage(image, frame.x, frame.y, frame.width, frame.height, x, y, width, height);
+        } else if (animator && animator.frameWidth > 0 && animator.frameHeight > 0) {
+          this.ctx.drawImage(image, 0, 0, animator.frameWidth, animator.frameHeight, x, y, width, height);
+        } else {
+          this.ctx.drawImage(image, x, y, width, height);
+        }
       } else {
         // Draw placeholder
         this.ctx.fillStyle = '#7F00FF'; // Purple for sprites
@@ -488,6 +707,73 @@ class SceneEditor {
       }
     }
     
+    /**
+     * Get the frame an animated sprite is showing
+     * While animations are paused every sprite shows its clip's first frame.
+     * @param {object} object - Sprite object with an animation
+     * @param {object} animation - The sprite's animation
+     * @returns {object|null} Frame with x, y, width and height, or null if there's nothing to show
+     */
+    getSpriteFrame(object, animation) {
+      const time = this.playAnimations ? (performance.now() - this.animationStart) / 1000 : 0;
+      const speed = object.animationSpeed !== undefined ? object.animationSpeed : 1;
+      
+      return this.app.animationManager.getFrameRect(animation, object.clip, time * speed);
+    }
+    
+    /**
+     * Get the visible sprites in the scene that play an animation
+     * @returns {Array<object>} Sprite objects
+     */
+    getAnimatedSprites() {
+      if (!this.activeScene) return [];
+      
+      const sprites = [];
+      
+      for (const layer of this.activeScene.layers) {
+        if (layer.visible === false) continue;
+        
+        for (const object of layer.objects) {
+          if (object.type === 'sprite' && object.animation && object.enabled !== false) {
+            sprites.push(object);
+          }
+        }
+      }
+      
+      return sprites;
+    }
+    
+    /**
+     * Keep redrawing while the scene has animated sprites to play
+     * The scene is only redrawn when a sprite moves on to another frame.
+     */
+    updateAnimationLoop() {
+      if (this.animationFrame !== null || !this.playAnimations || this.getAnimatedSprites().length === 0) return;
+      
+      const animationManager = this.app.animationManager;
+      let lastFrames = null;
+      
+      const tick = () => {
+        const sprites = this.playAnimations ? this.getAnimatedSprites() : [];
+        
+        if (sprites.length === 0) {
+          this.animationFrame = null;
+          return;
+        }
+        
+        const frames = JSON.stringify(sprites.map(object => this.getSpriteFrame(object, animationManager.getAnimation(object.animation))));
+        
+        if (frames !== lastFrames) {
+          lastFrames = frames;
+          this.render();
+        }
+        
+        this.animationFrame = requestAnimationFrame(tick);
+      };
+      
+      this.animationFrame = requestAnimationFrame(tick);
+    }
+    
     /**
      * Render a rectangle object
      * @param {object} object - Rectangle object
@@ -597,9 +883,21 @@ class SceneEditor {
       }
       
       // Calculate tile dimensions
-      const tileSize = object.tileSize * this.zoom;
-      const cols = object.columns || Math.floor(width / tileSize);
-      const rows = object.rows || Math.floor(height / tileSize);
+      const tileSize = this.getTileSize(object);
+      const tileWidth = tileSize.width * this.zoom;
+      const tileHeight = tileSize.height * this.zoom;
+      const cols = object.columns || Math.floor(object.width / tileSize.width);
+      const rows = object.rows || Math.floor(object.height / tileSize.height);
+      
+      // Tiles come from the tileset atlas once its image has loaded
+      const tileset = this.app.tilesetManager.getTileset(object.tileset, tileSize.width);
+      const image = tileset && this.app.imageCache.get(tileset.imageId);
+      const grid = image && this.app.tilesetManager.getGrid(tileset);
+      
+      if (image) {
+        const imageAsset = this.app.imageCache.getAsset(tileset.imageId);
+        this.ctx.imageSmoothingEnabled = (imageAsset && imageAsset.filterMode) === 'linear';
+      }
       
       // Draw each tile
       for (let row = 0; row < rows; row++) {
@@ -611,21 +909,140 @@ class SceneEditor {
           if (tileValue === 0 || tileValue === undefined) continue;
           
           // Calculate tile position
-          const tileX = x + col * tileSize;
-          const tileY = y + row * tileSize;
+          const tileX = x + col * tileWidth;
+          const tileY = y + row * tileHeight;
+          
+          if (grid && tileValue <= grid.count) {
+            const rect = this.app.tilesetManager.getTileRect(tileset, tileValue, grid.columns);
+            this.ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height, tileX, tileY, tileWidth, tileHeight);
+            continue;
+          }
           
-          // Draw tile (placeholder for now)
+          // Colored stand-in while the atlas loads or for tiles outside it
           this.ctx.fillStyle = `hsl(${tileValue * 30 % 360}, 80%, 50%)`;
-          this.ctx.fillRect(tileX, tileY, tileSize, tileSize);
+          this.ctx.fillRect(tileX, tileY, tileWidth, tileHeight);
           
           // Draw border
           this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
           this.ctx.lineWidth = 1;
-          this.ctx.strokeRect(tileX, tileY, tileSize, tileSize);
+          this.ctx.strokeRect(tileX, tileY, tileWidth, tileHeight);
         }
       }
     }
     
+    /**
+     * Get the cell size of a tilemap
+     * @param {object} tilemap - Tilemap object
+     * @returns {object} Size with width and height in scene pixels
+     */
+    getTileSize(tilemap) {
+      return {
+        width: tilemap.tileWidth || tilemap.tileSize || 32,
+        height: tilemap.tileHeight || tilemap.tileSize || 32
+      };
+    }
+    
+    /**
+     * Render a camera as the frame of the view it shows
+     * @param {object} object - Camera object
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    renderCamera(object, x, y, width, height) {
+      const resolution = this.getGameResolution();
+      
+      this.ctx.strokeStyle = '#FFD54F';
+      this.ctx.lineWidth = 2;
+      this.ctx.setLineDash([8, 4]);
+      this.ctx.strokeRect(x, y, width, height);
+      this.ctx.setLineDash([]);
+      
+      // Mark the center the camera looks at
+      const centerX = x + width / 2;
+      const centerY = y + height / 2;
+      
+      this.ctx.beginPath();
+      this.ctx.moveTo(centerX - 6, centerY);
+      this.ctx.lineTo(centerX + 6, centerY);
+      this.ctx.moveTo(centerX, centerY - 6);
+      this.ctx.lineTo(centerX, centerY + 6);
+      this.ctx.stroke();
+      
+      // Label with the name, resolution and zoom
+      this.ctx.fillStyle = '#FFD54F';
+      this.ctx.font = '12px Arial';
+      this.ctx.textAlign = 'left';
+      this.ctx.textBaseline = 'bottom';
+      this.ctx.fillText(`${object.name || 'Camera'} (${resolution.width}×${resolution.height} @ ${object.zoom || 1}x)`, x, y - 4);
+    }
+    
+    /**
+     * Shade everything outside the view of the scene's camera
+     * Scenes without a camera show the game window at the scene's origin.
+     * @param {number} sceneX - Scene X position
+     * @param {number} sceneY - Scene Y position
+     */
+    renderGamePreview(sceneX, sceneY) {
+      const camera = this.getSceneCamera();
+      const resolution = this.getGameResolution();
+      const view = camera || { x: 0, y: 0, width: resolution.width, height: resolution.height };
+      const x = sceneX + view.x * this.zoom;
+      const y = sceneY + view.y * this.zoom;
+      const width = view.width * this.zoom;
+      const height = view.height * this.zoom;
+      
+      this.ctx.save();
+      this.ctx.beginPath();
+      this.ctx.rect(0, 0, this.canvas.width, this.canvas.height);
+      
+      // Cut the (possibly rotated) view out of the shade
+      this.ctx.translate(x + width / 2, y + height / 2);
+      this.ctx.rotate((view.rotation || 0) * Math.PI / 180);
+      this.ctx.rect(-width / 2, -height / 2, width, height);
+      this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+      
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      this.ctx.fill('evenodd');
+      this.ctx.restore();
+    }
+    
+    /**
+     * Draw where a selected camera follows and the bounds it stays in
+     * @param {object} camera - Camera object
+     * @param {number} sceneX - Scene X position
+     * @param {number} sceneY - Scene Y position
+     */
+    renderCameraGuides(camera, sceneX, sceneY) {
+      this.ctx.save();
+      this.ctx.strokeStyle = '#FFD54F';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash([4, 4]);
+      
+      if (camera.bounds) {
+        this.ctx.strokeRect(
+          sceneX + camera.bounds.x * this.zoom,
+          sceneY + camera.bounds.y * this.zoom,
+          camera.bounds.width * this.zoom,
+          camera.bounds.height * this.zoom
+        );
+      }
+      
+      const entry = camera.followTarget && this.findObject(camera.followTarget);
+      
+      if (entry) {
+        const target = entry.object;
+        
+        this.ctx.beginPath();
+        this.ctx.moveTo(sceneX + (camera.x + camera.width / 2) * this.zoom, sceneY + (camera.y + camera.height / 2) * this.zoom);
+        this.ctx.lineTo(sceneX + (target.x + target.width / 2) * this.zoom, sceneY + (target.y + target.height / 2) * this.zoom);
+        this.ctx.stroke();
+      }
+      
+      this.ctx.restore();
+    }
+    
     /**
      * Render a placeholder for unknown objects
      * @param {object} object - Object to render
@@ -663,34 +1080,109 @@ class SceneEditor {
      * @param {number} sceneY - Scene Y position
      */
     renderSelection(sceneX, sceneY) {
-      // Draw selection boxes around selected objects
-      for (const selectedObject of this.selectedObjects) {
-        // Find the object in the scene
-        let found = false;
+      const entries = this.getSelectedEntries();
+      
+      // Draw an outline around each selected object, following its rotation
+      for (const { object } of entries) {
+        if (object.type === 'camera') {
+          this.renderCameraGuides(object, sceneX, sceneY);
+        }
         
-        for (const layer of this.activeScene.layers) {
-          const object = layer.objects.find(obj => obj.id === selectedObject);
-          
-          if (object) {
-            // Calculate scaled and positioned coordinates
-            const x = sceneX + object.x * this.zoom;
-            const y = sceneY + object.y * this.zoom;
-            const width = object.width * this.zoom;
-            const height = object.height * this.zoom;
-            
-            // Draw selection outline
-            this.ctx.strokeStyle = '#00FFFF';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(x - 2, y - 2, width + 4, height + 4);
-            
-            // Draw control handles
-            this.drawSelectionHandles(x, y, width, height);
-            
-            found = true;
-            break;
-          }
+        const x = sceneX + object.x * this.zoom;
+        const y = sceneY + object.y * this.zoom;
+        const width = object.width * this.zoom;
+        const height = object.height * this.zoom;
+        
+        this.ctx.save();
+        
+        if (object.rotation) {
+          this.ctx.translate(x + width / 2, y + height / 2);
+          this.ctx.rotate(object.rotation * Math.PI / 180);
+          this.ctx.translate(-(x + width / 2), -(y + height / 2));
+        }
+        
+        this.ctx.strokeStyle = '#00FFFF';
+        this.ctx.lineWidth = 2;
+        this.ctx.strokeRect(x - 2, y - 2, width + 4, height + 4);
+        
+        this.renderCollider(object, x, y, width, height);
+        
+        // A single object gets its own handles
+        if (entries.length === 1) {
+          this.drawSelectionHandles(x, y, width, height);
         }
+        
+        this.ctx.restore();
+      }
+      
+      // Several objects are transformed together, so show their shared bounds
+      if (entries.length > 1) {
+        const bounds = this.getSelectionBounds(entries.map(entry => entry.object));
+        const x = sceneX + bounds.minX * this.zoom;
+        const y = sceneY + bounds.minY * this.zoom;
+        const width = (bounds.maxX - bounds.minX) * this.zoom;
+        const height = (bounds.maxY - bounds.minY) * this.zoom;
+        
+        this.ctx.save();
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.strokeStyle = '#00FFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.strokeRect(x - 4, y - 4, width + 8, height + 8);
+        this.ctx.restore();
+        
+        this.drawSelectionHandles(x - 4, y - 4, width + 8, height + 8);
+      }
+      
+      // Draw the marquee while dragging one out
+      if (this.marquee) {
+        const rect = this.getMarqueeRect();
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 255, 255, 0.1)';
+        this.ctx.strokeStyle = '#00FFFF';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.fillRect(sceneX + rect.minX * this.zoom, sceneY + rect.minY * this.zoom,
+          (rect.maxX - rect.minX) * this.zoom, (rect.maxY - rect.minY) * this.zoom);
+        this.ctx.strokeRect(sceneX + rect.minX * this.zoom, sceneY + rect.minY * this.zoom,
+          (rect.maxX - rect.minX) * this.zoom, (rect.maxY - rect.minY) * this.zoom);
+        this.ctx.restore();
+      }
+    }
+    
+    /**
+     * Render the physics shape of an object's collider
+     * @param {object} object - Scene object
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} width - Width
+     * @param {number} height - Height
+     */
+    renderCollider(object, x, y, width, height) {
+      const collider = (object.components || []).find(component => component.type === 'collider');
+      
+      if (!collider) return;
+      
+      // The shape is centered on the object, moved by its offset
+      const shapeWidth = collider.width > 0 ? collider.width * this.zoom : width;
+      const shapeHeight = collider.height > 0 ? collider.height * this.zoom : height;
+      const centerX = x + width / 2 + (collider.offsetX || 0) * this.zoom;
+      const centerY = y + height / 2 + (collider.offsetY || 0) * this.zoom;
+      
+      this.ctx.save();
+      this.ctx.strokeStyle = collider.isTrigger ? '#FFD54F' : '#76FF03';
+      this.ctx.lineWidth = 1;
+      this.ctx.setLineDash(collider.isTrigger ? [4, 3] : []);
+      this.ctx.beginPath();
+      
+      if (collider.shape === 'circle') {
+        this.ctx.arc(centerX, centerY, Math.min(shapeWidth, shapeHeight) / 2, 0, Math.PI * 2);
+      } else {
+        this.ctx.rect(centerX - shapeWidth / 2, centerY - shapeHeight / 2, shapeWidth, shapeHeight);
       }
+      
+      this.ctx.stroke();
+      this.ctx.restore();
     }
     
     /**
@@ -778,388 +1270,2130 @@ class SceneEditor {
     // Additional event handlers for the SceneEditor
 
   /**
-   * Handle move tool mouse move
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
-   * @param {number} deltaX - Mouse X delta
-   * @param {number} deltaY - Mouse Y delta
+   * Get the screen position of the scene's top-left corner on the canvas
+   * @returns {object} Position with x and y properties
    */
-  handleMoveToolMove(e, coords, deltaX, deltaY) {
-    // If dragging objects
-    if (this.dragInfo) {
-      // Move each selected object
-      for (const objInfo of this.dragInfo.objects) {
-        // Find object in scene
-        const object = objInfo.layer.objects.find(o => o.id === objInfo.id);
-        
-        if (object) {
-          // Calculate new position (in scene coordinates)
-          const newX = objInfo.startX + (deltaX / this.zoom);
-          const newY = objInfo.startY + (deltaY / this.zoom);
-          
-          // Apply snap to grid if enabled
-          object.x = this.snapToGridValue(newX);
-          object.y = this.snapToGridValue(newY);
-        }
-      }
-    }
-    // If panning
-    else if (this.isPanning) {
-      // Pan the view
-      this.panOffset.x += deltaX;
-      this.panOffset.y += deltaY;
-    }
-    
-    // Update UI
-    this.render();
+  getSceneOrigin() {
+    return {
+      x: (this.canvas.width - this.activeScene.width * this.zoom) / 2 + this.panOffset.x,
+      y: (this.canvas.height - this.activeScene.height * this.zoom) / 2 + this.panOffset.y
+    };
   }
   
   /**
-   * Handle move tool mouse up
+   * Convert a mouse event position to scene coordinates
    * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * @returns {object} Scene coordinates with x and y properties
    */
-  handleMoveToolUp(e, coords) {
-    // Clear drag info
-    this.dragInfo = null;
-    
-    // Clear panning flag
-    this.isPanning = false;
-    
-    // Update UI
-    this.render();
+  getSceneCoords(e) {
+    return this.canvasToScene(this.getCanvasPoint(e));
   }
   
   /**
-   * Handle rotate tool mouse down
+   * Get a mouse event's position on the canvas
    * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * @returns {object} Canvas position with x and y properties
    */
-  handleRotateToolDown(e, coords) {
-    // Check if clicked on an object
-    const hit = this.getObjectAtCoords(coords.x, coords.y);
+  getCanvasPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
     
-    if (hit) {
-      // If object is not in selection, make it the only selected object
-      if (!this.selectedObjects.includes(hit.object.id)) {
-        this.selectedObjects = [hit.object.id];
-      }
-      
-      // Prepare for rotation
-      this.rotateInfo = {
-        objects: this.selectedObjects.map(id => {
-          // Find object in scene
-          for (const layer of this.activeScene.layers) {
-            const obj = layer.objects.find(o => o.id === id);
-            if (obj) {
-              // Calculate center point
-              const centerX = obj.x + obj.width / 2;
-              const centerY = obj.y + obj.height / 2;
-              
-              // Calculate initial angle
-              const initialAngle = Math.atan2(
-                coords.y - centerY,
-                coords.x - centerX
-              ) * 180 / Math.PI;
-              
-              return {
-                id: id,
-                layer: layer,
-                centerX: centerX,
-                centerY: centerY,
-                startRotation: obj.rotation || 0,
-                initialAngle: initialAngle
-              };
-            }
-          }
-          return null;
-        }).filter(obj => obj !== null)
-      };
-    }
-    
-    // Update UI
-    this.render();
+    return {
+      x: e.clientX - rect.left,
+      y: e.clientY - rect.top
+    };
   }
   
   /**
-   * Handle rotate tool mouse move
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Convert a canvas position to scene coordinates
+   * @param {object} point - Canvas position with x and y
+   * @returns {object} Scene coordinates with x and y properties
    */
-  handleRotateToolMove(e, coords) {
-    // If rotating objects
-    if (this.rotateInfo) {
-      // Rotate each selected object
-      for (const objInfo of this.rotateInfo.objects) {
+  canvasToScene(point) {
+    const origin = this.getSceneOrigin();
+    
+    return {
+      x: (point.x - origin.x) / this.zoom,
+      y: (point.y - origin.y) / this.zoom
+    };
+  }
+  
+  /**
+   * Pan the view so a scene point shows at a canvas position
+   * @param {object} scenePoint - Scene coordinates with x and y
+   * @param {object} canvasPoint - Canvas position with x and y
+   */
+  placeScenePoint(scenePoint, canvasPoint) {
+    this.panOffset = {
+      x: canvasPoint.x - scenePoint.x * this.zoom - (this.canvas.width - this.activeScene.width * this.zoom) / 2,
+      y: canvasPoint.y - scenePoint.y * this.zoom - (this.canvas.height - this.activeScene.height * this.zoom) / 2
+    };
+  }
+  
+  /**
+   * Zoom and pan the view to show an area of the scene
+   * @param {object} bounds - Area with minX, minY, maxX and maxY
+   */
+  frameBounds(bounds) {
+    if (!this.canvas || !this.activeScene) return;
+    
+    const padding = 40;
+    const width = Math.max(bounds.maxX - bounds.minX, 1);
+    const height = Math.max(bounds.maxY - bounds.minY, 1);
+    const zoom = Math.min(
+      (this.canvas.width - padding * 2) / width,
+      (this.canvas.height - padding * 2) / height
+    );
+    
+    this.setZoom(zoom);
+    this.placeScenePoint(
+      { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 },
+      { x: this.canvas.width / 2, y: this.canvas.height / 2 }
+    );
+    this.render();
+  }
+  
+  /**
+   * Frame the selected objects, or the whole scene when nothing is selected
+   */
+  frameSelected() {
+    const entries = this.getSelectedEntries();
+    
+    if (entries.length === 0) {
+      this.frameAll();
+      return;
+    }
+    
+    this.frameBounds(this.getSelectionBounds(entries.map(entry => entry.object)));
+  }
+  
+  /**
+   * Frame the scene and every object in it
+   */
+  frameAll() {
+    if (!this.activeScene) return;
+    
+    this.frameBounds(this.getContentBounds());
+  }
+  
+  /**
+   * Get the area covered by the scene and the objects in its visible layers
+   * Objects may lie outside the scene rectangle, for example on infinite tilemaps.
+   * @returns {object} Bounds with minX, minY, maxX and maxY
+   */
+  getContentBounds() {
+    const objects = [];
+    
+    for (const layer of this.activeScene.layers) {
+      if (layer.visible) {
+        objects.push(...layer.objects);
+      }
+    }
+    
+    const bounds = this.getSelectionBounds(objects) ||
+      { minX: 0, minY: 0, maxX: this.activeScene.width, maxY: this.activeScene.height };
+    
+    return {
+      minX: Math.min(0, bounds.minX),
+      minY: Math.min(0, bounds.minY),
+      maxX: Math.max(this.activeScene.width, bounds.maxX),
+      maxY: Math.max(this.activeScene.height, bounds.maxY)
+    };
+  }
+  
+  /**
+   * Get where the minimap is drawn and how it maps to the scene
+   * @returns {object|null} Canvas rectangle (x, y, width, height), scale and scene bounds, or null if the canvas is too small
+   */
+  getMinimapLayout() {
+    const maxSize = 160;
+    const margin = 10;
+    const bounds = this.getContentBounds();
+    const scale = Math.min(maxSize / (bounds.maxX - bounds.minX), maxSize / (bounds.maxY - bounds.minY));
+    const width = (bounds.maxX - bounds.minX) * scale;
+    const height = (bounds.maxY - bounds.minY) * scale;
+    
+    if (this.canvas.width < width * 2 + margin || this.canvas.height < height * 2 + margin) {
+      return null;
+    }
+    
+    return {
+      x: this.canvas.width - width - margin,
+      y: this.canvas.height - height - margin,
+      width: width,
+      height: height,
+      scale: scale,
+      bounds: bounds
+    };
+  }
+  
+  /**
+   * Get the minimap under a canvas position
+   * @param {object} point - Canvas position with x and y
+   * @returns {object|null} Minimap layout, or null if the point is not on the minimap
+   */
+  getMinimapAt(point) {
+    const layout = this.showMinimap ? this.getMinimapLayout() : null;
+    
+    if (!layout ||
+        point.x < layout.x || point.x > layout.x + layout.width ||
+        point.y < layout.y || point.y > layout.y + layout.height) {
+      return null;
+    }
+    
+    return layout;
+  }
+  
+  /**
+   * Center the view on the scene point under a minimap position
+   * @param {object} point - Canvas position with x and y
+   */
+  centerOnMinimapPoint(point) {
+    const layout = this.getMinimapLayout();
+    
+    if (!layout) return;
+    
+    this.placeScenePoint(
+      {
+        x: layout.bounds.minX + (point.x - layout.x) / layout.scale,
+        y: layout.bounds.minY + (point.y - layout.y) / layout.scale
+      },
+      { x: this.canvas.width / 2, y: this.canvas.height / 2 }
+    );
+    this.render();
+  }
+  
+  /**
+   * Draw an overview of the scene with the visible area marked
+   */
+  renderMinimap() {
+    const layout = this.getMinimapLayout();
+    
+    if (!layout) return;
+    
+    const { x, y, width, height, scale, bounds } = layout;
+    const toMapX = sceneX => x + (sceneX - bounds.minX) * scale;
+    const toMapY = sceneY => y + (sceneY - bounds.minY) * scale;
+    
+    this.ctx.save();
+    
+    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    this.ctx.fillRect(x, y, width, height);
+    
+    this.ctx.beginPath();
+    this.ctx.rect(x, y, width, height);
+    this.ctx.clip();
+    
+    // Scene area
+    this.ctx.fillStyle = this.activeScene.backgroundColor;
+    this.ctx.fillRect(toMapX(0), toMapY(0), this.activeScene.width * scale, this.activeScene.height * scale);
+    
+    // Objects as their bounding boxes, selected ones highlighted
+    for (const layer of this.activeScene.layers) {
+      if (!layer.visible) continue;
+      
+      for (const object of layer.objects) {
+        const objectBounds = this.getObjectBounds(object);
+        
+        this.ctx.fillStyle = this.selectedObjects.includes(object.id) ? '#00FFFF' : 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillRect(
+          toMapX(objectBounds.minX),
+          toMapY(objectBounds.minY),
+          Math.max(1, (objectBounds.maxX - objectBounds.minX) * scale),
+          Math.max(1, (objectBounds.maxY - objectBounds.minY) * scale)
+        );
+      }
+    }
+    
+    // The part of the scene the canvas shows
+    const topLeft = this.canvasToScene({ x: 0, y: 0 });
+    const bottomRight = this.canvasToScene({ x: this.canvas.width, y: this.canvas.height });
+    
+    this.ctx.strokeStyle = '#FFFFFF';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(
+      toMapX(topLeft.x) + 0.5,
+      toMapY(topLeft.y) + 0.5,
+      (bottomRight.x - topLeft.x) * scale,
+      (bottomRight.y - topLeft.y) * scale
+    );
+    
+    this.ctx.restore();
+    
+    this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    this.ctx.lineWidth = 1;
+    this.ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+  }
+  
+  /**
+   * Start panning the view by dragging
+   * @param {MouseEvent} e - Mouse event
+   */
+  startViewPan(e) {
+    this.viewPan = {
+      startX: e.clientX,
+      startY: e.clientY,
+      startOffset: { ...this.panOffset }
+    };
+    
+    this.updateCursor();
+  }
+  
+  /**
+   * Stop panning the view
+   */
+  endViewPan() {
+    this.viewPan = null;
+    this.updateCursor();
+  }
+  
+  /**
+   * Show the cursor for the current tool, or a hand while panning
+   */
+  updateCursor() {
+    if (!this.canvas) return;
+    
+    if (this.viewPan) {
+      this.canvas.style.cursor = 'grabbing';
+    } else if (this.isSpaceHeld) {
+      this.canvas.style.cursor = 'grab';
+    } else {
+      this.canvas.style.cursor = this.tools[this.activeTool].cursor;
+    }
+  }
+  
+  /**
+   * Handle key down on the canvas; holding space turns dragging into panning
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  onCanvasKeyDown(e) {
+    if (e.code !== 'Space') return;
+    
+    e.preventDefault();
+    
+    if (!this.isSpaceHeld) {
+      this.isSpaceHeld = true;
+      this.updateCursor();
+    }
+  }
+  
+  /**
+   * Handle key up on the canvas
+   * @param {KeyboardEvent} e - Keyboard event
+   */
+  onCanvasKeyUp(e) {
+    if (e.code !== 'Space') return;
+    
+    this.isSpaceHeld = false;
+    this.updateCursor();
+  }
+  
+  /**
+   * Find the topmost object at scene coordinates
+   * @param {number} x - Scene X coordinate
+   * @param {number} y - Scene Y coordinate
+   * @returns {object|null} Hit with object and layer properties, or null
+   */
+  getObjectAtCoords(x, y) {
+    // Check layers and objects from top to bottom
+    for (let i = this.activeScene.layers.length - 1; i >= 0; i--) {
+      const layer = this.activeScene.layers[i];
+      
+      if (!layer.visible || layer.locked) continue;
+      
+      for (let j = layer.objects.length - 1; j >= 0; j--) {
+        const object = layer.objects[j];
+        
+        if (this.isPointInObject(object, x, y)) {
+          return { object, layer };
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Check if a scene point lies inside an object, taking rotation into account
+   * @param {object} object - Scene object
+   * @param {number} x - Scene X coordinate
+   * @param {number} y - Scene Y coordinate
+   * @returns {boolean} True if the point is inside the object
+   */
+  isPointInObject(object, x, y) {
+    const centerX = object.x + object.width / 2;
+    const centerY = object.y + object.height / 2;
+    
+    // Rotate the point into the object's local space
+    const angle = -(object.rotation || 0) * Math.PI / 180;
+    const dx = x - centerX;
+    const dy = y - centerY;
+    const localX = dx * Math.cos(angle) - dy * Math.sin(angle);
+    const localY = dx * Math.sin(angle) + dy * Math.cos(angle);
+    
+    const inside = Math.abs(localX) <= object.width / 2 && Math.abs(localY) <= object.height / 2;
+    
+    // Cameras are picked by their frame, so the objects they show stay clickable
+    if (object.type === 'camera') {
+      const edge = 6 / this.zoom;
+      
+      return inside && (Math.abs(localX) >= object.width / 2 - edge || Math.abs(localY) >= object.height / 2 - edge);
+    }
+    
+    return inside;
+  }
+  
+  /**
+   * Snap a value to the grid if snapping is enabled
+   * @param {number} value - Value to snap
+   * @returns {number} Snapped value
+   */
+  snapToGridValue(value) {
+    if (!this.snapToGrid) return value;
+    
+    return Math.round(value / this.gridSize) * this.gridSize;
+  }
+  
+  /**
+   * Handle canvas mouse down
+   * @param {MouseEvent} e - Mouse event
+   */
+  onCanvasMouseDown(e) {
+    if (!this.activeScene) return;
+    
+    // Middle mouse, or left mouse with space held, pans the view with any tool
+    if (e.button === 1 || (e.button === 0 && this.isSpaceHeld)) {
+      e.preventDefault();
+      this.startViewPan(e);
+      return;
+    }
+    
+    if (e.button !== 0) return;
+    
+    // Clicking the minimap jumps the view there
+    const point = this.getCanvasPoint(e);
+    
+    if (this.getMinimapAt(point)) {
+      this.isMinimapDragging = true;
+      this.centerOnMinimapPoint(point);
+      return;
+    }
+    
+    const coords = this.getSceneCoords(e);
+    
+    this.isDragging = true;
+    this.dragStartPos = { x: e.clientX, y: e.clientY };
+    this.lastMousePos = { x: e.clientX, y: e.clientY };
+    
+    switch (this.activeTool) {
+      case 'select':
+        this.handleSelectToolDown(e, coords);
+        break;
+      case 'move':
+        this.handleMoveToolDown(e, coords);
+        break;
+      case 'rotate':
+        this.handleRotateToolDown(e, coords);
+        break;
+      case 'scale':
+        this.handleScaleToolDown(e, coords);
+        break;
+      case 'tile':
+        this.handleTileToolDown(e, coords);
+        break;
+    }
+    
+    // Record a transform drag as a single undo step
+    if (this.rotateInfo || this.scaleInfo || this.dragInfo) {
+      this.beginTransform();
+    }
+  }
+  
+  /**
+   * Handle canvas mouse move
+   * @param {MouseEvent} e - Mouse event
+   */
+  onCanvasMouseMove(e) {
+    if (!this.activeScene) return;
+    
+    if (this.viewPan) {
+      // The button may have been released outside the canvas
+      if ((e.buttons & 5) === 0) {
+        this.endViewPan();
+        return;
+      }
+      
+      this.panOffset = {
+        x: this.viewPan.startOffset.x + e.clientX - this.viewPan.startX,
+        y: this.viewPan.startOffset.y + e.clientY - this.viewPan.startY
+      };
+      this.render();
+      return;
+    }
+    
+    if (this.isMinimapDragging) {
+      if ((e.buttons & 1) === 0) {
+        this.isMinimapDragging = false;
+      } else {
+        this.centerOnMinimapPoint(this.getCanvasPoint(e));
+      }
+      return;
+    }
+    
+    const coords = this.getSceneCoords(e);
+    
+    // Deltas are measured from where the drag started
+    const deltaX = this.dragStartPos ? e.clientX - this.dragStartPos.x : 0;
+    const deltaY = this.dragStartPos ? e.clientY - this.dragStartPos.y : 0;
+    
+    this.lastMousePos = { x: e.clientX, y: e.clientY };
+    
+    // The button may have been released where no mouse up reached the editor;
+    // finish the drag or paint stroke before treating this as hovering
+    if (this.isDragging && (e.buttons & 1) === 0) {
+      this.onCanvasMouseUp(e);
+    }
+    
+    // The tile tool previews the cells it would change while hovering
+    if (this.activeTool === 'tile') {
+      this.handleTileToolMove(e, coords);
+      return;
+    }
+    
+    if (!this.isDragging) return;
+    
+    switch (this.activeTool) {
+      case 'select':
+        if (this.marquee) {
+          this.handleMarqueeMove(e, coords);
+        } else {
+          this.handleMoveToolMove(e, coords, deltaX, deltaY);
+        }
+        break;
+      case 'move':
+        this.handleMoveToolMove(e, coords, deltaX, deltaY);
+        break;
+      case 'rotate':
+        this.handleRotateToolMove(e, coords);
+        break;
+      case 'scale':
+        this.handleScaleToolMove(e, coords);
+        break;
+    }
+  }
+  
+  /**
+   * Handle canvas mouse up
+   * @param {MouseEvent} e - Mouse event
+   */
+  onCanvasMouseUp(e) {
+    if (this.viewPan) {
+      this.endViewPan();
+      return;
+    }
+    
+    if (this.isMinimapDragging) {
+      this.isMinimapDragging = false;
+      return;
+    }
+    
+    if (!this.activeScene || !this.isDragging) return;
+    
+    const coords = this.getSceneCoords(e);
+    
+    // Commit any transform before the tool clears its drag state
+    this.endTransform();
+    
+    switch (this.activeTool) {
+      case 'select':
+        if (this.marquee) {
+          this.handleMarqueeUp(e, coords);
+        } else {
+          this.handleMoveToolUp(e, coords);
+        }
+        break;
+      case 'move':
+        this.handleMoveToolUp(e, coords);
+        break;
+      case 'rotate':
+        this.handleRotateToolUp(e, coords);
+        break;
+      case 'scale':
+        this.handleScaleToolUp(e, coords);
+        break;
+      case 'tile':
+        this.handleTileToolUp(e, coords);
+        break;
+    }
+    
+    this.isDragging = false;
+    this.dragStartPos = null;
+  }
+  
+  /**
+   * Handle the mouse leaving the canvas
+   */
+  onCanvasMouseLeave() {
+    if (this.tileHover) {
+      this.tileHover = null;
+      this.render();
+    }
+  }
+  
+  /**
+   * Handle canvas mouse wheel
+   * @param {WheelEvent} e - Wheel event
+   */
+  onCanvasWheel(e) {
+    e.preventDefault();
+    
+    // Zoom around the cursor so the point under it stays put
+    this.setZoom(e.deltaY < 0 ? this.zoom * 1.1 : this.zoom / 1.1, this.getCanvasPoint(e));
+  }
+
+  /**
+   * Handle something being dragged over the canvas
+   * @param {DragEvent} e - Drag event
+   */
+  onCanvasDragOver(e) {
+    // Only prefabs from the Asset Browser can be dropped
+    if (!e.dataTransfer.types.includes(PrefabManager.getDragType())) return;
+    
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+  }
+  
+  /**
+   * Handle a drop on the canvas
+   * @param {DragEvent} e - Drag event
+   */
+  onCanvasDrop(e) {
+    const prefabId = e.dataTransfer.getData(PrefabManager.getDragType());
+    
+    if (!prefabId) return;
+    
+    e.preventDefault();
+    this.app.prefabManager.instantiate(prefabId, this.getSceneCoords(e));
+    this.canvas.focus();
+  }
+  
+  /**
+   * Handle select tool mouse down
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleSelectToolDown(e, coords) {
+    const hit = this.getObjectAtCoords(coords.x, coords.y);
+    const additive = e.shiftKey || e.ctrlKey || e.metaKey;
+    
+    if (!hit) {
+      // Drag on empty space draws a selection rectangle
+      this.marquee = {
+        startX: coords.x,
+        startY: coords.y,
+        x: coords.x,
+        y: coords.y,
+        baseSelection: additive ? [...this.selectedObjects] : []
+      };
+      
+      if (!additive) {
+        this.setSelection([]);
+      }
+      return;
+    }
+    
+    // Dragging a selected object moves the whole selection
+    if (this.updateClickSelection(e, hit.object.id)) {
+      this.dragInfo = this.createDragInfo();
+    }
+  }
+  
+  /**
+   * Update the selection for a click on an object
+   * Shift adds the object, Ctrl/Cmd toggles it, a plain click selects only it
+   * unless it is already part of the selection
+   * @param {MouseEvent} e - Mouse event
+   * @param {string} objectId - Clicked object ID
+   * @returns {boolean} True if the object is selected afterwards
+   */
+  updateClickSelection(e, objectId) {
+    const selected = this.selectedObjects.includes(objectId);
+    
+    if (e.ctrlKey || e.metaKey) {
+      this.setSelection(selected
+        ? this.selectedObjects.filter(id => id !== objectId)
+        : [...this.selectedObjects, objectId]);
+      return !selected;
+    }
+    
+    if (e.shiftKey) {
+      if (!selected) {
+        this.setSelection([...this.selectedObjects, objectId]);
+      }
+      return true;
+    }
+    
+    if (!selected) {
+      this.setSelection([objectId]);
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Get the selected objects that can be transformed (not on locked layers)
+   * @returns {Array<object>} Entries with object and layer properties
+   */
+  getTransformableEntries() {
+    return this.getSelectedEntries().filter(({ layer }) => !layer.locked);
+  }
+  
+  /**
+   * Snapshot the selected objects' positions for a move drag
+   * @returns {object|null} Drag info, or null if nothing can be moved
+   */
+  createDragInfo() {
+    const entries = this.getTransformableEntries();
+    
+    if (entries.length === 0) return null;
+    
+    return {
+      objects: entries.map(({ object, layer }) => ({
+        id: object.id,
+        layer: layer,
+        startX: object.x,
+        startY: object.y
+      }))
+    };
+  }
+  
+  /**
+   * Get the axis-aligned bounds of an object, taking rotation into account
+   * @param {object} object - Scene object
+   * @returns {object} Bounds with minX, minY, maxX and maxY properties
+   */
+  getObjectBounds(object) {
+    const centerX = object.x + object.width / 2;
+    const centerY = object.y + object.height / 2;
+    const angle = (object.rotation || 0) * Math.PI / 180;
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    
+    // Half extents of the rotated rectangle
+    const halfWidth = (object.width * cos + object.height * sin) / 2;
+    const halfHeight = (object.width * sin + object.height * cos) / 2;
+    
+    return {
+      minX: centerX - halfWidth,
+      minY: centerY - halfHeight,
+      maxX: centerX + halfWidth,
+      maxY: centerY + halfHeight
+    };
+  }
+  
+  /**
+   * Get the combined bounds of several objects
+   * @param {Array<object>} objects - Scene objects
+   * @returns {object|null} Bounds with minX, minY, maxX and maxY properties, or null if empty
+   */
+  getSelectionBounds(objects) {
+    if (objects.length === 0) return null;
+    
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    
+    for (const object of objects) {
+      const objectBounds = this.getObjectBounds(object);
+      
+      bounds.minX = Math.min(bounds.minX, objectBounds.minX);
+      bounds.minY = Math.min(bounds.minY, objectBounds.minY);
+      bounds.maxX = Math.max(bounds.maxX, objectBounds.maxX);
+      bounds.maxY = Math.max(bounds.maxY, objectBounds.maxY);
+    }
+    
+    return bounds;
+  }
+  
+  /**
+   * Get the marquee rectangle in scene coordinates
+   * @returns {object} Rectangle with minX, minY, maxX and maxY properties
+   */
+  getMarqueeRect() {
+    return {
+      minX: Math.min(this.marquee.startX, this.marquee.x),
+      minY: Math.min(this.marquee.startY, this.marquee.y),
+      maxX: Math.max(this.marquee.startX, this.marquee.x),
+      maxY: Math.max(this.marquee.startY, this.marquee.y)
+    };
+  }
+  
+  /**
+   * Handle marquee drag
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleMarqueeMove(e, coords) {
+    this.marquee.x = coords.x;
+    this.marquee.y = coords.y;
+    
+    const rect = this.getMarqueeRect();
+    const ids = new Set(this.marquee.baseSelection);
+    
+    // Select every object the rectangle touches
+    for (const layer of this.activeScene.layers) {
+      if (!layer.visible || layer.locked) continue;
+      
+      for (const object of layer.objects) {
+        const bounds = this.getObjectBounds(object);
+        
+        if (bounds.minX <= rect.maxX && bounds.maxX >= rect.minX &&
+            bounds.minY <= rect.maxY && bounds.maxY >= rect.minY) {
+          ids.add(object.id);
+        }
+      }
+    }
+    
+    // Other components are notified once the drag ends
+    this.selectedObjects = Array.from(ids);
+    
+    this.render();
+  }
+  
+  /**
+   * Handle marquee release
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleMarqueeUp(e, coords) {
+    this.marquee = null;
+    
+    this.setSelection(this.selectedObjects);
+  }
+  
+  /**
+   * Handle move tool mouse down
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleMoveToolDown(e, coords) {
+    const hit = this.getObjectAtCoords(coords.x, coords.y);
+    
+    if (hit) {
+      // Prepare for dragging the selection
+      if (this.updateClickSelection(e, hit.object.id)) {
+        this.dragInfo = this.createDragInfo();
+      }
+    } else {
+      // Drag on empty space pans the view
+      this.isPanning = true;
+      this.panStart = { ...this.panOffset };
+    }
+  }
+  
+  /**
+   * Set the selected objects and notify other components
+   * @param {Array<string>} objectIds - IDs of the objects to select
+   */
+  setSelection(objectIds) {
+    this.selectedObjects = [...objectIds];
+    
+    this.render();
+    
+    // Emit selection changed event
+    this.app.core.events.emit('object:selection', this.selectedObjects);
+  }
+  
+  /**
+   * Get the selected objects with the layers that contain them
+   * @returns {Array<object>} Entries with object and layer properties
+   */
+  getSelectedEntries() {
+    const entries = [];
+    
+    for (const id of this.selectedObjects) {
+      const entry = this.findObject(id);
+      
+      if (entry) {
+        entries.push(entry);
+      }
+    }
+    
+    return entries;
+  }
+  
+  /**
+   * Find an object in the active scene
+   * @param {string} objectId - Object ID
+   * @returns {object|null} Entry with object and layer properties, or null
+   */
+  findObject(objectId) {
+    if (!this.activeScene) return null;
+    
+    for (const layer of this.activeScene.layers) {
+      const object = layer.objects.find(obj => obj.id === objectId);
+      
+      if (object) {
+        return { object, layer };
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Remember the transforms of the selected objects before a drag
+   */
+  beginTransform() {
+    const labels = {
+      select: 'Move Objects',
+      move: 'Move Objects',
+      rotate: 'Rotate Objects',
+      scale: 'Scale Objects'
+    };
+    
+    this.transformStart = this.getSelectedEntries().map(({ object }) => ({
+      object: object,
+      before: this.getTransform(object)
+    }));
+    
+    this.app.commandHistory.beginGroup(labels[this.activeTool] || 'Transform Objects');
+  }
+  
+  /**
+   * Record the transforms changed by a drag as one undo step
+   */
+  endTransform() {
+    if (!this.transformStart) return;
+    
+    for (const { object, before } of this.transformStart) {
+      const after = this.getTransform(object);
+      
+      // Skip objects the drag didn't change
+      if (Object.keys(before).some(key => before[key] !== after[key])) {
+        this.recordPropertyChange(object, before, after);
+        
+        // Let other views such as the Inspector show the new values
+        this.app.core.events.emit('object:properties', object.id, after);
+      }
+    }
+    
+    this.transformStart = null;
+    this.app.commandHistory.endGroup();
+  }
+  
+  /**
+   * Get the transform properties of an object
+   * @param {object} object - Scene object
+   * @returns {object} Transform properties
+   */
+  getTransform(object) {
+    const transform = {
+      x: object.x,
+      y: object.y,
+      width: object.width,
+      height: object.height,
+      rotation: object.rotation
+    };
+    
+    // A camera's size comes from its zoom
+    if (object.type === 'camera') {
+      transform.zoom = object.zoom;
+    }
+    
+    return transform;
+  }
+  
+  /**
+   * Apply properties to an object and notify other components
+   * @param {object} object - Scene object
+   * @param {object} properties - Properties to apply (undefined values remove the property)
+   */
+  applyObjectProperties(object, properties) {
+    for (const key in properties) {
+      if (properties[key] === undefined) {
+        delete object[key];
+      } else {
+        object[key] = properties[key];
+      }
+    }
+    
+    this.render();
+    
+    // Notify other components
+    this.app.core.events.emit('object:properties', object.id, properties);
+  }
+  
+  /**
+   * Record a property change that has already been applied to an object
+   * @param {object} object - Scene object
+   * @param {object} before - Property values before the change
+   * @param {object} after - Property values after the change
+   * @param {string} [label='Change Properties'] - Undo step label
+   */
+  recordPropertyChange(object, before, after, label = 'Change Properties') {
+    this.app.commandHistory.record({
+      label: label,
+      undo: () => this.applyObjectProperties(object, before),
+      redo: () => this.applyObjectProperties(object, after)
+    });
+  }
+  
+  /**
+   * Insert an object into a layer
+   * @param {object} object - Scene object
+   * @param {object} layer - Target layer
+   * @param {number} [index] - Position in the layer (defaults to the top)
+   */
+  insertObject(object, layer, index = layer.objects.length) {
+    layer.objects.splice(Math.min(index, layer.objects.length), 0, object);
+    
+    this.app.core.events.emit('object:added', object, layer);
+  }
+  
+  /**
+   * Remove an object from its layer
+   * @param {object} object - Scene object
+   * @param {object} layer - Layer containing the object
+   * @returns {number} Index the object had in the layer, or -1 if not found
+   */
+  detachObject(object, layer) {
+    const index = layer.objects.indexOf(object);
+    
+    if (index === -1) return -1;
+    
+    layer.objects.splice(index, 1);
+    
+    // Remove from selection if selected
+    if (this.selectedObjects.includes(object.id)) {
+      this.selectedObjects = this.selectedObjects.filter(id => id !== object.id);
+      this.app.core.events.emit('object:selection', this.selectedObjects);
+    }
+    
+    this.app.core.events.emit('object:removed', object, layer);
+    
+    return index;
+  }
+  
+  /**
+   * Create an undoable command that adds an object to a layer
+   * @param {object} object - Scene object
+   * @param {object} layer - Target layer
+   * @param {number} index - Position in the layer
+   * @returns {object} Command
+   */
+  createAddObjectCommand(object, layer, index) {
+    return {
+      label: `Add ${object.name || object.type || 'Object'}`,
+      undo: () => {
+        this.detachObject(object, layer);
+        this.render();
+      },
+      redo: () => {
+        this.insertObject(object, layer, index);
+        this.render();
+      }
+    };
+  }
+  
+  /**
+   * Create an undoable command that moves objects to a new position
+   * The objects keep their relative order and end up in the target layer
+   * @param {Array<object>} objects - Scene objects to move
+   * @param {object} targetLayer - Layer to move the objects into
+   * @param {object} [beforeObject=null] - Object to place the moved objects under (defaults to the top of the layer)
+   * @returns {object|null} Command, or null if there is nothing to move
+   */
+  createMoveObjectsCommand(objects, targetLayer, beforeObject = null) {
+    // Remember where every object came from
+    const origins = objects
+      .map(object => ({ object, entry: this.findObject(object.id) }))
+      .filter(({ entry }) => entry)
+      .map(({ object, entry }) => ({
+        object: object,
+        layer: entry.layer,
+        index: entry.layer.objects.indexOf(object)
+      }));
+    
+    if (origins.length === 0) return null;
+    
+    const moved = origins.map(origin => origin.object);
+    
+    return {
+      label: moved.length === 1 ? `Move ${moved[0].name || moved[0].type || 'Object'}` : 'Move Objects',
+      undo: () => {
+        for (const object of moved) {
+          targetLayer.objects.splice(targetLayer.objects.indexOf(object), 1);
+        }
+        
+        // Reinsert in ascending order so the original indices line up again
+        const sorted = [...origins].sort((a, b) => a.index - b.index);
+        for (const origin of sorted) {
+          origin.layer.objects.splice(origin.index, 0, origin.object);
+        }
+        
+        for (const origin of origins) {
+          this.app.core.events.emit('object:moved', origin.object, origin.layer);
+        }
+        
+        this.render();
+      },
+      redo: () => {
+        for (const origin of origins) {
+          origin.layer.objects.splice(origin.layer.objects.indexOf(origin.object), 1);
+        }
+        
+        let index = beforeObject ? targetLayer.objects.indexOf(beforeObject) : -1;
+        if (index === -1) {
+          index = targetLayer.objects.length;
+        }
+        
+        targetLayer.objects.splice(index, 0, ...moved);
+        
+        for (const object of moved) {
+          this.app.core.events.emit('object:moved', object, targetLayer);
+        }
+        
+        this.render();
+      }
+    };
+  }
+  
+  /**
+   * Change layer properties as an undoable step
+   * @param {object} layer - Scene layer
+   * @param {object} properties - Properties to change (e.g. name, visible, locked)
+   * @param {string} [label='Change Layer'] - Undo step label
+   */
+  setLayerProperties(layer, properties, label = 'Change Layer') {
+    const before = {};
+    for (const key in properties) {
+      before[key] = layer[key];
+    }
+    
+    const apply = (values) => {
+      for (const key in values) {
+        if (values[key] === undefined) {
+          delete layer[key];
+        } else {
+          layer[key] = values[key];
+        }
+      }
+      
+      this.render();
+      
+      // Notify other components
+      this.app.core.events.emit('layer:changed', layer, values);
+    };
+    
+    this.app.commandHistory.execute({
+      label: label,
+      undo: () => apply(before),
+      redo: () => apply(properties)
+    });
+  }
+  
+  /**
+   * Set the layer new objects and tiles are added to
+   * @param {string} layerId - Layer ID
+   */
+  setActiveLayer(layerId) {
+    if (!this.activeScene || this.activeScene.activeLayer === layerId) return;
+    
+    this.activeScene.activeLayer = layerId;
+    
+    this.app.core.events.emit('layer:active', layerId);
+  }
+  
+
+  /**
+   * Handle move tool mouse move
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   * @param {number} deltaX - Mouse X delta
+   * @param {number} deltaY - Mouse Y delta
+   */
+  handleMoveToolMove(e, coords, deltaX, deltaY) {
+    // If dragging objects
+    if (this.dragInfo) {
+      // Move each selected object
+      for (const objInfo of this.dragInfo.objects) {
         // Find object in scene
         const object = objInfo.layer.objects.find(o => o.id === objInfo.id);
         
         if (object) {
-          // Calculate current angle
-          const currentAngle = Math.atan2(
-            coords.y - objInfo.centerY,
-            coords.x - objInfo.centerX
-          ) * 180 / Math.PI;
+          // Calculate new position (in scene coordinates)
+          const newX = objInfo.startX + (deltaX / this.zoom);
+          const newY = objInfo.startY + (deltaY / this.zoom);
           
-          // Calculate angle difference
-          let angleDiff = currentAngle - objInfo.initialAngle;
+          // Apply snap to grid if enabled
+          object.x = this.snapToGridValue(newX);
+          object.y = this.snapToGridValue(newY);
+        }
+      }
+    }
+    // If panning
+    else if (this.isPanning) {
+      // Pan the view
+      this.panOffset.x = this.panStart.x + deltaX;
+      this.panOffset.y = this.panStart.y + deltaY;
+    }
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle move tool mouse up
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleMoveToolUp(e, coords) {
+    // Clear drag info
+    this.dragInfo = null;
+    
+    // Clear panning flag
+    this.isPanning = false;
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle rotate tool mouse down
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleRotateToolDown(e, coords) {
+    // Check if clicked on an object
+    const hit = this.getObjectAtCoords(coords.x, coords.y);
+    
+    if (hit && this.updateClickSelection(e, hit.object.id)) {
+      const entries = this.getTransformableEntries();
+      
+      if (entries.length > 0) {
+        // The selection rotates around the centre of its bounds
+        const bounds = this.getSelectionBounds(entries.map(entry => entry.object));
+        const pivotX = (bounds.minX + bounds.maxX) / 2;
+        const pivotY = (bounds.minY + bounds.maxY) / 2;
+        
+        this.rotateInfo = {
+          pivotX: pivotX,
+          pivotY: pivotY,
+          initialAngle: Math.atan2(coords.y - pivotY, coords.x - pivotX) * 180 / Math.PI,
+          objects: entries.map(({ object, layer }) => ({
+            id: object.id,
+            layer: layer,
+            centerX: object.x + object.width / 2,
+            centerY: object.y + object.height / 2,
+            startRotation: object.rotation || 0
+          }))
+        };
+      }
+    }
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle rotate tool mouse move
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleRotateToolMove(e, coords) {
+    // If rotating objects
+    if (this.rotateInfo) {
+      const { pivotX, pivotY, initialAngle } = this.rotateInfo;
+      
+      // Calculate angle difference
+      const currentAngle = Math.atan2(coords.y - pivotY, coords.x - pivotX) * 180 / Math.PI;
+      let angleDiff = currentAngle - initialAngle;
+      
+      // Keep the angle in -180..180 when the mouse crosses the atan2 wrap-around
+      angleDiff = ((angleDiff + 540) % 360) - 180;
+      
+      // Snap to 15-degree increments if snap is enabled
+      if (this.snapToGrid) {
+        angleDiff = Math.round(angleDiff / 15) * 15;
+      }
+      
+      const radians = angleDiff * Math.PI / 180;
+      const cos = Math.cos(radians);
+      const sin = Math.sin(radians);
+      
+      // Rotate each selected object and move its centre around the pivot
+      for (const objInfo of this.rotateInfo.objects) {
+        const object = objInfo.layer.objects.find(o => o.id === objInfo.id);
+        
+        if (object) {
+          const dx = objInfo.centerX - pivotX;
+          const dy = objInfo.centerY - pivotY;
           
-          // Apply rotation
+          object.x = pivotX + dx * cos - dy * sin - object.width / 2;
+          object.y = pivotY + dx * sin + dy * cos - object.height / 2;
           object.rotation = objInfo.startRotation + angleDiff;
+        }
+      }
+    }
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle rotate tool mouse up
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleRotateToolUp(e, coords) {
+    // Clear rotate info
+    this.rotateInfo = null;
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle scale tool mouse down
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleScaleToolDown(e, coords) {
+    // Check if clicked on an object
+    const hit = this.getObjectAtCoords(coords.x, coords.y);
+    
+    if (hit && this.updateClickSelection(e, hit.object.id)) {
+      const entries = this.getTransformableEntries();
+      
+      if (entries.length > 0) {
+        // The selection scales away from the top-left corner of its bounds
+        const bounds = this.getSelectionBounds(entries.map(entry => entry.object));
+        
+        this.scaleInfo = {
+          pivotX: bounds.minX,
+          pivotY: bounds.minY,
+          startMouseX: coords.x,
+          startMouseY: coords.y,
+          objects: entries.map(({ object, layer }) => ({
+            id: object.id,
+            layer: layer,
+            startX: object.x,
+            startY: object.y,
+            startWidth: object.width,
+            startHeight: object.height
+          }))
+        };
+      }
+    }
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle scale tool mouse move
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleScaleToolMove(e, coords) {
+    // If scaling objects
+    if (this.scaleInfo) {
+      const { pivotX, pivotY, startMouseX, startMouseY } = this.scaleInfo;
+      
+      // Calculate scale factors (a click right on the pivot can't scale that axis)
+      const scaleX = Math.abs(startMouseX - pivotX) < 1 ? 1 : (coords.x - pivotX) / (startMouseX - pivotX);
+      const scaleY = Math.abs(startMouseY - pivotY) < 1 ? 1 : (coords.y - pivotY) / (startMouseY - pivotY);
+      
+      // Scale each selected object and its offset from the pivot
+      for (const objInfo of this.scaleInfo.objects) {
+        const object = objInfo.layer.objects.find(o => o.id === objInfo.id);
+        
+        if (object) {
+          // Apply scaling (with minimum size constraints)
+          object.width = Math.max(10, objInfo.startWidth * scaleX);
+          object.height = Math.max(10, objInfo.startHeight * scaleY);
           
-          // Snap to 15-degree increments if snap is enabled
+          // Snap to grid if enabled
           if (this.snapToGrid) {
-            object.rotation = Math.round(object.rotation / 15) * 15;
+            object.width = this.snapToGridValue(object.width);
+            object.height = this.snapToGridValue(object.height);
+          }
+          
+          // Cameras keep the game's aspect ratio, so scaling one changes its zoom
+          if (object.type === 'camera') {
+            object.zoom = this.getGameResolution().width / object.width;
+            object.height = this.getCameraSize(object).height;
+          }
+          
+          object.x = pivotX + (objInfo.startX - pivotX) * Math.max(0, scaleX);
+          object.y = pivotY + (objInfo.startY - pivotY) * Math.max(0, scaleY);
+        }
+      }
+    }
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle scale tool mouse up
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleScaleToolUp(e, coords) {
+    // Clear scale info
+    this.scaleInfo = null;
+    
+    // Update UI
+    this.render();
+  }
+  
+  /**
+   * Handle tile tool mouse down
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleTileToolDown(e, coords) {
+    const mode = this.tileMode;
+    const activeLayer = this.activeScene.layers.find(layer => layer.id === this.activeScene.activeLayer);
+    
+    if (!activeLayer || activeLayer.locked) return;
+    
+    if (mode === 'pick') {
+      this.pickTile(activeLayer, coords);
+      return;
+    }
+    
+    // The brush comes from the Tile Palette; only the eraser works without one
+    const brush = mode === 'erase' ? null : this.tileBrush;
+    
+    if (mode !== 'erase' && !brush) {
+      this.app.core.ui.setStatus('Pick tiles in the Tile Palette to paint', 'warning');
+      return;
+    }
+    
+    let tilemap = this.findTileTarget(activeLayer, brush);
+    
+    // Record the whole stroke as one undo step
+    this.app.commandHistory.beginGroup(`${this.tileModes[mode].name} Tiles`);
+    
+    if (!tilemap) {
+      if (!brush) {
+        this.app.commandHistory.endGroup();
+        return;
+      }
+      
+      tilemap = this.createTilemap(activeLayer, brush);
+    }
+    
+    let cell = this.getTileCell(tilemap, coords);
+    
+    // Remember the tiles before painting so the stroke can be undone
+    this.tileStroke = {
+      tilemap: tilemap,
+      before: this.getTilemapState(tilemap),
+      start: cell
+    };
+    
+    // Brush, eraser and bucket change tiles straight away; shapes wait for mouse up
+    if (mode === 'brush' || mode === 'erase' || mode === 'fill') {
+      this.applyTileCells(tilemap, this.getTileOperation(mode, tilemap, cell, cell));
+      
+      // An infinite tilemap may have grown to the left or up, moving its cells
+      cell = this.getTileCell(tilemap, coords);
+    }
+    
+    // Store the last placed tile for drag filling
+    this.lastPlacedTile = cell;
+    
+    this.updateTileHover(coords);
+  }
+  
+  /**
+   * Handle tile tool mouse move
+   * Paints while dragging and updates the hover preview
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleTileToolMove(e, coords) {
+    const stroke = this.tileStroke;
+    const mode = this.tileMode;
+    
+    if (this.isDragging && stroke && (mode === 'brush' || mode === 'erase')) {
+      const cell = this.getTileCell(stroke.tilemap, coords);
+      
+      // Fill in cells skipped by fast mouse moves
+      if (!this.lastPlacedTile || this.lastPlacedTile.x !== cell.x || this.lastPlacedTile.y !== cell.y) {
+        const from = this.lastPlacedTile || cell;
+        const cells = [];
+        
+        for (const point of this.getLineCells(from, cell)) {
+          cells.push(...this.getTileOperation(mode, stroke.tilemap, point, point));
+        }
+        
+        this.applyTileCells(stroke.tilemap, cells);
+        
+        // Look the cell up again in case an infinite tilemap grew
+        this.lastPlacedTile = this.getTileCell(stroke.tilemap, coords);
+      }
+    }
+    
+    this.updateTileHover(coords);
+  }
+  
+  /**
+   * Handle tile tool mouse up
+   * @param {MouseEvent} e - Mouse event
+   * @param {object} coords - Scene coordinates
+   */
+  handleTileToolUp(e, coords) {
+    const stroke = this.tileStroke;
+    
+    // Shapes are applied once the drag ends
+    if (stroke && (this.tileMode === 'rect' || this.tileMode === 'line')) {
+      const cell = this.getTileCell(stroke.tilemap, coords);
+      this.applyTileCells(stroke.tilemap, this.getTileOperation(this.tileMode, stroke.tilemap, stroke.start, cell));
+    }
+    
+    // Record the painted tiles and close the stroke's undo group
+    if (stroke) {
+      this.recordTileStroke(stroke);
+      this.tileStroke = null;
+      this.app.commandHistory.endGroup();
+    }
+    
+    // Clear last placed tile
+    this.lastPlacedTile = null;
+    
+    this.updateTileHover(coords);
+  }
+  
+  /**
+   * Find the tilemap the tile tool works on in a layer
+   * Prefers the selected tilemap, then the first one in the layer using the brush's tileset
+   * @param {object} layer - Active layer
+   * @param {object|null} brush - Tile brush, or null to accept any tilemap
+   * @returns {object|null} Tilemap object or null if the layer has none
+   */
+  findTileTarget(layer, brush) {
+    const matches = obj => obj.type === 'tilemap' && (!brush || obj.tileset === brush.tilesetId);
+    
+    const selected = this.selectedObjects.length === 1
+      ? layer.objects.find(obj => obj.id === this.selectedObjects[0])
+      : null;
+    
+    if (selected && matches(selected)) return selected;
+    
+    return layer.objects.find(matches) || null;
+  }
+  
+  /**
+   * Create a tilemap covering the scene for a brush's tileset
+   * @param {object} layer - Layer to add the tilemap to
+   * @param {object} brush - Tile brush
+   * @returns {object} The new tilemap
+   */
+  createTilemap(layer, brush) {
+    // Cover the scene with cells the size of the tileset's tiles
+    const columns = Math.ceil(this.activeScene.width / brush.tileWidth);
+    const rows = Math.ceil(this.activeScene.height / brush.tileHeight);
+    
+    const tilemap = {
+      id: 'tilemap_' + Date.now(),
+      type: 'tilemap',
+      name: 'Tilemap',
+      x: 0,
+      y: 0,
+      width: columns * brush.tileWidth,
+      height: rows * brush.tileHeight,
+      tileSize: brush.tileWidth,
+      tileWidth: brush.tileWidth,
+      tileHeight: brush.tileHeight,
+      columns: columns,
+      rows: rows,
+      tileset: brush.tilesetId,
+      tileData: new Array(columns * rows).fill(0)
+    };
+    
+    this.app.commandHistory.execute(this.createAddObjectCommand(tilemap, layer, layer.objects.length));
+    
+    return tilemap;
+  }
+  
+  /**
+   * Get the tilemap cell at scene coordinates
+   * @param {object} tilemap - Tilemap object
+   * @param {object} coords - Scene coordinates
+   * @returns {object} Cell with x and y (may be outside the map)
+   */
+  getTileCell(tilemap, coords) {
+    const tileSize = this.getTileSize(tilemap);
+    
+    return {
+      x: Math.floor((coords.x - tilemap.x) / tileSize.width),
+      y: Math.floor((coords.y - tilemap.y) / tileSize.height)
+    };
+  }
+  
+  /**
+   * Get the tile a brush puts at a cell when its pattern repeats from an anchor cell
+   * @param {object} brush - Tile brush with width, height and tiles
+   * @param {object} anchor - Cell the pattern starts at
+   * @param {number} x - Cell column
+   * @param {number} y - Cell row
+   * @returns {number} Tile number
+   */
+  getPatternTile(brush, anchor, x, y) {
+    const column = ((x - anchor.x) % brush.width + brush.width) % brush.width;
+    const row = ((y - anchor.y) % brush.height + brush.height) % brush.height;
+    
+    return brush.tiles[row * brush.width + column];
+  }
+  
+  /**
+   * Work out the cells a tile mode changes
+   * @param {string} mode - Tile mode
+   * @param {object} tilemap - Tilemap object
+   * @param {object} from - Cell the operation started at
+   * @param {object} to - Cell under the mouse
+   * @returns {Array<object>} Cells with x, y and the new tile (only those inside the map, unless it is infinite)
+   */
+  getTileOperation(mode, tilemap, from, to) {
+    const brush = this.tileBrush;
+    const cells = [];
+    
+    switch (mode) {
+      case 'brush':
+        // Stamp the brush with its top-left tile under the mouse
+        for (let y = 0; y < brush.height; y++) {
+          for (let x = 0; x < brush.width; x++) {
+            cells.push({ x: to.x + x, y: to.y + y, tile: brush.tiles[y * brush.width + x] });
           }
         }
-      }
+        break;
+      
+      case 'erase':
+        cells.push({ x: to.x, y: to.y, tile: 0 });
+        break;
+      
+      case 'pick':
+        cells.push({ x: to.x, y: to.y, tile: null });
+        break;
+      
+      case 'rect':
+        for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+          for (let x = Math.min(from.x, to.x); x <= Math.max(from.x, to.x); x++) {
+            cells.push({ x, y, tile: this.getPatternTile(brush, from, x, y) });
+          }
+        }
+        break;
+      
+      case 'line':
+        for (const point of this.getLineCells(from, to)) {
+          cells.push({ ...point, tile: this.getPatternTile(brush, from, point.x, point.y) });
+        }
+        break;
+      
+      case 'fill':
+        for (const point of this.getFloodCells(tilemap, to)) {
+          cells.push({ ...point, tile: this.getPatternTile(brush, to, point.x, point.y) });
+        }
+        break;
     }
     
-    // Update UI
-    this.render();
+    // Infinite tilemaps grow to fit the cells when they are applied
+    if (tilemap.infinite) return cells;
+    
+    return cells.filter(cell =>
+      cell.x >= 0 && cell.x < tilemap.columns &&
+      cell.y >= 0 && cell.y < tilemap.rows
+    );
   }
   
   /**
-   * Handle rotate tool mouse up
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Get the cells on a line between two cells (Bresenham)
+   * @param {object} from - Start cell
+   * @param {object} to - End cell
+   * @returns {Array<object>} Cells with x and y, from start to end
    */
-  handleRotateToolUp(e, coords) {
-    // Clear rotate info
-    this.rotateInfo = null;
+  getLineCells(from, to) {
+    const cells = [];
+    const dx = Math.abs(to.x - from.x);
+    const dy = -Math.abs(to.y - from.y);
+    const stepX = from.x < to.x ? 1 : -1;
+    const stepY = from.y < to.y ? 1 : -1;
+    let error = dx + dy;
+    let x = from.x;
+    let y = from.y;
+    
+    for (;;) {
+      cells.push({ x, y });
+      
+      if (x === to.x && y === to.y) break;
+      
+      const doubled = 2 * error;
+      
+      if (doubled >= dy) {
+        error += dy;
+        x += stepX;
+      }
+      
+      if (doubled <= dx) {
+        error += dx;
+        y += stepY;
+      }
+    }
     
-    // Update UI
-    this.render();
+    return cells;
   }
   
   /**
-   * Handle scale tool mouse down
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Get the connected cells with the same tile as a starting cell
+   * @param {object} tilemap - Tilemap object
+   * @param {object} start - Starting cell
+   * @returns {Array<object>} Cells with x and y (empty if the start is outside the map)
    */
-  handleScaleToolDown(e, coords) {
-    // Check if clicked on an object
-    const hit = this.getObjectAtCoords(coords.x, coords.y);
+  getFloodCells(tilemap, start) {
+    const { columns, rows, tileData } = tilemap;
     
-    if (hit) {
-      // If object is not in selection, make it the only selected object
-      if (!this.selectedObjects.includes(hit.object.id)) {
-        this.selectedObjects = [hit.object.id];
-      }
-      
-      // Prepare for scaling
-      this.scaleInfo = {
-        objects: this.selectedObjects.map(id => {
-          // Find object in scene
-          for (const layer of this.activeScene.layers) {
-            const obj = layer.objects.find(o => o.id === id);
-            if (obj) {
-              return {
-                id: id,
-                layer: layer,
-                startX: obj.x,
-                startY: obj.y,
-                startWidth: obj.width,
-                startHeight: obj.height,
-                startMouseX: coords.x,
-                startMouseY: coords.y
-              };
-            }
-          }
-          return null;
-        }).filter(obj => obj !== null)
-      };
+    if (start.x < 0 || start.x >= columns || start.y < 0 || start.y >= rows) return [];
+    
+    const target = tileData[start.y * columns + start.x] || 0;
+    const visited = new Uint8Array(columns * rows);
+    const stack = [start.y * columns + start.x];
+    const cells = [];
+    
+    visited[stack[0]] = 1;
+    
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % columns;
+      const y = Math.floor(index / columns);
+      
+      cells.push({ x, y });
+      
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < columns - 1 ? index + 1 : -1,
+        y > 0 ? index - columns : -1,
+        y < rows - 1 ? index + columns : -1
+      ];
+      
+      for (const next of neighbours) {
+        if (next !== -1 && !visited[next] && (tileData[next] || 0) === target) {
+          visited[next] = 1;
+          stack.push(next);
+        }
+      }
     }
     
-    // Update UI
-    this.render();
+    return cells;
   }
   
   /**
-   * Handle scale tool mouse move
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Write tiles into a tilemap, then let autotile terrains fix up the edges around them
+   * Infinite tilemaps first grow to take cells outside their bounds.
+   * @param {object} tilemap - Tilemap object
+   * @param {Array<object>} cells - Cells with x, y and tile
    */
-  handleScaleToolMove(e, coords) {
-    // If scaling objects
-    if (this.scaleInfo) {
-      // Scale each selected object
-      for (const objInfo of this.scaleInfo.objects) {
-        // Find object in scene
-        const object = objInfo.layer.objects.find(o => o.id === objInfo.id);
+  applyTileCells(tilemap, cells) {
+    if (tilemap.infinite) {
+      const shift = this.growTilemap(tilemap, cells);
+      
+      if (shift.x !== 0 || shift.y !== 0) {
+        cells = cells.map(cell => ({ ...cell, x: cell.x + shift.x, y: cell.y + shift.y }));
         
-        if (object) {
-          // Calculate scale factors
-          const scaleX = (coords.x - objInfo.startX) / (objInfo.startMouseX - objInfo.startX);
-          const scaleY = (coords.y - objInfo.startY) / (objInfo.startMouseY - objInfo.startY);
-          
-          // Apply scaling (with minimum size constraints)
-          object.width = Math.max(10, objInfo.startWidth * scaleX);
-          object.height = Math.max(10, objInfo.startHeight * scaleY);
-          
-          // Snap to grid if enabled
-          if (this.snapToGrid) {
-            object.width = this.snapToGridValue(object.width);
-            object.height = this.snapToGridValue(object.height);
-          }
+        if (this.tileStroke && this.tileStroke.tilemap === tilemap) {
+          this.tileStroke.start = {
+            x: this.tileStroke.start.x + shift.x,
+            y: this.tileStroke.start.y + shift.y
+          };
         }
       }
     }
     
-    // Update UI
-    this.render();
+    for (const cell of cells) {
+      tilemap.tileData[cell.y * tilemap.columns + cell.x] = cell.tile;
+    }
+    
+    const tileset = this.app.tilesetManager.getTileset(tilemap.tileset);
+    
+    if (tileset && tileset.terrains.length > 0) {
+      // Cells painted with a terrain brush are redrawn too; tiles picked by hand are kept
+      Autotiler.apply(tilemap, tileset.terrains, cells, {
+        includeCells: Boolean(this.tileBrush && this.tileBrush.terrain)
+      });
+    }
   }
   
   /**
-   * Handle scale tool mouse up
-   * @param {MouseEvent} e - Mouse event
+   * Make the tile under the cursor the brush (eyedropper)
+   * @param {object} layer - Active layer
    * @param {object} coords - Scene coordinates
    */
-  handleScaleToolUp(e, coords) {
-    // Clear scale info
-    this.scaleInfo = null;
+  pickTile(layer, coords) {
+    // Topmost tilemap in the layer with a tile at this point
+    for (let i = layer.objects.length - 1; i >= 0; i--) {
+      const tilemap = layer.objects[i];
+      
+      if (tilemap.type !== 'tilemap' || !tilemap.tileData) continue;
+      
+      const cell = this.getTileCell(tilemap, coords);
+      
+      if (cell.x < 0 || cell.x >= tilemap.columns || cell.y < 0 || cell.y >= tilemap.rows) continue;
+      
+      const tile = tilemap.tileData[cell.y * tilemap.columns + cell.x];
+      
+      if (tile) {
+        // The palette owns the brush, so it selects the tile and sends it back
+        const tileSize = this.getTileSize(tilemap);
+        
+        this.app.core.events.emit('tile:picked', {
+          tilesetId: tilemap.tileset,
+          tile: tile,
+          tileWidth: tileSize.width,
+          tileHeight: tileSize.height
+        });
+        this.setTileMode('brush');
+        return;
+      }
+    }
     
-    // Update UI
-    this.render();
+    this.app.core.ui.setStatus('No tile under the cursor', 'warning');
   }
   
   /**
-   * Handle tile tool mouse down
-   * @param {MouseEvent} e - Mouse event
+   * Update the preview of the cells the tile tool would change
    * @param {object} coords - Scene coordinates
    */
-  handleTileToolDown(e, coords) {
-    // Get current tileset from the global state
-    const tileset = this.app.tileset;
-    
-    // If no tileset is selected, do nothing
-    if (!tileset) return;
-    
-    // Find tilemap in the active layer
+  updateTileHover(coords) {
+    const stroke = this.tileStroke;
+    const mode = this.tileMode;
     const activeLayer = this.activeScene.layers.find(layer => layer.id === this.activeScene.activeLayer);
+    let hover = null;
     
-    if (!activeLayer) return;
-    
-    // Find or create tilemap in the active layer
-    let tilemap = activeLayer.objects.find(obj => obj.type === 'tilemap');
-    
-    // If no tilemap exists, create one
-    if (!tilemap) {
-      tilemap = {
-        id: 'tilemap_' + Date.now(),
-        type: 'tilemap',
-        name: 'Tilemap',
+    if (activeLayer && !activeLayer.locked && (this.tileBrush || mode === 'erase' || mode === 'pick')) {
+      const brush = mode === 'erase' || mode === 'pick' ? null : this.tileBrush;
+      
+      // Before the first stroke there is no tilemap yet; preview on the one that would be created
+      const tilemap = (stroke && stroke.tilemap) || this.findTileTarget(activeLayer, brush) || (brush && {
         x: 0,
         y: 0,
-        width: this.activeScene.width,
-        height: this.activeScene.height,
-        tileSize: 32,
-        columns: Math.ceil(this.activeScene.width / 32),
-        rows: Math.ceil(this.activeScene.height / 32),
-        tileset: tileset.id,
+        tileWidth: brush.tileWidth,
+        tileHeight: brush.tileHeight,
+        columns: Math.ceil(this.activeScene.width / brush.tileWidth),
+        rows: Math.ceil(this.activeScene.height / brush.tileHeight),
+        tileset: brush.tilesetId,
         tileData: []
-      };
+      });
       
-      // Initialize empty tile data
-      for (let i = 0; i < tilemap.rows * tilemap.columns; i++) {
-        tilemap.tileData.push(0);
+      if (tilemap) {
+        const cell = this.getTileCell(tilemap, coords);
+        const from = stroke && (mode === 'rect' || mode === 'line') ? stroke.start : cell;
+        
+        hover = {
+          tilemap: tilemap,
+          cells: this.getTileOperation(mode, tilemap, from, cell)
+        };
+      }
+    }
+    
+    this.tileHover = hover;
+    this.render();
+  }
+  
+  /**
+   * Draw the tile tool's hover preview
+   * @param {number} sceneX - Scene X position
+   * @param {number} sceneY - Scene Y position
+   */
+  renderTilePreview(sceneX, sceneY) {
+    if (!this.tileHover || this.activeTool !== 'tile') return;
+    
+    const { tilemap, cells } = this.tileHover;
+    const tileSize = this.getTileSize(tilemap);
+    const width = tileSize.width * this.zoom;
+    const height = tileSize.height * this.zoom;
+    const originX = sceneX + tilemap.x * this.zoom;
+    const originY = sceneY + tilemap.y * this.zoom;
+    
+    const tileset = this.app.tilesetManager.getTileset(tilemap.tileset, tileSize.width);
+    const image = tileset && this.app.imageCache.get(tileset.imageId);
+    const grid = image && this.app.tilesetManager.getGrid(tileset);
+    
+    this.ctx.save();
+    this.ctx.imageSmoothingEnabled = false;
+    
+    for (const cell of cells) {
+      const x = originX + cell.x * width;
+      const y = originY + cell.y * height;
+      
+      if (cell.tile && grid && cell.tile <= grid.count) {
+        const rect = this.app.tilesetManager.getTileRect(tileset, cell.tile, grid.columns);
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.drawImage(image, rect.x, rect.y, rect.width, rect.height, x, y, width, height);
+        this.ctx.globalAlpha = 1;
+      } else if (cell.tile === 0) {
+        // Cells the eraser clears
+        this.ctx.fillStyle = 'rgba(229, 57, 53, 0.35)';
+        this.ctx.fillRect(x, y, width, height);
       }
       
-      // Add tilemap to layer
-      activeLayer.objects.push(tilemap);
+      this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      this.ctx.lineWidth = 1;
+      this.ctx.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
     }
     
-    // Calculate tile coordinates
-    const tileX = Math.floor((coords.x - tilemap.x) / tilemap.tileSize);
-    const tileY = Math.floor((coords.y - tilemap.y) / tilemap.tileSize);
+    this.ctx.restore();
+  }
+  
+  /**
+   * Record the cells changed by a paint stroke
+   * @param {object} stroke - Stroke with tilemap and its state before painting
+   */
+  recordTileStroke(stroke) {
+    const { tilemap, before } = stroke;
     
-    // If coordinates are outside tilemap, do nothing
-    if (
-      tileX < 0 || tileX >= tilemap.columns ||
-      tileY < 0 || tileY >= tilemap.rows
-    ) {
+    // A stroke that grew an infinite tilemap moved every cell, so it is undone as a resize
+    if (tilemap.columns !== before.columns || tilemap.rows !== before.rows) {
+      this.recordTilemapChange(tilemap, before, 'Paint Tiles');
+      this.app.core.events.emit('object:properties', tilemap.id, this.getTilemapState(tilemap));
       return;
     }
     
-    // Calculate tile index
-    const tileIndex = tileY * tilemap.columns + tileX;
+    const changes = [];
     
-    // Set tile data
-    tilemap.tileData[tileIndex] = this.app.selectedTile || 1;
+    for (let i = 0; i < tilemap.tileData.length; i++) {
+      if (tilemap.tileData[i] !== before.tileData[i]) {
+        changes.push({ index: i, before: before.tileData[i], after: tilemap.tileData[i] });
+      }
+    }
     
-    // Store the last placed tile for drag filling
-    this.lastPlacedTile = {
-      x: tileX,
-      y: tileY
+    if (changes.length === 0) return;
+    
+    const applyTiles = (key) => {
+      for (const change of changes) {
+        tilemap.tileData[change.index] = change[key];
+      }
+      
+      this.render();
+      this.app.core.events.emit('object:properties', tilemap.id, { tileData: tilemap.tileData });
     };
     
-    // Update UI
-    this.render();
+    this.app.commandHistory.record({
+      label: 'Paint Tiles',
+      undo: () => applyTiles('before'),
+      redo: () => applyTiles('after')
+    });
   }
   
   /**
-   * Handle tile tool mouse move
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Get the layout and tiles of a tilemap
+   * @param {object} tilemap - Tilemap object
+   * @returns {object} Copy of x, y, width, height, columns, rows and tileData
    */
-  handleTileToolMove(e, coords) {
-    // If not dragging, do nothing
-    if (!this.isDragging) return;
+  getTilemapState(tilemap) {
+    const tileSize = this.getTileSize(tilemap);
     
-    // Find tilemap in the active layer
-    const activeLayer = this.activeScene.layers.find(layer => layer.id === this.activeScene.activeLayer);
+    return {
+      x: tilemap.x,
+      y: tilemap.y,
+      width: tilemap.width,
+      height: tilemap.height,
+      columns: tilemap.columns || Math.floor(tilemap.width / tileSize.width),
+      rows: tilemap.rows || Math.floor(tilemap.height / tileSize.height),
+      tileData: (tilemap.tileData || []).slice()
+    };
+  }
+  
+  /**
+   * Record a change to a tilemap's layout and tiles that has already been applied
+   * @param {object} tilemap - Tilemap object
+   * @param {object} before - State from getTilemapState before the change
+   * @param {string} label - Undo step label
+   */
+  recordTilemapChange(tilemap, before, label) {
+    const after = this.getTilemapState(tilemap);
+    
+    // Copy the tile data on every apply so later painting can't change the stored states
+    this.app.commandHistory.record({
+      label: label,
+      undo: () => this.applyObjectProperties(tilemap, { ...before, tileData: before.tileData.slice() }),
+      redo: () => this.applyObjectProperties(tilemap, { ...after, tileData: after.tileData.slice() })
+    });
+  }
+  
+  /**
+   * Get the tilemap resize anchors
+   * @returns {Array<string>} Anchor names, row by row from the top left
+   */
+  getTilemapAnchors() {
+    return Object.keys(TILEMAP_ANCHORS);
+  }
+  
+  /**
+   * Change a tilemap's size in cells, keeping its tiles where they are in the scene
+   * Growing adds empty cells and shrinking drops cells on the sides away from the anchor.
+   * @param {object} tilemap - Tilemap object
+   * @param {number} columns - New number of columns (at least 1)
+   * @param {number} rows - New number of rows (at least 1)
+   * @param {string} [anchor='top-left'] - Side or corner that stays in place
+   */
+  resizeTilemap(tilemap, columns, rows, anchor = 'top-left') {
+    const before = this.getTilemapState(tilemap);
+    const weight = TILEMAP_ANCHORS[anchor] || TILEMAP_ANCHORS['top-left'];
     
-    if (!activeLayer) return;
+    columns = Math.max(1, Math.floor(columns));
+    rows = Math.max(1, Math.floor(rows));
     
-    const tilemap = activeLayer.objects.find(obj => obj.type === 'tilemap');
+    if (columns === before.columns && rows === before.rows) return;
     
-    // If no tilemap exists, do nothing
-    if (!tilemap) return;
+    // Existing tiles move by the part of the size change on the anchor's far side
+    const shiftX = Math.floor((columns - before.columns) * weight.x);
+    const shiftY = Math.floor((rows - before.rows) * weight.y);
     
-    // Calculate tile coordinates
-    const tileX = Math.floor((coords.x - tilemap.x) / tilemap.tileSize);
-    const tileY = Math.floor((coords.y - tilemap.y) / tilemap.tileSize);
+    this.applyObjectProperties(tilemap, this.getResizedTilemap(tilemap, columns, rows, shiftX, shiftY));
+    this.recordTilemapChange(tilemap, before, 'Resize Tilemap');
+  }
+  
+  /**
+   * Grow an infinite tilemap so cells outside it fit, in whole chunks
+   * @param {object} tilemap - Tilemap object
+   * @param {Array<object>} cells - Cells with x and y
+   * @returns {object} Columns and rows existing cells moved by, as x and y
+   */
+  growTilemap(tilemap, cells) {
+    const state = this.getTilemapState(tilemap);
+    const grow = { left: 0, top: 0, right: 0, bottom: 0 };
+    const chunks = (cellCount) => Math.ceil(cellCount / TILEMAP_CHUNK_SIZE) * TILEMAP_CHUNK_SIZE;
+    
+    for (const cell of cells) {
+      grow.left = Math.max(grow.left, chunks(-cell.x));
+      grow.top = Math.max(grow.top, chunks(-cell.y));
+      grow.right = Math.max(grow.right, chunks(cell.x - state.columns + 1));
+      grow.bottom = Math.max(grow.bottom, chunks(cell.y - state.rows + 1));
+    }
     
-    // If coordinates are outside tilemap, do nothing
-    if (
-      tileX < 0 || tileX >= tilemap.columns ||
-      tileY < 0 || tileY >= tilemap.rows
-    ) {
-      return;
+    if (grow.left + grow.top + grow.right + grow.bottom === 0) {
+      return { x: 0, y: 0 };
     }
     
-    // If the tile is the same as the last placed tile, do nothing
-    if (this.lastPlacedTile && this.lastPlacedTile.x === tileX && this.lastPlacedTile.y === tileY) {
-      return;
+    // The stroke records the change; only the view needs updating here
+    Object.assign(tilemap, this.getResizedTilemap(tilemap,
+      state.columns + grow.left + grow.right,
+      state.rows + grow.top + grow.bottom,
+      grow.left, grow.top));
+    
+    return { x: grow.left, y: grow.top };
+  }
+  
+  /**
+   * Work out a tilemap's layout and tiles at a new size
+   * @param {object} tilemap - Tilemap object
+   * @param {number} columns - New number of columns
+   * @param {number} rows - New number of rows
+   * @param {number} shiftX - Columns the existing tiles move right by
+   * @param {number} shiftY - Rows the existing tiles move down by
+   * @returns {object} New x, y, width, height, columns, rows and tileData
+   */
+  getResizedTilemap(tilemap, columns, rows, shiftX, shiftY) {
+    const state = this.getTilemapState(tilemap);
+    const tileSize = this.getTileSize(tilemap);
+    const tileData = new Array(columns * rows).fill(0);
+    
+    for (let row = 0; row < state.rows; row++) {
+      const y = row + shiftY;
+      
+      if (y < 0 || y >= rows) continue;
+      
+      for (let col = 0; col < state.columns; col++) {
+        const x = col + shiftX;
+        
+        if (x >= 0 && x < columns) {
+          tileData[y * columns + x] = state.tileData[row * state.columns + col] || 0;
+        }
+      }
     }
     
-    // Calculate tile index
-    const tileIndex = tileY * tilemap.columns + tileX;
+    // Move the map so the kept tiles stay put in the scene
+    return {
+      x: state.x - shiftX * tileSize.width,
+      y: state.y - shiftY * tileSize.height,
+      width: columns * tileSize.width,
+      height: rows * tileSize.height,
+      columns: columns,
+      rows: rows,
+      tileData: tileData
+    };
+  }
+  
+  /**
+   * Get the size of the game window from the project settings
+   * @returns {object} Width and height in pixels
+   */
+  getGameResolution() {
+    const config = this.app.project && this.app.project.config;
+    
+    return config ? this.app.core.fs.getWindowSize(config) : { width: 800, height: 600 };
+  }
+  
+  /**
+   * Get the first enabled camera in the active scene, the one the game starts with
+   * @returns {object|null} Camera object or null if the scene has none
+   */
+  getSceneCamera() {
+    for (const layer of this.activeScene.layers) {
+      const camera = layer.objects.find(object => object.type === 'camera' && object.enabled !== false);
+      
+      if (camera) return camera;
+    }
     
-    // Set tile data
-    tilemap.tileData[tileIndex] = this.app.selectedTile || 1;
+    return null;
+  }
+  
+  /**
+   * Get the area of the scene a camera shows
+   * @param {object} camera - Camera object
+   * @returns {object} Width and height in scene units
+   */
+  getCameraSize(camera) {
+    const resolution = this.getGameResolution();
+    const zoom = camera.zoom > 0 ? camera.zoom : 1;
     
-    // Update last placed tile
-    this.lastPlacedTile = {
-      x: tileX,
-      y: tileY
+    return {
+      width: resolution.width / zoom,
+      height: resolution.height / zoom
     };
+  }
+  
+  /**
+   * Work out a camera's frame at a zoom, keeping the point it looks at
+   * @param {object} camera - Camera object
+   * @param {number} zoom - Zoom factor (greater than 0)
+   * @returns {object} zoom, x, y, width and height
+   */
+  getCameraFrame(camera, zoom) {
+    const size = this.getCameraSize({ zoom });
+    const centerX = camera.x + camera.width / 2;
+    const centerY = camera.y + camera.height / 2;
     
-    // Update UI
-    this.render();
+    return {
+      zoom: zoom > 0 ? zoom : 1,
+      x: centerX - size.width / 2,
+      y: centerY - size.height / 2,
+      width: size.width,
+      height: size.height
+    };
   }
   
   /**
-   * Handle tile tool mouse up
-   * @param {MouseEvent} e - Mouse event
-   * @param {object} coords - Scene coordinates
+   * Change a camera's zoom around its center as one undo step
+   * @param {object} camera - Camera object
+   * @param {number} zoom - Zoom factor (greater than 0)
    */
-  handleTileToolUp(e, coords) {
-    // Clear last placed tile
-    this.lastPlacedTile = null;
+  setCameraZoom(camera, zoom) {
+    const before = this.getTransform(camera);
     
-    // Update UI
-    this.render();
+    this.applyObjectProperties(camera, this.getCameraFrame(camera, zoom));
+    this.recordPropertyChange(camera, before, this.getTransform(camera), 'Change Camera Zoom');
   }
   
   /**
@@ -1216,6 +3450,15 @@ class SceneEditor {
     // Set active scene
     this.activeScene = scene;
     
+    // Camera frames follow the project resolution, which may have changed since the scene was saved
+    for (const layer of scene.layers) {
+      for (const object of layer.objects) {
+        if (object.type === 'camera') {
+          Object.assign(object, this.getCameraFrame(object, object.zoom));
+        }
+      }
+    }
+    
     // Clear selection
     this.selectedObjects = [];
     
@@ -1259,8 +3502,23 @@ class SceneEditor {
       ...objectData.properties
     };
     
+    // Cameras frame the game resolution, centered on the scene unless placed
+    if (newObject.type === 'camera') {
+      const size = this.getCameraSize(newObject);
+      
+      newObject.zoom = newObject.zoom || 1;
+      newObject.followTarget = newObject.followTarget || '';
+      newObject.width = size.width;
+      newObject.height = size.height;
+      
+      if (objectData.x === undefined && objectData.y === undefined) {
+        newObject.x = (this.activeScene.width - size.width) / 2;
+        newObject.y = (this.activeScene.height - size.height) / 2;
+      }
+    }
+    
     // Add to the active layer
-    activeLayer.objects.push(newObject);
+    this.app.commandHistory.execute(this.createAddObjectCommand(newObject, activeLayer, activeLayer.objects.length));
     
     // Select the new object
     this.selectedObjects = [newObject.id];
@@ -1277,37 +3535,34 @@ class SceneEditor {
    * @param {string} objectId - Object ID
    */
   onRemoveObject(objectId) {
-    // Find the object in all layers
-    for (const layer of this.activeScene.layers) {
-      const objectIndex = layer.objects.findIndex(obj => obj.id === objectId);
-      
-      if (objectIndex !== -1) {
-        // Remove the object
-        layer.objects.splice(objectIndex, 1);
-        break;
-      }
-    }
+    const entry = this.findObject(objectId);
     
-    // Remove from selection if selected
-    this.selectedObjects = this.selectedObjects.filter(id => id !== objectId);
+    if (!entry) return;
     
-    // Update UI
-    this.render();
+    const { object, layer } = entry;
+    const index = layer.objects.indexOf(object);
     
-    // Emit selection changed event
-    this.app.core.events.emit('object:selection', this.selectedObjects);
+    // Remove the object
+    this.app.commandHistory.execute({
+      label: `Remove ${object.name || object.type || 'Object'}`,
+      undo: () => {
+        this.insertObject(object, layer, index);
+        this.render();
+      },
+      redo: () => {
+        this.detachObject(object, layer);
+        this.render();
+      }
+    });
   }
   
   /**
    * Handle select object event
-   * @param {string} objectId - Object ID
+   * @param {string|Array<string>} objectId - Object ID or IDs
    */
   onSelectObject(objectId) {
-    // Set selection
-    this.selectedObjects = [objectId];
-    
-    // Update UI
-    this.render();
+    // Set selection and notify other components
+    this.setSelection(Array.isArray(objectId) ? objectId : [objectId]);
   }
   
   /**
@@ -1331,6 +3586,19 @@ class SceneEditor {
     this.render();
   }
   
+  /**
+   * Handle a new tile brush from the Tile Palette
+   * @param {object|null} brush - Brush with tilesetId, width, height and tiles, or null to clear
+   */
+  onTileBrush(brush) {
+    this.tileBrush = brush;
+    
+    // Picking tiles means painting them
+    if (brush && this.activeTool !== 'tile') {
+      this.setActiveTool('tile');
+    }
+  }
+  
   /**
    * Get project data for saving
    * @returns {object} Scene data
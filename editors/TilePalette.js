@@ -0,0 +1,548 @@
+// editors/TilePalette.js - Tile picker for the tile tool
+
+const Autotiler = require('../core/Autotiler');
+
+/**
+ * Tile Palette - Shows a tileset's atlas and picks a tile, a rectangular stamp of tiles
+ * or one of the tileset's autotile terrains
+ * The picked tiles become the Scene Editor's tile brush
+ */
+class TilePalette {
+  /**
+   * Create a new Tile Palette
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.tilesetId = null;
+    this.scale = 2;
+    this.selection = null;
+    this.terrainId = null;
+    this.dragStart = null;
+    this.tilesetSelect = null;
+    this.terrainSelect = null;
+    this.canvas = null;
+    this.ctx = null;
+    this.emptyState = null;
+    this.isInitialized = false;
+
+    // Bind event handlers
+    this.onMouseMove = this.onMouseMove.bind(this);
+    this.onMouseUp = this.onMouseUp.bind(this);
+
+    // Register event handlers
+    const refresh = () => this.refresh();
+    this.app.core.events.on('project:loaded', () => this.setTileset(null));
+    this.app.core.events.on('asset:import', refresh);
+    this.app.core.events.on('asset:renamed', refresh);
+    this.app.core.events.on('asset:deleted', refresh);
+    this.app.core.events.on('tileset:changed', (assetId) => {
+      // The grid moved, so the picked tiles no longer mean the same thing
+      if (assetId === this.tilesetId) {
+        this.selection = null;
+        this.terrainId = null;
+        this.emitBrush();
+      }
+
+      this.refresh();
+    });
+    this.app.core.events.on('tileset:selected', (assetId) => this.setTileset(assetId));
+    this.app.core.events.on('image:loaded', () => this.render());
+    this.app.core.events.on('object:selection', this.onObjectSelection.bind(this));
+    this.app.core.events.on('tile:picked', this.onTilePicked.bind(this));
+  }
+
+  /**
+   * Initialize the tile palette
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    console.log('Initializing Tile Palette');
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create the palette UI
+   */
+  initUI() {
+    // Get the panel content from UI manager
+    const panel = this.app.core.ui.getPanelContent('tiles');
+
+    if (!panel) {
+      console.error('Tile palette panel not found');
+      return;
+    }
+
+    panel.classList.add('tile-palette');
+
+    // Toolbar
+    const toolbar = document.createElement('div');
+    toolbar.className = 'tile-palette-toolbar';
+
+    const tilesetSelect = document.createElement('select');
+    tilesetSelect.className = 'tile-palette-tileset';
+    tilesetSelect.addEventListener('change', () => {
+      this.setTileset(tilesetSelect.value || null);
+    });
+    toolbar.appendChild(tilesetSelect);
+
+    const newButton = document.createElement('button');
+    newButton.className = 'tile-palette-button';
+    newButton.innerHTML = '<i class="icon-add"></i>';
+    newButton.title = 'New tileset from an image...';
+    newButton.addEventListener('click', () => {
+      if (!this.app.project) return;
+
+      this.app.inspector.showAssetSelector('image', (asset) => {
+        if (asset) {
+          this.app.core.events.emit('tileset:create', asset);
+        }
+      });
+    });
+    toolbar.appendChild(newButton);
+
+    const scaleSelect = document.createElement('select');
+    scaleSelect.className = 'tile-palette-scale';
+    for (const scale of [1, 2, 3, 4]) {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = `${scale}x`;
+      scaleSelect.appendChild(option);
+    }
+    scaleSelect.value = this.scale;
+    scaleSelect.addEventListener('change', () => {
+      this.scale = parseInt(scaleSelect.value, 10);
+      this.render();
+    });
+    toolbar.appendChild(scaleSelect);
+
+    // Terrains paint with autotiling instead of fixed tiles
+    const terrainSelect = document.createElement('select');
+    terrainSelect.className = 'tile-palette-terrain';
+    terrainSelect.title = 'Autotile terrain';
+    terrainSelect.addEventListener('change', () => {
+      this.setTerrain(terrainSelect.value || null);
+    });
+    toolbar.appendChild(terrainSelect);
+
+    panel.appendChild(toolbar);
+
+    // Atlas view
+    const view = document.createElement('div');
+    view.className = 'tile-palette-view';
+
+    const emptyState = document.createElement('div');
+    emptyState.className = 'tile-palette-empty-state';
+    view.appendChild(emptyState);
+
+    const canvas = document.createElement('canvas');
+    canvas.className = 'tile-palette-canvas';
+    canvas.addEventListener('mousedown', this.onMouseDown.bind(this));
+    view.appendChild(canvas);
+
+    panel.appendChild(view);
+
+    // Store references
+    this.tilesetSelect = tilesetSelect;
+    this.terrainSelect = terrainSelect;
+    this.canvas = canvas;
+    this.ctx = canvas.getContext('2d');
+    this.emptyState = emptyState;
+
+    this.refresh();
+  }
+
+  /**
+   * Get the tileset shown in the palette
+   * @returns {object|null} Tileset or null if none is selected
+   */
+  getTileset() {
+    return this.tilesetId ? this.app.tilesetManager.getTileset(this.tilesetId) : null;
+  }
+
+  /**
+   * Show a tileset in the palette
+   * @param {string|null} assetId - Tileset asset ID
+   */
+  setTileset(assetId) {
+    if (assetId === this.tilesetId) return;
+
+    this.tilesetId = assetId;
+    this.selection = null;
+    this.terrainId = null;
+    this.emitBrush();
+    this.refresh();
+  }
+
+  /**
+   * Get the selected terrain
+   * @returns {object|null} Terrain rule set or null if painting plain tiles
+   */
+  getTerrain() {
+    const tileset = this.getTileset();
+
+    if (!tileset || !this.terrainId) return null;
+
+    return tileset.terrains.find(terrain => terrain.id === this.terrainId) || null;
+  }
+
+  /**
+   * Paint with one of the tileset's terrains
+   * @param {string|null} terrainId - Terrain ID, or null to go back to plain tiles
+   */
+  setTerrain(terrainId) {
+    this.terrainId = terrainId;
+    this.selection = null;
+
+    if (this.terrainSelect) {
+      this.terrainSelect.value = terrainId || '';
+    }
+
+    this.emitBrush();
+    this.render();
+  }
+
+  /**
+   * Rebuild the tileset list and redraw the atlas
+   */
+  refresh() {
+    if (!this.tilesetSelect) return;
+
+    const tilesets = this.app.tilesetManager.getTilesetAssets();
+
+    // Forget a tileset that was deleted
+    if (this.tilesetId && !tilesets.some(asset => asset.id === this.tilesetId)) {
+      this.tilesetId = null;
+      this.selection = null;
+      this.terrainId = null;
+      this.emitBrush();
+    }
+
+    this.tilesetSelect.innerHTML = '';
+
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = tilesets.length > 0 ? 'Select a tileset' : 'No tilesets';
+    this.tilesetSelect.appendChild(noneOption);
+
+    for (const asset of tilesets) {
+      const option = document.createElement('option');
+      option.value = asset.id;
+      option.textContent = asset.name;
+      this.tilesetSelect.appendChild(option);
+    }
+
+    this.tilesetSelect.value = this.tilesetId || '';
+
+    // Terrain list, only shown for tilesets that have terrains
+    const tileset = this.getTileset();
+    const terrains = tileset ? tileset.terrains : [];
+
+    this.terrainSelect.innerHTML = '';
+
+    const tilesOption = document.createElement('option');
+    tilesOption.value = '';
+    tilesOption.textContent = 'Tiles';
+    this.terrainSelect.appendChild(tilesOption);
+
+    for (const terrain of terrains) {
+      const option = document.createElement('option');
+      option.value = terrain.id;
+      option.textContent = terrain.name;
+      this.terrainSelect.appendChild(option);
+    }
+
+    this.terrainSelect.value = this.terrainId || '';
+    this.terrainSelect.style.display = terrains.length > 0 ? '' : 'none';
+
+    this.render();
+  }
+
+  /**
+   * Draw the tileset image, its tile grid and the selection
+   */
+  render() {
+    if (!this.canvas) return;
+
+    const tileset = this.getTileset();
+    const image = tileset && this.app.imageCache.get(tileset.imageId);
+    const grid = tileset && this.app.tilesetManager.getGrid(tileset);
+
+    if (!image || !grid) {
+      this.canvas.style.display = 'none';
+      this.emptyState.style.display = '';
+      this.emptyState.textContent = tileset
+        ? 'Loading tileset...'
+        : 'Pick a tileset, or add one from an image with the + button.';
+      return;
+    }
+
+    this.canvas.style.display = '';
+    this.emptyState.style.display = 'none';
+
+    const scale = this.scale;
+    const ctx = this.ctx;
+
+    this.canvas.width = image.naturalWidth * scale;
+    this.canvas.height = image.naturalHeight * scale;
+
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(image, 0, 0, this.canvas.width, this.canvas.height);
+
+    // Tile outlines
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+    ctx.lineWidth = 1;
+
+    for (let tile = 1; tile <= grid.count; tile++) {
+      const rect = this.app.tilesetManager.getTileRect(tileset, tile, grid.columns);
+      ctx.strokeRect(rect.x * scale + 0.5, rect.y * scale + 0.5, rect.width * scale - 1, rect.height * scale - 1);
+    }
+
+    // Tiles of the selected terrain
+    const terrain = this.getTerrain();
+
+    if (terrain) {
+      ctx.fillStyle = 'rgba(15, 128, 192, 0.3)';
+
+      for (const tile of Object.values(terrain.tiles)) {
+        const rect = this.app.tilesetManager.getTileRect(tileset, tile, grid.columns);
+        ctx.fillRect(rect.x * scale, rect.y * scale, rect.width * scale, rect.height * scale);
+      }
+    }
+
+    // Selected tiles
+    if (this.selection) {
+      const first = this.app.tilesetManager.getTileRect(tileset, this.getTileNumber(this.selection.column, this.selection.row, grid), grid.columns);
+      const last = this.app.tilesetManager.getTileRect(
+        tileset,
+        this.getTileNumber(this.selection.column + this.selection.width - 1, this.selection.row + this.selection.height - 1, grid),
+        grid.columns
+      );
+
+      ctx.fillStyle = 'rgba(15, 128, 192, 0.3)';
+      ctx.strokeStyle = '#1a90d0';
+      ctx.lineWidth = 2;
+      ctx.fillRect(first.x * scale, first.y * scale, (last.x + last.width - first.x) * scale, (last.y + last.height - first.y) * scale);
+      ctx.strokeRect(first.x * scale + 1, first.y * scale + 1, (last.x + last.width - first.x) * scale - 2, (last.y + last.height - first.y) * scale - 2);
+    }
+  }
+
+  /**
+   * Get the tile number at a grid cell
+   * @param {number} column - Tile column
+   * @param {number} row - Tile row
+   * @param {object} grid - Tileset grid
+   * @returns {number} Tile number (1-based)
+   */
+  getTileNumber(column, row, grid) {
+    return row * grid.columns + column + 1;
+  }
+
+  /**
+   * Get the tile cell under the mouse
+   * @param {MouseEvent} e - Mouse event
+   * @returns {object|null} Cell with column and row, or null without a loaded tileset
+   */
+  getCellAt(e) {
+    const tileset = this.getTileset();
+    const grid = this.app.tilesetManager.getGrid(tileset);
+
+    if (!grid || grid.count === 0) return null;
+
+    const bounds = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - bounds.left) / this.scale - tileset.margin;
+    const y = (e.clientY - bounds.top) / this.scale - tileset.margin;
+
+    return {
+      column: Math.max(0, Math.min(grid.columns - 1, Math.floor(x / (tileset.tileWidth + tileset.spacing)))),
+      row: Math.max(0, Math.min(grid.rows - 1, Math.floor(y / (tileset.tileHeight + tileset.spacing))))
+    };
+  }
+
+  /**
+   * Select the rectangle of tiles between two cells
+   * @param {object} from - Cell the drag started on
+   * @param {object} to - Cell under the mouse
+   */
+  selectRange(from, to) {
+    this.selection = {
+      column: Math.min(from.column, to.column),
+      row: Math.min(from.row, to.row),
+      width: Math.abs(to.column - from.column) + 1,
+      height: Math.abs(to.row - from.row) + 1
+    };
+
+    this.render();
+  }
+
+  /**
+   * Build the brush for the selected tiles or terrain
+   * @returns {object|null} Brush with tilesetId, width, height, row-major tiles and the terrain ID if any
+   */
+  getBrush() {
+    const tileset = this.getTileset();
+    const grid = this.app.tilesetManager.getGrid(tileset);
+    const terrain = this.getTerrain();
+
+    // A terrain brush paints its filled tile; autotiling picks the real one
+    if (terrain) {
+      return {
+        tilesetId: tileset.id,
+        tileWidth: tileset.tileWidth,
+        tileHeight: tileset.tileHeight,
+        width: 1,
+        height: 1,
+        tiles: [Autotiler.getFillTile(terrain)],
+        terrain: terrain.id
+      };
+    }
+
+    if (!this.selection || !grid) return null;
+
+    const { column, row, width, height } = this.selection;
+    const tiles = [];
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        tiles.push(this.getTileNumber(column + x, row + y, grid));
+      }
+    }
+
+    return {
+      tilesetId: tileset.id,
+      tileWidth: tileset.tileWidth,
+      tileHeight: tileset.tileHeight,
+      width: width,
+      height: height,
+      tiles: tiles
+    };
+  }
+
+  /**
+   * Send the current brush to the Scene Editor
+   */
+  emitBrush() {
+    this.app.core.events.emit('tile:brush', this.getBrush());
+  }
+
+  // Event Handlers
+
+  /**
+   * Handle mouse down on the atlas
+   * @param {MouseEvent} e - Mouse event
+   */
+  onMouseDown(e) {
+    if (e.button !== 0) return;
+
+    const cell = this.getCellAt(e);
+
+    if (!cell) return;
+
+    // Picking tiles leaves terrain painting
+    if (this.terrainId) {
+      this.terrainId = null;
+      this.terrainSelect.value = '';
+    }
+
+    this.dragStart = cell;
+    this.selectRange(cell, cell);
+
+    document.addEventListener('mousemove', this.onMouseMove);
+    document.addEventListener('mouseup', this.onMouseUp);
+  }
+
+  /**
+   * Handle mouse move while dragging a stamp
+   * @param {MouseEvent} e - Mouse event
+   */
+  onMouseMove(e) {
+    const cell = this.getCellAt(e);
+
+    if (cell && this.dragStart) {
+      this.selectRange(this.dragStart, cell);
+    }
+  }
+
+  /**
+   * Handle mouse up after picking tiles
+   */
+  onMouseUp() {
+    document.removeEventListener('mousemove', this.onMouseMove);
+    document.removeEventListener('mouseup', this.onMouseUp);
+
+    this.dragStart = null;
+
+    this.emitBrush();
+  }
+
+  /**
+   * Handle a tile picked from the scene with the eyedropper
+   * @param {object} picked - Picked tile with tilesetId, tile number and the tilemap's tileWidth and tileHeight
+   */
+  onTilePicked({ tilesetId, tile, tileWidth, tileHeight }) {
+    const tileset = this.app.tilesetManager.getTileset(tilesetId, tileWidth);
+
+    if (!tileset) return;
+
+    // Tilemaps that point straight at an image have no palette entry; hand over a one-tile brush
+    if (!this.app.tilesetManager.getTilesetAssets().some(asset => asset.id === tilesetId)) {
+      this.app.core.events.emit('tile:brush', {
+        tilesetId: tilesetId,
+        tileWidth: tileWidth,
+        tileHeight: tileHeight,
+        width: 1,
+        height: 1,
+        tiles: [tile]
+      });
+      return;
+    }
+
+    this.setTileset(tilesetId);
+
+    // A terrain tile picks up the whole terrain
+    const terrain = tileset.terrains.find(entry => Object.values(entry.tiles).includes(tile));
+
+    if (terrain) {
+      this.setTerrain(terrain.id);
+      return;
+    }
+
+    const grid = this.app.tilesetManager.getGrid(tileset);
+
+    if (!grid || tile > grid.count) return;
+
+    const cell = { column: (tile - 1) % grid.columns, row: Math.floor((tile - 1) / grid.columns) };
+
+    this.terrainId = null;
+
+    if (this.terrainSelect) {
+      this.terrainSelect.value = '';
+    }
+
+    this.selectRange(cell, cell);
+    this.emitBrush();
+  }
+
+  /**
+   * Follow the tileset of a selected tilemap
+   * @param {Array<string>} selectedIds - Selected object IDs
+   */
+  onObjectSelection(selectedIds) {
+    if (!selectedIds || selectedIds.length !== 1) return;
+
+    const entry = this.app.sceneEditor.findObject(selectedIds[0]);
+
+    if (entry && entry.object.type === 'tilemap' && entry.object.tileset) {
+      const asset = this.app.tilesetManager.getAssets().find(a => a.id === entry.object.tileset);
+
+      if (asset && asset.type === 'tileset') {
+        this.setTileset(asset.id);
+      }
+    }
+  }
+}
+
+// Export the TilePalette class
+module.exports = TilePalette;
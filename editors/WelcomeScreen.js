@@ -0,0 +1,333 @@
+// editors/WelcomeScreen.js - Start page shown when no project is open
+
+const fs = require('fs');
+const path = require('path');
+const ProjectTemplates = require('../core/ProjectTemplates');
+
+/**
+ * Welcome Screen - Lists recent and favorite projects and the project templates
+ * Covers the editor panels until a project is opened
+ */
+class WelcomeScreen {
+  /**
+   * Create a new Welcome Screen
+   * @param {object} app - Main application reference
+   */
+  constructor(app) {
+    this.app = app;
+    this.container = null;
+    this.projectsContainer = null;
+    this.closeButton = null;
+    this.isInitialized = false;
+
+    // Register event handlers
+    this.app.core.events.on('project:loaded', () => this.hide());
+    this.app.core.events.on('welcome:show', () => this.show());
+  }
+
+  /**
+   * Initialize the welcome screen
+   */
+  initialize() {
+    if (this.isInitialized) return;
+
+    console.log('Initializing Welcome Screen');
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create the welcome screen UI
+   */
+  initUI() {
+    const mainContainer = this.app.core.ui.mainContainer;
+
+    if (!mainContainer) {
+      console.error('Main container not found');
+      return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'welcome-screen';
+
+    const content = document.createElement('div');
+    content.className = 'welcome-content';
+    container.appendChild(content);
+
+    // Header
+    const header = document.createElement('div');
+    header.className = 'welcome-header';
+    header.innerHTML = '<h1>Love2D Editor</h1><p>Create a new game or pick up where you left off.</p>';
+
+    // Only offered when there is a project to go back to
+    const closeButton = document.createElement('button');
+    closeButton.className = 'welcome-close';
+    closeButton.innerHTML = '<i class="icon-close"></i>';
+    closeButton.title = 'Back to the editor';
+    closeButton.addEventListener('click', () => this.hide());
+    header.appendChild(closeButton);
+
+    content.appendChild(header);
+
+    const columns = document.createElement('div');
+    columns.className = 'welcome-columns';
+    content.appendChild(columns);
+
+    columns.appendChild(this.createStartColumn());
+
+    // Project lists are rebuilt whenever the screen is shown
+    const projectsColumn = document.createElement('div');
+    projectsColumn.className = 'welcome-column welcome-projects';
+    columns.appendChild(projectsColumn);
+
+    mainContainer.appendChild(container);
+
+    // Store references
+    this.container = container;
+    this.projectsContainer = projectsColumn;
+    this.closeButton = closeButton;
+
+    if (this.app.project) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Create the column with the open button and the templates
+   * @returns {HTMLElement} Column element
+   */
+  createStartColumn() {
+    const column = document.createElement('div');
+    column.className = 'welcome-column welcome-start';
+
+    const openButton = document.createElement('button');
+    openButton.className = 'welcome-button';
+    openButton.innerHTML = '<i class="icon-folder-open"></i> Open Project...';
+    openButton.addEventListener('click', () => {
+      this.app.core.events.emit('project:open');
+    });
+    column.appendChild(openButton);
+
+    const heading = document.createElement('h2');
+    heading.textContent = 'New Project';
+    column.appendChild(heading);
+
+    const templates = document.createElement('div');
+    templates.className = 'welcome-templates';
+
+    for (const template of ProjectTemplates.getAll()) {
+      const card = document.createElement('button');
+      card.className = `welcome-template template-${template.id}`;
+
+      const name = document.createElement('span');
+      name.className = 'welcome-template-name';
+      name.textContent = template.name;
+      card.appendChild(name);
+
+      const description = document.createElement('span');
+      description.className = 'welcome-template-description';
+      description.textContent = template.description;
+      card.appendChild(description);
+
+      card.addEventListener('click', () => {
+        this.app.core.events.emit('project:new', template.id);
+      });
+
+      templates.appendChild(card);
+    }
+
+    column.appendChild(templates);
+
+    return column;
+  }
+
+  /**
+   * Show the welcome screen
+   */
+  show() {
+    if (!this.container) return;
+
+    this.renderProjects();
+
+    this.closeButton.style.display = this.app.project ? '' : 'none';
+    this.container.classList.remove('hidden');
+  }
+
+  /**
+   * Hide the welcome screen
+   */
+  hide() {
+    if (!this.container) return;
+
+    this.container.classList.add('hidden');
+  }
+
+  /**
+   * Check if a project still exists on disk
+   * @param {string} projectPath - Project directory
+   * @returns {boolean} True if the project's project.json exists
+   */
+  projectExists(projectPath) {
+    return fs.existsSync(path.join(projectPath, this.app.core.fs.projectConfigFile));
+  }
+
+  /**
+   * Rebuild the favorite and recent project lists
+   */
+  renderProjects() {
+    const config = this.app.core.config;
+    const container = this.projectsContainer;
+
+    container.innerHTML = '';
+
+    const favorites = config.getFavoriteProjects();
+    const recents = config.getRecentProjects();
+
+    if (favorites.length > 0) {
+      container.appendChild(this.createProjectList('Favorites', favorites, 'favorite'));
+    }
+
+    container.appendChild(this.createProjectList('Recent Projects', recents, 'recent'));
+  }
+
+  /**
+   * Create a titled list of projects
+   * @param {string} title - List heading
+   * @param {Array<object>} projects - Projects with path and name
+   * @param {string} kind - 'favorite' or 'recent'
+   * @returns {HTMLElement} List element
+   */
+  createProjectList(title, projects, kind) {
+    const section = document.createElement('div');
+    section.className = `welcome-project-list ${kind}`;
+
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    if (projects.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'welcome-empty-state';
+      empty.textContent = 'Projects you open will appear here.';
+      section.appendChild(empty);
+      return section;
+    }
+
+    for (const project of projects) {
+      section.appendChild(this.createProjectRow(project, kind));
+    }
+
+    return section;
+  }
+
+  /**
+   * Create the row for a project
+   * @param {object} project - Project with path, name and lastOpened
+   * @param {string} kind - 'favorite' or 'recent'
+   * @returns {HTMLElement} Row element
+   */
+  createProjectRow(project, kind) {
+    const config = this.app.core.config;
+    const exists = this.projectExists(project.path);
+    const isFavorite = config.isFavoriteProject(project.path);
+
+    const row = document.createElement('div');
+    row.className = 'welcome-project';
+    row.classList.toggle('missing', !exists);
+    row.title = exists ? project.path : `${project.path} (not found)`;
+
+    // Pin toggle
+    const pinButton = document.createElement('button');
+    pinButton.className = 'welcome-project-button pin';
+    pinButton.classList.toggle('active', isFavorite);
+    pinButton.innerHTML = `<i class="${isFavorite ? 'icon-star' : 'icon-star-empty'}"></i>`;
+    pinButton.title = isFavorite ? 'Remove from favorites' : 'Add to favorites';
+    pinButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      config.toggleFavoriteProject(project.path, project.name);
+      this.renderProjects();
+    });
+    row.appendChild(pinButton);
+
+    const info = document.createElement('div');
+    info.className = 'welcome-project-info';
+
+    const name = document.createElement('span');
+    name.className = 'welcome-project-name';
+    name.textContent = project.name || path.basename(project.path);
+    info.appendChild(name);
+
+    const location = document.createElement('span');
+    location.className = 'welcome-project-path';
+    location.textContent = exists ? project.path : `${project.path} — missing`;
+    info.appendChild(location);
+
+    row.appendChild(info);
+
+    if (project.lastOpened) {
+      const date = document.createElement('span');
+      date.className = 'welcome-project-date';
+      date.textContent = new Date(project.lastOpened).toLocaleDateString();
+      row.appendChild(date);
+    }
+
+    // Remove from this list
+    const removeButton = document.createElement('button');
+    removeButton.className = 'welcome-project-button remove';
+    removeButton.innerHTML = '<i class="icon-close"></i>';
+    removeButton.title = kind === 'favorite' ? 'Remove from favorites' : 'Remove from recent projects';
+    removeButton.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeProject(project, kind);
+    });
+    row.appendChild(removeButton);
+
+    row.addEventListener('click', () => this.openProject(project, kind));
+
+    return row;
+  }
+
+  /**
+   * Open a listed project, offering to remove it if it no longer exists
+   * @param {object} project - Project with path and name
+   * @param {string} kind - 'favorite' or 'recent'
+   */
+  async openProject(project, kind) {
+    if (this.projectExists(project.path)) {
+      this.app.core.events.emit('project:open', project.path);
+      return;
+    }
+
+    const choice = await this.app.core.ui.showConfirmDialog(
+      'Project Not Found',
+      `${project.path} no longer contains a project. Remove it from the list?`,
+      ['Keep', 'Remove']
+    );
+
+    if (choice === 'Remove') {
+      this.removeProject(project, kind);
+    }
+  }
+
+  /**
+   * Remove a project from the favorites or recent list
+   * @param {object} project - Project with path and name
+   * @param {string} kind - 'favorite' or 'recent'
+   */
+  removeProject(project, kind) {
+    const config = this.app.core.config;
+
+    if (kind === 'favorite') {
+      config.toggleFavoriteProject(project.path, project.name);
+    } else {
+      config.removeRecentProject(project.path);
+    }
+
+    this.renderProjects();
+  }
+}
+
+// Export the WelcomeScreen class
+module.exports = WelcomeScreen;
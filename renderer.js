@@ -27,6 +27,7 @@ class EditorRenderer {
 
     // Initialize UI
     this.uiManager = new UIManager(this);
+    this.core.ui = this.uiManager;
     this.uiManager.initialize();
     this.uiManager.createLayout();
 
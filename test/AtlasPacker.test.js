@@ -0,0 +1,132 @@
+// test/AtlasPacker.test.js - Tests for the texture atlas packer
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AtlasPacker = require('../core/AtlasPacker');
+
+/**
+ * Check that the rectangles on a page stay inside it and keep their padding from each other
+ * @param {object} page - Page from pack()
+ * @param {number} maxSize - Largest page size
+ * @param {number} padding - Padding between rectangles
+ */
+function assertValidPage(page, maxSize, padding) {
+  assert.ok(page.width <= maxSize && page.height <= maxSize, 'page fits the size limit');
+
+  for (const item of page.items) {
+    assert.ok(item.x >= 0 && item.y >= 0, `${item.id} starts on the page`);
+    assert.ok(item.x + item.width <= page.width && item.y + item.height <= page.height, `${item.id} ends on the page`);
+  }
+
+  for (const [index, item] of page.items.entries()) {
+    for (const other of page.items.slice(index + 1)) {
+      const apart = item.x + item.width + padding <= other.x || other.x + other.width + padding <= item.x ||
+        item.y + item.height + padding <= other.y || other.y + other.height + padding <= item.y;
+
+      assert.ok(apart, `${item.id} and ${other.id} are at least ${padding} pixels apart`);
+    }
+  }
+}
+
+test('places rectangles largest first with the best short side fit', () => {
+  const packer = new AtlasPacker({ maxSize: 128, padding: 2 });
+  const result = packer.pack([
+    { id: 'a', width: 64, height: 64 },
+    { id: 'b', width: 32, height: 32 },
+    { id: 'c', width: 32, height: 48 },
+    { id: 'd', width: 16, height: 16 }
+  ]);
+
+  assert.deepEqual(result, {
+    pages: [{
+      width: 66,
+      height: 116,
+      items: [
+        { id: 'a', x: 0, y: 0, width: 64, height: 64 },
+        { id: 'c', x: 0, y: 66, width: 32, height: 48 },
+        { id: 'b', x: 34, y: 66, width: 32, height: 32 },
+        { id: 'd', x: 34, y: 100, width: 16, height: 16 }
+      ]
+    }],
+    oversized: []
+  });
+});
+
+test('rectangles larger than a page are left out', () => {
+  const big = { id: 'big', width: 200, height: 10 };
+  const result = new AtlasPacker({ maxSize: 128 }).pack([big, { id: 'small', width: 8, height: 8 }]);
+
+  assert.deepEqual(result.oversized, [big]);
+  assert.deepEqual(result.pages.map(page => page.items.map(item => item.id)), [['small']]);
+});
+
+test('rectangles that don\'t fit on one page go on the next', () => {
+  const items = [1, 2, 3, 4, 5].map(index => ({ id: `tile${index}`, width: 32, height: 32 }));
+  const { pages } = new AtlasPacker({ maxSize: 64, padding: 0 }).pack(items);
+
+  assert.deepEqual(pages.map(page => [page.width, page.height, page.items.length]), [[64, 64, 4], [32, 32, 1]]);
+});
+
+test('many rectangles are packed without overlapping', () => {
+  const items = [];
+  let seed = 7;
+
+  // Repeatable pseudo-random sizes
+  for (let i = 0; i < 120; i++) {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    items.push({ id: `image${i}`, width: 4 + seed % 60, height: 4 + (seed >> 8) % 60 });
+  }
+
+  const { pages, oversized } = new AtlasPacker({ maxSize: 256, padding: 3 }).pack(items);
+
+  assert.deepEqual(oversized, []);
+  assert.equal(pages.reduce((total, page) => total + page.items.length, 0), items.length);
+
+  for (const page of pages) {
+    assertValidPage(page, 256, 3);
+  }
+});
+
+test('pages can be rounded up to powers of two', () => {
+  const { pages } = new AtlasPacker({ maxSize: 256, padding: 0, powerOfTwo: true }).pack([{ id: 'x', width: 40, height: 20 }]);
+
+  assert.deepEqual([pages[0].width, pages[0].height], [64, 32]);
+});
+
+test('compose copies each image to its place on the page', () => {
+  const red = { width: 2, height: 1, data: Buffer.from([255, 0, 0, 255, 255, 0, 0, 255]) };
+  const blue = { width: 1, height: 2, data: Buffer.from([0, 0, 255, 255, 0, 0, 255, 128]) };
+  const page = {
+    width: 3,
+    height: 2,
+    items: [
+      { id: 'red', x: 0, y: 0, width: 2, height: 1 },
+      { id: 'blue', x: 2, y: 0, width: 1, height: 2 }
+    ]
+  };
+
+  const image = AtlasPacker.compose(page, new Map([['red', red], ['blue', blue]]));
+
+  assert.deepEqual([...image.data], [
+    255, 0, 0, 255, 255, 0, 0, 255, 0, 0, 255, 255,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 255, 128
+  ]);
+});
+
+test('the report measures unused space per page and in total', () => {
+  const report = AtlasPacker.getReport([
+    { width: 10, height: 10, items: [{ width: 5, height: 10 }] },
+    { width: 4, height: 5, items: [{ width: 4, height: 5 }] }
+  ]);
+
+  assert.deepEqual(report, {
+    area: 120,
+    usedArea: 70,
+    wastedArea: 50,
+    wastedPercent: 41.7,
+    pages: [
+      { width: 10, height: 10, images: 1, area: 100, usedArea: 50, wastedArea: 50, wastedPercent: 50 },
+      { width: 4, height: 5, images: 1, area: 20, usedArea: 20, wastedArea: 0, wastedPercent: 0 }
+    ]
+  });
+});
@@ -0,0 +1,156 @@
+// test/PngCodec.test.js - Tests for the PNG decoder and encoder
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const PngCodec = require('../core/PngCodec');
+
+// 2 × 2 RGB image whose rows use the Sub and Up filters, written by another encoder
+const RGB_FILTERED = 'iVBORw0KGgoAAAANSUhEUgAAAAIAAAACCAIAAAD91JpzAAAAEUlEQVR4nGPkEpEDAiZWMAAABnkAuGSvZ48AAAAASUVORK5CYII=';
+
+// 3 × 1 image with a 2-bit palette (red, green, blue) and alpha for the first two entries
+const PALETTE_2BIT = 'iVBORw0KGgoAAAANSUhEUgAAAAMAAAABAgMAAABmjvwnAAAACVBMVEX/AAAA/wAAAP8tSs2KAAAAAnRSTlP/gAgPs2oAAAAKSURBVHicY5AAAAAaABktiPQ2AAAAAElFTkSuQmCC';
+
+// Adam7 interlacing passes as [x offset, y offset, x step, y step]
+const ADAM7_PASSES = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * Build a PNG file from unfiltered scanlines
+ * @param {object} header - width, height, bitDepth, colorType and interlace
+ * @param {Buffer} raw - Scanlines, each starting with its filter byte
+ * @param {Array<Buffer>} [chunks=[]] - Chunks to place before the image data
+ * @returns {Buffer} PNG file contents
+ */
+function createPng(header, raw, chunks = []) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(header.width, 0);
+  ihdr.writeUInt32BE(header.height, 4);
+  ihdr[8] = header.bitDepth;
+  ihdr[9] = header.colorType;
+  ihdr[12] = header.interlace || 0;
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    PngCodec.createChunk('IHDR', ihdr),
+    ...chunks,
+    PngCodec.createChunk('IDAT', zlib.deflateSync(raw)),
+    PngCodec.createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Create an RGBA image with a different color in every pixel
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {object} Image with width, height and data
+ */
+function createGradient(width, height) {
+  const data = Buffer.alloc(width * height * 4);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const offset = (y * width + x) * 4;
+      data[offset] = (x * 37) & 0xFF;
+      data[offset + 1] = (y * 53) & 0xFF;
+      data[offset + 2] = (x * y) & 0xFF;
+      data[offset + 3] = (255 - x - y) & 0xFF;
+    }
+  }
+
+  return { width, height, data };
+}
+
+test('isPng checks the signature', () => {
+  assert.ok(PngCodec.isPng(Buffer.from(RGB_FILTERED, 'base64')));
+  assert.ok(!PngCodec.isPng(Buffer.from('GIF89a')));
+  assert.ok(!PngCodec.isPng(Buffer.alloc(0)));
+  assert.throws(() => PngCodec.decode(Buffer.from('not a png')), /Not a PNG file/);
+});
+
+test('decodes filtered RGB scanlines', () => {
+  const image = PngCodec.decode(Buffer.from(RGB_FILTERED, 'base64'));
+
+  assert.equal(image.width, 2);
+  assert.equal(image.height, 2);
+  assert.deepEqual([...image.data], [
+    10, 20, 30, 255, 40, 50, 60, 255,
+    15, 25, 35, 255, 45, 55, 65, 255
+  ]);
+});
+
+test('decodes packed palette indexes with transparency', () => {
+  const image = PngCodec.decode(Buffer.from(PALETTE_2BIT, 'base64'));
+
+  assert.deepEqual([...image.data], [
+    255, 0, 0, 255,
+    0, 255, 0, 128,
+    0, 0, 255, 255
+  ]);
+});
+
+test('reduces 16-bit grayscale with alpha to 8 bits', () => {
+  const raw = Buffer.from([0, 0xFF, 0xFF, 0x80, 0x00, 0x00, 0x00, 0xFF, 0xFF]);
+  const image = PngCodec.decode(createPng({ width: 2, height: 1, bitDepth: 16, colorType: 4 }, raw));
+
+  assert.deepEqual([...image.data], [255, 255, 255, 128, 0, 0, 0, 255]);
+});
+
+test('makes the tRNS color of a grayscale image transparent', () => {
+  const raw = Buffer.from([0, 7, 8]);
+  const image = PngCodec.decode(createPng({ width: 2, height: 1, bitDepth: 8, colorType: 0 }, raw, [
+    PngCodec.createChunk('tRNS', Buffer.from([0, 7]))
+  ]));
+
+  assert.deepEqual([...image.data], [7, 7, 7, 0, 8, 8, 8, 255]);
+});
+
+test('decodes Adam7 interlaced images', () => {
+  const source = createGradient(11, 9);
+  const lines = [];
+
+  for (const [startX, startY, stepX, stepY] of ADAM7_PASSES) {
+    for (let y = startY; y < source.height; y += stepY) {
+      const row = [0];
+
+      for (let x = startX; x < source.width; x += stepX) {
+        const offset = (y * source.width + x) * 4;
+        row.push(...source.data.subarray(offset, offset + 4));
+      }
+
+      if (row.length > 1) lines.push(Buffer.from(row));
+    }
+  }
+
+  const image = PngCodec.decode(createPng({ width: 11, height: 9, bitDepth: 8, colorType: 6, interlace: 1 }, Buffer.concat(lines)));
+
+  assert.deepEqual(image.data, source.data);
+});
+
+test('encoded images decode to the same pixels', () => {
+  for (const [width, height] of [[1, 1], [5, 3], [64, 17]]) {
+    const source = createGradient(width, height);
+    const encoded = PngCodec.encode(source);
+
+    assert.ok(PngCodec.isPng(encoded));
+    assert.deepEqual(PngCodec.decode(encoded), source);
+  }
+});
+
+test('encode rejects pixel data smaller than the image', () => {
+  assert.throws(() => PngCodec.encode({ width: 2, height: 2, data: Buffer.alloc(8) }), /smaller than its dimensions/);
+});
+
+test('chunks end with the CRC of their type and data', () => {
+  const chunk = PngCodec.createChunk('IEND', Buffer.alloc(0));
+
+  assert.equal(chunk.toString('hex'), '0000000049454e44ae426082');
+});
+
+test('paeth picks the closest neighbour', () => {
+  assert.equal(PngCodec.paeth(10, 20, 10), 20);
+  assert.equal(PngCodec.paeth(20, 10, 10), 20);
+  assert.equal(PngCodec.paeth(10, 10, 30), 10);
+});
@@ -0,0 +1,210 @@
+// test/SceneCompiler.test.js - Tests for the scene to Lua compiler
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SceneCompiler = require('../core/SceneCompiler');
+
+const HERO_SCENE = {
+  id: 'level-1',
+  name: 'Level 1',
+  width: 320,
+  height: 240,
+  layers: [{
+    id: 'l1',
+    name: 'Main',
+    objects: [{
+      id: 'o1',
+      type: 'sprite',
+      name: 'Hero',
+      x: 10,
+      y: 20,
+      width: 16,
+      height: 16,
+      imageId: 'img',
+      _selected: true,
+      tags: ['a', 'b'],
+      end: true
+    }]
+  }]
+};
+
+// The scene table compiled from HERO_SCENE with its image packed into an atlas
+const HERO_SCENE_TABLE = `local Scene = {
+  id = "level-1",
+  name = "Level 1",
+  width = 320,
+  height = 240,
+  backgroundColor = "#000000",
+  layers = {
+    {
+      id = "l1",
+      name = "Main",
+      visible = true,
+      objects = {
+        {
+          id = "o1",
+          type = "sprite",
+          name = "Hero",
+          x = 10,
+          y = 20,
+          width = 16,
+          height = 16,
+          imageId = "img",
+          tags = {
+            "a",
+            "b"
+          },
+          ["end"] = true,
+          imagePath = "atlases/atlas_1.png",
+          imageRegion = {
+            x = 2,
+            y = 4,
+            width = 16,
+            height = 16
+          }
+        }
+      }
+    }
+  }
+}
+`;
+
+test('compiles a scene to a module with its data table', () => {
+  const compiler = new SceneCompiler();
+  const lua = compiler.compile(HERO_SCENE, {
+    assets: [{ id: 'img', type: 'image', path: 'images\\hero.png' }],
+    atlas: { 'assets/images/hero.png': { atlas: 'atlases/atlas_1.png', x: 2, y: 4, width: 16, height: 16 } }
+  });
+
+  assert.ok(lua.startsWith([
+    '-- Generated by Love2D Editor Suite',
+    '-- Scene: Level 1',
+    '-- Do not edit: this file is regenerated from scenes/level-1.json',
+    ''
+  ].join('\n')));
+
+  const start = lua.indexOf('local Scene = ');
+  assert.equal(lua.slice(start, lua.indexOf('\n}\n', start) + 3), HERO_SCENE_TABLE);
+  assert.ok(lua.endsWith('\nreturn Scene\n'));
+});
+
+test('module names and aliases are valid for require', () => {
+  const compiler = new SceneCompiler();
+
+  assert.equal(compiler.getModuleName('level-1'), 'level_1');
+  assert.equal(compiler.getModuleName({ id: 'boss fight' }), 'boss_fight');
+  assert.equal(compiler.getModuleName({}), 'scene');
+  assert.equal(compiler.compileAlias('level_1'), '-- Generated by Love2D Editor Suite\nreturn require("scenes.level_1")\n');
+});
+
+test('values are written as Lua expressions', () => {
+  const compiler = new SceneCompiler();
+
+  assert.equal(compiler.toLuaValue(null), 'nil');
+  assert.equal(compiler.toLuaValue(true), 'true');
+  assert.equal(compiler.toLuaValue(1.5), '1.5');
+  assert.equal(compiler.toLuaValue(Infinity), '0');
+  assert.equal(compiler.toLuaValue([]), '{}');
+  assert.equal(compiler.toLuaValue({}), '{}');
+  assert.equal(compiler.toLuaValue({ a: 1, 'two words': [true] }), '{\n  a = 1,\n  ["two words"] = {\n    true\n  }\n}');
+});
+
+test('long number arrays are written 32 to a line', () => {
+  const compiler = new SceneCompiler();
+  const lines = compiler.toLuaValue(Array.from({ length: 40 }, (value, index) => index)).split('\n');
+
+  assert.equal(lines.length, 4);
+  assert.equal(lines[1].split(',').filter(Boolean).length, 32);
+  assert.equal(lines[2], '  32, 33, 34, 35, 36, 37, 38, 39');
+});
+
+test('keys that aren\'t Lua names are bracketed', () => {
+  const compiler = new SceneCompiler();
+
+  assert.equal(compiler.toLuaKey('speed'), 'speed');
+  assert.equal(compiler.toLuaKey('_private2'), '_private2');
+  assert.equal(compiler.toLuaKey('function'), '["function"]');
+  assert.equal(compiler.toLuaKey('2d'), '["2d"]');
+});
+
+test('strings are escaped', () => {
+  const compiler = new SceneCompiler();
+
+  assert.equal(compiler.toLuaString('say "hi"\nC:\\games\r'), '"say \\"hi\\"\\nC:\\\\games\\r"');
+});
+
+test('plain values drop runtime state', () => {
+  const compiler = new SceneCompiler();
+
+  assert.deepEqual(compiler.toPlainValue({
+    a: 1,
+    _cache: 2,
+    nested: { b: NaN, c: [1, undefined, 'x'] },
+    date: new Date(0)
+  }), { a: 1, nested: { c: [1, null, 'x'] } });
+});
+
+test('objects resolve their asset references to game paths', () => {
+  const compiler = new SceneCompiler();
+  const assets = new Map([
+    ['img', { id: 'img', type: 'image', path: 'images/hero.png' }],
+    ['sfx', { id: 'sfx', type: 'audio', path: 'sounds\\jump.ogg' }]
+  ]);
+
+  const data = compiler.prepareObject({
+    id: 'o1',
+    type: 'sprite',
+    imageId: 'img',
+    jumpSound: 'sfx',
+    note: 'sfx',
+    sounds: ['sfx', 'img'],
+    propertyTypes: { jumpSound: 'asset', sounds: { type: 'array', items: ['asset', 'text'] } }
+  }, assets);
+
+  assert.deepEqual(data, {
+    id: 'o1',
+    type: 'sprite',
+    imageId: 'img',
+    jumpSound: 'assets/sounds/jump.ogg',
+    note: 'sfx',
+    sounds: ['assets/sounds/jump.ogg', 'img'],
+    x: 0,
+    y: 0,
+    width: 0,
+    height: 0,
+    imagePath: 'assets/images/hero.png'
+  });
+});
+
+test('unknown assets are left out with a warning', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const data = new SceneCompiler().prepareObject({ id: 'o1', type: 'sprite', imageId: 'missing' }, new Map());
+
+  assert.equal(data.imagePath, undefined);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('tilemaps keep their cell size and cut tiles at the tileset\'s size', () => {
+  const compiler = new SceneCompiler();
+  const assets = new Map([
+    ['tiles', { id: 'tiles', type: 'tileset', path: 'tiles.tileset', tileset: { imageId: 'sheet', tileWidth: 16, tileHeight: 8, spacing: 1 } }],
+    ['sheet', { id: 'sheet', type: 'image', path: 'sheet.png' }]
+  ]);
+
+  const data = compiler.prepareObject({
+    id: 'map',
+    type: 'tilemap',
+    tileWidth: 32,
+    tileHeight: 32,
+    tileset: 'tiles',
+    tileData: [1, 0]
+  }, assets, { 'assets/sheet.png': { atlas: 'atlases/atlas_1.png', x: 8, y: 0, width: 64, height: 64 } });
+
+  assert.equal(data.tileWidth, 32);
+  assert.equal(data.tileHeight, 32);
+  assert.equal(data.sourceTileWidth, 16);
+  assert.equal(data.sourceTileHeight, 8);
+  assert.equal(data.tileSpacing, 1);
+  assert.equal(data.tilesetPath, 'atlases/atlas_1.png');
+  assert.deepEqual(data.tilesetRegion, { x: 8, y: 0, width: 64, height: 64 });
+});
@@ -0,0 +1,108 @@
+// test/ZipWriter.test.js - Tests for the ZIP archive writer
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const ZipWriter = require('../core/ZipWriter');
+
+/**
+ * Read the entries of a ZIP archive through its central directory
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {Array<object>} Entries with name, method, crc, size and inflated data
+ */
+function readZip(buffer) {
+  const end = buffer.length - 22;
+  assert.equal(buffer.readUInt32LE(end), 0x06054b50, 'end of central directory signature');
+
+  const count = buffer.readUInt16LE(end + 10);
+  const entries = [];
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50, 'central directory signature');
+
+    const method = buffer.readUInt16LE(offset + 10);
+    const crc = buffer.readUInt32LE(offset + 16);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50, 'local header signature');
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const stored = buffer.subarray(dataStart, dataStart + compressedSize);
+    const data = method === 8 ? zlib.inflateRawSync(stored) : stored;
+
+    entries.push({ name, method, crc, size, data });
+    offset += 46 + nameLength;
+  }
+
+  return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.equal(ZipWriter.crc32(Buffer.from('123456789')), 0xCBF43926);
+  assert.equal(ZipWriter.crc32(Buffer.alloc(0)), 0);
+});
+
+test('archives round-trip their files', () => {
+  const zip = new ZipWriter();
+  const text = 'print("hello")\n'.repeat(50);
+  const binary = Buffer.from([0, 1, 2, 3, 255]);
+
+  zip.addFile('main.lua', text);
+  zip.addFile('assets\\images\\tiny.bin', binary);
+  zip.addFile('/conf.lua', 'function love.conf(t) end', { compress: false });
+
+  const entries = readZip(zip.toBuffer());
+
+  assert.deepEqual(entries.map(entry => entry.name), ['main.lua', 'assets/images/tiny.bin', 'conf.lua']);
+  assert.equal(entries[0].data.toString('utf8'), text);
+  assert.deepEqual(entries[1].data, binary);
+  assert.equal(entries[2].data.toString('utf8'), 'function love.conf(t) end');
+
+  for (const entry of entries) {
+    assert.equal(entry.crc, ZipWriter.crc32(entry.data));
+    assert.equal(entry.size, entry.data.length);
+  }
+});
+
+test('files are deflated only when that makes them smaller', () => {
+  const zip = new ZipWriter();
+
+  zip.addFile('repeated.txt', 'a'.repeat(1000));
+  zip.addFile('short.txt', 'ab');
+  zip.addFile('kept.txt', 'a'.repeat(1000), { compress: false });
+
+  assert.deepEqual(readZip(zip.toBuffer()).map(entry => entry.method), [8, 0, 0]);
+});
+
+test('adding a file again replaces the earlier entry', () => {
+  const zip = new ZipWriter();
+
+  zip.addFile('scenes/main.lua', 'old');
+  zip.addFile('scenes\\main.lua', 'new');
+
+  assert.deepEqual(zip.getFileNames(), ['scenes/main.lua']);
+  assert.ok(zip.hasFile('scenes/main.lua'));
+  assert.equal(readZip(zip.toBuffer())[0].data.toString('utf8'), 'new');
+});
+
+test('an empty archive is just the end record', () => {
+  const buffer = new ZipWriter().toBuffer();
+
+  assert.equal(buffer.length, 22);
+  assert.deepEqual(readZip(buffer), []);
+});
+
+test('dates are stored as MS-DOS date and time fields', () => {
+  assert.deepEqual(ZipWriter.toDosDateTime(new Date(2024, 2, 15, 13, 45, 31)), {
+    time: (13 << 11) | (45 << 5) | 15,
+    date: (44 << 9) | (3 << 5) | 15
+  });
+
+  // Years before 1980 can't be represented and are clamped
+  assert.equal(ZipWriter.toDosDateTime(new Date(1970, 0, 1)).date >> 9, 0);
+});